@@ -54,6 +54,13 @@ module.exports = [
       },
     },
   },
+  {
+    files: ['scraper/postgresAdapter.js'],
+    rules: {
+      // pg is an optional peer dependency, only installed for warehouse setups
+      'n/no-missing-require': ['error', { allowModules: ['pg'] }],
+    },
+  },
   {
     files: ['eslint.config.js'],
     rules: {
@@ -0,0 +1,124 @@
+// scraper/__tests__/backupEncryption.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHash, randomBytes } = require('crypto');
+const legacyCrypto = require('crypto');
+const { BackupManager } = require('../dataExportBackup');
+const { parseKeyring, encryptBuffer, decryptBuffer } = require('../backupCrypto');
+
+const RECORDS = [
+    { 'Merchant Name': 'alpha', price: 129.5 },
+    { 'Merchant Name': 'beta', price: 129.8 }
+];
+
+// Legacy backups can only be written where crypto.createCipher still exists (removed in Node 22)
+// eslint-disable-next-line n/no-deprecated-api -- reproducing the old format on purpose
+const testWithCreateCipher = typeof legacyCrypto.createCipher === 'function' ? test : test.skip;
+
+describe('Backup encryption', () => {
+    let backupDirectory;
+
+    beforeEach(() => {
+        backupDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(backupDirectory, { recursive: true, force: true });
+    });
+
+    function createManager(options = {}) {
+        return new BackupManager({ backupDirectory, encryption: true, ...options });
+    }
+
+    test('should encrypt with a fresh salt and IV, recording the key id', async () => {
+        const manager = createManager({ encryptionKeys: { '2026-01': 'first passphrase' }, encryptionKeyId: '2026-01' });
+
+        const first = await manager.createBackup(RECORDS);
+        const second = await manager.createBackup(RECORDS);
+
+        expect(first.path).toMatch(/\.json\.gz\.enc$/);
+        expect(first.manifest.encryption).toMatchObject({ algorithm: 'aes-256-gcm', kdf: 'scrypt', keyId: '2026-01' });
+        expect(first.manifest.verified).toBe(true);
+        expect(fs.readFileSync(first.path).subarray(4, 32)).not.toEqual(fs.readFileSync(second.path).subarray(4, 32));
+
+        const restored = await manager.restoreBackup(first.id);
+        expect(restored.data).toEqual(RECORDS);
+    });
+
+    test('should pick the key by id and refuse backups whose key is missing or wrong', async () => {
+        const writer = createManager({ encryptionKeys: { old: 'old passphrase', current: 'current passphrase' }, encryptionKeyId: 'old' });
+        const backup = await writer.createBackup(RECORDS);
+
+        const reader = createManager({ encryptionKeys: { current: 'current passphrase', old: 'old passphrase' }, encryptionKeyId: 'current' });
+        expect((await reader.restoreBackup(backup.id)).data).toEqual(RECORDS);
+
+        const missingKey = createManager({ encryptionKey: 'current passphrase', encryptionKeyId: 'current' });
+        expect(await missingKey.verifyBackup(backup.id)).toMatchObject({ valid: false, error: 'Backup encryption key "old" is not configured' });
+        await expect(missingKey.restoreBackup(backup.id)).rejects.toThrow('Backup encryption key "old" is not configured');
+
+        const wrongKey = createManager({ encryptionKeys: { old: 'not the passphrase' } });
+        expect(await wrongKey.verifyBackup(backup.id)).toMatchObject({ valid: false, keyId: 'old' });
+    });
+
+    test('should re-encrypt backups under a new key', async () => {
+        const keys = { old: 'old passphrase', new: 'new passphrase' };
+        const writer = createManager({ encryptionKeys: keys, encryptionKeyId: 'old' });
+        const encrypted = await writer.createBackup(RECORDS);
+        const plain = await writer.createBackup(RECORDS, { encryption: false });
+
+        const rotator = createManager({ encryptionKeys: keys, encryptionKeyId: 'new' });
+        const result = await rotator.reencryptBackups();
+
+        expect(result.reencrypted).toEqual([encrypted.id]);
+        expect(result.skipped).toEqual([{ id: plain.id, reason: 'not encrypted' }]);
+        expect(result.failed).toEqual([]);
+
+        const newKeyOnly = createManager({ encryptionKeys: { new: 'new passphrase' } });
+        expect((await newKeyOnly.verifyBackup(encrypted.id)).valid).toBe(true);
+        expect((await newKeyOnly.restoreBackup(encrypted.id)).data).toEqual(RECORDS);
+        expect((await newKeyOnly.listBackups()).find(backup => backup.id === encrypted.id).keyId).toBe('new');
+
+        expect((await rotator.reencryptBackups()).reencrypted).toEqual([]);
+    });
+
+    testWithCreateCipher('should read backups written by crypto.createCipher before key ids', async () => {
+        const manager = createManager({ encryptionKey: 'legacy passphrase' });
+        const backup = await manager.createBackup(RECORDS, { encryption: false });
+
+        // Rewrite it the way the old encryptData did
+        const plain = fs.readFileSync(backup.path);
+        // eslint-disable-next-line n/no-deprecated-api -- reproducing the old format on purpose
+        const cipher = legacyCrypto.createCipher('aes-256-gcm', 'legacy passphrase');
+        const encrypted = Buffer.concat([cipher.update(plain), cipher.final()]);
+        const legacy = Buffer.concat([randomBytes(16), cipher.getAuthTag(), encrypted]);
+        fs.writeFileSync(backup.path, legacy);
+
+        const manifestPath = path.join(backupDirectory, `${backup.id}.manifest.json`);
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        fs.writeFileSync(manifestPath, JSON.stringify({
+            ...manifest,
+            encryption: true,
+            checksum: createHash('sha256').update(legacy).digest('hex'),
+            size: legacy.length
+        }));
+
+        expect((await manager.restoreBackup(backup.id)).data).toEqual(RECORDS);
+        expect((await manager.reencryptBackups()).reencrypted).toEqual([backup.id]);
+        expect((await manager.listBackups())[0].keyId).toBe('default');
+        expect((await manager.restoreBackup(backup.id)).data).toEqual(RECORDS);
+    });
+
+    test('should authenticate the key id with the data', async () => {
+        const { data, encryption } = await encryptBuffer(Buffer.from('rows'), 'passphrase', 'a');
+
+        await expect(decryptBuffer(data, 'passphrase', encryption)).resolves.toEqual(Buffer.from('rows'));
+        await expect(decryptBuffer(data, 'passphrase', { ...encryption, keyId: 'b' })).rejects.toThrow('Backup decryption failed for key "b"');
+    });
+
+    test('should parse key lists from the environment', () => {
+        expect(parseKeyring('2026-01:first:with colon, 2025-06:second')).toEqual({ '2026-01': 'first:with colon', '2025-06': 'second' });
+        expect(parseKeyring(['a:one'])).toEqual({ a: 'one' });
+        expect(() => parseKeyring('no-separator')).toThrow('expected id:passphrase');
+    });
+});
@@ -0,0 +1,219 @@
+// scraper/__tests__/backupIncremental.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BackupManager, BACKUP_TYPES, mergeBackupData } = require('../dataExportBackup');
+const { DatabaseManager, DataPipeline } = require('../database');
+
+jest.mock('../logger', () => ({
+    log: jest.fn(),
+    errorLog: jest.fn(),
+    debugLog: jest.fn(),
+    warn: jest.fn()
+}));
+
+function buildMerchant(name, price) {
+    return {
+        'Merchant Name': name,
+        'Price': `${price.toFixed(2)} KES`,
+        'PriceNumeric': price,
+        'Available Amount': '100.00 USDT',
+        'AvailableAmountNumeric': 100,
+        'Limit': '1000.00 - 50000.00 KES',
+        'LimitMin': 1000,
+        'LimitMax': 50000,
+        'Payment Methods': 'M-Pesa'
+    };
+}
+
+describe('Incremental and deduplicated backups', () => {
+    let backupDirectory;
+    let manager;
+
+    beforeEach(() => {
+        backupDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-'));
+        manager = new BackupManager({ backupDirectory });
+    });
+
+    afterEach(() => {
+        fs.rmSync(backupDirectory, { recursive: true, force: true });
+    });
+
+    test('should restore an incremental backup by replaying its chain', async () => {
+        const full = await manager.createBackup({ sessions: ['s1'], merchants: ['a', 'b'] });
+        const first = await manager.createBackup({ sessions: ['s2'], merchants: ['c'] }, { type: BACKUP_TYPES.INCREMENTAL });
+        const second = await manager.createBackup({ sessions: ['s3'], merchants: [] }, { type: BACKUP_TYPES.INCREMENTAL, cursor: 't3' });
+
+        expect(first.manifest).toMatchObject({ type: 'incremental', parentId: full.id, baseId: full.id, chainLength: 2 });
+        expect(second.manifest).toMatchObject({ parentId: first.id, baseId: full.id, chainLength: 3, cursor: 't3' });
+
+        const restored = await manager.restoreBackup(second.id);
+        expect(restored.chain).toEqual([full.id, first.id, second.id]);
+        expect(restored.data).toEqual({ sessions: ['s1', 's2', 's3'], merchants: ['a', 'b', 'c'] });
+        expect((await manager.restoreBackup(first.id)).data.sessions).toEqual(['s1', 's2']);
+
+        const differential = await manager.createBackup({ sessions: ['s2', 's3'] }, { type: BACKUP_TYPES.DIFFERENTIAL });
+        expect(differential.manifest).toMatchObject({ parentId: full.id, chainLength: 2 });
+    });
+
+    test('should write an incremental backup without a parent as a full one', async () => {
+        const backup = await manager.createBackup(['row'], { type: BACKUP_TYPES.INCREMENTAL, chain: 'other' });
+
+        expect(backup.manifest).toMatchObject({ type: 'full', parentId: null, baseId: backup.id, chainLength: 1 });
+    });
+
+    test('should share the file of a backup with the same contents', async () => {
+        const original = await manager.createBackup([{ merchant: 'alpha' }]);
+        const copy = await manager.createBackup([{ merchant: 'alpha' }]);
+        const other = await manager.createBackup([{ merchant: 'beta' }]);
+
+        expect(copy.manifest).toMatchObject({ deduplicatedFrom: original.id, file: original.manifest.file, storedSize: 0, verified: true });
+        expect(copy.path).toBe(original.path);
+        expect(other.manifest.deduplicatedFrom).toBeUndefined();
+        expect(fs.readdirSync(backupDirectory).filter(file => !file.endsWith('.manifest.json'))).toHaveLength(2);
+
+        const stats = await manager.getBackupStatistics();
+        expect(stats.totalSize).toBe(original.manifest.size + other.manifest.size);
+        expect(stats.spaceSaved.deduplication).toBe(original.manifest.size);
+
+        // The shared file stays until its last backup is deleted
+        await manager.deleteBackup(original.id);
+        expect((await manager.restoreBackup(copy.id)).data).toEqual([{ merchant: 'alpha' }]);
+        await manager.deleteBackup(copy.id);
+        expect(fs.existsSync(original.path)).toBe(false);
+    });
+
+    test('should keep the chain of a kept backup through deletes and retention', async () => {
+        const full = await manager.createBackup(['a']);
+        const incremental = await manager.createBackup(['b'], { type: BACKUP_TYPES.INCREMENTAL });
+
+        await expect(manager.deleteBackup(full.id)).rejects.toThrow(`is the parent of ${incremental.id}`);
+
+        const cleanup = await manager.cleanupOldBackups({ maxBackups: 1 });
+        expect(cleanup.count).toBe(0);
+        expect((await manager.restoreBackup(incremental.id)).data).toEqual(['a', 'b']);
+
+        const stats = await manager.getBackupStatistics();
+        expect(stats.chains).toEqual([{ baseId: full.id, length: 2, latestId: incremental.id }]);
+        expect(stats.longestChain).toBe(2);
+        expect(stats.spaceSaved.incremental).toBe(full.manifest.size);
+    });
+
+    test('should fail to restore when a backup of the chain is missing', async () => {
+        const full = await manager.createBackup(['a']);
+        const incremental = await manager.createBackup(['b'], { type: BACKUP_TYPES.INCREMENTAL });
+        fs.unlinkSync(path.join(backupDirectory, `${full.id}.manifest.json`));
+
+        await expect(manager.restoreBackup(incremental.id)).rejects.toThrow(`parent ${full.id} not found`);
+        expect(await manager.verifyBackup(incremental.id)).toMatchObject({ valid: false, error: `Parent backup ${full.id} not found` });
+    });
+
+    test('should merge tables key by key', () => {
+        expect(mergeBackupData({ a: [1], b: [2], c: 'old' }, { a: [3], c: 'new', d: [4] })).toEqual({ a: [1, 3], b: [2], c: 'new', d: [4] });
+        expect(mergeBackupData([1], null)).toEqual([1]);
+    });
+});
+
+describe('DatabaseManager session backups', () => {
+    let tmpDir;
+    let database;
+    let pipeline;
+
+    beforeEach(async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-backups-'));
+        database = new DatabaseManager({ filename: path.join(tmpDir, 'merchants.db'), fullBackupEvery: 3 });
+        await database.initialize();
+        pipeline = new DataPipeline(database);
+        pipeline.checkAndCreateBackup = jest.fn();
+    });
+
+    afterEach(async () => {
+        await database.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should only back up the sessions finished since the last backup', async () => {
+        await pipeline.processData([buildMerchant('alpha', 130), buildMerchant('beta', 129)]);
+        const full = await database.createSessionBackup();
+
+        await pipeline.processData([buildMerchant('alpha', 131)]);
+        const incremental = await database.createSessionBackup();
+        const empty = await database.createSessionBackup();
+
+        expect(full.manifest).toMatchObject({ type: 'full', chain: 'sessions', metadata: { source: 'database', sessions: 1 } });
+        expect(incremental.manifest).toMatchObject({ type: 'incremental', parentId: full.id, metadata: { sessions: 1, since: full.manifest.cursor } });
+        expect(empty.manifest).toMatchObject({ type: 'incremental', chainLength: 3, cursor: incremental.manifest.cursor, metadata: { sessions: 0 } });
+
+        // The chain holds fullBackupEvery backups; the next starts a new one
+        const next = await database.createSessionBackup();
+        expect(next.manifest).toMatchObject({ type: 'full', metadata: { sessions: 2 } });
+
+        const stats = await database.getSessionBackupManager().getBackupStatistics();
+        expect(stats.chains.map(chain => chain.length).sort()).toEqual([1, 3]);
+
+        const restoredDir = path.join(tmpDir, 'restored');
+        fs.mkdirSync(restoredDir);
+        const restoredDb = new DatabaseManager({ filename: path.join(restoredDir, 'merchants.db') });
+        await restoredDb.initialize();
+        try {
+            const result = await restoredDb.restoreSessionBackup(empty.id, { backupDirectory: path.join(tmpDir, 'backups', 'sessions') });
+            expect(result.chain).toEqual([full.id, incremental.id, empty.id]);
+            expect(result.restored).toMatchObject({ scrape_sessions: 2, merchants: 3 });
+
+            const merchants = await restoredDb.getRows('SELECT merchant_name, price_numeric FROM merchants ORDER BY id');
+            expect(merchants.map(row => row.price_numeric)).toEqual([130, 129, 131]);
+
+            // Merchant history comes along: identities and listings from the newest snapshot, changes per session
+            expect(result.restored).toMatchObject({ merchant_identities: 2, merchant_listings: 2, merchant_changes: 1 });
+            expect(await restoredDb.getMerchantIdentity('alpha')).toMatchObject({ scrapes_seen: 2 });
+            expect(await restoredDb.getRows('SELECT field_name, old_value, new_value FROM merchant_changes')).toEqual([
+                { field_name: 'price_numeric', old_value: '130', new_value: '131' }
+            ]);
+
+            // Ids are kept as they were, so the target has to be fresh
+            await expect(restoredDb.restoreSessionBackup(empty.id, { backupDirectory: path.join(tmpDir, 'backups', 'sessions') }))
+                .rejects.toThrow('already has scrape_sessions rows');
+        } finally {
+            await restoredDb.close();
+        }
+    });
+
+    test('should encrypt the scheduled session backups when a backup key is configured', async () => {
+        await database.close();
+        const backupEncryption = { keys: '2026-10:new passphrase,2025-01:old passphrase', keyId: '2026-10' };
+        database = new DatabaseManager({ filename: path.join(tmpDir, 'merchants.db'), backupMode: 'incremental', backupEncryption });
+        await database.initialize();
+        await new DataPipeline(database).processData([buildMerchant('alpha', 130)]);
+
+        const [backup] = await database.getSessionBackupManager().listBackups();
+        expect(backup).toMatchObject({ chain: 'sessions', encryption: true, keyId: '2026-10' });
+        expect(fs.readdirSync(path.join(tmpDir, 'backups', 'sessions')).filter(file => file.endsWith('.enc'))).toHaveLength(1);
+
+        const restoredDir = path.join(tmpDir, 'restored');
+        fs.mkdirSync(restoredDir);
+        const restoredDb = new DatabaseManager({ filename: path.join(restoredDir, 'merchants.db'), backupEncryption });
+        await restoredDb.initialize();
+        try {
+            const result = await restoredDb.restoreSessionBackup(backup.id, { backupDirectory: path.join(tmpDir, 'backups', 'sessions') });
+            expect(result.restored).toMatchObject({ scrape_sessions: 1, merchants: 1 });
+        } finally {
+            await restoredDb.close();
+        }
+    });
+
+    test('should copy the whole database file on the scheduled backup by default', async () => {
+        pipeline = new DataPipeline(database);
+        await pipeline.processData([buildMerchant('alpha', 130)]);
+
+        const files = fs.readdirSync(path.join(tmpDir, 'backups')).filter(file => file.endsWith('.db'));
+        expect(files).toHaveLength(1);
+
+        const copy = new DatabaseManager({ filename: path.join(tmpDir, 'backups', files[0]) });
+        await copy.connect();
+        try {
+            expect(await copy.getRows('SELECT merchant_name FROM merchant_identities')).toEqual([{ merchant_name: 'alpha' }]);
+        } finally {
+            await copy.close();
+        }
+    });
+});
@@ -0,0 +1,96 @@
+// scraper/__tests__/dataSaver.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { saveExports, saveMerchantData } = require('../dataSaver');
+const { JSONExporter } = require('../dataExportBackup');
+const { MERCHANT_EXPORT_COLUMNS } = require('../schema');
+
+jest.mock('../logger', () => ({
+    log: jest.fn(),
+    errorLog: jest.fn(),
+    debugLog: jest.fn(),
+    warn: jest.fn()
+}));
+
+const merchants = [
+    { 'Merchant Name': 'coinftw', 'Price': '129.50 KES', 'PriceNumeric': 129.5, 'Asset': 'USDT', 'Fiat': 'KES', 'Side': 'buy', 'Discount': '1%' },
+    { 'Merchant Name': 'O\'Neil, "Trader"', 'Price': '129.70 KES', 'PriceNumeric': 129.7, 'LimitMin': 1000, 'LimitMax': 50000 }
+];
+
+describe('Export pipeline', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const read = (file) => fs.readFileSync(path.join(tmpDir, file), 'utf8');
+
+    test('should write the same rows and metadata in every format', async () => {
+        const results = await saveMerchantData(merchants, {
+            outputDir: tmpDir,
+            formats: ['json', 'csv', 'xml', 'sql'],
+            metadata: { sessionId: 'session-1', markets: [{ market: 'USDT-KES-buy', status: 'success' }] }
+        });
+
+        expect(results.map(result => [result.format, path.basename(result.path), result.recordCount])).toEqual([
+            ['json', 'gateio_p2p_merchants.json', 2],
+            ['csv', 'gateio_p2p_merchants.csv', 2],
+            ['xml', 'gateio_p2p_merchants.xml', 2],
+            ['sql', 'gateio_p2p_merchants.sql', 2]
+        ]);
+        expect(fs.readdirSync(tmpDir).filter(file => file.endsWith('.tmp'))).toEqual([]);
+
+        const json = JSON.parse(read('gateio_p2p_merchants.json'));
+        expect(json.metadata).toMatchObject({ recordCount: 2, sessionId: 'session-1', markets: [{ market: 'USDT-KES-buy' }] });
+        expect(Object.keys(json.data[0])).toEqual(MERCHANT_EXPORT_COLUMNS);
+        expect(json.data[1]).toMatchObject({ 'Merchant Name': 'O\'Neil, "Trader"', LimitMin: 1000, Asset: null });
+
+        const csv = read('gateio_p2p_merchants.csv').split('\n');
+        expect(csv).toContain('# sessionId: session-1');
+        expect(csv).toContain('# markets: [{"market":"USDT-KES-buy","status":"success"}]');
+        expect(csv).toContain(MERCHANT_EXPORT_COLUMNS.map(column => (column.includes(',') ? `"${column}"` : column)).join(','));
+        expect(csv.find(line => line.startsWith('"O\'Neil'))).toMatch(/^"O'Neil, ""Trader""",129\.70 KES,129\.7,/);
+
+        const xml = read('gateio_p2p_merchants.xml');
+        expect(xml).toContain('<sessionId>session-1</sessionId>');
+        expect(xml).toContain('<Merchant_Name>O&apos;Neil, &quot;Trader&quot;</Merchant_Name>');
+
+        const sql = read('gateio_p2p_merchants.sql');
+        expect(sql).toContain('-- sessionId: session-1');
+        expect(sql).toContain('CREATE TABLE merchants (');
+        expect(sql).toContain("'O''Neil, \"Trader\"'");
+    });
+
+    test('should keep the previous file when an export fails', async () => {
+        await saveExports(merchants, { baseName: 'book', outputDir: tmpDir, formats: ['json'] });
+        const before = read('book.json');
+
+        jest.spyOn(JSONExporter.prototype, 'export').mockImplementation(async (data, outputPath) => {
+            fs.writeFileSync(outputPath, '{"partial":');
+            throw new Error('disk full');
+        });
+        const [result] = await saveExports(merchants.slice(0, 1), { baseName: 'book', outputDir: tmpDir, formats: ['json'] });
+
+        expect(result).toMatchObject({ format: 'json', error: 'disk full' });
+        expect(read('book.json')).toBe(before);
+        expect(fs.readdirSync(tmpDir)).toEqual(['book.json']);
+    });
+
+    test('should report unsupported formats and write headers for empty exports', async () => {
+        const results = await saveExports([], { baseName: 'empty', outputDir: tmpDir, formats: ['csv', 'sql', 'xlsx'], columns: ['Market', 'Merchant Name'] });
+
+        expect(results).toEqual([
+            expect.objectContaining({ format: 'csv', recordCount: 0 }),
+            expect.objectContaining({ format: 'xlsx', error: 'Unsupported export format: xlsx' })
+        ]);
+        expect(read('empty.csv').trim().split('\n').pop()).toBe('Market,Merchant Name');
+        expect(fs.existsSync(path.join(tmpDir, 'empty.sql'))).toBe(false);
+    });
+});
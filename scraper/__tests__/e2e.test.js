@@ -0,0 +1,121 @@
+// scraper/__tests__/e2e.test.js
+// End-to-end runs of EnhancedScraper in a real browser against the local mock
+// Gate.io server. Skipped when no Chromium is installed (npx puppeteer browsers install chrome).
+const fs = require('fs');
+const puppeteer = require('puppeteer');
+const { EnhancedScraper } = require('../enhanced-scraper');
+const { MockGateServer } = require('../mockGateServer');
+const { resetAllCircuitBreakers } = require('../circuitBreaker');
+
+jest.mock('../logger', () => ({
+    log: jest.fn(),
+    errorLog: jest.fn(),
+    debugLog: jest.fn(),
+    warn: jest.fn()
+}));
+
+function findChromium() {
+    try {
+        const executablePath = process.env.CHROME_EXECUTABLE || puppeteer.executablePath();
+        return fs.existsSync(executablePath) ? executablePath : null;
+    } catch {
+        return null;
+    }
+}
+
+const chromiumPath = findChromium();
+const describeWithBrowser = chromiumPath ? describe : describe.skip;
+
+describeWithBrowser('EnhancedScraper end to end against the mock Gate.io server', () => {
+    let server;
+    let scraper;
+
+    function createScraper(options) {
+        scraper = new EnhancedScraper({
+            chromeExecutablePath: chromiumPath,
+            databaseEnabled: false,
+            validationEnabled: false,
+            humanBehaviorEnabled: false,
+            targetMerchant: 'coinftw',
+            ...options
+        });
+        jest.spyOn(scraper, 'processAndSaveData').mockResolvedValue();
+        return scraper;
+    }
+
+    beforeEach(() => {
+        resetAllCircuitBreakers();
+    });
+
+    afterEach(async () => {
+        if (scraper) {
+            await scraper.shutdown();
+            scraper = null;
+        }
+        if (server) {
+            await server.stop();
+            server = null;
+        }
+    });
+
+    test('should scroll an infinite list until every batch is loaded', async () => {
+        server = new MockGateServer({ merchantCount: 25, pageSize: 10, merchantNames: ['alpha', 'beta', 'coinftw'] });
+        await server.start();
+
+        const result = await createScraper({ targetUrl: server.marketUrl('USDT-KES', 'buy') }).runSingleScrape();
+        const merchants = scraper.processAndSaveData.mock.calls[0][0];
+
+        expect(result.merchantCount).toBe(25);
+        expect(merchants.every(m => m.Asset === 'USDT' && m.Fiat === 'KES' && m.Side === 'buy')).toBe(true);
+        expect(result.markets[0].targetRank).toMatchObject({ merchantName: 'coinftw', rank: 3, totalMerchants: 25 });
+        expect(server.requests.filter(request => request.pathname === '/api/p2p/orders')).toHaveLength(2);
+    }, 120000);
+
+    test('should take exact prices from the listing responses in network mode', async () => {
+        server = new MockGateServer({ merchantCount: 25, pageSize: 10, renderFirstBatch: false });
+        await server.start();
+        const orders = server.getMerchants({ asset: 'USDT', fiat: 'KES', side: 'buy' });
+
+        const result = await createScraper({
+            targetUrl: server.marketUrl('USDT-KES', 'buy'),
+            extractionMode: 'network'
+        }).runSingleScrape();
+        const merchants = scraper.processAndSaveData.mock.calls[0][0];
+
+        expect(result.merchantCount).toBe(25);
+        expect(merchants.map(m => m.PriceNumeric)).toEqual(orders.map(order => order.price));
+        expect(merchants.every(m => typeof m.AvailableAmountNumeric === 'number')).toBe(true);
+    }, 120000);
+
+    test('should retry a rate-limited page, use the selector fallbacks and record an empty market', async () => {
+        server = new MockGateServer({
+            merchantCount: 25,
+            pageSize: 10,
+            rateLimitFailures: 1,
+            variants: { 'USDT-NGN': 'paginated', 'BTC-KES': 'rate-limited', 'USDT-UGX': 'empty' }
+        });
+        await server.start();
+
+        const result = await createScraper({
+            targetUrl: server.marketUrl(),
+            markets: ['USDT-NGN:sell', 'BTC-KES:buy', 'USDT-UGX:buy']
+        }).runSingleScrape();
+
+        expect(result.markets.map(market => [market.market, market.status, market.merchantCount])).toEqual([
+            ['USDT-NGN-sell', 'success', 10],
+            ['BTC-KES-buy', 'success', 25],
+            ['USDT-UGX-buy', 'failed', 0]
+        ]);
+        expect(server.getPageRequests('/p2p/buy/BTC-KES').map(request => request.status)).toEqual([429, 200]);
+    }, 300000);
+
+    test('should fail the run when the only market stays rate limited', async () => {
+        server = new MockGateServer({ variant: 'rate-limited' });
+        await server.start();
+
+        await expect(createScraper({ targetUrl: server.marketUrl('USDT-KES', 'sell') }).runSingleScrape())
+            .rejects.toThrow('All 1 market(s) failed');
+        expect(server.getPageRequests().every(request => request.status === 429)).toBe(true);
+        expect(server.getPageRequests().length).toBeGreaterThan(1);
+    }, 180000);
+});
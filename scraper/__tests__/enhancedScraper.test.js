@@ -0,0 +1,330 @@
+// scraper/__tests__/enhancedScraper.test.js
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { EnhancedScraper } = require('../enhanced-scraper');
+const { DatabaseManager, DataPipeline } = require('../database');
+const ApiServer = require('../../src/services/api/ApiServer');
+const { PostgresAdapter } = require('../postgresAdapter');
+
+jest.mock('../logger', () => ({
+    log: jest.fn(),
+    errorLog: jest.fn(),
+    debugLog: jest.fn(),
+    warn: jest.fn()
+}));
+
+function buildMerchant(name, price) {
+    return {
+        'Merchant Name': name,
+        'Price': `${price.toFixed(2)} KES`,
+        'PriceNumeric': price,
+        'Available Amount': '1000.00 USDT',
+        'AvailableAmountNumeric': 1000,
+        'Limit': '1000.00 - 50000.00 KES',
+        'LimitMin': 1000,
+        'LimitMax': 50000
+    };
+}
+
+describe('EnhancedScraper multi-market runs', () => {
+    let scraper;
+
+    beforeEach(() => {
+        scraper = new EnhancedScraper({
+            markets: ['USDT-KES', 'BTC-NGN:sell'],
+            databaseEnabled: false,
+            validationEnabled: false,
+            targetMerchant: ''
+        });
+        scraper.browser = {};
+        jest.spyOn(scraper, 'checkAndPerformRotation').mockResolvedValue();
+    });
+
+    test('should scrape every configured market and tag each merchant', async () => {
+        jest.spyOn(scraper, 'scrapeMarket').mockImplementation(async market =>
+            [{ 'Merchant Name': `m-${market.id}`, Asset: market.asset, Fiat: market.fiat, Side: market.side }]
+        );
+        const save = jest.spyOn(scraper, 'processAndSaveData').mockResolvedValue();
+
+        const result = await scraper.runSingleScrape();
+
+        expect(scraper.scrapeMarket).toHaveBeenCalledTimes(3);
+        expect(result.merchantCount).toBe(3);
+        expect(result.markets.map(m => [m.market, m.status])).toEqual([
+            ['USDT-KES-buy', 'success'],
+            ['USDT-KES-sell', 'success'],
+            ['BTC-NGN-sell', 'success']
+        ]);
+        expect(save.mock.calls[0][0].map(m => m.Side)).toEqual(['buy', 'sell', 'sell']);
+    });
+
+    test('should keep going when one market fails', async () => {
+        jest.spyOn(scraper, 'scrapeMarket').mockImplementation(async market => {
+            if (market.id === 'USDT-KES-sell') {
+                throw new Error('navigation timeout');
+            }
+            return [{ 'Merchant Name': `m-${market.id}` }];
+        });
+        const save = jest.spyOn(scraper, 'processAndSaveData').mockResolvedValue();
+
+        const result = await scraper.runSingleScrape();
+
+        expect(result.success).toBe(true);
+        expect(result.merchantCount).toBe(2);
+        expect(result.markets[1]).toMatchObject({ market: 'USDT-KES-sell', status: 'failed', error: 'navigation timeout' });
+        expect(save).toHaveBeenCalledWith(expect.any(Array), result.markets, {
+            sessionId: expect.stringMatching(/^enhanced-/),
+            traceId: result.traceId
+        });
+    });
+
+    test('should fail the run only when every market fails', async () => {
+        jest.spyOn(scraper, 'scrapeMarket').mockRejectedValue(new Error('blocked'));
+        const save = jest.spyOn(scraper, 'processAndSaveData').mockResolvedValue();
+
+        await expect(scraper.runSingleScrape()).rejects.toThrow('All 3 market(s) failed');
+        expect(save).not.toHaveBeenCalled();
+    });
+});
+
+describe('EnhancedScraper watchlist', () => {
+    test('should collect a rank and neighbour window per watched merchant and market', () => {
+        const scraper = new EnhancedScraper({
+            markets: ['USDT-KES:buy', 'USDT-KES:sell'],
+            databaseEnabled: false,
+            targetMerchant: 'coinftw',
+            watchlist: [{ name: 'Rival', aliases: ['rival-2'], window: 0 }]
+        });
+        const tag = (merchant, side) => ({ ...merchant, Asset: 'USDT', Fiat: 'KES', Side: side });
+        const buys = [buildMerchant('beta', 129.5), buildMerchant('CoinFTW', 129.9), buildMerchant('rival-2', 130.2)].map(m => tag(m, 'buy'));
+        const sells = [buildMerchant('Rival', 129), buildMerchant('gamma', 128)].map(m => tag(m, 'sell'));
+        const marketResults = [
+            { market: 'USDT-KES-buy', asset: 'USDT', fiat: 'KES', side: 'buy', status: 'success' },
+            { market: 'USDT-KES-sell', asset: 'USDT', fiat: 'KES', side: 'sell', status: 'success' },
+            { market: 'BTC-KES-buy', asset: 'BTC', fiat: 'KES', side: 'buy', status: 'failed' }
+        ];
+
+        const [target, rival] = scraper.collectWatchlist([...buys, ...sells], marketResults);
+
+        expect(target.entry).toMatchObject({ name: 'coinftw', primary: true });
+        expect(target.ranks.map(rank => [rank.merchantName, rank.side, rank.rank])).toEqual([
+            ['coinftw', 'buy', 2],
+            ['coinftw', 'sell', null]
+        ]);
+        expect(target.windows[0].merchants.map(m => [m['Merchant Name'], m.Position, m.Offset])).toEqual([
+            ['beta', 1, -1],
+            ['CoinFTW', 2, 0],
+            ['rival-2', 3, 1]
+        ]);
+        expect(target.windows[1]).toMatchObject({ market: 'USDT-KES-sell', listed: false, merchants: [] });
+
+        expect(rival.ranks.map(rank => [rank.merchantName, rank.rank])).toEqual([['Rival', 3], ['Rival', 1]]);
+        expect(rival.windows.map(window => window.merchants.map(m => m['Merchant Name']))).toEqual([['rival-2'], ['Rival']]);
+        expect(rival.windows[0].merchants[0]).toMatchObject({ Market: 'USDT-KES-buy', LimitMax: 50000 });
+    });
+});
+
+describe('Scrape storage', () => {
+    let tmpDir;
+    let database;
+
+    beforeEach(async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'markets-db-'));
+        database = new DatabaseManager({ filename: path.join(tmpDir, 'merchants.db') });
+        await database.initialize();
+    });
+
+    afterEach(async () => {
+        await database.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should write scrapes to the database it is given, which the API then serves', async () => {
+        const scraper = new EnhancedScraper({
+            database,
+            markets: ['USDT-KES:buy'],
+            targetMerchant: '',
+            outputDir: path.join(tmpDir, 'output'),
+            sessionDir: '',
+            changesDir: ''
+        });
+        scraper.browser = {};
+        jest.spyOn(scraper, 'checkAndPerformRotation').mockResolvedValue();
+        jest.spyOn(scraper, 'scrapeMarket').mockResolvedValue([
+            { ...buildMerchant('alice', 130), Asset: 'USDT', Fiat: 'KES', Side: 'buy' }
+        ]);
+
+        await scraper.initialize();
+        scraper.dataPipeline.checkAndCreateBackup = jest.fn();
+        await scraper.runSingleScrape();
+        await scraper.shutdown();
+        expect(database.isConnected).toBe(true);
+
+        const api = new ApiServer({ port: 0, host: '127.0.0.1' }, { database });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await api.start();
+        try {
+            const { data } = await new Promise((resolve, reject) => {
+                http.get(`http://127.0.0.1:${api.getPort()}/api/merchants?fiat=kes`, (res) => {
+                    let raw = '';
+                    res.on('data', (chunk) => { raw += chunk; });
+                    res.on('end', () => resolve(JSON.parse(raw)));
+                }).on('error', reject);
+            });
+            expect(data.map(row => [row.merchant_name, row.price_numeric])).toEqual([['alice', 130]]);
+        } finally {
+            await api.stop();
+            console.log.mockRestore();
+        }
+    });
+
+    test('should keep scraping into SQLite when the warehouse cannot be set up', async () => {
+        jest.spyOn(PostgresAdapter.prototype, 'initialize').mockRejectedValue(new Error('connect ECONNREFUSED 127.0.0.1:5432'));
+        const scraper = new EnhancedScraper({
+            database,
+            markets: ['USDT-KES:buy'],
+            targetMerchant: '',
+            outputDir: path.join(tmpDir, 'output'),
+            sessionDir: '',
+            changesDir: '',
+            warehouse: { connectionString: 'postgres://scraper@127.0.0.1:5432/p2p' }
+        });
+        scraper.browser = {};
+        jest.spyOn(scraper, 'checkAndPerformRotation').mockResolvedValue();
+        jest.spyOn(scraper, 'scrapeMarket').mockResolvedValue([
+            { ...buildMerchant('alice', 130), Asset: 'USDT', Fiat: 'KES', Side: 'buy' }
+        ]);
+
+        try {
+            await scraper.initialize();
+            expect(scraper.warehouse).toBeNull();
+            expect(scraper.warehousePipeline).toBeNull();
+
+            scraper.dataPipeline.checkAndCreateBackup = jest.fn();
+            await scraper.runSingleScrape();
+            await scraper.shutdown();
+
+            const merchants = await database.getRows('SELECT merchant_name FROM merchants');
+            expect(merchants.map(row => row.merchant_name)).toEqual(['alice']);
+        } finally {
+            jest.restoreAllMocks();
+        }
+    });
+
+    test('should stamp every output of one run with the same session id and trace id', async () => {
+        const outputDir = path.join(tmpDir, 'output');
+        const snapshotDir = path.join(tmpDir, 'snapshots');
+        const scraper = new EnhancedScraper({
+            database,
+            markets: ['USDT-KES:buy'],
+            targetMerchant: '',
+            watchlist: [{ name: 'alice', window: 0 }],
+            outputDir,
+            outputFormats: ['json'],
+            snapshotDir,
+            sessionDir: '',
+            changesDir: ''
+        });
+        scraper.browser = {};
+        jest.spyOn(scraper, 'checkAndPerformRotation').mockResolvedValue();
+        jest.spyOn(scraper, 'scrapeMarket').mockImplementation(async (market, options) => {
+            scraper.page = { content: async () => '<html></html>', url: () => market.url };
+            await scraper.captureSnapshot(market, options.runIds);
+            return [{ ...buildMerchant('alice', 130), Asset: 'USDT', Fiat: 'KES', Side: 'buy' }];
+        });
+
+        await scraper.initialize();
+        scraper.dataPipeline.checkAndCreateBackup = jest.fn();
+        const result = await scraper.runSingleScrape();
+        await scraper.shutdown();
+
+        const readJson = (dir, prefix) => {
+            const file = fs.readdirSync(dir).find(name => name.startsWith(prefix) && name.endsWith('.json'));
+            return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        };
+        const snapshot = readJson(snapshotDir, '');
+        const exported = readJson(outputDir, 'enhanced-merchants-').metadata;
+        const watched = readJson(outputDir, 'watch-').metadata;
+        const [session] = await database.getScrapeSessions(1);
+
+        expect(snapshot.sessionId).toMatch(/^enhanced-/);
+        expect(snapshot.traceId).toBe(result.traceId);
+        expect(exported).toMatchObject({ sessionId: snapshot.sessionId, traceId: result.traceId });
+        expect(watched).toMatchObject({ sessionId: snapshot.sessionId, traceId: result.traceId });
+        expect(JSON.parse(session.metadata)).toMatchObject({ sessionId: snapshot.sessionId, traceId: result.traceId });
+    });
+
+    test('should store asset, fiat and side per merchant and the market outcomes per session', async () => {
+        const pipeline = new DataPipeline(database);
+        pipeline.checkAndCreateBackup = jest.fn();
+        const markets = [
+            { market: 'USDT-KES-buy', status: 'success', merchantCount: 1 },
+            { market: 'USDT-KES-sell', status: 'success', merchantCount: 1 },
+            { market: 'BTC-NGN-buy', status: 'failed', merchantCount: 0, error: 'blocked' }
+        ];
+
+        const { scrapeId } = await pipeline.processData([
+            { ...buildMerchant('alice', 130), Asset: 'USDT', Fiat: 'KES', Side: 'buy' },
+            { ...buildMerchant('alice', 128), Asset: 'USDT', Fiat: 'KES', Side: 'sell' }
+        ], { markets });
+
+        const sells = await database.getMerchants({ scrapeId, side: 'sell' });
+        expect(sells).toHaveLength(1);
+        expect(sells[0]).toMatchObject({ merchant_name: 'alice', asset: 'USDT', fiat: 'KES', side: 'sell', price_numeric: 128 });
+
+        const [session] = await database.getScrapeSessions(1);
+        expect(JSON.parse(session.markets)).toEqual(markets);
+        expect(JSON.parse(session.metadata)).not.toHaveProperty('markets');
+    });
+
+    test('should store the tracked merchant rank per scrape and return it as a time series', async () => {
+        const pipeline = new DataPipeline(database);
+        pipeline.checkAndCreateBackup = jest.fn();
+        const rank = (position, gapToBest) => ({
+            merchantName: 'coinftw',
+            asset: 'USDT',
+            fiat: 'KES',
+            side: 'buy',
+            rank: position,
+            totalMerchants: 12,
+            price: 129.5 + gapToBest,
+            bestPrice: 129.5,
+            bestMerchant: 'beta',
+            gapToBest,
+            aboveMerchant: 'beta',
+            gapToAbove: gapToBest,
+            belowMerchant: 'alpha',
+            gapToBelow: 0.1
+        });
+
+        const merchants = [{ ...buildMerchant('coinftw', 129.9), Asset: 'USDT', Fiat: 'KES', Side: 'buy' }];
+        await pipeline.processData(merchants, { ranks: [rank(2, 0.4)] });
+        await pipeline.processData(merchants, { ranks: [rank(4, 0.8)] });
+
+        const history = await database.getMerchantRankHistory({ merchantName: 'CoinFTW', side: 'buy' });
+        expect(history.map(row => [row.rank, row.gap_to_best])).toEqual([[2, 0.4], [4, 0.8]]);
+
+        const latest = await database.getMerchantRankHistory({ merchantName: 'coinftw', limit: 1 });
+        expect(latest.map(row => row.rank)).toEqual([4]);
+
+        expect(await database.getMerchantRankHistory({ merchantName: 'coinftw', side: 'sell' })).toEqual([]);
+        expect(await database.getMerchantRankHistory({ merchantName: 'coinftw', since: '2999-01-01T00:00:00Z' })).toEqual([]);
+
+        // A replayed snapshot is placed and filtered at its capture time, not when it was stored
+        await pipeline.processData(merchants, { ranks: [rank(1, 0)], capturedAt: '2026-01-05T08:00:00.000Z' });
+        const replayed = await database.getMerchantRankHistory({ merchantName: 'coinftw' });
+        expect(replayed.map(row => row.rank)).toEqual([1, 2, 4]);
+        expect(replayed[0].scraped_at).toBe('2026-01-05T08:00:00.000Z');
+        expect((await database.getMerchantRankHistory({ merchantName: 'coinftw', limit: 1 })).map(row => row.rank)).toEqual([4]);
+
+        const window = await database.getMerchantRankHistory({
+            merchantName: 'coinftw',
+            since: '2026-01-05T09:30:00+02:00',
+            until: '2026-01-05T08:30:00Z'
+        });
+        expect(window.map(row => row.rank)).toEqual([1]);
+        expect(await database.getMerchantRankHistory({ merchantName: 'coinftw', until: '2026-01-05T07:00:00Z' })).toEqual([]);
+    });
+});
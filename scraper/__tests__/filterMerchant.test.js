@@ -32,4 +32,15 @@ describe('getAdjacentMerchants', () => {
       { 'Merchant Name': 'c' },
     ]);
   });
+
+  it('supports case-insensitive matching and a wider window', () => {
+    expect(getAdjacentMerchants(merchants, 'C', { caseInsensitive: true, window: { above: 2, below: 0 } })).toEqual([
+      { 'Merchant Name': 'a' },
+      { 'Merchant Name': 'b' },
+      { 'Merchant Name': 'c' },
+    ]);
+    expect(getAdjacentMerchants(merchants, 'x', { aliases: ['a'], window: 0 })).toEqual([
+      { 'Merchant Name': 'a' },
+    ]);
+  });
 });
@@ -0,0 +1,229 @@
+// scraper/__tests__/logSearch.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DatabaseManager } = require('../database');
+const { LogSearch, formatLogEntry, listLogFiles } = require('../logSearch');
+
+jest.mock('../logger', () => ({
+    log: jest.fn(),
+    errorLog: jest.fn(),
+    debugLog: jest.fn(),
+    warn: jest.fn()
+}));
+
+function entry(id, timestamp, level, message, metadata = {}) {
+    return {
+        id,
+        timestamp,
+        level,
+        message,
+        metadata: { category: 'SCRAPING', component: 'scraper', sessionId: null, ...metadata }
+    };
+}
+
+function writeLines(filePath, entries, extra = '') {
+    fs.writeFileSync(filePath, entries.map(item => `${JSON.stringify(item)}\n`).join('') + extra);
+}
+
+const ids = entries => entries.map(item => item.id);
+
+describe('LogSearch', () => {
+    let tmpDir;
+    let logFile;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-search-'));
+        logFile = path.join(tmpDir, 'enhanced.log');
+
+        writeLines(path.join(tmpDir, 'enhanced.2026-01-05T00-00-00-000Z.log'), [
+            entry('a1', '2026-01-04T22:00:00.000Z', 'INFO', 'Scrape started', { scrapeId: 'scrape-1', sessionId: 'sess-1' }),
+            entry('a2', '2026-01-04T22:00:05.000Z', 'ERROR', 'Navigation timeout', { scrapeId: 'scrape-1', sessionId: 'sess-1' })
+        ]);
+        writeLines(path.join(tmpDir, 'enhanced.2026-01-06T00-00-00-000Z.log'), [
+            entry('b1', '2026-01-05T08:00:00.000Z', 'WARN', 'Retrying page', { scrapeId: 'scrape-2', component: 'retry' })
+        ]);
+        writeLines(logFile, [
+            entry('c1', '2026-01-06T09:00:00.000Z', 'INFO', 'Saved 18 merchants', { scrapeId: 'scrape-3', market: 'USDT-KES-buy' }),
+            entry('c2', '2026-01-06T09:00:01.000Z', 'ERROR', 'Database locked', { category: 'DATABASE', component: 'database' })
+        ], 'not json\n{"id":"partial"');
+        fs.writeFileSync(path.join(tmpDir, 'enhanced.backup.log'), `${JSON.stringify(entry('x', '2026-01-01T00:00:00.000Z', 'INFO', 'other'))}\n`);
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should list rotated files oldest first, then the current file', async () => {
+        expect((await listLogFiles(logFile)).map(file => path.basename(file))).toEqual([
+            'enhanced.2026-01-05T00-00-00-000Z.log',
+            'enhanced.2026-01-06T00-00-00-000Z.log',
+            'enhanced.log'
+        ]);
+        expect(await listLogFiles(path.join(tmpDir, 'missing', 'app.log'))).toEqual([]);
+    });
+
+    test('should stream matching entries across rotated files and skip malformed lines', async () => {
+        const search = new LogSearch({ files: [logFile] });
+        const streamed = [];
+        for await (const item of search.stream()) {
+            streamed.push(item);
+        }
+
+        expect(ids(streamed)).toEqual(['a1', 'a2', 'b1', 'c1', 'c2']);
+        expect(ids(await search.tail({ level: 'error,fatal' }))).toEqual(['a2', 'c2']);
+        expect(ids(await search.tail({ scrapeId: 'scrape-1' }))).toEqual(['a1', 'a2']);
+        expect(ids(await search.tail({ sessionId: 'sess-1', level: ['INFO'] }))).toEqual(['a1']);
+        expect(ids(await search.tail({ category: 'database' }))).toEqual(['c2']);
+        expect(ids(await search.tail({ component: 'retry' }))).toEqual(['b1']);
+        expect(ids(await search.tail({ text: 'usdt-kes' }))).toEqual(['c1']);
+        expect(ids(await search.tail({ startTime: '2026-01-05', endTime: new Date('2026-01-06T09:00:00.000Z') }))).toEqual(['b1', 'c1']);
+        expect(ids(await search.tail({}, 2))).toEqual(['c1', 'c2']);
+        expect(ids(await search.search({ limit: 3 }))).toEqual(['c2', 'c1', 'b1']);
+
+        await expect(search.tail({ startTime: 'yesterday-ish' })).rejects.toThrow('Invalid startTime "yesterday-ish"');
+    });
+
+    test('should merge database rows with file entries and drop entries logged to both', async () => {
+        const database = new DatabaseManager({ filename: path.join(tmpDir, 'logs.db') });
+        await database.connect();
+
+        try {
+            const search = new LogSearch({ files: [logFile], databases: [{ database }], pageSize: 2 });
+            expect(ids(await search.tail({ level: 'ERROR' }))).toEqual(['a2', 'c2']);
+
+            await database.runStatement(`
+                CREATE TABLE logs (
+                    id TEXT PRIMARY KEY, timestamp TEXT NOT NULL, level TEXT NOT NULL, category TEXT, component TEXT,
+                    message TEXT NOT NULL, metadata TEXT, performance TEXT, stack TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            const rows = [
+                entry('d1', '2026-01-04T23:00:00.000Z', 'ERROR', 'Captcha detected', { scrapeId: 'scrape-1' }),
+                entry('d2', '2026-01-05T09:00:00.000Z', 'ERROR', 'Rate limited', { category: 'NETWORK' }),
+                entry('d3', '2026-01-05T09:00:00.000Z', 'ERROR', 'Rate limited again', { category: 'NETWORK' }),
+                entry('c2', '2026-01-06T09:00:01.000Z', 'ERROR', 'Database locked', { category: 'DATABASE', component: 'database' }),
+                entry('d4', '2026-01-06T10:00:00.000Z', 'INFO', 'Scrape finished', { scrapeId: 'scrape-1' })
+            ];
+            for (const row of rows) {
+                await database.runStatement(
+                    'INSERT INTO logs (id, timestamp, level, category, component, message, metadata) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                    [row.id, row.timestamp, row.level, row.metadata.category, row.metadata.component, row.message, JSON.stringify(row.metadata)]
+                );
+            }
+
+            expect(ids(await search.tail({ level: 'ERROR' }))).toEqual(['a2', 'd1', 'd2', 'd3', 'c2']);
+            expect(ids(await search.tail({ scrapeId: 'scrape-1' }))).toEqual(['a1', 'a2', 'd1', 'd4']);
+            expect(ids(await search.tail({ category: 'network', text: 'again' }))).toEqual(['d3']);
+
+            const [latest] = await search.search({ limit: 1 });
+            expect(latest).toMatchObject({ id: 'd4', message: 'Scrape finished', metadata: { scrapeId: 'scrape-1' } });
+        } finally {
+            await database.close();
+        }
+    });
+
+    test('should find the plain scraper lines of a scrape through its trace', async () => {
+        const activityLog = path.join(tmpDir, 'activity.log');
+        const errorsLog = path.join(tmpDir, 'errors.log');
+        fs.writeFileSync(activityLog, [
+            '[2026-01-05T08:00:00.000Z] [trace-a] INFO: Starting enhanced scrape operation (trace trace-a)...',
+            '[2026-01-05T08:00:01.000Z] INFO: Health check passed',
+            '[2026-01-05T08:00:02.000Z] [trace-b] INFO: Starting enhanced scrape operation (trace trace-b)...',
+            '[2026-01-05T08:00:06.000Z] INFO: Enhanced database save complete. Scrape ID: scrape-9, 2 merchants saved'
+        ].join('\n'));
+        fs.writeFileSync(errorsLog, [
+            '[2026-01-05T08:00:03.000Z] [trace-a] ERROR: Market USDT-KES-sell failed | Details: Error: Selector not found',
+            '    at extract (scraper/enhanced-scraper.js:10:5)',
+            '[2026-01-05T08:00:04.000Z] [trace-b] ERROR: Navigation timeout | Details: Error: timeout',
+            '    at goto (scraper/enhanced-scraper.js:20:5)',
+            ''
+        ].join('\n'));
+
+        const database = new DatabaseManager({ filename: path.join(tmpDir, 'merchants.db') });
+        await database.initialize();
+
+        try {
+            const scrapeId = await database.startScrapeSession({ traceId: 'trace-a' });
+            const search = new LogSearch({ files: [logFile], plainFiles: [activityLog, errorsLog], scrapeDatabase: database });
+
+            const entries = await search.tail({ scrapeId });
+            expect(entries.map(item => item.message)).toEqual([
+                'Starting enhanced scrape operation (trace trace-a)...',
+                'Market USDT-KES-sell failed | Details: Error: Selector not found'
+            ]);
+            expect(entries[1]).toMatchObject({
+                level: 'ERROR',
+                metadata: { source: 'errors.log', traceId: 'trace-a' },
+                stack: '    at extract (scraper/enhanced-scraper.js:10:5)'
+            });
+            expect(formatLogEntry(entries[1])).toBe(
+                '2026-01-05T08:00:03.000Z ERROR [errors.log] Market USDT-KES-sell failed | Details: Error: Selector not found trace=trace-a'
+            );
+            expect((await search.tail({ scrapeId: 'scrape-9' })).map(item => item.timestamp)).toEqual(['2026-01-05T08:00:06.000Z']);
+            expect(ids(await search.tail({ traceId: 'trace-b', level: 'ERROR' }))).toEqual([undefined]);
+            expect(ids(await search.tail({ level: 'ERROR', startTime: '2026-01-05' }))).toEqual([undefined, undefined, 'c2']);
+        } finally {
+            await database.close();
+        }
+    });
+
+    test('should follow appended entries through a rotation until aborted', async () => {
+        const search = new LogSearch({ files: [logFile], pollInterval: 20 });
+        const controller = new AbortController();
+        const followed = [];
+
+        const following = (async () => {
+            for await (const item of search.follow({ level: 'ERROR' }, { signal: controller.signal })) {
+                followed.push(item.id);
+                if (followed.length === 3) {
+                    controller.abort();
+                }
+            }
+        })();
+
+        const wait = () => new Promise(resolve => setTimeout(resolve, 60));
+        await wait();
+        // Completes the partial line already in the file, which stays unparsable
+        fs.appendFileSync(logFile, `\n${JSON.stringify(entry('e1', '2026-01-06T10:00:00.000Z', 'ERROR', 'Page crashed'))}\n`);
+        fs.appendFileSync(logFile, JSON.stringify(entry('e2', '2026-01-06T10:00:01.000Z', 'INFO', 'Recovered')));
+        await wait();
+        fs.appendFileSync(logFile, `\n${JSON.stringify(entry('e3', '2026-01-06T10:00:02.000Z', 'ERROR', 'Crashed before rotation'))}\n`);
+        fs.renameSync(logFile, path.join(tmpDir, 'enhanced.2026-01-07T00-00-00-000Z.log'));
+        writeLines(logFile, [entry('f1', '2026-01-07T00:00:01.000Z', 'ERROR', 'First error after rotation')]);
+
+        await following;
+        expect(followed).toEqual(['e1', 'e3', 'f1']);
+    });
+
+    test('should follow plain scraper lines with their stack traces', async () => {
+        const errorsLog = path.join(tmpDir, 'errors.log');
+        fs.writeFileSync(errorsLog, '[2026-01-05T08:00:00.000Z] ERROR: Old failure\n');
+        const search = new LogSearch({ plainFiles: [errorsLog], pollInterval: 20 });
+        const controller = new AbortController();
+        const followed = [];
+
+        const following = (async () => {
+            for await (const item of search.follow({ traceId: 'trace-a' }, { signal: controller.signal })) {
+                followed.push([item.message, item.stack]);
+                if (followed.length === 2) {
+                    controller.abort();
+                }
+            }
+        })();
+
+        const wait = () => new Promise(resolve => setTimeout(resolve, 60));
+        await wait();
+        // logger.js appends an error and its stack trace in one write
+        fs.appendFileSync(errorsLog, '[2026-01-05T08:00:01.000Z] [trace-a] ERROR: Page crashed | Details: Error: crashed\n    at goto (a.js:1:1)\n');
+        fs.appendFileSync(errorsLog, '[2026-01-05T08:00:02.000Z] [trace-b] ERROR: Other trace\n');
+        await wait();
+        fs.appendFileSync(errorsLog, '[2026-01-05T08:00:03.000Z] [trace-a] ERROR: Retry failed\n');
+
+        await following;
+        expect(followed).toEqual([
+            ['Page crashed | Details: Error: crashed', '    at goto (a.js:1:1)'],
+            ['Retry failed', undefined]
+        ]);
+    });
+});
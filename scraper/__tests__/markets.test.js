@@ -0,0 +1,80 @@
+// scraper/__tests__/markets.test.js
+const {
+    buildMarketUrl,
+    getBaseUrl,
+    parseMarketUrl,
+    parseMarkets,
+    resolveMarkets,
+    tagMerchants,
+    summarizeMarket
+} = require('../markets');
+
+describe('Market configuration', () => {
+    test('should parse a market from a Gate.io listing URL', () => {
+        expect(parseMarketUrl('https://www.gate.io/p2p/sell/BTC-NGN')).toEqual({
+            id: 'BTC-NGN-sell',
+            asset: 'BTC',
+            fiat: 'NGN',
+            side: 'sell',
+            url: 'https://www.gate.io/p2p/sell/BTC-NGN'
+        });
+    });
+
+    test('should expand a pair without a side to both buy and sell', () => {
+        const markets = parseMarkets('usdt-kes, BTC-UGX:sell');
+
+        expect(markets.map(m => m.id)).toEqual(['USDT-KES-buy', 'USDT-KES-sell', 'BTC-UGX-sell']);
+        expect(markets[1].url).toBe('https://www.gate.io/p2p/sell/USDT-KES');
+    });
+
+    test('should accept object specs and drop duplicates', () => {
+        const markets = parseMarkets([
+            { asset: 'USDC', fiat: 'KES', side: 'buy' },
+            'USDC-KES:buy',
+            { asset: 'USDC', fiat: 'NGN' }
+        ]);
+
+        expect(markets.map(m => m.id)).toEqual(['USDC-KES-buy', 'USDC-NGN-buy', 'USDC-NGN-sell']);
+    });
+
+    test('should reject malformed specs and unknown sides', () => {
+        expect(() => parseMarkets('USDT')).toThrow('Invalid market');
+        expect(() => parseMarkets([{ asset: 'USDT', fiat: 'KES', side: 'hold' }])).toThrow('Invalid market side');
+    });
+
+    test('should build market URLs against the target URL origin', () => {
+        const baseUrl = getBaseUrl('http://localhost:4000/p2p/buy/USDT-KES');
+
+        expect(baseUrl).toBe('http://localhost:4000/p2p');
+        expect(buildMarketUrl({ asset: 'BTC', fiat: 'KES', side: 'sell' }, baseUrl))
+            .toBe('http://localhost:4000/p2p/sell/BTC-KES');
+    });
+
+    test('should fall back to the target URL when no markets are configured', () => {
+        const targetUrl = 'https://www.gate.io/p2p/buy/USDT-KES';
+
+        expect(resolveMarkets([], targetUrl).map(m => m.id)).toEqual(['USDT-KES-buy']);
+        expect(resolveMarkets('', targetUrl).map(m => m.id)).toEqual(['USDT-KES-buy']);
+        expect(resolveMarkets(['BTC-NGN:sell'], targetUrl).map(m => m.id)).toEqual(['BTC-NGN-sell']);
+    });
+
+    test('should tag merchants with asset, fiat and side', () => {
+        const [market] = parseMarkets('USDT-UGX:sell');
+
+        expect(tagMerchants([{ 'Merchant Name': 'a' }], market)).toEqual([
+            { 'Merchant Name': 'a', Asset: 'USDT', Fiat: 'UGX', Side: 'sell' }
+        ]);
+    });
+
+    test('should summarize best price per side and total liquidity', () => {
+        const merchants = [
+            { PriceNumeric: 130.5, 'Size/Limit': '1,200.50 USDT' },
+            { PriceNumeric: 129.8, AvailableAmountNumeric: 800 },
+            { PriceNumeric: null, 'Available Amount': '100 USDT' }
+        ];
+
+        expect(summarizeMarket(merchants, { side: 'buy' })).toEqual({ bestPrice: 129.8, liquidity: 2100.5, merchantCount: 3 });
+        expect(summarizeMarket(merchants, { side: 'sell' }).bestPrice).toBe(130.5);
+        expect(summarizeMarket([], { side: 'buy' })).toEqual({ bestPrice: null, liquidity: null, merchantCount: 0 });
+    });
+});
@@ -0,0 +1,134 @@
+// scraper/__tests__/merchantProfile.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffListing, getListingValues, buildMarketProfiles } = require('../merchantProfile');
+const { DatabaseManager, DataPipeline } = require('../database');
+
+jest.mock('../logger', () => ({
+    log: jest.fn(),
+    errorLog: jest.fn(),
+    debugLog: jest.fn(),
+    warn: jest.fn()
+}));
+
+function buildMerchant(name, price, overrides = {}) {
+    return {
+        'Merchant Name': name,
+        'Price': `${price.toFixed(2)} KES`,
+        'PriceNumeric': price,
+        'Available Amount': '100.00 USDT',
+        'AvailableAmountNumeric': 100,
+        'Limit': '1000.00 - 50000.00 KES',
+        'LimitMin': 1000,
+        'LimitMax': 50000,
+        'Payment Methods': 'M-Pesa',
+        'Asset': 'USDT',
+        'Fiat': 'KES',
+        'Side': 'buy',
+        ...overrides
+    };
+}
+
+describe('Merchant profile helpers', () => {
+    test('should diff tracked fields and ignore values the scrape did not capture', () => {
+        const previous = getListingValues(buildMerchant('alpha', 129.5, { 'Completion Rate': 98 }));
+        const current = getListingValues(buildMerchant('alpha', 129.8, { 'LimitMax': 80000, 'Completion Rate': undefined }));
+
+        expect(diffListing(previous, current)).toEqual([
+            { field: 'price_numeric', oldValue: 129.5, newValue: 129.8 },
+            { field: 'limit_max', oldValue: 50000, newValue: 80000 }
+        ]);
+        expect(diffListing(previous, previous)).toEqual([]);
+    });
+
+    test('should profile uptime, premium and volatility per market', () => {
+        const book = (scrapeId, price, minPrice, maxPrice, side = 'buy') => ({
+            scrape_id: scrapeId, scraped_at: `2026-01-05T08:0${scrapeId}:00.000Z`,
+            asset: 'USDT', fiat: 'KES', side, min_price: minPrice, max_price: maxPrice, price
+        });
+
+        const [buy, sell] = buildMarketProfiles([
+            book(1, 130, 130, 131), book(2, 131.3, 130, 132), book(3, null, 129, 131), book(4, 130, 130, 130),
+            book(1, 126, 125, 128, 'sell'), book(2, 128, 125, 128, 'sell')
+        ]);
+
+        expect(buy).toMatchObject({
+            side: 'buy',
+            scrapes: 4,
+            listedScrapes: 3,
+            uptime: 75,
+            firstListedAt: '2026-01-05T08:01:00.000Z',
+            lastListedAt: '2026-01-05T08:04:00.000Z',
+            price: { last: 130, min: 130, max: 131.3, median: 130 },
+            premium: { median: 0, mean: 0.3333, bestPriceShare: 66.67 },
+            volatility: { standardDeviation: 0.75055535 }
+        });
+        expect(sell).toMatchObject({ uptime: 100, premium: { median: 0.78125, bestPriceShare: 50 } });
+        expect(buildMarketProfiles([book(1, null, 130, 131)])).toEqual([]);
+    });
+});
+
+describe('DatabaseManager merchant history', () => {
+    let tmpDir;
+    let database;
+    let pipeline;
+
+    beforeEach(async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'merchant-profile-db-'));
+        database = new DatabaseManager({ filename: path.join(tmpDir, 'merchants.db') });
+        await database.initialize();
+        pipeline = new DataPipeline(database);
+        pipeline.checkAndCreateBackup = jest.fn();
+    });
+
+    afterEach(async () => {
+        await database.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should track identities, listing changes and the lifetime profile', async () => {
+        await pipeline.processData([buildMerchant('Alpha', 130), buildMerchant('beta', 129)], { capturedAt: '2026-01-05T08:00:00.000Z' });
+        await pipeline.processData([buildMerchant('alpha', 129, { 'Payment Methods': 'M-Pesa, Airtel' }), buildMerchant('beta', 129.5)], { capturedAt: '2026-01-05T09:00:00.000Z' });
+        await pipeline.processData([buildMerchant('beta', 129.4)], { capturedAt: '2026-01-05T10:00:00.000Z' });
+        // A replayed older capture only moves first seen back
+        await pipeline.processData([buildMerchant('alpha', 140)], { capturedAt: '2026-01-05T07:00:00.000Z' });
+
+        const identity = await database.getMerchantIdentity('ALPHA ');
+        expect(identity).toMatchObject({
+            merchant_name: 'alpha',
+            first_seen_at: '2026-01-05T07:00:00.000Z',
+            last_seen_at: '2026-01-05T09:00:00.000Z',
+            scrapes_seen: 3
+        });
+
+        const changes = await database.getMerchantChanges({ merchantName: 'alpha' });
+        expect(changes.map(change => [change.field_name, change.old_value, change.new_value, change.changed_at])).toEqual([
+            ['price_numeric', '130', '129', '2026-01-05T09:00:00.000Z'],
+            ['payment_methods', 'M-Pesa', 'M-Pesa, Airtel', '2026-01-05T09:00:00.000Z']
+        ]);
+        expect(await database.getMerchantChanges({ merchantName: 'alpha', field: 'orders' })).toEqual([]);
+
+        const profile = await database.getMerchantProfile({ merchantName: 'alpha' });
+        expect(profile).toMatchObject({ merchantName: 'alpha', scrapesSeen: 3 });
+        expect(profile.markets).toEqual([expect.objectContaining({
+            asset: 'USDT',
+            fiat: 'KES',
+            side: 'buy',
+            scrapes: 4,
+            listedScrapes: 3,
+            uptime: 75,
+            price: expect.objectContaining({ last: 129, min: 129, max: 140 }),
+            current: expect.objectContaining({ price: 129, paymentMethods: 'M-Pesa, Airtel', lastSeenAt: '2026-01-05T09:00:00.000Z' })
+        })]);
+        expect(profile.markets[0].premium.bestPriceShare).toBe(66.67);
+        expect(profile.recentChanges).toHaveLength(2);
+
+        const recent = await database.getMerchantProfile({ merchantName: 'alpha', since: '2026-01-05T09:30:00Z' });
+        expect(recent.markets).toEqual([]);
+        // Bounds in any time zone are compared with the capture times of the scrapes
+        const early = await database.getMerchantProfile({ merchantName: 'alpha', until: '2026-01-05T10:30:00+02:00' });
+        expect(early.markets).toEqual([expect.objectContaining({ scrapes: 2, listedScrapes: 2 })]);
+        expect(await database.getMerchantProfile({ merchantName: 'nobody' })).toBeNull();
+    });
+});
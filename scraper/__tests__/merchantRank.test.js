@@ -0,0 +1,50 @@
+// scraper/__tests__/merchantRank.test.js
+const { rankMerchants, getMerchantRank } = require('../merchantRank');
+
+const book = [
+    { 'Merchant Name': 'alpha', PriceNumeric: 130.2 },
+    { 'Merchant Name': 'CoinFTW', PriceNumeric: 129.9 },
+    { 'Merchant Name': 'beta', PriceNumeric: 129.5 },
+    { 'Merchant Name': 'gamma', PriceNumeric: 130.2 },
+    { 'Merchant Name': 'broken', PriceNumeric: null }
+];
+
+describe('Merchant rank tracking', () => {
+    test('should rank the buy page cheapest first and the sell page highest first', () => {
+        expect(rankMerchants(book, 'buy').map(m => m['Merchant Name'])).toEqual(['beta', 'CoinFTW', 'alpha', 'gamma']);
+        expect(rankMerchants(book, 'sell').map(m => m['Merchant Name'])).toEqual(['alpha', 'gamma', 'CoinFTW', 'beta']);
+    });
+
+    test('should report position and gaps to #1 and neighbours', () => {
+        const rank = getMerchantRank(book, 'coinftw', { asset: 'USDT', fiat: 'KES', side: 'buy' });
+
+        expect(rank).toEqual({
+            merchantName: 'coinftw',
+            asset: 'USDT',
+            fiat: 'KES',
+            side: 'buy',
+            rank: 2,
+            totalMerchants: 4,
+            price: 129.9,
+            bestPrice: 129.5,
+            bestMerchant: 'beta',
+            gapToBest: 0.4,
+            aboveMerchant: 'beta',
+            gapToAbove: 0.4,
+            belowMerchant: 'alpha',
+            gapToBelow: 0.3
+        });
+    });
+
+    test('should measure gaps in the direction of the side', () => {
+        const rank = getMerchantRank(book, 'CoinFTW', { asset: 'USDT', fiat: 'KES', side: 'sell' });
+
+        expect(rank).toMatchObject({ rank: 3, gapToBest: 0.3, gapToAbove: 0.3, gapToBelow: 0.4 });
+    });
+
+    test('should record an unranked entry when the merchant is not listed', () => {
+        const rank = getMerchantRank(book, 'nobody', { asset: 'USDT', fiat: 'KES', side: 'buy' });
+
+        expect(rank).toMatchObject({ rank: null, price: null, totalMerchants: 4, bestMerchant: 'beta', gapToBest: null });
+    });
+});
@@ -0,0 +1,185 @@
+// scraper/__tests__/migrations.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DatabaseManager } = require('../database');
+const { MIGRATIONS, MigrationRunner, SchemaVersionError } = require('../migrations');
+
+jest.mock('../logger', () => ({
+    log: jest.fn(),
+    errorLog: jest.fn(),
+    debugLog: jest.fn(),
+    warn: jest.fn()
+}));
+
+describe('Schema migrations', () => {
+    let tmpDir;
+    let filename;
+    let database;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-db-'));
+        filename = path.join(tmpDir, 'merchants.db');
+        database = new DatabaseManager({ filename });
+    });
+
+    afterEach(async () => {
+        await database.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const columns = async (table) => (await database.getRows(`PRAGMA table_info(${table})`)).map(column => column.name);
+
+    /**
+     * A merchants.db as written before market columns and migration tracking existed
+     */
+    async function createLegacyDatabase() {
+        const legacy = new DatabaseManager({ filename });
+        await legacy.connect();
+        await MIGRATIONS[0].up(legacy);
+        await legacy.runStatement(`
+            INSERT INTO scrape_sessions (scrape_id, start_time, status, version, metadata)
+            VALUES ('old-1', '2025-12-01T10:00:00.000Z', 'completed', '1.0.0', '{}')
+        `);
+        for (const [name, price] of [['coinftw', 129.5], ['Beta', 130]]) {
+            await legacy.runStatement(`
+                INSERT INTO merchants (scrape_id, merchant_name, price, price_numeric, available_amount,
+                    available_amount_numeric, limit_range, limit_min, limit_max, payment_methods)
+                VALUES ('old-1', ?, ?, ?, '100 USDT', 100, '1000 - 50000 KES', 1000, 50000, 'M-Pesa')
+            `, [name, `${price} KES`, price]);
+        }
+        await legacy.close();
+    }
+
+    test('should build a new database from the migrations without a backup', async () => {
+        const report = await database.initialize();
+
+        expect(report).toMatchObject({ currentVersion: 0, targetVersion: MIGRATIONS.length, backupPath: null });
+        expect(report.applied.map(migration => migration.name)).toEqual(MIGRATIONS.map(migration => migration.name));
+        expect(await columns('merchants')).toEqual(expect.arrayContaining(['asset', 'fiat', 'side']));
+        expect(await database.getRows('SELECT version FROM schema_migrations')).toHaveLength(MIGRATIONS.length);
+        expect(fs.existsSync(path.join(tmpDir, 'backups'))).toBe(false);
+
+        expect((await database.migrate()).pending).toEqual([]);
+    });
+
+    test('should back up and upgrade a database created before migrations', async () => {
+        await createLegacyDatabase();
+
+        const report = await database.initialize();
+
+        expect(report.applied).toHaveLength(MIGRATIONS.length);
+
+        // The backup is a full copy of the database as it was before migrating
+        const backup = new DatabaseManager({ filename: report.backupPath });
+        await backup.connect();
+        try {
+            expect(await backup.getRows('SELECT merchant_name FROM merchants ORDER BY id')).toEqual([
+                { merchant_name: 'coinftw' },
+                { merchant_name: 'Beta' }
+            ]);
+            expect(await backup.getRows("SELECT name FROM sqlite_master WHERE name = 'schema_migrations'")).toEqual([]);
+        } finally {
+            await backup.close();
+        }
+        expect(await columns('merchants')).toEqual(expect.arrayContaining(['asset', 'fiat', 'side']));
+        expect(await columns('scrape_sessions')).toContain('markets');
+        expect(await database.getRows('SELECT scraped_at FROM scrape_sessions')).toEqual([{ scraped_at: '2025-12-01T10:00:00.000Z' }]);
+        expect(await database.getRows('SELECT merchant_name, asset FROM merchants ORDER BY id')).toEqual([
+            { merchant_name: 'coinftw', asset: null },
+            { merchant_name: 'Beta', asset: null }
+        ]);
+
+        // History is backfilled from the stored scrapes at their original time
+        expect(await database.getMerchantIdentity('beta')).toMatchObject({
+            first_seen_at: '2025-12-01T10:00:00.000Z',
+            scrapes_seen: 1
+        });
+
+        // The widened unique key accepts the same merchant in another market
+        await database.runStatement(`
+            INSERT INTO merchants (scrape_id, asset, fiat, side, merchant_name, price, price_numeric, available_amount,
+                available_amount_numeric, limit_range, limit_min, limit_max)
+            VALUES ('old-1', 'USDT', 'KES', 'sell', 'coinftw', '128 KES', 128, '1 USDT', 1, '1 - 2 KES', 1, 2)
+        `);
+    });
+
+    test('should backfill merchant history in capture order and past malformed session metadata', async () => {
+        await createLegacyDatabase();
+        const legacy = new DatabaseManager({ filename });
+        await legacy.connect();
+        // A replay captured before old-1, and a session whose metadata isn't JSON
+        for (const [scrapeId, startTime, metadata, price] of [
+            ['replay-1', '2026-01-05T09:00:00.000Z', '{"capturedAt":"2025-11-20T08:00:00.000Z"}', 128],
+            ['broken-1', '2025-12-02T10:00:00.000Z', '{not json', 131]
+        ]) {
+            await legacy.runStatement(`
+                INSERT INTO scrape_sessions (scrape_id, start_time, status, version, metadata)
+                VALUES (?, ?, 'completed', '1.0.0', ?)
+            `, [scrapeId, startTime, metadata]);
+            await legacy.runStatement(`
+                INSERT INTO merchants (scrape_id, merchant_name, price, price_numeric, available_amount,
+                    available_amount_numeric, limit_range, limit_min, limit_max, payment_methods)
+                VALUES (?, 'coinftw', ?, ?, '100 USDT', 100, '1000 - 50000 KES', 1000, 50000, 'M-Pesa')
+            `, [scrapeId, `${price} KES`, price]);
+        }
+        await legacy.close();
+
+        await database.initialize();
+
+        expect(await database.getMerchantIdentity('coinftw')).toMatchObject({
+            first_seen_at: '2025-11-20T08:00:00.000Z',
+            first_scrape_id: 'replay-1',
+            last_seen_at: '2025-12-02T10:00:00.000Z',
+            last_scrape_id: 'broken-1',
+            scrapes_seen: 3
+        });
+        expect(await database.getRows('SELECT scrape_id, old_value, new_value, changed_at FROM merchant_changes ORDER BY id')).toEqual([
+            { scrape_id: 'old-1', old_value: '128', new_value: '129.5', changed_at: '2025-12-01T10:00:00.000Z' },
+            { scrape_id: 'broken-1', old_value: '129.5', new_value: '131', changed_at: '2025-12-02T10:00:00.000Z' }
+        ]);
+        expect(await database.getRows('SELECT price_numeric FROM merchant_listings m JOIN merchant_identities i ON i.id = m.merchant_id WHERE i.merchant_key = ?', ['coinftw']))
+            .toEqual([{ price_numeric: 131 }]);
+    });
+
+    test('should only report pending migrations in a dry run', async () => {
+        await createLegacyDatabase();
+
+        const report = await database.initialize({ dryRun: true });
+
+        expect(report).toMatchObject({ dryRun: true, currentVersion: 0, applied: [], backupPath: null });
+        expect(report.pending).toHaveLength(MIGRATIONS.length);
+        expect(await columns('merchants')).not.toContain('asset');
+        expect(await database.getRow("SELECT name FROM sqlite_master WHERE name = 'schema_migrations'")).toBeNull();
+    });
+
+    test('should refuse a database migrated by a newer version', async () => {
+        await database.initialize();
+        await database.runStatement("INSERT INTO schema_migrations (version, name) VALUES (99, 'from_the_future')");
+        await database.close();
+
+        database = new DatabaseManager({ filename });
+        await expect(database.initialize()).rejects.toThrow(SchemaVersionError);
+        await expect(database.migrate({ dryRun: true })).rejects.toThrow('Database schema version 99 is newer than this scraper supports');
+    });
+
+    test('should roll back a failing migration and keep the earlier ones', async () => {
+        await database.connect();
+        const runner = new MigrationRunner(database, [
+            { version: 1, name: 'create_a', up: db => db.runStatement('CREATE TABLE a (id INTEGER)') },
+            {
+                version: 2,
+                name: 'broken',
+                async up(db) {
+                    await db.runStatement('CREATE TABLE b (id INTEGER)');
+                    await db.runStatement('INSERT INTO missing_table VALUES (1)');
+                }
+            }
+        ]);
+
+        await expect(runner.run()).rejects.toThrow('no such table: missing_table');
+
+        expect(await database.getRows('SELECT version, name FROM schema_migrations')).toEqual([{ version: 1, name: 'create_a' }]);
+        expect(await database.getRow("SELECT name FROM sqlite_master WHERE name = 'b'")).toBeNull();
+    });
+});
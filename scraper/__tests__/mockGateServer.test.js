@@ -0,0 +1,113 @@
+// scraper/__tests__/mockGateServer.test.js
+const http = require('http');
+const { MockGateServer } = require('../mockGateServer');
+const { extractMerchantsFromHtml } = require('../extract');
+
+jest.mock('../logger', () => ({
+    log: jest.fn(),
+    errorLog: jest.fn(),
+    debugLog: jest.fn(),
+    warn: jest.fn()
+}));
+
+function get(url) {
+    return new Promise((resolve, reject) => {
+        http.get(url, (res) => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        }).on('error', reject);
+    });
+}
+
+describe('Mock Gate.io P2P server', () => {
+    let server;
+
+    beforeEach(async () => {
+        server = new MockGateServer({ merchantCount: 25, pageSize: 10, merchantNames: ['alpha', 'coinftw'] });
+        await server.start();
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    test('should render the first infinite-scroll batch with the primary selectors', async () => {
+        const url = server.marketUrl('USDT-KES', 'buy');
+        const { status, body } = await get(url);
+        const merchants = extractMerchantsFromHtml(body, { url });
+
+        expect(status).toBe(200);
+        expect(merchants).toHaveLength(10);
+        expect(merchants.slice(0, 3).map(m => [m['Merchant Name'], m.Price])).toEqual([
+            ['alpha', '129.50 KES'],
+            ['coinftw', '129.63 KES'],
+            ['merchant-003', '129.76 KES']
+        ]);
+        expect(body).toContain("fetch('/api/p2p/orders?asset=USDT&fiat=KES&side=buy&page='");
+    });
+
+    test('should leave every batch to the XHR loader without a rendered first batch', async () => {
+        await server.stop();
+        server = new MockGateServer({ merchantCount: 25, pageSize: 10, renderFirstBatch: false });
+        await server.start();
+
+        const url = server.marketUrl('USDT-KES', 'buy');
+        const { body } = await get(url);
+
+        expect(extractMerchantsFromHtml(body, { url })).toEqual([]);
+        expect(body).toContain('var page = 0;');
+    });
+
+    test('should serve the remaining rows as JSON batches', async () => {
+        const { body } = await get(`${server.baseUrl}/api/p2p/orders?asset=USDT&fiat=KES&side=sell&page=3`);
+        const batch = JSON.parse(body);
+
+        expect(batch).toMatchObject({ page: 3, total: 25, hasMore: false });
+        expect(batch.orders).toHaveLength(5);
+        expect(batch.orders[0].price).toBeLessThan(129.5);
+    });
+
+    test('should paginate with class-only markup that needs the selector fallbacks', async () => {
+        const url = server.marketUrl('USDT-NGN', 'sell', { variant: 'paginated', page: 3 });
+        const { body } = await get(url);
+        const merchants = extractMerchantsFromHtml(body, { url });
+
+        expect(body).not.toContain('data-testid');
+        expect(body).toContain('rel="prev"');
+        expect(body).not.toContain('rel="next"');
+        expect(merchants.map(m => m['Merchant Name'])).toEqual(['merchant-021', 'merchant-022', 'merchant-023', 'merchant-024', 'merchant-025']);
+        expect(merchants[0].Price).toMatch(/ NGN$/);
+    });
+
+    test('should render an empty list', async () => {
+        const url = server.marketUrl('USDT-UGX', 'buy', { variant: 'empty' });
+        const { status, body } = await get(url);
+
+        expect(status).toBe(200);
+        expect(extractMerchantsFromHtml(body, { url })).toEqual([]);
+    });
+
+    test('should answer 429 with Retry-After until the page recovers', async () => {
+        const url = server.marketUrl('USDT-KES', 'buy', { variant: 'rate-limited', failures: 2 });
+
+        const first = await get(url);
+        const second = await get(url);
+        const third = await get(url);
+
+        expect([first.status, second.status, third.status]).toEqual([429, 429, 200]);
+        expect(first.headers['retry-after']).toBe('1');
+        expect(server.getPageRequests('/p2p/buy/USDT-KES').map(request => request.status)).toEqual([429, 429, 200]);
+    });
+
+    test('should pick the layout per pair so one run can mix variants', async () => {
+        await server.stop();
+        server = new MockGateServer({ variants: { 'USDT-NGN': 'empty', 'USDT-UGX': 'rate-limited' } });
+        await server.start();
+
+        expect((await get(server.marketUrl('USDT-KES'))).body).toContain('data-testid="merchant-row"');
+        expect((await get(server.marketUrl('USDT-NGN'))).body).toContain('No orders available');
+        expect((await get(server.marketUrl('USDT-UGX'))).status).toBe(429);
+        expect((await get(server.marketUrl('USDT-KES', 'buy', { variant: 'bogus' }))).status).toBe(400);
+    });
+});
@@ -0,0 +1,162 @@
+// scraper/__tests__/networkExtract.test.js
+const { EventEmitter } = require('events');
+const { findOrderList, mapOrdersResponse, startNetworkCapture } = require('../networkExtract');
+const { validateMerchants } = require('../schema');
+const { createMarket } = require('../markets');
+const { EnhancedScraper } = require('../enhanced-scraper');
+
+jest.mock('../logger', () => ({
+    log: jest.fn(),
+    errorLog: jest.fn(),
+    debugLog: jest.fn(),
+    warn: jest.fn()
+}));
+
+const market = createMarket({ asset: 'USDT', fiat: 'KES', side: 'buy' });
+
+const listing = (orders) => ({ code: 0, data: { total: orders.length, list: orders } });
+
+const order = (id, username, rate, extra = {}) => ({
+    id,
+    username,
+    rate,
+    amount: '1,250.12345678',
+    min_amount: '1000',
+    max_amount: 50000,
+    pay_type: ['M-Pesa', 'Bank Transfer'],
+    complete_rate: 0.985,
+    orders_month: 312,
+    ...extra
+});
+
+function fakeResponse(body, { url = 'https://www.gate.io/api/p2p/orders', type = 'xhr', contentType = 'application/json' } = {}) {
+    return {
+        url: () => url,
+        status: () => 200,
+        headers: () => ({ 'content-type': contentType }),
+        request: () => ({ resourceType: () => type }),
+        json: async () => body
+    };
+}
+
+function fakePage() {
+    const page = new EventEmitter();
+    page.off = page.removeListener;
+    return page;
+}
+
+describe('Network extraction', () => {
+    test('should map a listing response onto the schema with exact numbers', () => {
+        const merchants = mapOrdersResponse(listing([order(1, 'coinftw', '129.5')]), market, { extractedAt: '2026-01-05T08:00:00.000Z' });
+
+        expect(merchants).toEqual([{
+            'Merchant Name': 'coinftw',
+            'Price': '129.50 KES',
+            'PriceNumeric': 129.5,
+            'Available Amount': '1250.12345678 USDT',
+            'AvailableAmountNumeric': 1250.12345678,
+            'Limit': '1000.00 - 50000.00 KES',
+            'LimitMin': 1000,
+            'LimitMax': 50000,
+            'Payment Methods': 'M-Pesa, Bank Transfer',
+            'Completion Rate': 98.5,
+            'Orders': 312,
+            extractedAt: '2026-01-05T08:00:00.000Z',
+            sourceUrl: 'https://www.gate.io/p2p/buy/USDT-KES'
+        }]);
+        expect(validateMerchants(merchants.map(m => ({ ...m, Asset: 'USDT', Fiat: 'KES', Side: 'buy' }))).summary.invalidCount).toBe(0);
+    });
+
+    test('should only recognise lists of orders', () => {
+        expect(findOrderList([{ name: 'alpha', price: 1, available: 10 }])).toHaveLength(1);
+        expect(findOrderList({ orders: [{ nickname: 'alpha', unit_price: '1.5', min_amount: 100, max_amount: '5,000' }] })).toHaveLength(1);
+        expect(findOrderList([{ name: 'BTC-USDT', rate: 1.02 }])).toBeNull();
+        expect(findOrderList({ data: [{ name: 'alpha', price: 1, min_amount: 100 }] })).toBeNull();
+        expect(findOrderList({ data: { list: [order(1, 'alpha', 1), { name: 'banner', rate: 2 }] } })).toBeNull();
+        expect(findOrderList({ data: { list: [] } })).toBeNull();
+        expect(findOrderList({ data: { list: [{ username: 'alpha' }] } })).toBeNull();
+        expect(findOrderList({ data: { user: { username: 'alpha', price: 1 } } })).toBeNull();
+        expect(mapOrdersResponse({ banners: ['promo'] }, market)).toBeNull();
+    });
+
+    test('should record JSON XHR responses and keep each order once', async () => {
+        const page = fakePage();
+        const capture = startNetworkCapture(page);
+
+        page.emit('response', fakeResponse(listing([order(1, 'beta', 129.4), order(2, 'coinftw', 129.5)])));
+        page.emit('response', fakeResponse(listing([order(2, 'coinftw', 129.5), order(3, 'alpha', 129.7)])));
+        page.emit('response', fakeResponse(listing([order(9, 'ignored', 1)]), { type: 'document' }));
+        page.emit('response', fakeResponse(listing([order(9, 'ignored', 1)]), { contentType: 'text/html' }));
+        page.emit('response', fakeResponse({ banners: [] }));
+        await capture.stop();
+        page.emit('response', fakeResponse(listing([order(9, 'late', 1)])));
+
+        expect(capture.responses).toHaveLength(3);
+        expect(capture.getMerchants(market).map(m => m['Merchant Name'])).toEqual(['beta', 'coinftw', 'alpha']);
+    });
+
+    test('should only record listing endpoints by default', async () => {
+        const page = fakePage();
+        const capture = startNetworkCapture(page);
+
+        page.emit('response', fakeResponse(listing([order(1, 'beta', 129.4)]), { url: 'https://www.gate.io/api/p2p/orders?page=2' }));
+        page.emit('response', fakeResponse([{ name: 'alpha', rate: 1, available: 5 }], { url: 'https://www.gate.io/api/spot/tickers' }));
+        page.emit('response', fakeResponse({ data: [{ name: 'alpha', price: 1, available: 5 }] }, { url: 'https://www.gate.io/api/p2p/config' }));
+        await capture.stop();
+
+        expect(capture.responses.map(response => response.url)).toEqual(['https://www.gate.io/api/p2p/orders?page=2']);
+        expect(capture.getMerchants(market).map(m => m['Merchant Name'])).toEqual(['beta']);
+    });
+
+    test('should report nothing when no listing response was recognised', async () => {
+        const page = fakePage();
+        const capture = startNetworkCapture(page, { urlPattern: '/api/p2p/' });
+
+        page.emit('response', fakeResponse(listing([order(1, 'beta', 129.4)]), { url: 'https://www.gate.io/api/home/ads' }));
+        page.emit('response', fakeResponse({ banners: [] }, { url: 'https://www.gate.io/api/p2p/config' }));
+        await capture.stop();
+
+        expect(capture.getMerchants(market)).toBeNull();
+    });
+});
+
+describe('EnhancedScraper network extraction mode', () => {
+    let scraper;
+    let page;
+    let bodies;
+
+    beforeEach(() => {
+        scraper = new EnhancedScraper({ extractionMode: 'network', databaseEnabled: false, captureSnapshots: false });
+        bodies = [];
+        page = fakePage();
+        page.close = jest.fn();
+
+        jest.spyOn(scraper, 'createStealthPage').mockImplementation(async () => { scraper.page = page; });
+        jest.spyOn(scraper, 'navigateToTarget').mockImplementation(async () => {
+            bodies.forEach(body => page.emit('response', fakeResponse(body)));
+        });
+        jest.spyOn(scraper, 'waitForElements').mockResolvedValue();
+        jest.spyOn(scraper, 'performEnhancedAutoScroll').mockResolvedValue();
+        jest.spyOn(scraper, 'humanDelay').mockResolvedValue();
+        jest.spyOn(scraper, 'extractData').mockResolvedValue([{ 'Merchant Name': 'from-dom' }]);
+    });
+
+    test('should take merchants from the listing responses', async () => {
+        bodies.push(listing([order(1, 'beta', 129.4), order(2, 'coinftw', 129.5)]));
+
+        const merchants = await scraper.scrapeMarket(market);
+
+        expect(merchants.map(m => [m['Merchant Name'], m.PriceNumeric, m.Side])).toEqual([['beta', 129.4, 'buy'], ['coinftw', 129.5, 'buy']]);
+        expect(scraper.extractData).not.toHaveBeenCalled();
+        expect(page.close).toHaveBeenCalled();
+    });
+
+    test('should fall back to DOM extraction when the response shape is unknown', async () => {
+        bodies.push({ data: { rows: 'not a list' } });
+
+        const merchants = await scraper.scrapeMarket(market);
+
+        expect(merchants.map(m => m['Merchant Name'])).toEqual(['from-dom']);
+        expect(scraper.extractData).toHaveBeenCalledTimes(1);
+    });
+});
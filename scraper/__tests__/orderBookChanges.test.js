@@ -0,0 +1,166 @@
+// scraper/__tests__/orderBookChanges.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { toOrderBook, diffOrderBooks, NdjsonFileWriter, OrderBookChangeCapture } = require('../orderBookChanges');
+
+jest.mock('../logger', () => ({
+    log: jest.fn(),
+    errorLog: jest.fn(),
+    debugLog: jest.fn(),
+    warn: jest.fn()
+}));
+
+const MARKET = { market: 'USDT-KES-buy', asset: 'USDT', fiat: 'KES', side: 'buy', status: 'success' };
+
+function merchant(name, price, amount = 500, limits = [1000, 50000], market = MARKET) {
+    return {
+        'Merchant Name': name,
+        PriceNumeric: price,
+        AvailableAmountNumeric: amount,
+        LimitMin: limits[0],
+        LimitMax: limits[1],
+        Asset: market.asset,
+        Fiat: market.fiat,
+        Side: market.side
+    };
+}
+
+function book(capturedAt, merchants) {
+    return { capturedAt, ads: toOrderBook(merchants) };
+}
+
+describe('diffOrderBooks', () => {
+    test('should report added, removed and changed ads', () => {
+        const previous = book('2026-01-05T08:00:00.000Z', [
+            merchant('alpha', 129.5),
+            merchant('beta', 129.8, 500),
+            merchant('gamma', 130, 500, [1000, 50000])
+        ]);
+        const current = book('2026-01-05T08:05:00.000Z', [
+            merchant('Alpha ', 129.2),
+            merchant('beta', 129.8, 320),
+            merchant('gamma', 130, 500, [2000, 50000]),
+            merchant('delta', 131)
+        ]);
+
+        const events = diffOrderBooks(previous, current, MARKET);
+
+        expect(events.map(event => [event.type, event.merchant])).toEqual([
+            ['ad.price_changed', 'Alpha '],
+            ['ad.amount_changed', 'beta'],
+            ['ad.limits_changed', 'gamma'],
+            ['ad.added', 'delta']
+        ]);
+        expect(events[0]).toMatchObject({
+            market: 'USDT-KES-buy',
+            fiat: 'KES',
+            position: 1,
+            capturedAt: '2026-01-05T08:05:00.000Z',
+            previousCapturedAt: '2026-01-05T08:00:00.000Z',
+            changes: [{ field: 'price', from: 129.5, to: 129.2 }]
+        });
+        expect(events[0].changes[0].percent).toBeCloseTo(-0.2317, 3);
+        expect(events[2].changes).toEqual([{ field: 'limitMin', from: 1000, to: 2000, percent: 100 }]);
+        expect(events[3]).toMatchObject({ before: null, position: 4 });
+
+        const removed = diffOrderBooks(current, book('2026-01-05T08:10:00.000Z', [merchant('beta', 129.8, 320)]), MARKET);
+        expect(removed.map(event => [event.type, event.merchant, event.after])).toEqual([
+            ['ad.removed', 'Alpha ', null],
+            ['ad.removed', 'gamma', null],
+            ['ad.removed', 'delta', null]
+        ]);
+    });
+
+    test('should tell apart several ads of one merchant and ignore fields the scrape missed', () => {
+        const previous = book('t1', [merchant('alpha', 129.5), merchant('alpha', 130)]);
+        const current = book('t2', [merchant('alpha', 129.5), merchant('alpha', 130.5, null)]);
+
+        const events = diffOrderBooks(previous, current, MARKET);
+
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({ type: 'ad.price_changed', id: 'USDT-KES-buy:t2:alpha#2:ad.price_changed' });
+        expect(diffOrderBooks(null, current, MARKET)).toEqual([]);
+    });
+});
+
+describe('OrderBookChangeCapture', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'changes-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    function readEvents() {
+        return fs.readFileSync(path.join(directory, 'changes.ndjson'), 'utf8')
+            .trim().split('\n').map(line => JSON.parse(line));
+    }
+
+    test('should diff against the previous process and emit and append the events', async () => {
+        const first = new OrderBookChangeCapture({ directory });
+        const initial = await first.capture([merchant('alpha', 129.5), merchant('beta', 129.8)], [MARKET]);
+        expect(initial.events).toEqual([]);
+
+        const capture = new OrderBookChangeCapture({ directory });
+        const seen = [];
+        const removals = [];
+        const batches = [];
+        capture.on('change', event => seen.push(event.type));
+        capture.on('ad.removed', event => removals.push(event.merchant));
+        capture.on('changes', batch => batches.push(batch));
+
+        const result = await capture.capture([merchant('alpha', 129.9), merchant('gamma', 130)], [MARKET]);
+
+        expect(seen).toEqual(['ad.removed', 'ad.price_changed', 'ad.added']);
+        expect(removals).toEqual(['beta']);
+        expect(batches).toEqual([result]);
+        expect(result.summary).toEqual({ 'USDT-KES-buy': { 'ad.removed': 1, 'ad.price_changed': 1, 'ad.added': 1 } });
+        expect(readEvents().map(event => event.type)).toEqual(seen);
+    });
+
+    test('should keep the last good book of a market that failed to scrape', async () => {
+        const capture = new OrderBookChangeCapture({ directory });
+        const sell = { ...MARKET, market: 'USDT-KES-sell', side: 'sell' };
+
+        await capture.capture([merchant('alpha', 129.5), merchant('omega', 128, 500, undefined, sell)], [MARKET, sell]);
+        const failed = await capture.capture([merchant('alpha', 129.5)], [MARKET, { ...sell, status: 'failed' }]);
+        const recovered = await capture.capture(
+            [merchant('alpha', 129.5), merchant('omega', 127.5, 500, undefined, sell)],
+            [MARKET, sell]
+        );
+
+        expect(failed.events).toEqual([]);
+        expect(recovered.events.map(event => [event.market, event.type])).toEqual([['USDT-KES-sell', 'ad.price_changed']]);
+    });
+});
+
+describe('NdjsonFileWriter', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ndjson-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should rotate the file once it reaches the size limit and keep the newest rotated files', async () => {
+        const writer = new NdjsonFileWriter(path.join(directory, 'changes.ndjson'), { maxFileSize: 5, maxFiles: 2 });
+
+        for (let i = 0; i < 4; i++) {
+            await writer.append([{ i }]);
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+
+        const files = fs.readdirSync(directory).sort();
+        expect(files).toHaveLength(3);
+        expect(files).toContain('changes.ndjson');
+        expect(fs.readFileSync(path.join(directory, 'changes.ndjson'), 'utf8')).toBe('{"i":3}\n');
+        expect(await writer.getRotatedFiles()).toHaveLength(2);
+    });
+});
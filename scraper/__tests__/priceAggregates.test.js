@@ -0,0 +1,172 @@
+// scraper/__tests__/priceAggregates.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { aggregatePriceSeries, summarizeScrape } = require('../priceAggregates');
+const { DatabaseManager, DataPipeline } = require('../database');
+
+jest.mock('../logger', () => ({
+    log: jest.fn(),
+    errorLog: jest.fn(),
+    debugLog: jest.fn(),
+    warn: jest.fn()
+}));
+
+function buildMerchant(name, price, available, side = 'buy') {
+    return {
+        'Merchant Name': name,
+        'Price': `${price.toFixed(2)} KES`,
+        'PriceNumeric': price,
+        'Available Amount': `${available.toFixed(2)} USDT`,
+        'AvailableAmountNumeric': available,
+        'Limit': '1000.00 - 50000.00 KES',
+        'LimitMin': 1000,
+        'LimitMax': 50000,
+        'Asset': 'USDT',
+        'Fiat': 'KES',
+        'Side': side
+    };
+}
+
+const row = (scrapeId, scrapedAt, price, available = 100, side = 'buy') => ({
+    scrape_id: scrapeId,
+    scraped_at: scrapedAt,
+    asset: 'USDT',
+    fiat: 'KES',
+    side,
+    price_numeric: price,
+    available_amount_numeric: available
+});
+
+describe('Price aggregation', () => {
+    test('should summarize one scrape best price first for the side', () => {
+        const rows = [130, 129.5, 131, 129.8].map(price => ({ price_numeric: price, available_amount_numeric: 10 }));
+
+        expect(summarizeScrape(rows, 'buy', 2)).toEqual({
+            bestPrice: 129.5,
+            medianPrice: 129.9,
+            topNAverage: 129.65,
+            merchantCount: 4,
+            totalAvailable: 40
+        });
+        expect(summarizeScrape(rows, 'sell', 2)).toMatchObject({ bestPrice: 131, topNAverage: 130.5 });
+    });
+
+    test('should build OHLC points per interval and market', () => {
+        const rows = [
+            row('a', '2026-01-05T08:01:00.000Z', 129.9), row('a', '2026-01-05T08:01:00.000Z', 130.5),
+            row('b', '2026-01-05T08:20:00.000Z', 129.2), row('b', '2026-01-05T08:20:00.000Z', 129.6, 300),
+            row('c', '2026-01-05T08:50:00.000Z', 129.7),
+            row('a', '2026-01-05T08:01:00.000Z', 128, 50, 'sell'),
+            row('d', '2026-01-05T09:10:00.000Z', 130.1)
+        ];
+
+        const points = aggregatePriceSeries(rows, { interval: '1h', topN: 1 });
+
+        expect(points.map(point => [point.bucket, point.side, point.scrapes])).toEqual([
+            ['2026-01-05T08:00:00.000Z', 'buy', 3],
+            ['2026-01-05T08:00:00.000Z', 'sell', 1],
+            ['2026-01-05T09:00:00.000Z', 'buy', 1]
+        ]);
+        expect(points[0]).toMatchObject({
+            interval: '1h',
+            asset: 'USDT',
+            fiat: 'KES',
+            open: 129.9,
+            high: 129.9,
+            low: 129.2,
+            close: 129.7,
+            medianPrice: 129.76666667,
+            topNAverage: 129.6,
+            merchantCount: 1.66666667,
+            totalAvailable: 233.33333333
+        });
+        expect(aggregatePriceSeries(rows, { interval: '1d' })).toHaveLength(2);
+        expect(() => aggregatePriceSeries(rows, { interval: '2h' })).toThrow('Invalid interval "2h"');
+    });
+});
+
+describe('DatabaseManager.getPriceAggregates', () => {
+    let tmpDir;
+    let database;
+    let pipeline;
+
+    beforeEach(async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aggregates-db-'));
+        database = new DatabaseManager({ filename: path.join(tmpDir, 'merchants.db') });
+        await database.initialize();
+        pipeline = new DataPipeline(database);
+        pipeline.checkAndCreateBackup = jest.fn();
+    });
+
+    afterEach(async () => {
+        await database.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should aggregate completed scrapes at their capture time', async () => {
+        await pipeline.processData([buildMerchant('alpha', 129.5, 100), buildMerchant('beta', 130, 200)], { capturedAt: '2026-01-05T08:00:30.000Z' });
+        await pipeline.processData([buildMerchant('alpha', 129.1, 100), buildMerchant('beta', 129.9, 50)], { capturedAt: '2026-01-05T08:03:00.000Z' });
+        await pipeline.processData([buildMerchant('alpha', 128, 10, 'sell')], { capturedAt: '2026-01-05T08:04:00.000Z' });
+        await pipeline.processData([buildMerchant('alpha', 131, 100)], { capturedAt: '2026-01-06T10:00:00.000Z' });
+
+        const points = await database.getPriceAggregates({ interval: '5m', side: 'buy', until: '2026-01-05T23:59:59Z', topN: 2 });
+
+        expect(points).toEqual([expect.objectContaining({
+            bucket: '2026-01-05T08:00:00.000Z',
+            side: 'buy',
+            scrapes: 2,
+            open: 129.5,
+            high: 129.5,
+            low: 129.1,
+            close: 129.1,
+            medianPrice: 129.625,
+            topNAverage: 129.625,
+            merchantCount: 2,
+            totalAvailable: 225
+        })]);
+
+        const daily = await database.getPriceAggregates({ interval: '1d', fiat: 'KES', since: '2026-01-01' });
+        expect(daily.map(point => [point.bucket.slice(0, 10), point.side, point.close])).toEqual([
+            ['2026-01-05', 'buy', 129.1],
+            ['2026-01-05', 'sell', 128],
+            ['2026-01-06', 'buy', 131]
+        ]);
+        expect(await database.getPriceAggregates({ interval: '1d', since: '2026-01-01', limit: 1 })).toEqual([
+            expect.objectContaining({ bucket: '2026-01-06T00:00:00.000Z', close: 131 })
+        ]);
+        expect(await database.getPriceAggregates({ since: '2027-01-01' })).toEqual([]);
+        await expect(database.getPriceAggregates({ since: 'last week' })).rejects.toThrow('Invalid since "last week"');
+    });
+
+    test('should default the range to the last limit intervals before until', async () => {
+        await pipeline.processData([buildMerchant('alpha', 129.5, 100)], { capturedAt: '2026-01-05T08:00:30.000Z' });
+        await pipeline.processData([buildMerchant('alpha', 129.1, 100)], { capturedAt: '2026-01-05T10:00:30.000Z' });
+
+        const points = await database.getPriceAggregates({ interval: '1h', until: '2026-01-05T10:59:59Z', limit: 2 });
+        expect(points.map(point => point.bucket)).toEqual(['2026-01-05T10:00:00.000Z']);
+        expect(await database.getPriceAggregates({ interval: '1h', until: '2026-01-05T10:59:59Z', limit: 3 })).toHaveLength(2);
+    });
+
+    test('should match the reference aggregation and read sessions through the scrape time index', async () => {
+        const books = [
+            ['2026-01-05T08:00:30.000Z', [[129.5, 100], [130, 200], [129.9, 10], [131, 5]]],
+            ['2026-01-05T08:03:00.000Z', [[129.1, 100], [129.9, 50], [129.4, 20]]],
+            ['2026-01-05T08:07:00.000Z', [[129.3, 60]]]
+        ];
+        for (const [capturedAt, prices] of books) {
+            await pipeline.processData(prices.map(([price, available], index) => buildMerchant(`m${index}`, price, available)), { capturedAt });
+            await pipeline.processData(prices.map(([price, available], index) => buildMerchant(`m${index}`, price - 2, available, 'sell')), { capturedAt });
+        }
+
+        const rows = await database.getRows(`
+            SELECT m.scrape_id, s.scraped_at, m.asset, m.fiat, m.side, m.price_numeric, m.available_amount_numeric
+            FROM merchants m JOIN scrape_sessions s ON s.scrape_id = m.scrape_id ORDER BY s.scraped_at, m.id
+        `);
+        const options = { interval: '5m', since: '2026-01-05', until: '2026-01-06', topN: 2 };
+        expect(await database.getPriceAggregates(options)).toEqual(aggregatePriceSeries(rows, options));
+
+        const plan = await database.getRows("EXPLAIN QUERY PLAN SELECT scrape_id FROM scrape_sessions s WHERE s.status = 'completed' AND s.scraped_at >= ?", ['2026-01-05']);
+        expect(plan.map(step => step.detail).join('\n')).toContain('idx_scrape_sessions_scraped_at');
+    });
+});
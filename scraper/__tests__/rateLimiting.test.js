@@ -0,0 +1,288 @@
+// scraper/__tests__/rateLimiting.test.js
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { RateLimitingManager, TokenBucketLimiter, createHttpExecutor, getRateLimitingManager, parseRetryAfter } = require('../rateLimiting');
+const { SharedRateLimitStore } = require('../rateLimitStore');
+const { RateLimitError } = require('../retryLogic');
+const { errorLog } = require('../logger');
+
+jest.mock('../logger', () => ({
+    log: jest.fn(),
+    errorLog: jest.fn(),
+    debugLog: jest.fn(),
+    warn: jest.fn()
+}));
+
+/**
+ * Local server answering each request with the next scripted response
+ */
+async function startServer(responses) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body, at: Date.now() });
+            const { status = 200, headers = {}, json } = responses.shift() || {};
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(JSON.stringify(json || {}));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    return { server, requests, host: `127.0.0.1:${port}`, url: `http://127.0.0.1:${port}` };
+}
+
+function createManager(options = {}) {
+    return new RateLimitingManager({
+        enablePersistence: false,
+        adaptiveThrottling: false,
+        processingInterval: 10,
+        ...options
+    });
+}
+
+describe('parseRetryAfter', () => {
+    test('should read delay-seconds and HTTP dates', () => {
+        const now = Date.parse('2026-01-05T08:00:00.000Z');
+
+        expect(parseRetryAfter('120', now)).toBe(120);
+        expect(parseRetryAfter('Mon, 05 Jan 2026 08:00:30 GMT', now)).toBe(30);
+        expect(parseRetryAfter('Mon, 05 Jan 2026 07:00:00 GMT', now)).toBe(0);
+        expect(parseRetryAfter('soon', now)).toBeNull();
+        expect(parseRetryAfter(undefined, now)).toBeNull();
+    });
+});
+
+describe('createHttpExecutor', () => {
+    let target;
+
+    afterEach(async () => {
+        await new Promise(resolve => target.server.close(resolve));
+    });
+
+    test('should send JSON bodies and parse JSON responses', async () => {
+        target = await startServer([{ status: 201, json: { ok: true } }]);
+
+        const response = await createHttpExecutor()({ url: `${target.url}/hooks`, method: 'POST', body: { alert: 'x' } });
+
+        expect(response).toMatchObject({ status: 201, data: { ok: true } });
+        expect(target.requests[0]).toMatchObject({ method: 'POST', url: '/hooks', body: '{"alert":"x"}' });
+        expect(target.requests[0].headers['content-type']).toBe('application/json');
+    });
+
+    test('should turn 429 into a RateLimitError and 4xx into a non-retryable error', async () => {
+        target = await startServer([
+            { status: 429, headers: { 'Retry-After': '7' } },
+            { status: 404 }
+        ]);
+        const execute = createHttpExecutor();
+
+        const limited = await execute({ url: target.url }).catch(error => error);
+        expect(limited).toBeInstanceOf(RateLimitError);
+        expect(limited.retryAfter).toBe(7);
+
+        const missing = await execute({ url: target.url }).catch(error => error);
+        expect(missing).toMatchObject({ status: 404, retryable: false });
+    });
+});
+
+describe('RateLimitingManager', () => {
+    let manager;
+    let target;
+
+    afterEach(async () => {
+        await manager.shutdown();
+        if (target) {
+            await new Promise(resolve => target.server.close(resolve));
+            target = null;
+        }
+    });
+
+    test('should honour Retry-After for every request to the limited host', async () => {
+        target = await startServer([
+            { status: 429, headers: { 'Retry-After': '1' } },
+            { json: { attempt: 2 } },
+            { json: { attempt: 3 } }
+        ]);
+        manager = createManager();
+
+        const first = manager.queueRequest({ url: `${target.url}/first` });
+        await new Promise(resolve => setTimeout(resolve, 200));
+        const second = manager.queueRequest({ url: `${target.url}/second` });
+        const otherHost = manager.schedule('other.example', async () => 'not blocked');
+
+        await expect(otherHost).resolves.toBe('not blocked');
+        const results = await Promise.all([first, second]);
+
+        expect(results.map(result => result.data.attempt).sort()).toEqual([2, 3]);
+        expect(target.requests).toHaveLength(3);
+        expect(target.requests[1].at - target.requests[0].at).toBeGreaterThanOrEqual(950);
+        expect(target.requests[2].at - target.requests[0].at).toBeGreaterThanOrEqual(950);
+        expect(manager.getHostBlockRemaining(target.host)).toBe(0);
+    });
+
+    test('should not retry requests that fail with a client error', async () => {
+        target = await startServer([{ status: 400 }, { status: 200 }]);
+        manager = createManager();
+
+        await expect(manager.queueRequest({ url: target.url })).rejects.toMatchObject({ status: 400 });
+        expect(target.requests).toHaveLength(1);
+    });
+
+    test('should keep a limiter per host and wait for tokens without failing', async () => {
+        manager = createManager({ hostLimits: { 'slow.example': { capacity: 1, refillRate: 5 } } });
+        const ran = [];
+        const task = (name) => async () => {
+            ran.push({ name, at: Date.now() });
+            return name;
+        };
+
+        const results = await Promise.all([
+            manager.schedule('slow.example', task('a')),
+            manager.schedule('slow.example', task('b')),
+            manager.schedule('fast.example', task('c'))
+        ]);
+
+        expect(results).toEqual(['a', 'b', 'c']);
+        expect(ran.find(entry => entry.name === 'b').at - ran.find(entry => entry.name === 'a').at).toBeGreaterThanOrEqual(150);
+        expect(manager.limiters.get('slow.example').capacity).toBe(1);
+        expect(manager.limiters.has('fast.example')).toBe(true);
+    });
+
+    test('should keep the default concurrency cap when only rates are configured', async () => {
+        manager = getRateLimitingManager({ enablePersistence: false, adaptiveThrottling: false, processingInterval: 10 });
+        expect(manager.options.globalLimits).toEqual({ requestsPerSecond: 1, burstCapacity: 5, concurrentRequests: 5 });
+        await manager.shutdown();
+
+        manager = createManager({ globalLimits: { requestsPerSecond: 100, burstCapacity: 100 } });
+        let active = 0;
+        let maxActive = 0;
+        const task = async () => {
+            maxActive = Math.max(maxActive, ++active);
+            await new Promise(resolve => setTimeout(resolve, 30));
+            active--;
+        };
+
+        await Promise.all(Array.from({ length: 8 }, (_, index) => manager.schedule(`host${index}.example`, task)));
+        expect(maxActive).toBe(5);
+    });
+
+    test('should run request configs through a pluggable executor', async () => {
+        const executor = jest.fn().mockResolvedValue({ status: 204 });
+        manager = createManager({ executor });
+
+        await expect(manager.queueRequest({ url: 'https://hooks.example/alert', method: 'POST' })).resolves.toEqual({ status: 204 });
+        expect(executor).toHaveBeenCalledWith({ url: 'https://hooks.example/alert', method: 'POST' });
+        expect(manager.limiters.has('hooks.example')).toBe(true);
+    });
+});
+
+describe('Shared limiter state', () => {
+    let tempDir;
+    let statePath;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limits-'));
+        statePath = path.join(tempDir, 'limiter-state.db');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Separate node process taking `attempts` tokens from the shared bucket;
+     * resolves how many it was granted
+     */
+    function runWorker(attempts) {
+        const script = `
+            const { SharedRateLimitStore } = require(${JSON.stringify(path.join(__dirname, '..', 'rateLimitStore'))});
+            (async () => {
+                const store = new SharedRateLimitStore(${JSON.stringify(statePath)});
+                let granted = 0;
+                for (let i = 0; i < ${attempts}; i++) {
+                    const result = await store.acquireTokens('www.gate.io', { capacity: 4, refillRate: 0.001 });
+                    if (result.granted) granted++;
+                }
+                await store.close();
+                process.stdout.write(String(granted));
+            })();
+        `;
+
+        return new Promise((resolve, reject) => {
+            execFile(process.execPath, ['-e', script], { timeout: 30000 }, (error, stdout) => (error ? reject(error) : resolve(Number(stdout))));
+        });
+    }
+
+    test('should let concurrent processes jointly spend a single budget', async () => {
+        const granted = await Promise.all([runWorker(5), runWorker(5), runWorker(5)]);
+
+        expect(granted.reduce((sum, count) => sum + count, 0)).toBe(4);
+    }, 60000);
+
+    test('should report the wait until a token refills or a window slot frees', async () => {
+        const store = new SharedRateLimitStore(statePath);
+        try {
+            expect((await store.acquireTokens('host', { capacity: 1, refillRate: 2 })).granted).toBe(true);
+            const denied = await store.acquireTokens('host', { capacity: 1, refillRate: 2 });
+            expect(denied.granted).toBe(false);
+            expect(denied.waitMs).toBeGreaterThan(0);
+            expect(denied.waitMs).toBeLessThanOrEqual(500);
+
+            const limits = { maxRequests: 2, windowSizeMs: 60000 };
+            await store.acquireWindowSlot('host', limits);
+            await store.acquireWindowSlot('host', limits);
+            const full = await store.acquireWindowSlot('host', limits);
+            expect(full).toMatchObject({ granted: false, currentRequests: 2 });
+            expect(full.waitMs).toBeGreaterThan(59000);
+        } finally {
+            await store.close();
+        }
+    });
+
+    test('should retry opening the state file and log the fallback once per outage', async () => {
+        // The state directory can't be created while a file is in its place
+        const blocked = path.join(tempDir, 'state');
+        fs.writeFileSync(blocked, '');
+        const store = new SharedRateLimitStore(path.join(blocked, 'limiter-state.db'));
+        const limiter = new TokenBucketLimiter({ identifier: 'www.gate.io', capacity: 10, refillRate: 1, store });
+        errorLog.mockClear();
+
+        try {
+            expect((await limiter.acquire()).granted).toBe(true);
+            expect((await limiter.acquire()).granted).toBe(true);
+            expect(errorLog).toHaveBeenCalledTimes(1);
+            expect(errorLog.mock.calls[0][0]).toContain('Shared rate limit state unavailable for www.gate.io');
+
+            fs.rmSync(blocked);
+            expect(await limiter.acquire()).toMatchObject({ granted: true, tokens: 9 });
+            expect(fs.existsSync(path.join(blocked, 'limiter-state.db'))).toBe(true);
+            expect(errorLog).toHaveBeenCalledTimes(1);
+        } finally {
+            await store.close();
+        }
+    });
+
+    test('should limit two managers on one state file as one', async () => {
+        const options = { sharedStatePath: statePath, hostLimits: { 'www.gate.io': { capacity: 2, refillRate: 0.001 } } };
+        const managers = [createManager(options), createManager(options)];
+        const ran = [];
+
+        try {
+            const attempts = managers.flatMap((manager, index) => [1, 2].map(n => manager
+                .schedule('www.gate.io', async () => ran.push(`${index}.${n}`), { timeout: 500 })
+                .catch(() => null)));
+            await Promise.all(attempts);
+
+            expect(ran).toHaveLength(2);
+            expect(managers[0].getRateLimitingStats().requests.throttledRequests + managers[1].getRateLimitingStats().requests.throttledRequests).toBeGreaterThan(0);
+        } finally {
+            await Promise.all(managers.map(manager => manager.shutdown()));
+        }
+    });
+});
@@ -0,0 +1,189 @@
+// scraper/__tests__/sessionResume.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SessionManager, SESSION_STATES, SESSION_TYPES } = require('../sessionManagement');
+const { EnhancedScraper } = require('../enhanced-scraper');
+const { autoScroll } = require('../autoScroll');
+
+jest.mock('../logger', () => ({
+    log: jest.fn(),
+    errorLog: jest.fn(),
+    debugLog: jest.fn(),
+    warn: jest.fn()
+}));
+
+describe('SessionManager checkpoints', () => {
+    let sessionStorePath;
+    let managers;
+
+    function createManager() {
+        const manager = new SessionManager({ sessionStorePath });
+        managers.push(manager);
+        return manager;
+    }
+
+    beforeEach(() => {
+        sessionStorePath = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+        managers = [];
+    });
+
+    afterEach(async () => {
+        await Promise.all(managers.map(manager => manager.shutdown({ endSessions: false })));
+        fs.rmSync(sessionStorePath, { recursive: true, force: true });
+    });
+
+    test('should recover an unfinished session from its last checkpoint in a new process', async () => {
+        const crashed = createManager();
+        await crashed.ready;
+        const session = await crashed.createSession({ type: SESSION_TYPES.SCRAPING });
+        const first = await crashed.createCheckpoint(session.id, { type: 'MARKET', marketCursor: 1 });
+        await crashed.createCheckpoint(session.id, { type: 'SCROLL_BATCH', marketCursor: 1, scroll: { position: 900 } });
+
+        const restarted = createManager();
+        await restarted.ready;
+        const [recoverable] = restarted.getRecoverableSessions(SESSION_TYPES.SCRAPING);
+
+        expect(recoverable.id).toBe(session.id);
+        expect(recoverable.tracking.checkpoints.map(cp => cp.type)).toEqual(['MARKET', 'SCROLL_BATCH']);
+        expect(recoverable.recovery.lastCheckpoint.sessionState.recovery).toBeUndefined();
+
+        const recovery = await restarted.recoverSession(session.id);
+        expect(recovery.checkpoint.data).toMatchObject({ marketCursor: 1, scroll: { position: 900 } });
+        expect((await restarted.recoverSession(session.id, first.id)).checkpoint.data).toEqual({ type: 'MARKET', marketCursor: 1 });
+    });
+
+    test('should drop the checkpoints of a finished session', async () => {
+        const manager = createManager();
+        await manager.ready;
+        const session = await manager.createSession();
+        for (let i = 0; i < 22; i++) {
+            await manager.createCheckpoint(session.id, { batch: i });
+        }
+
+        const checkpointDir = path.join(sessionStorePath, 'checkpoints');
+        expect(fs.readdirSync(checkpointDir)).toHaveLength(20);
+
+        await manager.endSession(session.id, 'COMPLETED');
+        expect(fs.readdirSync(checkpointDir)).toHaveLength(0);
+
+        const restarted = createManager();
+        await restarted.ready;
+        expect(restarted.getRecoverableSessions()).toEqual([]);
+    });
+});
+
+describe('EnhancedScraper resume', () => {
+    let sessionStorePath;
+    let sessionManagers;
+
+    function createScraper() {
+        const sessionManager = new SessionManager({ sessionStorePath });
+        sessionManagers.push(sessionManager);
+
+        const scraper = new EnhancedScraper({
+            markets: ['USDT-KES', 'BTC-NGN:sell'],
+            databaseEnabled: false,
+            validationEnabled: false,
+            targetMerchant: '',
+            sessionManager
+        });
+        scraper.browser = {};
+        jest.spyOn(scraper, 'checkAndPerformRotation').mockResolvedValue();
+        return scraper;
+    }
+
+    beforeEach(() => {
+        sessionStorePath = fs.mkdtempSync(path.join(os.tmpdir(), 'scrape-sessions-'));
+        sessionManagers = [];
+    });
+
+    afterEach(async () => {
+        await Promise.all(sessionManagers.map(manager => manager.shutdown({ endSessions: false })));
+        fs.rmSync(sessionStorePath, { recursive: true, force: true });
+    });
+
+    test('should resume an interrupted run at its market and scroll position', async () => {
+        // First process: done with one market, then dies while scrolling the second
+        const crashed = createScraper();
+        let interrupted;
+        const checkpointed = new Promise(resolve => { interrupted = resolve; });
+        jest.spyOn(crashed, 'scrapeMarket').mockImplementation(async (market, options) => {
+            if (market.id === 'USDT-KES-buy') {
+                return [{ 'Merchant Name': 'first', Asset: 'USDT', Fiat: 'KES', Side: 'buy' }];
+            }
+            await options.onScrollBatch({ batch: 1, position: 900, height: 3000, totalScrolled: 900, done: false });
+            interrupted();
+            return new Promise(() => {});
+        });
+        crashed.runSingleScrape();
+        await checkpointed;
+
+        // Next start
+        const restarted = createScraper();
+        const scrapeMarket = jest.spyOn(restarted, 'scrapeMarket').mockImplementation(async market =>
+            [{ 'Merchant Name': `m-${market.id}`, Asset: market.asset, Fiat: market.fiat, Side: market.side }]
+        );
+        const save = jest.spyOn(restarted, 'processAndSaveData').mockResolvedValue();
+
+        const result = await restarted.runSingleScrape();
+
+        expect(scrapeMarket.mock.calls.map(([market, options]) => [market.id, options.resumeFrom])).toEqual([
+            ['USDT-KES-sell', 900],
+            ['BTC-NGN-sell', 0]
+        ]);
+        expect(result.markets.map(market => market.market)).toEqual(['USDT-KES-buy', 'USDT-KES-sell', 'BTC-NGN-sell']);
+        expect(save.mock.calls[0][0].map(merchant => merchant['Merchant Name'])).toEqual(['first', 'm-USDT-KES-sell', 'm-BTC-NGN-sell']);
+        expect(result.resumedSession).toEqual(expect.stringMatching(/^session_/));
+
+        // Finished, so nothing is left to resume
+        const next = createScraper();
+        await next.sessionManager.ready;
+        expect(next.sessionManager.getRecoverableSessions()).toEqual([]);
+        expect(fs.readdirSync(path.join(sessionStorePath, 'archive')).some(file => file.includes(SESSION_STATES.COMPLETED))).toBe(true);
+    });
+
+    test('should start over when the unfinished run covered other markets', async () => {
+        const other = new SessionManager({ sessionStorePath });
+        sessionManagers.push(other);
+        await other.ready;
+        const session = await other.createSession({ type: SESSION_TYPES.SCRAPING, metadata: { markets: ['ETH-KES-buy'] } });
+        await other.createCheckpoint(session.id, { type: 'MARKET', marketCursor: 1, records: [], marketResults: [] });
+
+        const scraper = createScraper();
+        jest.spyOn(scraper, 'scrapeMarket').mockResolvedValue([{ 'Merchant Name': 'x' }]);
+        jest.spyOn(scraper, 'processAndSaveData').mockResolvedValue();
+
+        const result = await scraper.runSingleScrape();
+
+        expect(scraper.scrapeMarket).toHaveBeenCalledTimes(3);
+        expect(result.resumedSession).toBeNull();
+    });
+});
+
+describe('autoScroll batches', () => {
+    test('should fast-forward to the resume position and report every batch', async () => {
+        const states = [
+            { totalScrolled: 600, lastHeight: 4000, consecutiveNoChange: 0, done: false, position: 1500 },
+            { totalScrolled: 1200, lastHeight: 4000, consecutiveNoChange: 0, done: true, position: 2100 }
+        ];
+        const page = {
+            evaluate: jest.fn(async (fn, args) => {
+                if (fn.name === 'fastForward') {
+                    return args.position;
+                }
+                return fn.name === 'scrollBatch' ? states.shift() : undefined;
+            })
+        };
+        const batches = [];
+
+        await autoScroll(page, { startPosition: 900, onBatch: batch => batches.push(batch) });
+
+        expect(page.evaluate.mock.calls.map(([fn]) => fn.name)).toEqual(['fastForward', 'scrollBatch', 'scrollBatch', 'scrollBack']);
+        expect(page.evaluate.mock.calls[2][1].state).toMatchObject({ totalScrolled: 600 });
+        expect(batches).toEqual([
+            { batch: 1, position: 1500, height: 4000, totalScrolled: 600, done: false },
+            { batch: 2, position: 2100, height: 4000, totalScrolled: 1200, done: true }
+        ]);
+    });
+});
@@ -0,0 +1,116 @@
+// scraper/__tests__/snapshots.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractMerchantsFromHtml } = require('../extract');
+const { saveSnapshot, replaySnapshots } = require('../snapshots');
+const { createMarket } = require('../markets');
+const { buildWatchlist } = require('../watchlist');
+const { DatabaseManager, DataPipeline } = require('../database');
+
+jest.mock('../logger', () => ({
+    log: jest.fn(),
+    errorLog: jest.fn(),
+    debugLog: jest.fn(),
+    warn: jest.fn()
+}));
+
+function row(name, price, limit = '1,000.00~50,000.00 KES') {
+    return `
+        <div data-testid="merchant-row">
+            <span data-testid="merchant-name">${name}</span>
+            <span data-testid="price">${price}</span>
+            <span data-testid="currency">KES</span>
+            <div data-testid="limit">${limit}</div>
+            <span data-testid="discount">N/A</span>
+        </div>`;
+}
+
+const PAGE = `<!DOCTYPE html>
+<html><head><title>USDT/KES P2P</title><script>document.body.innerHTML = '';</script></head>
+<body><div data-testid="p2p-list">${row('beta', '129.50')}${row('CoinFTW', '129.90')}${row('alpha', '130.20')}</div></body></html>`;
+
+describe('Snapshot replay', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should extract merchants from saved HTML with the live selector strategies', () => {
+        const merchants = extractMerchantsFromHtml(PAGE, { url: 'https://www.gate.io/p2p/buy/USDT-KES' });
+
+        expect(merchants.map(m => [m['Merchant Name'], m.Price, m.PriceNumeric])).toEqual([
+            ['beta', '129.50 KES', 129.5],
+            ['CoinFTW', '129.90 KES', 129.9],
+            ['alpha', '130.20 KES', 130.2]
+        ]);
+        expect(merchants[0]).toMatchObject({ 'Size/Limit': '1,000.00~50,000.00 KES', sourceUrl: 'https://www.gate.io/p2p/buy/USDT-KES' });
+    });
+
+    test('should capture the rendered page with a sidecar describing it', async () => {
+        const market = createMarket({ asset: 'USDT', fiat: 'UGX', side: 'sell' });
+        const page = { content: async () => PAGE, url: () => market.url };
+
+        const file = await saveSnapshot(page, market, { scrapeCount: 3 }, tmpDir);
+
+        expect(file).toMatch(/-USDT-UGX-sell\.html$/);
+        expect(fs.readFileSync(file, 'utf8')).toBe(PAGE);
+        expect(JSON.parse(fs.readFileSync(file.replace(/\.html$/, '.json'), 'utf8'))).toMatchObject({
+            url: 'https://www.gate.io/p2p/sell/USDT-UGX',
+            market: { asset: 'USDT', fiat: 'UGX', side: 'sell' },
+            scrapeCount: 3
+        });
+    });
+
+    test('should report extraction per snapshot without saving', async () => {
+        fs.writeFileSync(path.join(tmpDir, 'a.html'), PAGE);
+        fs.writeFileSync(path.join(tmpDir, 'b.html'), '<html><body><p>Too many requests</p></body></html>');
+        fs.writeFileSync(path.join(tmpDir, 'notes.txt'), 'ignored');
+
+        const results = await replaySnapshots([tmpDir], { fallbackUrl: 'https://www.gate.io/p2p/sell/USDT-NGN' });
+
+        expect(results.map(r => [path.basename(r.file), r.status, r.market, r.merchantCount])).toEqual([
+            ['a.html', 'success', 'USDT-NGN-sell', 3],
+            ['b.html', 'empty', 'USDT-NGN-sell', 0]
+        ]);
+        expect(results[0].valid + results[0].invalid).toBe(3);
+    });
+
+    test('should store each replayed snapshot as its own session', async () => {
+        const database = new DatabaseManager({ filename: path.join(tmpDir, 'merchants.db') });
+        await database.initialize();
+        const pipeline = new DataPipeline(database);
+        pipeline.checkAndCreateBackup = jest.fn();
+
+        const file = path.join(tmpDir, 'capture.html');
+        fs.writeFileSync(file, PAGE);
+        fs.writeFileSync(path.join(tmpDir, 'capture.json'), JSON.stringify({
+            url: 'https://www.gate.io/p2p/buy/USDT-KES',
+            market: { asset: 'USDT', fiat: 'KES', side: 'buy' },
+            capturedAt: '2026-01-05T08:00:00.000Z'
+        }));
+
+        try {
+            const [result] = await replaySnapshots([file], { pipeline, watchlist: buildWatchlist('', 'coinftw') });
+
+            expect(result).toMatchObject({ status: 'success', market: 'USDT-KES-buy', merchantCount: 3 });
+            expect(result.valid + result.invalid).toBe(3);
+
+            const [session] = await database.getScrapeSessions(1);
+            expect(session.scrape_id).toBe(result.scrapeId);
+            expect(session.source).toBe('replay');
+            expect(JSON.parse(session.metadata)).toMatchObject({ capturedAt: '2026-01-05T08:00:00.000Z', snapshotFile: file });
+            expect(JSON.parse(session.markets)[0]).toMatchObject({ market: 'USDT-KES-buy', bestPrice: 129.5 });
+
+            const [rank] = await database.getMerchantRankHistory({ merchantName: 'coinftw' });
+            expect(rank).toMatchObject({ rank: 2, side: 'buy' });
+        } finally {
+            await database.close();
+        }
+    });
+});
@@ -0,0 +1,150 @@
+// scraper/__tests__/storageAdapters.test.js
+const sqlite3 = require('sqlite3');
+const { PostgresAdapter } = require('../postgresAdapter');
+const { StorageAdapter } = require('../storageAdapter');
+const { DatabaseManager, DataPipeline, createStorageAdapter } = require('../database');
+const { SQLExporter } = require('../dataExportBackup');
+
+jest.mock('../logger', () => ({
+    log: jest.fn(),
+    errorLog: jest.fn(),
+    debugLog: jest.fn(),
+    warn: jest.fn()
+}));
+
+/**
+ * Local stand-in for a pg Client: runs the statements on an in-memory SQLite
+ * database, binding $n placeholders as SQLite's ?n
+ */
+function createStandInClient() {
+    const db = new sqlite3.Database(':memory:');
+    const statements = [];
+
+    return {
+        statements,
+        connect: jest.fn().mockResolvedValue(),
+        end: jest.fn(() => new Promise(resolve => db.close(resolve))),
+        query(text, values = []) {
+            statements.push({ text, values });
+            const sql = text.replace(/\$(\d+)/g, '?$1');
+            return new Promise((resolve, reject) => {
+                if (/^\s*SELECT/i.test(sql)) {
+                    db.all(sql, values, (err, rows) => (err ? reject(err) : resolve({ rows, rowCount: rows.length })));
+                } else {
+                    db.run(sql, values, function(err) {
+                        return err ? reject(err) : resolve({ rows: [], rowCount: this.changes });
+                    });
+                }
+            });
+        }
+    };
+}
+
+function buildMerchant(name, price, overrides = {}) {
+    return {
+        'Merchant Name': name,
+        'Price': `${price.toFixed(2)} KES`,
+        'PriceNumeric': price,
+        'Available Amount': '100.00 USDT',
+        'AvailableAmountNumeric': 100,
+        'Limit': '1000.00 - 50000.00 KES',
+        'LimitMin': 1000,
+        'LimitMax': 50000,
+        'Asset': 'USDT',
+        'Fiat': 'KES',
+        'Side': 'buy',
+        ...overrides
+    };
+}
+
+describe('PostgresAdapter', () => {
+    let client;
+    let adapter;
+
+    beforeEach(async () => {
+        client = createStandInClient();
+        adapter = new PostgresAdapter({ batchSize: 2 }, { client });
+        await adapter.initialize();
+    });
+
+    afterEach(async () => {
+        await adapter.close();
+    });
+
+    test('should store a scrape through DataPipeline with batched Postgres statements', async () => {
+        const pipeline = new DataPipeline(adapter);
+        const result = await pipeline.processData([
+            buildMerchant('alpha', 129.5),
+            buildMerchant('beta', 129.8),
+            buildMerchant('gamma', 130.1),
+            buildMerchant('alpha', 129.4),
+            { 'Merchant Name': 'broken' }
+        ], { markets: [{ market: 'USDT-KES-buy', status: 'success' }] });
+
+        const merchants = await client.query('SELECT merchant_name, price_numeric, scrape_id FROM "merchants" ORDER BY merchant_name');
+        expect(merchants.rows).toEqual([
+            { merchant_name: 'alpha', price_numeric: 129.4, scrape_id: result.scrapeId },
+            { merchant_name: 'beta', price_numeric: 129.8, scrape_id: result.scrapeId },
+            { merchant_name: 'gamma', price_numeric: 130.1, scrape_id: result.scrapeId }
+        ]);
+
+        const [session] = (await client.query('SELECT status, valid_merchants, invalid_merchants, markets FROM "scrape_sessions"')).rows;
+        expect(session).toEqual({ status: 'completed', valid_merchants: 4, invalid_merchants: 1, markets: '[{"market":"USDT-KES-buy","status":"success"}]' });
+        expect((await client.query('SELECT COUNT(*) AS count FROM "validation_errors"')).rows[0].count).toBeGreaterThan(0);
+        expect((await client.query('SELECT metric_name FROM "data_quality_metrics"')).rows).toHaveLength(3);
+
+        const merchantInserts = client.statements.filter(statement => statement.text.startsWith('INSERT INTO "merchants"'));
+        expect(merchantInserts).toHaveLength(2);
+        expect(merchantInserts[0].text).toMatch(/^INSERT INTO "merchants" \("scrape_id", "asset", .*\) VALUES \(\$1, \$2, .*\$20\), \(\$21, .*\$40\) ON CONFLICT DO NOTHING$/);
+        expect(merchantInserts[0].values).toHaveLength(40);
+        expect(client.statements.some(statement => /\?/.test(statement.text))).toBe(false);
+    });
+
+    test('should qualify tables with the configured schema', () => {
+        const qualified = new PostgresAdapter({ schema: 'gate"io' }, { client });
+        expect(qualified.table('merchants')).toBe('"gate""io"."merchants"');
+    });
+
+    test('should mark failed sessions', async () => {
+        const scrapeId = await adapter.startScrapeSession({ source: 'replay' });
+        await adapter.failScrapeSession(scrapeId, new Error('navigation timeout'));
+
+        const [session] = (await client.query('SELECT status, source, metadata FROM "scrape_sessions"')).rows;
+        expect(session).toMatchObject({ status: 'failed', source: 'replay' });
+        expect(JSON.parse(session.metadata).error).toBe('navigation timeout');
+    });
+});
+
+describe('Storage adapter selection', () => {
+    test('should default to SQLite and select PostgreSQL by type', () => {
+        expect(createStorageAdapter({ filename: ':memory:' })).toBeInstanceOf(DatabaseManager);
+        expect(createStorageAdapter({ type: 'postgresql', connectionString: 'postgres://localhost/p2p' })).toBeInstanceOf(PostgresAdapter);
+        expect(() => createStorageAdapter({ type: 'mysql' })).toThrow('Unsupported database type: mysql');
+        expect(new DatabaseManager({ filename: ':memory:' })).toBeInstanceOf(StorageAdapter);
+    });
+
+    test('should require adapters to implement the writes', async () => {
+        await expect(new StorageAdapter().insertMerchants('id', { validRecords: [] })).rejects.toThrow('must be implemented by subclasses');
+        await expect(new StorageAdapter().insertMerchantRanks('id', [])).resolves.toEqual({ inserted: 0 });
+    });
+});
+
+describe('SQLExporter dialects', () => {
+    const rows = [{ 'Merchant Name': 'O\'Neil', price: 129.5, orders: 12, verified: true, seen: '2026-01-05T08:00:00.000Z' }];
+
+    test('should write Postgres types, quoted identifiers and batched inserts', () => {
+        const sql = new SQLExporter({ dialect: 'postgres', tableName: 'merchants', includeMetadata: false }).generateSQL(rows);
+
+        expect(sql).toContain('DROP TABLE IF EXISTS "merchants";');
+        expect(sql).toContain('"Merchant_Name" TEXT,\n  "price" DOUBLE PRECISION,\n  "orders" BIGINT,\n  "verified" BOOLEAN,\n  "seen" TIMESTAMPTZ');
+        expect(sql).toContain('INSERT INTO "merchants" ("Merchant_Name", "price", "orders", "verified", "seen") VALUES\n  (\'O\'\'Neil\', 129.5, 12, TRUE, \'2026-01-05T08:00:00.000Z\');');
+    });
+
+    test('should keep the SQLite output by default', () => {
+        const sql = new SQLExporter({ tableName: 'merchants', includeMetadata: false }).generateSQL(rows);
+
+        expect(sql).toContain('CREATE TABLE merchants (\n  Merchant_Name TEXT,\n  price REAL,\n  orders INTEGER,\n  verified BOOLEAN,\n  seen DATETIME\n);');
+        expect(sql).toContain("('O''Neil', 129.5, 12, 1, '2026-01-05T08:00:00.000Z')");
+        expect(() => new SQLExporter({ dialect: 'oracle' })).toThrow('Unsupported SQL dialect: oracle');
+    });
+});
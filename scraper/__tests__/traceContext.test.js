@@ -0,0 +1,182 @@
+// scraper/__tests__/traceContext.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger, getGlobalLogger, setGlobalLogger } = require('../enhancedLogger');
+const { generateTraceId, getTraceId, withTrace } = require('../traceContext');
+const { NetworkError } = require('../errorHandling');
+const { DatabaseManager, DataPipeline } = require('../database');
+const { log } = require('../logger');
+const { buildTraceTimeline, formatTraceEvent } = require('../traceTimeline');
+
+function buildMerchant(name, price) {
+    return {
+        'Merchant Name': name,
+        'Price': `${price.toFixed(2)} KES`,
+        'PriceNumeric': price,
+        'Available Amount': '100.00 USDT',
+        'AvailableAmountNumeric': 100,
+        'Limit': '1000.00 - 50000.00 KES',
+        'LimitMin': 1000,
+        'LimitMax': 50000,
+        'Payment Methods': 'M-Pesa'
+    };
+}
+
+const pause = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('Scrape trace context', () => {
+    let entries;
+    let written;
+
+    beforeEach(() => {
+        entries = [];
+        const logger = createLogger();
+        logger.targets = [{ name: 'memory', shouldLog: () => true, write: async (entry) => { entries.push(entry); } }];
+        setGlobalLogger(logger);
+
+        written = [];
+        jest.spyOn(fs, 'appendFileSync').mockImplementation((file, line) => written.push(line));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        setGlobalLogger(null);
+    });
+
+    test('should keep each concurrent scrape on its own trace', async () => {
+        const run = (traceId) => withTrace(traceId, async () => {
+            await pause();
+            const seen = [getTraceId()];
+            await Promise.all([pause(), pause()]);
+            seen.push(getTraceId());
+            return seen;
+        }, { component: 'scraper' });
+
+        const [first, second] = await Promise.all([run('trace-a'), run('trace-b')]);
+
+        expect(first).toEqual(['trace-a', 'trace-a']);
+        expect(second).toEqual(['trace-b', 'trace-b']);
+        expect(getTraceId()).toBeNull();
+        expect(await withTrace(null, async () => getTraceId())).toBeNull();
+        expect(generateTraceId()).toMatch(/^trace-[0-9a-f-]{36}$/);
+    });
+
+    test('should tag log lines, structured entries and scraping errors with the trace', async () => {
+        const error = await withTrace('trace-a', async () => {
+            log('Navigating to market');
+            await getGlobalLogger().info('Extracted 12 merchants', { market: 'USDT-KES-buy' });
+            return new NetworkError('Navigation timeout');
+        });
+        log('Idle');
+
+        expect(written[0]).toMatch(/^\[[^\]]+\] \[trace-a\] INFO: Navigating to market\n$/);
+        expect(written[written.length - 1]).toMatch(/^\[[^\]]+\] INFO: Idle\n$/);
+        expect(entries.map(entry => entry.metadata)).toEqual([expect.objectContaining({ traceId: 'trace-a', market: 'USDT-KES-buy' })]);
+        expect(error.traceId).toBe('trace-a');
+        expect(error.toJSON()).toMatchObject({ traceId: 'trace-a', message: 'Navigation timeout' });
+        expect(new NetworkError('Outside').traceId).toBeNull();
+    });
+
+    test('should store the trace with the scrape session and reassemble its timeline', async () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-'));
+        const logDir = path.join(tmpDir, 'logs');
+        const sessionDir = path.join(tmpDir, 'sessions');
+        fs.mkdirSync(path.join(sessionDir, 'archive'), { recursive: true });
+        const database = new DatabaseManager({ filename: path.join(tmpDir, 'merchants.db') });
+        await database.initialize();
+
+        try {
+            const pipeline = new DataPipeline(database);
+            pipeline.checkAndCreateBackup = jest.fn();
+            const markets = [
+                { market: 'USDT-KES-buy', status: 'success', merchantCount: 2 },
+                { market: 'USDT-KES-sell', status: 'failed', merchantCount: 0, error: 'Selector not found' }
+            ];
+            const result = await withTrace('trace-a', () => pipeline.processData(
+                [buildMerchant('alpha', 130), buildMerchant('beta', 129)],
+                { markets }
+            ));
+            await pipeline.processData([buildMerchant('gamma', 131)]);
+
+            const [session] = await database.getTraceSessions('trace-a');
+            expect(session).toMatchObject({ scrape_id: result.scrapeId, status: 'completed', valid_merchants: 2 });
+            expect(JSON.parse(session.metadata)).toMatchObject({ traceId: 'trace-a' });
+            expect(session.qualityMetrics.length).toBeGreaterThan(0);
+            expect((await database.getTraceSessions(result.scrapeId)).map(row => row.scrape_id)).toEqual([result.scrapeId]);
+            expect(await database.getTraceSessions('trace-b')).toEqual([]);
+
+            // Line prefixes as written by logger.js; the second error belongs to another trace
+            fs.mkdirSync(logDir);
+            fs.writeFileSync(path.join(logDir, 'activity.log'), [
+                '[2026-01-05T08:00:00.000Z] [trace-a] INFO: Starting enhanced scrape operation (trace trace-a)...',
+                '[2026-01-05T08:00:01.000Z] INFO: Health check passed',
+                '[2026-01-05T08:00:02.000Z] [trace-b] INFO: Starting enhanced scrape operation (trace trace-b)...'
+            ].join('\n'));
+            fs.writeFileSync(path.join(logDir, 'errors.log'), [
+                '[2026-01-05T08:00:03.000Z] [trace-a] ERROR: Market USDT-KES-sell failed | Details: Error: Selector not found',
+                '    at extract (scraper/enhanced-scraper.js:10:5)',
+                '[2026-01-05T08:00:04.000Z] [trace-b] ERROR: Navigation timeout | Details: Error: timeout',
+                '    at goto (scraper/enhanced-scraper.js:20:5)'
+            ].join('\n'));
+            fs.writeFileSync(path.join(logDir, 'enhanced.log'), [
+                { id: 'e1', timestamp: '2026-01-05T08:00:02.500Z', level: 'WARN', message: 'Retrying page', metadata: { traceId: 'trace-a', category: 'NETWORK' } },
+                { id: 'e2', timestamp: '2026-01-05T08:00:02.600Z', level: 'WARN', message: 'Retrying page', metadata: { traceId: 'trace-b' } }
+            ].map(entry => `${JSON.stringify(entry)}\n`).join(''));
+            fs.writeFileSync(path.join(logDir, 'errors.json'), [
+                JSON.stringify({ ...new NetworkError('Selector not found', { traceId: 'trace-a' }).toJSON(), timestamp: '2026-01-05T08:00:03.500Z' }),
+                'not json'
+            ].join('\n'));
+            fs.writeFileSync(path.join(sessionDir, 'archive', 'session_1_COMPLETED.json'), JSON.stringify({
+                id: 'session_1',
+                metadata: { traceId: 'trace-0' },
+                tracking: {
+                    stateHistory: [
+                        { state: 'ACTIVE', timestamp: '2026-01-05T07:00:00.000Z', context: {} },
+                        { state: 'ACTIVE', timestamp: '2026-01-05T08:00:00.500Z', context: { resumedFrom: 'cp_1', traceId: 'trace-a' }, previousState: 'RECOVERING' }
+                    ],
+                    checkpoints: [{ id: 'cp_2', timestamp: '2026-01-05T08:00:02.700Z', type: 'MARKET' }],
+                    errors: []
+                }
+            }));
+            fs.writeFileSync(path.join(sessionDir, 'session_2.json'), JSON.stringify({ id: 'session_2', metadata: { traceId: 'trace-b' }, tracking: {} }));
+
+            const timeline = await buildTraceTimeline('trace-a', {
+                logDir,
+                sessionDir,
+                database,
+                deadLetters: [
+                    { id: 'dlq_1', channel: 'webhook', alert: { id: 'alert_1', rule: 'scraper_failure', traceId: 'trace-a' }, error: 'HTTP 502', failedAt: '2026-01-05T08:00:05.000Z' },
+                    { id: 'dlq_2', channel: 'webhook', alert: { id: 'alert_2', rule: 'scraper_failure', traceId: 'trace-b' }, error: 'HTTP 502', failedAt: '2026-01-05T08:00:06.000Z' }
+                ]
+            });
+
+            const fixtureEvents = timeline.events.filter(event => event.timestamp.startsWith('2026-01-05'));
+            expect(fixtureEvents.map(event => `${event.source} ${event.level} ${event.message}`)).toEqual([
+                'session INFO Session session_1 ACTIVE',
+                'activity.log INFO Starting enhanced scrape operation (trace trace-a)...',
+                'session INFO Session session_1 RECOVERING → ACTIVE',
+                'log WARN Retrying page',
+                'session INFO Session session_1 checkpoint cp_2 (MARKET)',
+                'errors.log ERROR Market USDT-KES-sell failed | Details: Error: Selector not found',
+                'errors ERROR NetworkError: Selector not found',
+                'alerts WARN Alert alert_1 (scraper_failure) to webhook dead-lettered: HTTP 502'
+            ]);
+            expect(fixtureEvents[5].details.stack).toBe('    at extract (scraper/enhanced-scraper.js:10:5)');
+
+            const scrapeEvents = timeline.events.filter(event => event.source === 'database');
+            expect(scrapeEvents.map(event => event.message)).toEqual([
+                `Scrape ${result.scrapeId} started`,
+                `Scrape ${result.scrapeId} completed: 2/2 valid merchants, 0 error(s), 1/2 markets`,
+                'Market USDT-KES-sell failed: Selector not found'
+            ]);
+            expect(scrapeEvents[1].details.qualityMetrics).toMatchObject({ data_completeness_rate: expect.any(Number) });
+
+            expect(timeline).toMatchObject({ sessionIds: ['session_1'], scrapeIds: [result.scrapeId], relatedTraces: ['trace-0'] });
+            expect(formatTraceEvent(fixtureEvents[6])).toBe('2026-01-05T08:00:03.500Z ERROR errors       NetworkError: Selector not found');
+        } finally {
+            await database.close();
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,114 @@
+// scraper/__tests__/watchlist.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseWatchlist, buildWatchlist, matchesEntry, getWatchWindow } = require('../watchlist');
+const { saveWatchlistOutput } = require('../filterMerchant');
+
+jest.mock('../logger', () => ({
+    log: jest.fn(),
+    errorLog: jest.fn()
+}));
+
+const page = ['a', 'b', 'CoinFTW', 'c', 'd', 'e'].map((name, i) => ({
+    'Merchant Name': name,
+    'Price': `${130 + i}.00 KES`,
+    'PriceNumeric': 130 + i,
+    'Asset': 'USDT',
+    'Fiat': 'KES',
+    'Side': 'buy'
+}));
+
+describe('Watchlist', () => {
+    test('should parse names, JSON and entry objects', () => {
+        expect(parseWatchlist('alpha, beta').map(entry => entry.name)).toEqual(['alpha', 'beta']);
+
+        const [entry] = parseWatchlist('[{"name":"Rival Co","aliases":["rival"],"window":{"above":2}}]');
+        expect(entry).toEqual({
+            name: 'Rival Co',
+            aliases: ['rival'],
+            caseInsensitive: false,
+            window: { above: 2, below: 1 },
+            output: 'rival-co',
+            primary: false
+        });
+    });
+
+    test('should read a watchlist file and reject bad entries', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlist-'));
+        const file = path.join(tmpDir, 'watchlist.json');
+        fs.writeFileSync(file, JSON.stringify(['alpha', { name: 'beta', window: 0 }]));
+
+        try {
+            expect(parseWatchlist(file).map(entry => entry.window)).toEqual([
+                { above: 1, below: 1 },
+                { above: 0, below: 0 }
+            ]);
+        } finally {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+
+        expect(() => parseWatchlist([{ name: 'x', window: -1 }])).toThrow('Invalid above window');
+        expect(() => parseWatchlist([{ aliases: ['x'] }])).toThrow('need a merchant name');
+    });
+
+    test('should always include the target merchant as the primary entry', () => {
+        expect(buildWatchlist('alpha', 'coinftw').map(entry => [entry.name, entry.primary])).toEqual([
+            ['coinftw', true],
+            ['alpha', false]
+        ]);
+
+        const entries = buildWatchlist([{ name: 'CoinFTW', window: 3 }], 'coinftw');
+        expect(entries).toHaveLength(1);
+        expect(entries[0]).toMatchObject({ name: 'CoinFTW', primary: true, window: { above: 3, below: 3 } });
+    });
+
+    test('should match exact names unless case-insensitive or aliased', () => {
+        const [exact, loose] = parseWatchlist([
+            { name: 'coinftw' },
+            { name: 'coinftw', aliases: ['CFTW'], caseInsensitive: true }
+        ]);
+
+        expect(matchesEntry('CoinFTW', exact)).toBe(false);
+        expect(matchesEntry('CoinFTW', loose)).toBe(true);
+        expect(matchesEntry('cftw', loose)).toBe(true);
+        expect(matchesEntry('coinftw-2', loose)).toBe(false);
+    });
+
+    test('should slice a per-entry neighbour window', () => {
+        const [entry] = parseWatchlist([{ name: 'coinftw', caseInsensitive: true, window: { above: 5, below: 2 } }]);
+        const window = getWatchWindow(page, entry);
+
+        expect(window.position).toBe(3);
+        expect(window.matchedName).toBe('CoinFTW');
+        expect(window.merchants.map(m => m['Merchant Name'])).toEqual(['a', 'b', 'CoinFTW', 'c', 'd']);
+        expect(window.offsets).toEqual([-2, -1, 0, 1, 2]);
+        expect(getWatchWindow(page, parseWatchlist('coinftw')[0])).toBeNull();
+    });
+
+    test('should write per-entry JSON and CSV files with every merchant field', async () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-output-'));
+        const [entry] = parseWatchlist([{ name: 'CoinFTW', output: 'Main Account', window: 0 }]);
+        const row = { Market: 'USDT-KES-buy', Position: 3, Offset: 0, ...page[2], 'Available Amount': '500.00 USDT' };
+
+        try {
+            await saveWatchlistOutput(entry, [{ market: 'USDT-KES-buy', listed: true, position: 3, merchants: [row] }], { scrapeCount: 7 }, {
+                outputDir: tmpDir,
+                formats: ['json', 'csv']
+            });
+
+            const json = JSON.parse(fs.readFileSync(path.join(tmpDir, 'watch-main-account.json'), 'utf8'));
+            expect(json.metadata).toMatchObject({ merchant: 'CoinFTW', scrapeCount: 7, window: { above: 0, below: 0 } });
+            expect(json.metadata.markets).toEqual([{ market: 'USDT-KES-buy', listed: true, position: 3, merchantCount: 1 }]);
+            expect(json.data[0]).toMatchObject(row);
+
+            const lines = fs.readFileSync(path.join(tmpDir, 'watch-main-account.csv'), 'utf8').split('\n').filter(line => line && !line.startsWith('#'));
+            expect(lines[0]).toMatch(/^Market,Position,Offset,Merchant Name,Price,PriceNumeric,/);
+            expect(lines[0]).toContain('Available Amount');
+            expect(lines[1]).toMatch(/^USDT-KES-buy,3,0,CoinFTW,/);
+            expect(lines[1]).toContain('500.00 USDT');
+        } finally {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -5,12 +5,20 @@ const { errorLog, log } = require('./logger');
  * Automatically scroll the page with human-like behavior to ensure that all 
  * dynamically loaded content is rendered while avoiding detection.
  *
+ * Scrolling runs in batches of about `batchTime` ms; `onBatch` is called after
+ * each one with { batch, position, height, totalScrolled, done }, e.g. to
+ * checkpoint the scroll position. `startPosition` first scrolls straight down to
+ * a position an earlier, interrupted run had reached.
+ *
  * @param {puppeteer.Page} page - The Puppeteer page instance.
  * @param {Object} options - Scrolling options
  */
 async function autoScroll(page, options = {}) {
     const {
         maxTime = 15000,
+        batchTime = 3000,
+        startPosition = 0,
+        onBatch = null,
         minScrollDelay = 100,
         maxScrollDelay = 300,
         minPauseDelay = 500,
@@ -23,10 +31,20 @@ async function autoScroll(page, options = {}) {
 
     try {
         log('Starting human-like auto-scroll...');
+        const start = Date.now();
+        
+        if (startPosition > 0) {
+            const reached = await page.evaluate(fastForward, { position: startPosition, maxTime });
+            log(`Resumed auto-scroll at ${Math.round(reached)}px (checkpoint: ${Math.round(startPosition)}px)`);
+        }
+        
+        let state = { totalScrolled: 0, lastHeight: null, consecutiveNoChange: 0, done: false };
+        let batch = 0;
         
-        await page.evaluate(async (opts) => {
-            const {
-                maxTime,
+        while (!state.done && Date.now() - start < maxTime) {
+            state = await page.evaluate(scrollBatch, {
+                batchTime: Math.min(batchTime, maxTime - (Date.now() - start)),
+                state,
                 minScrollDelay,
                 maxScrollDelay,
                 minPauseDelay,
@@ -35,111 +53,164 @@ async function autoScroll(page, options = {}) {
                 variationRange,
                 pauseProbability,
                 reverseScrollProbability
-            } = opts;
-
-            const start = Date.now();
-            let totalScrolled = 0;
-            let lastHeight = document.body.scrollHeight;
-            let consecutiveNoChange = 0;
-
-            const getRandomDelay = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
+            });
+            batch++;
             
-            const humanDelay = (min, max) => new Promise(resolve => 
-                setTimeout(resolve, getRandomDelay(min, max))
-            );
-
-            while (Date.now() - start < maxTime) {
-                // Calculate scroll distance with variation
-                const scrollVariation = (Math.random() - 0.5) * variationRange;
-                let scrollDistance = baseScrollDistance + scrollVariation;
-                
-                // Occasionally scroll in reverse (human-like behavior)
-                if (Math.random() < reverseScrollProbability) {
-                    scrollDistance = -Math.abs(scrollDistance) / 2; // Smaller reverse scrolls
-                    // Reverse scroll
-                    console.log('Reverse scroll');
-                }
-
-                // Perform scroll with easing
-                const steps = 3 + Math.floor(Math.random() * 5); // 3-7 steps
-                const stepDistance = scrollDistance / steps;
-                
-                for (let i = 0; i < steps; i++) {
-                    window.scrollBy(0, stepDistance);
-                    await humanDelay(20, 50); // Smooth scroll steps
-                }
-
-                totalScrolled += Math.abs(scrollDistance);
-
-                // Variable delay between scroll actions
-                await humanDelay(minScrollDelay, maxScrollDelay);
-
-                // Random pauses (human-like reading behavior)
-                if (Math.random() < pauseProbability) {
-                    await humanDelay(minPauseDelay, maxPauseDelay);
-                }
-
-                // Check if we've reached the bottom or if content stopped loading
-                const currentHeight = document.body.scrollHeight;
-                const atBottom = window.innerHeight + window.scrollY >= currentHeight - 10;
-                
-                if (atBottom) {
-                    // Try a few more small scrolls to trigger any lazy loading
-                    for (let i = 0; i < 3; i++) {
-                        window.scrollBy(0, 50);
-                        await humanDelay(200, 400);
-                    }
-                    
-                    // Final check
-                    const finalHeight = document.body.scrollHeight;
-                    if (finalHeight === currentHeight) {
-                        console.log('Reached bottom and no new content loaded');
-                        break;
-                    }
-                }
-
-                // Track content loading progress
-                if (currentHeight === lastHeight) {
-                    consecutiveNoChange++;
-                    if (consecutiveNoChange >= 5) {
-                        console.log('No new content loaded after multiple scrolls');
-                        break;
-                    }
-                } else {
-                    consecutiveNoChange = 0;
-                    lastHeight = currentHeight;
-                }
-            }
-
-            // Scroll back to a random position (human-like)
-            const finalScrollPosition = Math.random() * totalScrolled * 0.3; // Go back 0-30% of scrolled distance
-            if (finalScrollPosition > 0) {
-                window.scrollTo({
-                    top: finalScrollPosition,
-                    behavior: 'smooth'
+            if (onBatch) {
+                await onBatch({
+                    batch,
+                    position: state.position,
+                    height: state.lastHeight,
+                    totalScrolled: state.totalScrolled,
+                    done: state.done
                 });
-                await humanDelay(500, 1000);
             }
+        }
 
-            console.log(`Auto-scroll completed. Total scrolled: ${totalScrolled}px`);
-        }, {
-            maxTime,
-            minScrollDelay,
-            maxScrollDelay,
-            minPauseDelay,
-            maxPauseDelay,
-            baseScrollDistance,
-            variationRange,
-            pauseProbability,
-            reverseScrollProbability
-        });
+        // Scroll back to a random position (human-like)
+        await page.evaluate(scrollBack, { totalScrolled: state.totalScrolled });
 
-        log('Human-like auto-scroll completed successfully');
+        log(`Human-like auto-scroll completed successfully (${batch} batch(es), ${Math.round(state.totalScrolled)}px)`);
     } catch (err) {
         errorLog("Error during auto-scroll:", err);
     }
 }
 
+/**
+ * In the page: scroll for one batch, carrying the loop state across batches.
+ * Returns the state with `done` set once the bottom is reached or content stops loading.
+ */
+async function scrollBatch(opts) {
+    const {
+        batchTime,
+        minScrollDelay,
+        maxScrollDelay,
+        minPauseDelay,
+        maxPauseDelay,
+        baseScrollDistance,
+        variationRange,
+        pauseProbability,
+        reverseScrollProbability
+    } = opts;
+
+    const start = Date.now();
+    let { totalScrolled, lastHeight, consecutiveNoChange } = opts.state;
+    let done = false;
+    if (lastHeight === null) {
+        lastHeight = document.body.scrollHeight;
+    }
+
+    const getRandomDelay = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
+    
+    const humanDelay = (min, max) => new Promise(resolve => 
+        setTimeout(resolve, getRandomDelay(min, max))
+    );
+
+    while (Date.now() - start < batchTime) {
+        // Calculate scroll distance with variation
+        const scrollVariation = (Math.random() - 0.5) * variationRange;
+        let scrollDistance = baseScrollDistance + scrollVariation;
+        
+        // Occasionally scroll in reverse (human-like behavior)
+        if (Math.random() < reverseScrollProbability) {
+            scrollDistance = -Math.abs(scrollDistance) / 2; // Smaller reverse scrolls
+            // Reverse scroll
+            console.log('Reverse scroll');
+        }
+
+        // Perform scroll with easing
+        const steps = 3 + Math.floor(Math.random() * 5); // 3-7 steps
+        const stepDistance = scrollDistance / steps;
+        
+        for (let i = 0; i < steps; i++) {
+            window.scrollBy(0, stepDistance);
+            await humanDelay(20, 50); // Smooth scroll steps
+        }
+
+        totalScrolled += Math.abs(scrollDistance);
+
+        // Variable delay between scroll actions
+        await humanDelay(minScrollDelay, maxScrollDelay);
+
+        // Random pauses (human-like reading behavior)
+        if (Math.random() < pauseProbability) {
+            await humanDelay(minPauseDelay, maxPauseDelay);
+        }
+
+        // Check if we've reached the bottom or if content stopped loading
+        const currentHeight = document.body.scrollHeight;
+        const atBottom = window.innerHeight + window.scrollY >= currentHeight - 10;
+        
+        if (atBottom) {
+            // Try a few more small scrolls to trigger any lazy loading
+            for (let i = 0; i < 3; i++) {
+                window.scrollBy(0, 50);
+                await humanDelay(200, 400);
+            }
+            
+            // Final check
+            const finalHeight = document.body.scrollHeight;
+            if (finalHeight === currentHeight) {
+                console.log('Reached bottom and no new content loaded');
+                done = true;
+                break;
+            }
+        }
+
+        // Track content loading progress
+        if (currentHeight === lastHeight) {
+            consecutiveNoChange++;
+            if (consecutiveNoChange >= 5) {
+                console.log('No new content loaded after multiple scrolls');
+                done = true;
+                break;
+            }
+        } else {
+            consecutiveNoChange = 0;
+            lastHeight = currentHeight;
+        }
+    }
+
+    return { totalScrolled, lastHeight, consecutiveNoChange, done, position: window.scrollY };
+}
+
+/**
+ * In the page: jump down to `position`, waiting for lazily loaded content to
+ * extend the page on the way. Returns the position reached.
+ */
+async function fastForward({ position, maxTime }) {
+    const start = Date.now();
+    let lastHeight = document.body.scrollHeight;
+    let unchanged = 0;
+
+    while (window.scrollY < position - 10 && unchanged < 3 && Date.now() - start < maxTime) {
+        window.scrollTo(0, Math.min(position, document.body.scrollHeight));
+        await new Promise(resolve => setTimeout(resolve, 400));
+
+        const height = document.body.scrollHeight;
+        unchanged = height === lastHeight ? unchanged + 1 : 0;
+        lastHeight = height;
+    }
+
+    return window.scrollY;
+}
+
+/**
+ * In the page: go back 0-30% of the scrolled distance, like a reader would
+ */
+async function scrollBack({ totalScrolled }) {
+    const finalScrollPosition = Math.random() * totalScrolled * 0.3;
+    if (finalScrollPosition > 0) {
+        window.scrollTo({
+            top: finalScrollPosition,
+            behavior: 'smooth'
+        });
+        await new Promise(resolve => setTimeout(resolve, 500 + Math.random() * 500));
+    }
+
+    console.log(`Auto-scroll completed. Total scrolled: ${totalScrolled}px`);
+}
+
 /**
  * Simple scroll function for backwards compatibility
  * @param {puppeteer.Page} page - The Puppeteer page instance.
@@ -0,0 +1,155 @@
+// scraper/backupCrypto.js
+const { createCipheriv, createDecipheriv, createHash, randomBytes, scrypt: scryptCallback } = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(scryptCallback);
+
+/**
+ * Backup encryption: AES-256-GCM under a key derived from a passphrase with
+ * scrypt, a fresh salt and IV per backup.
+ *
+ * Encrypted file layout: MAGIC | salt (16) | iv (12) | auth tag (16) | ciphertext.
+ * The key id is authenticated as additional data, so a backup can't be passed
+ * off as encrypted under another key.
+ */
+const MAGIC = Buffer.from('GPB1');
+const ALGORITHM = 'aes-256-gcm';
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + SALT_LENGTH + IV_LENGTH + TAG_LENGTH;
+const DEFAULT_KEY_ID = 'default';
+
+const KDF_PARAMS = {
+    N: 2 ** 15,
+    r: 8,
+    p: 1
+};
+
+/**
+ * Passphrases by key id, from an object, an array of "id:passphrase" entries or
+ * a comma-separated string of them (as BACKUP_ENCRYPTION_KEYS holds)
+ */
+function parseKeyring(keys) {
+    if (!keys) {
+        return {};
+    }
+
+    if (typeof keys === 'object' && !Array.isArray(keys)) {
+        return { ...keys };
+    }
+
+    const entries = Array.isArray(keys) ? keys : String(keys).split(',');
+    const keyring = {};
+    for (const entry of entries.map(value => String(value).trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        if (separator <= 0 || separator === entry.length - 1) {
+            throw new Error(`Invalid backup encryption key entry (expected id:passphrase): ${entry.slice(0, separator > 0 ? separator : 0)}…`);
+        }
+        keyring[entry.slice(0, separator).trim()] = entry.slice(separator + 1);
+    }
+    return keyring;
+}
+
+function deriveKey(passphrase, salt, params = KDF_PARAMS) {
+    return scrypt(passphrase, salt, 32, { ...params, maxmem: 128 * params.N * params.r * 2 });
+}
+
+/**
+ * Encrypt a buffer; returns { data, encryption } where `encryption` is the
+ * manifest record needed to decrypt it again (never the passphrase)
+ */
+async function encryptBuffer(plaintext, passphrase, keyId = DEFAULT_KEY_ID) {
+    if (!passphrase) {
+        throw new Error(`No passphrase for backup encryption key "${keyId}"`);
+    }
+
+    const salt = randomBytes(SALT_LENGTH);
+    const iv = randomBytes(IV_LENGTH);
+    const key = await deriveKey(passphrase, salt);
+
+    const cipher = createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(keyId));
+    const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return {
+        data: Buffer.concat([MAGIC, salt, iv, cipher.getAuthTag(), encrypted]),
+        encryption: {
+            algorithm: ALGORITHM,
+            kdf: 'scrypt',
+            kdfParams: { ...KDF_PARAMS },
+            keyId
+        }
+    };
+}
+
+/**
+ * Decrypt a buffer written by encryptBuffer; throws when the passphrase is wrong
+ * or the data was tampered with
+ */
+async function decryptBuffer(data, passphrase, encryption = {}) {
+    if (data.length < HEADER_LENGTH || !data.subarray(0, MAGIC.length).equals(MAGIC)) {
+        throw new Error('Not an encrypted backup (unknown format)');
+    }
+
+    const keyId = encryption.keyId || DEFAULT_KEY_ID;
+    let offset = MAGIC.length;
+    const salt = data.subarray(offset, offset += SALT_LENGTH);
+    const iv = data.subarray(offset, offset += IV_LENGTH);
+    const authTag = data.subarray(offset, offset += TAG_LENGTH);
+    const key = await deriveKey(passphrase, salt, encryption.kdfParams || KDF_PARAMS);
+
+    const decipher = createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAAD(Buffer.from(keyId));
+    decipher.setAuthTag(authTag);
+
+    try {
+        return Buffer.concat([decipher.update(data.subarray(offset)), decipher.final()]);
+    } catch {
+        throw new Error(`Backup decryption failed for key "${keyId}" (wrong passphrase or corrupted data)`);
+    }
+}
+
+/**
+ * OpenSSL EVP_BytesToKey (MD5, no salt), which the removed crypto.createCipher
+ * used to turn a password into a key and IV
+ */
+function bytesToKey(password, keyLength, ivLength) {
+    const material = [];
+    let total = 0;
+    let previous = Buffer.alloc(0);
+
+    while (total < keyLength + ivLength) {
+        previous = createHash('md5').update(Buffer.concat([previous, Buffer.from(password)])).digest();
+        material.push(previous);
+        total += previous.length;
+    }
+
+    const bytes = Buffer.concat(material);
+    return { key: bytes.subarray(0, keyLength), iv: bytes.subarray(keyLength, keyLength + ivLength) };
+}
+
+/**
+ * Decrypt a backup written before key ids existed: [unused IV (16) | auth tag (16) | ciphertext],
+ * encrypted by crypto.createCipher('aes-256-gcm', passphrase)
+ */
+function decryptLegacyBuffer(data, passphrase) {
+    const { key, iv } = bytesToKey(passphrase, 32, IV_LENGTH);
+    const decipher = createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAuthTag(data.subarray(16, 32));
+
+    try {
+        return Buffer.concat([decipher.update(data.subarray(32)), decipher.final()]);
+    } catch {
+        throw new Error('Legacy backup decryption failed (wrong passphrase or corrupted data)');
+    }
+}
+
+module.exports = {
+    DEFAULT_KEY_ID,
+    KDF_PARAMS,
+    parseKeyring,
+    encryptBuffer,
+    decryptBuffer,
+    decryptLegacyBuffer
+};
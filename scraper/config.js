@@ -1,5 +1,8 @@
 // scraper/config.js
 require('dotenv').config();
+const path = require('path');
+const { resolveMarkets } = require('./markets');
+const { buildWatchlist } = require('./watchlist');
 
 // Prefer letting Puppeteer use its bundled Chromium. You can override with CHROME_EXECUTABLE env var.
 const chromeExecutablePath = process.env.CHROME_EXECUTABLE || null;
@@ -8,6 +11,55 @@ const TARGET_URL = process.env.TARGET_URL || 'https://www.gate.io/p2p/buy/USDT-K
 const SCRAPE_INTERVAL_MS = Number(process.env.SCRAPE_INTERVAL_MS || 60000);
 const TARGET_MERCHANT = process.env.TARGET_MERCHANT || 'coinftw';
 
+// Comma-separated market list, e.g. "USDT-KES,BTC-NGN:sell". A pair without a side
+// covers both the buy and sell pages. Defaults to the single market behind TARGET_URL.
+const MARKETS = process.env.MARKETS || '';
+
+// Merchants to watch besides TARGET_MERCHANT: comma-separated names, a JSON array
+// of entries, or a path to a .json file holding that array.
+const WATCHLIST = process.env.WATCHLIST || '';
+
+// Save the rendered DOM of every market page so runs can be replayed offline
+const CAPTURE_SNAPSHOTS = process.env.CAPTURE_SNAPSHOTS === 'true';
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(process.cwd(), 'data', 'snapshots');
+
+// "dom" extracts from the rendered page; "network" maps the page's JSON listing
+// responses onto the schema and falls back to the DOM when none are recognised
+const EXTRACTION_MODE = process.env.EXTRACTION_MODE || 'dom';
+// Regex for the listing endpoints recorded in network mode (empty uses LISTING_URL_PATTERN)
+const NETWORK_URL_PATTERN = process.env.NETWORK_URL_PATTERN || '';
+
+// Per-scrape output files: directory and comma-separated formats (json, csv, xml, sql)
+const OUTPUT_DIR = process.env.OUTPUT_DIR || path.join(process.cwd(), 'data');
+const OUTPUT_FORMATS = (process.env.OUTPUT_FORMATS || 'json,csv')
+    .split(',')
+    .map(format => format.trim().toLowerCase())
+    .filter(Boolean);
+const SUPPORTED_OUTPUT_FORMATS = ['json', 'csv', 'xml', 'sql'];
+// Dialect of the .sql output: sqlite, or postgres for loading into a warehouse
+const OUTPUT_SQL_DIALECT = process.env.OUTPUT_SQL_DIALECT || 'sqlite';
+
+// Optional PostgreSQL warehouse every stored scrape is also written to
+const WAREHOUSE_URL = process.env.WAREHOUSE_URL || '';
+const WAREHOUSE_SCHEMA = process.env.WAREHOUSE_SCHEMA || '';
+
+// Outbound request budget per host (e.g. gate.io), shared by every scraper process
+// on this machine through the state file; set RATE_LIMIT_STATE_FILE empty to keep
+// the budget per process
+const RATE_LIMIT_REQUESTS_PER_SECOND = Number(process.env.RATE_LIMIT_REQUESTS_PER_SECOND || 1);
+const RATE_LIMIT_BURST = Number(process.env.RATE_LIMIT_BURST || 5);
+const RATE_LIMIT_STATE_FILE = process.env.RATE_LIMIT_STATE_FILE ?? path.join(process.cwd(), 'data', 'rate-limits', 'limiter-state.db');
+
+// Scrape sessions checkpoint here after every market and scroll batch, so a run
+// interrupted by a crash resumes on the next start; set SESSION_DIR empty to disable
+const SESSION_DIR = process.env.SESSION_DIR ?? path.join(process.cwd(), 'data', 'sessions');
+
+// Order book changes between scrapes of a market are appended to changes.ndjson
+// here, rotated at CHANGES_MAX_FILE_SIZE bytes; set CHANGES_DIR empty to disable
+const CHANGES_DIR = process.env.CHANGES_DIR ?? path.join(process.cwd(), 'data', 'changes');
+const CHANGES_MAX_FILE_SIZE = Number(process.env.CHANGES_MAX_FILE_SIZE || 10 * 1024 * 1024);
+const CHANGES_MAX_FILES = Number(process.env.CHANGES_MAX_FILES || 10);
+
 function validateConfig() {
     try {
         // quick URL validation
@@ -16,6 +68,48 @@ function validateConfig() {
     } catch {
         throw new Error('Invalid TARGET_URL provided in config/env.');
     }
+
+    try {
+        resolveMarkets(MARKETS, TARGET_URL);
+    } catch (error) {
+        throw new Error(`Invalid MARKETS provided in config/env: ${error.message}`);
+    }
+
+    if (!['dom', 'network'].includes(EXTRACTION_MODE)) {
+        throw new Error(`Invalid EXTRACTION_MODE "${EXTRACTION_MODE}" (expected dom or network)`);
+    }
+
+    try {
+        new RegExp(NETWORK_URL_PATTERN);
+    } catch (error) {
+        throw new Error(`Invalid NETWORK_URL_PATTERN "${NETWORK_URL_PATTERN}": ${error.message}`);
+    }
+
+    const unknownFormats = OUTPUT_FORMATS.filter(format => !SUPPORTED_OUTPUT_FORMATS.includes(format));
+    if (unknownFormats.length > 0) {
+        throw new Error(`Invalid OUTPUT_FORMATS "${unknownFormats.join(', ')}" (expected ${SUPPORTED_OUTPUT_FORMATS.join(', ')})`);
+    }
+
+    if (!['sqlite', 'postgres'].includes(OUTPUT_SQL_DIALECT)) {
+        throw new Error(`Invalid OUTPUT_SQL_DIALECT "${OUTPUT_SQL_DIALECT}" (expected sqlite or postgres)`);
+    }
+
+    if (!(RATE_LIMIT_REQUESTS_PER_SECOND > 0) || !(RATE_LIMIT_BURST >= 1)) {
+        throw new Error('Invalid RATE_LIMIT_REQUESTS_PER_SECOND or RATE_LIMIT_BURST (expected a rate above 0 and a burst of at least 1)');
+    }
+
+    try {
+        buildWatchlist(WATCHLIST, TARGET_MERCHANT);
+    } catch (error) {
+        throw new Error(`Invalid WATCHLIST provided in config/env: ${error.message}`);
+    }
+}
+
+/**
+ * Markets to scrape on every run
+ */
+function getMarkets() {
+    return resolveMarkets(MARKETS, TARGET_URL);
 }
 
 module.exports = {
@@ -23,5 +117,24 @@ module.exports = {
     chromeExecutablePath,
     SCRAPE_INTERVAL_MS,
     TARGET_MERCHANT,
+    MARKETS,
+    WATCHLIST,
+    CAPTURE_SNAPSHOTS,
+    SNAPSHOT_DIR,
+    EXTRACTION_MODE,
+    NETWORK_URL_PATTERN,
+    OUTPUT_DIR,
+    OUTPUT_FORMATS,
+    OUTPUT_SQL_DIALECT,
+    WAREHOUSE_URL,
+    WAREHOUSE_SCHEMA,
+    RATE_LIMIT_REQUESTS_PER_SECOND,
+    RATE_LIMIT_BURST,
+    RATE_LIMIT_STATE_FILE,
+    SESSION_DIR,
+    CHANGES_DIR,
+    CHANGES_MAX_FILE_SIZE,
+    CHANGES_MAX_FILES,
+    getMarkets,
     validateConfig,
 };
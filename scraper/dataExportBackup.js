@@ -4,6 +4,14 @@ const path = require('path');
 const crypto = require('crypto');
 const zlib = require('zlib');
 const { promisify } = require('util');
+const { getDialect, formatLiteral } = require('./sqlDialects');
+const {
+    DEFAULT_KEY_ID,
+    parseKeyring,
+    encryptBuffer,
+    decryptBuffer,
+    decryptLegacyBuffer
+} = require('./backupCrypto');
 
 /**
  * Data Export and Backup System
@@ -51,6 +59,38 @@ const COMPRESSION_TYPES = {
     DEFLATE: 'deflate'
 };
 
+/**
+ * Hash of the data itself; export files embed their export time, so two
+ * backups of the same data never have the same file checksum
+ */
+function hashContent(data) {
+    return crypto.createHash('sha256').update(JSON.stringify(data === undefined ? null : data)).digest('hex');
+}
+
+/**
+ * Apply an incremental backup's data on top of what its chain restored so far:
+ * arrays are appended, objects are merged key by key (appending arrays)
+ */
+function mergeBackupData(base, increment) {
+    if (increment === null || increment === undefined) {
+        return base;
+    }
+
+    if (Array.isArray(base) && Array.isArray(increment)) {
+        return base.concat(increment);
+    }
+
+    if (base && typeof base === 'object' && !Array.isArray(base) && typeof increment === 'object' && !Array.isArray(increment)) {
+        const merged = { ...base };
+        for (const [key, value] of Object.entries(increment)) {
+            merged[key] = Array.isArray(merged[key]) && Array.isArray(value) ? merged[key].concat(value) : value;
+        }
+        return merged;
+    }
+
+    return increment;
+}
+
 /**
  * Base Exporter Class
  */
@@ -92,9 +132,17 @@ class BaseExporter {
             format: this.format,
             recordCount: Array.isArray(data) ? data.length : (data ? 1 : 0),
             version: '1.0',
-            generator: 'Gate.io P2P Scraper Data Export System'
+            generator: 'Gate.io P2P Scraper Data Export System',
+            ...this.options.metadata
         };
     }
+
+    /**
+     * Metadata value for text formats that only hold strings (CSV/SQL comments, XML)
+     */
+    formatMetadataValue(value) {
+        return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
 }
 
 /**
@@ -136,11 +184,12 @@ class CSVExporter extends BaseExporter {
     }
 
     async export(data, outputPath) {
-        if (!Array.isArray(data) || data.length === 0) {
+        // With fixed columns an empty export is still a valid file: metadata and header only
+        if (!Array.isArray(data) || (data.length === 0 && !this.options.columns)) {
             throw new Error('CSV export requires an array of objects');
         }
 
-        const headers = this.extractHeaders(data);
+        const headers = this.options.columns || this.extractHeaders(data);
         const csvContent = this.generateCSV(data, headers);
         
         await fs.writeFile(outputPath, csvContent, this.options.encoding);
@@ -173,7 +222,7 @@ class CSVExporter extends BaseExporter {
             const metadata = this.generateMetadata(data);
             csv += `# Export Metadata${this.lineBreak}`;
             for (const [key, value] of Object.entries(metadata)) {
-                csv += `# ${key}: ${value}${this.lineBreak}`;
+                csv += `# ${key}: ${this.formatMetadataValue(value)}${this.lineBreak}`;
             }
             csv += this.lineBreak;
         }
@@ -257,7 +306,7 @@ class XMLExporter extends BaseExporter {
             const metadata = this.generateMetadata(data);
             xml += `${this.indent}<metadata>\n`;
             for (const [key, value] of Object.entries(metadata)) {
-                xml += `${this.indent}${this.indent}<${key}>${this.escapeXML(String(value))}</${key}>\n`;
+                xml += `${this.indent}${this.indent}<${key}>${this.escapeXML(this.formatMetadataValue(value))}</${key}>\n`;
             }
             xml += `${this.indent}</metadata>\n`;
         }
@@ -332,6 +381,8 @@ class XMLExporter extends BaseExporter {
 class SQLExporter extends BaseExporter {
     constructor(options = {}) {
         super(EXPORT_FORMATS.SQL, options);
+        // sqlite (default) or postgres: identifier quoting, column types and literals
+        this.dialect = getDialect(options.dialect);
         this.tableName = options.tableName || 'exported_data';
         this.includeDropTable = options.includeDropTable !== false;
         this.includeCreateTable = options.includeCreateTable !== false;
@@ -362,7 +413,7 @@ class SQLExporter extends BaseExporter {
             const metadata = this.generateMetadata(data);
             sql += '-- Export Metadata\n';
             for (const [key, value] of Object.entries(metadata)) {
-                sql += `-- ${key}: ${value}\n`;
+                sql += `-- ${key}: ${this.formatMetadataValue(value)}\n`;
             }
             sql += '\n';
         }
@@ -372,7 +423,7 @@ class SQLExporter extends BaseExporter {
         
         // Drop table
         if (this.includeDropTable) {
-            sql += `DROP TABLE IF EXISTS ${this.tableName};\n\n`;
+            sql += `DROP TABLE IF EXISTS ${this.dialect.quoteIdentifier(this.tableName)};\n\n`;
         }
         
         // Create table
@@ -433,10 +484,10 @@ class SQLExporter extends BaseExporter {
     }
 
     generateCreateTable(schema) {
-        let sql = `CREATE TABLE ${this.tableName} (\n`;
+        let sql = `CREATE TABLE ${this.dialect.quoteIdentifier(this.tableName)} (\n`;
         
         const columns = Array.from(schema.entries()).map(([name, type]) => {
-            return `  ${this.sanitizeColumnName(name)} ${type}`;
+            return `  ${this.dialect.quoteIdentifier(this.sanitizeColumnName(name))} ${this.dialect.types[type]}`;
         });
         
         sql += columns.join(',\n');
@@ -448,13 +499,13 @@ class SQLExporter extends BaseExporter {
     generateInserts(data, schema) {
         let sql = '';
         const columns = Array.from(schema.keys());
-        const columnNames = columns.map(col => this.sanitizeColumnName(col));
+        const columnNames = columns.map(col => this.dialect.quoteIdentifier(this.sanitizeColumnName(col)));
         
         // Process data in batches
         for (let i = 0; i < data.length; i += this.batchSize) {
             const batch = data.slice(i, i + this.batchSize);
             
-            sql += `INSERT INTO ${this.tableName} (${columnNames.join(', ')}) VALUES\n`;
+            sql += `INSERT INTO ${this.dialect.quoteIdentifier(this.tableName)} (${columnNames.join(', ')}) VALUES\n`;
             
             const values = batch.map(record => {
                 const row = columns.map(col => this.formatSQLValue(record[col]));
@@ -468,25 +519,7 @@ class SQLExporter extends BaseExporter {
     }
 
     formatSQLValue(value) {
-        if (value === null || value === undefined) {
-            return 'NULL';
-        }
-        
-        if (typeof value === 'number') {
-            return String(value);
-        }
-        
-        if (typeof value === 'boolean') {
-            return value ? '1' : '0';
-        }
-        
-        if (value instanceof Date) {
-            return `'${value.toISOString()}'`;
-        }
-        
-        // String values need to be escaped
-        const escaped = String(value).replace(/'/g, "''");
-        return `'${escaped}'`;
+        return formatLiteral(this.dialect, value);
     }
 
     sanitizeColumnName(name) {
@@ -498,6 +531,12 @@ class SQLExporter extends BaseExporter {
 
 /**
  * Backup Manager
+ *
+ * Encrypted backups are written under one key id and passphrase from the
+ * keyring: `encryptionKeys` (id → passphrase) plus a single `encryptionKey`,
+ * which is registered as `encryptionKeyId` or "default". `encryptionKeyId`
+ * picks the key new backups use; older keys stay configured to read old backups
+ * until reencryptBackups() has moved them to the new one.
  */
 class BackupManager {
     constructor(options = {}) {
@@ -506,6 +545,8 @@ class BackupManager {
             compression: options.compression || COMPRESSION_TYPES.GZIP,
             encryption: options.encryption || false,
             encryptionKey: options.encryptionKey || null,
+            encryptionKeys: options.encryptionKeys || null,
+            encryptionKeyId: options.encryptionKeyId || null,
             retentionDays: options.retentionDays || 30,
             maxBackups: options.maxBackups || 100,
             includeMetadata: options.includeMetadata !== false,
@@ -523,6 +564,15 @@ class BackupManager {
 
     /**
      * Create a backup
+     *
+     * Incremental backups (`type: 'incremental'`) hold only what changed since
+     * their parent, `parentId` or else the newest backup of the same `chain`;
+     * differential ones are taken against the newest full backup. Without a
+     * parent they are written as full backups. `cursor` is stored as-is for the
+     * caller to pick up where the last backup stopped.
+     *
+     * An unencrypted backup whose contents match an existing one's (same
+     * format and compression) shares that backup's file instead of writing another.
      */
     async createBackup(data, options = {}) {
         const backupOptions = { ...this.options, ...options };
@@ -540,10 +590,17 @@ class BackupManager {
                 type: backupOptions.type || BACKUP_TYPES.FULL,
                 format: backupOptions.format || EXPORT_FORMATS.JSON,
                 compression: backupOptions.compression,
-                encryption: backupOptions.encryption,
+                encryption: false,
                 recordCount: Array.isArray(data) ? data.length : 1,
                 checksum: null,
                 size: 0,
+                storedSize: 0,
+                file: null,
+                contentHash: backupOptions.encryption ? null : hashContent(data),
+                chain: backupOptions.chain || null,
+                parentId: null,
+                baseId: backupId,
+                chainLength: 1,
                 metadata: {
                     version: '1.0',
                     generator: 'Gate.io P2P Scraper Backup System',
@@ -551,50 +608,80 @@ class BackupManager {
                 }
             };
             
-            // Export data
-            const exporter = this.exporters.get(backupOptions.format);
-            if (!exporter) {
-                throw new Error(`Unsupported export format: ${backupOptions.format}`);
+            if (backupOptions.cursor !== undefined) {
+                manifest.cursor = backupOptions.cursor;
             }
             
-            const tempPath = path.join(backupOptions.backupDirectory, `${backupId}.temp`);
-            const exportResult = await exporter.export(data, tempPath);
-            
-            // Read exported data
-            let backupData = await fs.readFile(tempPath);
-            
-            // Compress if enabled
-            if (backupOptions.compression === COMPRESSION_TYPES.GZIP) {
-                backupData = await gzip(backupData);
-                manifest.originalSize = exportResult.size;
+            // Link incremental and differential backups to the backup they extend
+            if (manifest.type !== BACKUP_TYPES.FULL) {
+                const parent = await this.findParentBackup(manifest.type, backupOptions);
+                if (parent) {
+                    manifest.parentId = parent.id;
+                    manifest.baseId = parent.baseId || parent.id;
+                    manifest.chainLength = (parent.chainLength || 1) + 1;
+                } else {
+                    manifest.type = BACKUP_TYPES.FULL;
+                }
             }
             
-            // Encrypt if enabled
-            if (backupOptions.encryption && backupOptions.encryptionKey) {
-                backupData = await this.encryptData(backupData, backupOptions.encryptionKey);
-            }
+            const duplicate = await this.findDuplicateBackup(manifest, backupOptions);
             
-            // Calculate checksum
-            manifest.checksum = crypto.createHash('sha256').update(backupData).digest('hex');
-            manifest.size = backupData.length;
+            if (duplicate) {
+                // Same contents as an existing backup: point at its file
+                manifest.file = duplicate.file;
+                manifest.deduplicatedFrom = duplicate.id;
+                manifest.encryption = duplicate.encryption;
+                manifest.checksum = duplicate.checksum;
+                manifest.size = duplicate.size;
+                manifest.originalSize = duplicate.originalSize;
+            } else {
+                // Export data
+                const exporter = this.exporters.get(manifest.format);
+                if (!exporter) {
+                    throw new Error(`Unsupported export format: ${manifest.format}`);
+                }
+                
+                const tempPath = path.join(backupOptions.backupDirectory, `${backupId}.temp`);
+                const exportResult = await exporter.export(data, tempPath);
+                
+                // Read exported data
+                let backupData = await fs.readFile(tempPath);
+                
+                // Compress if enabled
+                if (backupOptions.compression === COMPRESSION_TYPES.GZIP) {
+                    backupData = await gzip(backupData);
+                    manifest.originalSize = exportResult.size;
+                }
+                
+                // Encrypt if enabled
+                if (backupOptions.encryption) {
+                    const encrypted = await this.encryptData(backupData, backupOptions);
+                    backupData = encrypted.data;
+                    manifest.encryption = encrypted.encryption;
+                }
+                
+                // Calculate checksum
+                manifest.checksum = crypto.createHash('sha256').update(backupData).digest('hex');
+                manifest.size = backupData.length;
+                manifest.storedSize = backupData.length;
+                manifest.file = `${backupId}.${manifest.format}${backupOptions.compression === COMPRESSION_TYPES.GZIP ? '.gz' : ''}${backupOptions.encryption ? '.enc' : ''}`;
+                
+                // Save backup file
+                await fs.writeFile(path.join(backupOptions.backupDirectory, manifest.file), backupData);
+                
+                // Clean up temp file
+                await fs.unlink(tempPath);
+            }
             
-            // Save backup file
-            const backupPath = path.join(
-                backupOptions.backupDirectory, 
-                `${backupId}.${backupOptions.format}${backupOptions.compression === COMPRESSION_TYPES.GZIP ? '.gz' : ''}${backupOptions.encryption ? '.enc' : ''}`
-            );
-            await fs.writeFile(backupPath, backupData);
+            const backupPath = path.join(backupOptions.backupDirectory, manifest.file);
             
             // Save manifest
             const manifestPath = path.join(backupOptions.backupDirectory, `${backupId}.manifest.json`);
             await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
             
-            // Clean up temp file
-            await fs.unlink(tempPath);
-            
             // Verify backup if enabled
             if (backupOptions.verifyBackups) {
-                const verification = await this.verifyBackup(backupId, backupOptions.backupDirectory);
+                const verification = await this.verifyBackup(backupId, backupOptions.backupDirectory, backupOptions);
                 manifest.verified = verification.valid;
                 manifest.verificationTimestamp = verification.timestamp;
                 
@@ -617,72 +704,76 @@ class BackupManager {
         }
     }
 
+    /**
+     * Backup an incremental or differential backup extends: options.parentId,
+     * else the newest backup of the same chain (the newest full one for a
+     * differential backup)
+     */
+    async findParentBackup(type, options) {
+        const dir = options.backupDirectory;
+        
+        if (options.parentId) {
+            return this.readManifest(options.parentId, dir);
+        }
+        
+        const candidates = (await this.loadManifests(dir))
+            .filter(manifest => (manifest.chain || null) === (options.chain || null))
+            .filter(manifest => type !== BACKUP_TYPES.DIFFERENTIAL || manifest.type === BACKUP_TYPES.FULL);
+        
+        return candidates[0] || null;
+    }
+
+    /**
+     * Existing backup with the same contents, stored the same way. Encrypted
+     * backups are never shared (each gets its own salt and IV), and don't
+     * record a content hash, which would give away when two hold the same data.
+     */
+    async findDuplicateBackup(manifest, options) {
+        if (options.encryption) {
+            return null;
+        }
+        
+        for (const candidate of await this.loadManifests(options.backupDirectory)) {
+            if (candidate.file &&
+                !candidate.encryption &&
+                candidate.contentHash === manifest.contentHash &&
+                candidate.format === manifest.format &&
+                candidate.compression === manifest.compression) {
+                try {
+                    await fs.access(path.join(options.backupDirectory, candidate.file));
+                    return candidate;
+                } catch {
+                    // File gone; write a new one
+                }
+            }
+        }
+        
+        return null;
+    }
+
     /**
      * Restore a backup
+     *
+     * An incremental or differential backup is restored by replaying its chain
+     * from the full backup: arrays are appended, and objects of arrays (one per
+     * table) are appended key by key.
      */
     async restoreBackup(backupId, backupDirectory = null) {
         const dir = backupDirectory || this.options.backupDirectory;
         
         try {
-            // Load manifest
-            const manifestPath = path.join(dir, `${backupId}.manifest.json`);
-            const manifestContent = await fs.readFile(manifestPath, 'utf8');
-            const manifest = JSON.parse(manifestContent);
-            
-            // Find backup file
-            const backupFiles = await fs.readdir(dir);
-            const backupFile = backupFiles.find(file => 
-                file.startsWith(backupId) && 
-                !file.endsWith('.manifest.json') && 
-                !file.endsWith('.temp')
-            );
-            
-            if (!backupFile) {
-                throw new Error(`Backup file not found for ID: ${backupId}`);
-            }
-            
-            const backupPath = path.join(dir, backupFile);
-            let backupData = await fs.readFile(backupPath);
-            
-            // Verify checksum
-            const currentChecksum = crypto.createHash('sha256').update(backupData).digest('hex');
-            if (currentChecksum !== manifest.checksum) {
-                throw new Error('Backup file integrity check failed');
-            }
+            const chain = await this.getBackupChain(backupId, dir);
             
-            // Decrypt if needed
-            if (manifest.encryption && this.options.encryptionKey) {
-                backupData = await this.decryptData(backupData, this.options.encryptionKey);
-            }
-            
-            // Decompress if needed
-            if (manifest.compression === COMPRESSION_TYPES.GZIP) {
-                backupData = await gunzip(backupData);
-            }
-            
-            // Parse based on format
             let restoredData;
-            switch (manifest.format) {
-                case EXPORT_FORMATS.JSON:
-                    const jsonData = JSON.parse(backupData.toString());
-                    restoredData = jsonData.data || jsonData;
-                    break;
-                case EXPORT_FORMATS.CSV:
-                    // For CSV, we would need a CSV parser
-                    throw new Error('CSV restore not implemented');
-                case EXPORT_FORMATS.XML:
-                    // For XML, we would need an XML parser
-                    throw new Error('XML restore not implemented');
-                case EXPORT_FORMATS.SQL:
-                    // For SQL, we would need to execute the SQL
-                    throw new Error('SQL restore not implemented');
-                default:
-                    throw new Error(`Unsupported restore format: ${manifest.format}`);
+            for (const manifest of chain) {
+                const data = await this.readBackupData(manifest, dir);
+                restoredData = restoredData === undefined ? data : mergeBackupData(restoredData, data);
             }
             
             return {
                 data: restoredData,
-                manifest: manifest,
+                manifest: chain[chain.length - 1],
+                chain: chain.map(manifest => manifest.id),
                 success: true
             };
             
@@ -691,6 +782,130 @@ class BackupManager {
         }
     }
 
+    /**
+     * Manifests from the full backup up to `backupId`, oldest first
+     */
+    async getBackupChain(backupId, dir) {
+        const chain = [];
+        const seen = new Set();
+        let manifest = await this.readManifest(backupId, dir);
+        
+        while (manifest) {
+            if (seen.has(manifest.id)) {
+                throw new Error(`Backup chain of ${backupId} loops at ${manifest.id}`);
+            }
+            seen.add(manifest.id);
+            chain.unshift(manifest);
+            
+            if (!manifest.parentId) {
+                break;
+            }
+            
+            try {
+                manifest = await this.readManifest(manifest.parentId, dir);
+            } catch {
+                throw new Error(`Backup chain of ${backupId} is broken: parent ${manifest.parentId} not found`);
+            }
+        }
+        
+        return chain;
+    }
+
+    /**
+     * Read, check and decode the data of a single backup
+     */
+    async readBackupData(manifest, dir) {
+        const backupPath = await this.getBackupFilePath(manifest, dir);
+        if (!backupPath) {
+            throw new Error(`Backup file not found for ID: ${manifest.id}`);
+        }
+        
+        let backupData = await fs.readFile(backupPath);
+        
+        // Verify checksum
+        const currentChecksum = crypto.createHash('sha256').update(backupData).digest('hex');
+        if (currentChecksum !== manifest.checksum) {
+            throw new Error('Backup file integrity check failed');
+        }
+        
+        // Decrypt if needed, with the key the manifest names
+        if (manifest.encryption) {
+            backupData = await this.decryptData(backupData, manifest.encryption);
+        }
+        
+        // Decompress if needed
+        if (manifest.compression === COMPRESSION_TYPES.GZIP) {
+            backupData = await gunzip(backupData);
+        }
+        
+        // Parse based on format
+        switch (manifest.format) {
+            case EXPORT_FORMATS.JSON:
+                const jsonData = JSON.parse(backupData.toString());
+                return jsonData.data || jsonData;
+            case EXPORT_FORMATS.CSV:
+                // For CSV, we would need a CSV parser
+                throw new Error('CSV restore not implemented');
+            case EXPORT_FORMATS.XML:
+                // For XML, we would need an XML parser
+                throw new Error('XML restore not implemented');
+            case EXPORT_FORMATS.SQL:
+                // For SQL, we would need to execute the SQL
+                throw new Error('SQL restore not implemented');
+            default:
+                throw new Error(`Unsupported restore format: ${manifest.format}`);
+        }
+    }
+
+    async readManifest(backupId, dir) {
+        const manifestPath = path.join(dir, `${backupId}.manifest.json`);
+        return JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    }
+
+    /**
+     * Every readable manifest in the directory, newest first
+     */
+    async loadManifests(dir) {
+        await fs.mkdir(dir, { recursive: true });
+        const files = await fs.readdir(dir);
+        const manifests = [];
+        
+        for (const file of files.filter(name => name.endsWith('.manifest.json'))) {
+            const backupId = file.replace('.manifest.json', '');
+            try {
+                manifests.push({ id: backupId, ...await this.readManifest(backupId, dir) });
+            } catch (manifestError) {
+                console.warn(`Failed to read manifest for backup ${backupId}:`, manifestError);
+            }
+        }
+        
+        // Within one millisecond, the later backup of a chain is the longer one
+        manifests.sort((a, b) => (new Date(b.timestamp) - new Date(a.timestamp)) || ((b.chainLength || 1) - (a.chainLength || 1)));
+        return manifests;
+    }
+
+    /**
+     * Path of a backup's data file: the file its manifest names (possibly
+     * another backup's, when deduplicated), else the file starting with its id
+     */
+    async getBackupFilePath(manifest, dir) {
+        if (manifest.file) {
+            try {
+                await fs.access(path.join(dir, manifest.file));
+                return path.join(dir, manifest.file);
+            } catch {
+                return null;
+            }
+        }
+        
+        const backupFile = (await fs.readdir(dir)).find(file =>
+            file.startsWith(manifest.id) &&
+            !file.endsWith('.manifest.json') &&
+            !file.endsWith('.temp')
+        );
+        return backupFile ? path.join(dir, backupFile) : null;
+    }
+
     /**
      * List available backups
      */
@@ -698,41 +913,28 @@ class BackupManager {
         const dir = backupDirectory || this.options.backupDirectory;
         
         try {
-            await fs.mkdir(dir, { recursive: true });
-            const files = await fs.readdir(dir);
-            
-            const manifests = files
-                .filter(file => file.endsWith('.manifest.json'))
-                .map(file => file.replace('.manifest.json', ''));
-            
-            const backups = [];
-            
-            for (const backupId of manifests) {
-                try {
-                    const manifestPath = path.join(dir, `${backupId}.manifest.json`);
-                    const manifestContent = await fs.readFile(manifestPath, 'utf8');
-                    const manifest = JSON.parse(manifestContent);
-                    
-                    backups.push({
-                        id: backupId,
-                        timestamp: manifest.timestamp,
-                        type: manifest.type,
-                        format: manifest.format,
-                        size: manifest.size,
-                        recordCount: manifest.recordCount,
-                        verified: manifest.verified,
-                        compression: manifest.compression,
-                        encryption: manifest.encryption
-                    });
-                } catch (manifestError) {
-                    console.warn(`Failed to read manifest for backup ${backupId}:`, manifestError);
-                }
-            }
+            const manifests = await this.loadManifests(dir);
             
-            // Sort by timestamp (newest first)
-            backups.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-            
-            return backups;
+            return manifests.map(manifest => ({
+                id: manifest.id,
+                timestamp: manifest.timestamp,
+                type: manifest.type,
+                format: manifest.format,
+                size: manifest.size,
+                storedSize: manifest.storedSize !== undefined ? manifest.storedSize : manifest.size,
+                recordCount: manifest.recordCount,
+                verified: manifest.verified,
+                compression: manifest.compression,
+                encryption: Boolean(manifest.encryption),
+                keyId: manifest.encryption ? manifest.encryption.keyId || null : null,
+                file: manifest.file || null,
+                parentId: manifest.parentId || null,
+                baseId: manifest.baseId || manifest.id,
+                chainLength: manifest.chainLength || 1,
+                chain: manifest.chain || null,
+                cursor: manifest.cursor !== undefined ? manifest.cursor : null,
+                deduplicatedFrom: manifest.deduplicatedFrom || null
+            }));
             
         } catch (error) {
             throw new Error(`Failed to list backups: ${error.message}`);
@@ -740,26 +942,21 @@ class BackupManager {
     }
 
     /**
-     * Verify backup integrity
+     * Verify backup integrity. Encrypted backups are also decrypted, which
+     * checks that their key is configured and authenticates the contents.
+     * Incremental backups also need their parent to be present.
      */
-    async verifyBackup(backupId, backupDirectory = null) {
+    async verifyBackup(backupId, backupDirectory = null, options = {}) {
         const dir = backupDirectory || this.options.backupDirectory;
         
         try {
             // Load manifest
-            const manifestPath = path.join(dir, `${backupId}.manifest.json`);
-            const manifestContent = await fs.readFile(manifestPath, 'utf8');
-            const manifest = JSON.parse(manifestContent);
+            const manifest = await this.readManifest(backupId, dir);
             
             // Find backup file
-            const backupFiles = await fs.readdir(dir);
-            const backupFile = backupFiles.find(file => 
-                file.startsWith(backupId) && 
-                !file.endsWith('.manifest.json') && 
-                !file.endsWith('.temp')
-            );
+            const backupPath = await this.getBackupFilePath({ id: backupId, ...manifest }, dir);
             
-            if (!backupFile) {
+            if (!backupPath) {
                 return {
                     valid: false,
                     error: 'Backup file not found',
@@ -767,8 +964,19 @@ class BackupManager {
                 };
             }
             
+            if (manifest.parentId) {
+                try {
+                    await this.readManifest(manifest.parentId, dir);
+                } catch {
+                    return {
+                        valid: false,
+                        error: `Parent backup ${manifest.parentId} not found`,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+            }
+            
             // Check file size
-            const backupPath = path.join(dir, backupFile);
             const stats = await fs.stat(backupPath);
             
             if (stats.size !== manifest.size) {
@@ -795,8 +1003,22 @@ class BackupManager {
                 };
             }
             
+            if (manifest.encryption) {
+                try {
+                    await this.decryptData(backupData, manifest.encryption, { ...this.options, ...options });
+                } catch (decryptError) {
+                    return {
+                        valid: false,
+                        error: decryptError.message,
+                        keyId: manifest.encryption.keyId || null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+            }
+            
             return {
                 valid: true,
+                keyId: manifest.encryption ? manifest.encryption.keyId || null : null,
                 timestamp: new Date().toISOString()
             };
             
@@ -811,13 +1033,32 @@ class BackupManager {
 
     /**
      * Delete a backup
+     *
+     * A backup other backups extend can't be deleted before them, and a data
+     * file shared through deduplication stays until its last backup goes.
      */
     async deleteBackup(backupId, backupDirectory = null) {
         const dir = backupDirectory || this.options.backupDirectory;
         
         try {
+            const manifests = await this.loadManifests(dir);
+            const children = manifests.filter(manifest => manifest.parentId === backupId);
+            if (children.length > 0) {
+                throw new Error(`backup ${backupId} is the parent of ${children.map(child => child.id).join(', ')}`);
+            }
+            
             const files = await fs.readdir(dir);
-            const backupFiles = files.filter(file => file.startsWith(backupId));
+            const manifest = manifests.find(candidate => candidate.id === backupId);
+            let backupFiles;
+            
+            if (manifest && manifest.file) {
+                const shared = manifests.some(other => other.id !== backupId && other.file === manifest.file);
+                backupFiles = files.filter(file =>
+                    file === `${backupId}.manifest.json` || (file === manifest.file && !shared)
+                );
+            } else {
+                backupFiles = files.filter(file => file.startsWith(backupId));
+            }
             
             for (const file of backupFiles) {
                 await fs.unlink(path.join(dir, file));
@@ -835,7 +1076,8 @@ class BackupManager {
     }
 
     /**
-     * Cleanup old backups based on retention policy
+     * Cleanup old backups based on retention policy. Backups that a kept
+     * incremental backup still needs for its restore are kept as well.
      */
     async cleanupOldBackups(options = {}) {
         const cleanupOptions = { ...this.options, ...options };
@@ -862,7 +1104,20 @@ class BackupManager {
             }
             
             // Remove duplicates
-            const uniqueToDelete = [...new Set(toDelete.map(b => b.id))];
+            const deleting = new Set(toDelete.map(b => b.id));
+            
+            // Keep the chains of the backups that stay
+            const byId = new Map(backups.map(backup => [backup.id, backup]));
+            for (const backup of backups.filter(candidate => !deleting.has(candidate.id))) {
+                let parentId = backup.parentId;
+                while (parentId && byId.has(parentId)) {
+                    deleting.delete(parentId);
+                    parentId = byId.get(parentId).parentId;
+                }
+            }
+            
+            // Newest first, so incremental backups go before their parents
+            const uniqueToDelete = backups.filter(backup => deleting.has(backup.id)).map(backup => backup.id);
             
             const deleted = [];
             for (const backupId of uniqueToDelete) {
@@ -885,34 +1140,151 @@ class BackupManager {
         }
     }
 
+    /**
+     * Re-encrypt every encrypted backup under `keyId` (default: the active key).
+     * The keys the backups were written under must still be configured. Backups
+     * already under the key, and unencrypted ones, are skipped.
+     */
+    async reencryptBackups(options = {}) {
+        const reencryptOptions = { ...this.options, ...options };
+        const dir = reencryptOptions.backupDirectory;
+        const keyId = options.keyId || this.getActiveKeyId(reencryptOptions);
+
+        if (!keyId) {
+            throw new Error('No backup encryption key selected (set encryptionKeyId or configure a single key)');
+        }
+        if (!this.getKeyring(reencryptOptions)[keyId]) {
+            throw new Error(`Backup encryption key "${keyId}" is not configured`);
+        }
+
+        const result = { keyId, reencrypted: [], skipped: [], failed: [] };
+
+        for (const backup of await this.listBackups(dir)) {
+            if (!backup.encryption) {
+                result.skipped.push({ id: backup.id, reason: 'not encrypted' });
+            } else if (backup.keyId === keyId) {
+                result.skipped.push({ id: backup.id, reason: 'already under this key' });
+            } else {
+                try {
+                    await this.reencryptBackup(backup.id, dir, { ...reencryptOptions, encryptionKeyId: keyId });
+                    result.reencrypted.push(backup.id);
+                } catch (error) {
+                    result.failed.push({ id: backup.id, error: error.message });
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Decrypt one backup and encrypt it again under options.encryptionKeyId,
+     * replacing the backup file and then its manifest through temporary files
+     */
+    async reencryptBackup(backupId, dir, options) {
+        const manifestPath = path.join(dir, `${backupId}.manifest.json`);
+        const manifest = await this.readManifest(backupId, dir);
+
+        const backupPath = await this.getBackupFilePath({ id: backupId, ...manifest }, dir);
+        if (!backupPath) {
+            throw new Error(`Backup file not found for ID: ${backupId}`);
+        }
+
+        const backupData = await fs.readFile(backupPath);
+        if (crypto.createHash('sha256').update(backupData).digest('hex') !== manifest.checksum) {
+            throw new Error('Backup file integrity check failed');
+        }
+
+        const plaintext = await this.decryptData(backupData, manifest.encryption, options);
+        const encrypted = await this.encryptData(plaintext, options);
+
+        manifest.encryption = encrypted.encryption;
+        manifest.checksum = crypto.createHash('sha256').update(encrypted.data).digest('hex');
+        manifest.size = encrypted.data.length;
+        if (manifest.storedSize !== undefined) {
+            manifest.storedSize = encrypted.data.length;
+        }
+        manifest.reencryptedAt = new Date().toISOString();
+
+        await fs.writeFile(`${backupPath}.temp`, encrypted.data);
+        await fs.writeFile(`${manifestPath}.temp`, JSON.stringify(manifest, null, 2));
+        await fs.rename(`${backupPath}.temp`, backupPath);
+        await fs.rename(`${manifestPath}.temp`, manifestPath);
+
+        return manifest;
+    }
+
+    /**
+     * Passphrases by key id
+     */
+    getKeyring(options = this.options) {
+        const keyring = parseKeyring(options.encryptionKeys);
+        if (options.encryptionKey) {
+            const keyId = options.encryptionKeyId || DEFAULT_KEY_ID;
+            keyring[keyId] = keyring[keyId] || options.encryptionKey;
+        }
+        return keyring;
+    }
+
+    /**
+     * Key id new backups are encrypted under: encryptionKeyId, else the only configured key
+     */
+    getActiveKeyId(options = this.options) {
+        if (options.encryptionKeyId) {
+            return options.encryptionKeyId;
+        }
+
+        const keyIds = Object.keys(this.getKeyring(options));
+        return keyIds.length === 1 ? keyIds[0] : null;
+    }
+
     /**
      * Encryption helpers
      */
-    async encryptData(data, key) {
-        const algorithm = 'aes-256-gcm';
-        const iv = crypto.randomBytes(16);
-        const cipher = crypto.createCipher(algorithm, key);
-        
-        const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
-        const authTag = cipher.getAuthTag();
-        
-        return Buffer.concat([iv, authTag, encrypted]);
+    async encryptData(data, options = this.options) {
+        const keyId = this.getActiveKeyId(options);
+        if (!keyId) {
+            throw new Error('No backup encryption key selected (set encryptionKeyId or configure a single key)');
+        }
+
+        const passphrase = this.getKeyring(options)[keyId];
+        if (!passphrase) {
+            throw new Error(`Backup encryption key "${keyId}" is not configured`);
+        }
+
+        return encryptBuffer(data, passphrase, keyId);
     }
 
-    async decryptData(encryptedData, key) {
-        const algorithm = 'aes-256-gcm';
-        const iv = encryptedData.slice(0, 16);
-        const authTag = encryptedData.slice(16, 32);
-        const encrypted = encryptedData.slice(32);
-        
-        const decipher = crypto.createDecipher(algorithm, key);
-        decipher.setAuthTag(authTag);
-        
-        return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+    async decryptData(encryptedData, encryption, options = this.options) {
+        const keyring = this.getKeyring(options);
+
+        // Backups from before key ids record `encryption: true`; try every key
+        if (encryption === true) {
+            for (const passphrase of Object.values(keyring)) {
+                try {
+                    return decryptLegacyBuffer(encryptedData, passphrase);
+                } catch {
+                    // Not this key
+                }
+            }
+            throw new Error('None of the configured keys decrypts this legacy encrypted backup');
+        }
+
+        const keyId = encryption.keyId || DEFAULT_KEY_ID;
+        if (!keyring[keyId]) {
+            throw new Error(`Backup encryption key "${keyId}" is not configured`);
+        }
+
+        return decryptBuffer(encryptedData, keyring[keyId], encryption);
     }
 
     /**
      * Get backup statistics
+     *
+     * `totalSize` counts each stored file once. `spaceSaved.deduplication` is
+     * the size of the backups that share another's file, and
+     * `spaceSaved.incremental` estimates what incremental backups saved as the
+     * size of the chain each one would otherwise have had to repeat.
      */
     async getBackupStatistics(backupDirectory = null) {
         try {
@@ -920,15 +1292,26 @@ class BackupManager {
             
             const stats = {
                 totalBackups: backups.length,
-                totalSize: backups.reduce((sum, backup) => sum + backup.size, 0),
+                totalSize: 0,
                 byFormat: {},
                 byType: {},
                 oldestBackup: null,
                 newestBackup: null,
                 verified: 0,
-                unverified: 0
+                unverified: 0,
+                chains: [],
+                longestChain: 0,
+                spaceSaved: {
+                    deduplication: 0,
+                    incremental: 0,
+                    total: 0
+                }
             };
             
+            const byId = new Map(backups.map(backup => [backup.id, backup]));
+            const storedFiles = new Map();
+            const chains = new Map();
+            
             for (const backup of backups) {
                 // Count by format
                 stats.byFormat[backup.format] = (stats.byFormat[backup.format] || 0) + 1;
@@ -942,8 +1325,30 @@ class BackupManager {
                 } else {
                     stats.unverified++;
                 }
+                
+                // Stored bytes, once per file
+                storedFiles.set(backup.file || backup.id, backup.size || 0);
+                if (backup.deduplicatedFrom) {
+                    stats.spaceSaved.deduplication += backup.size || 0;
+                }
+                
+                // Chains, by the full backup they start from
+                const chain = chains.get(backup.baseId) || { baseId: backup.baseId, length: 0, latestId: backup.id };
+                chain.length = Math.max(chain.length, backup.chainLength);
+                chains.set(backup.baseId, chain);
+                
+                let parentId = backup.parentId;
+                while (parentId && byId.has(parentId)) {
+                    stats.spaceSaved.incremental += byId.get(parentId).size || 0;
+                    parentId = byId.get(parentId).parentId;
+                }
             }
             
+            stats.totalSize = [...storedFiles.values()].reduce((sum, size) => sum + size, 0);
+            stats.chains = [...chains.values()];
+            stats.longestChain = stats.chains.reduce((longest, chain) => Math.max(longest, chain.length), 0);
+            stats.spaceSaved.total = stats.spaceSaved.deduplication + stats.spaceSaved.incremental;
+            
             if (backups.length > 0) {
                 stats.oldestBackup = backups[backups.length - 1];
                 stats.newestBackup = backups[0];
@@ -1061,6 +1466,7 @@ class ScheduledBackupManager {
             
             // Create backup
             const result = await this.backupManager.createBackup(data, {
+                chain: name,
                 ...schedule.options,
                 metadata: {
                     scheduledBackup: name,
@@ -1133,5 +1539,7 @@ module.exports = {
     SQLExporter,
     EXPORT_FORMATS,
     BACKUP_TYPES,
-    COMPRESSION_TYPES
+    COMPRESSION_TYPES,
+    hashContent,
+    mergeBackupData
 };
@@ -1,64 +1,111 @@
 // scraper/dataSaver.js
-const fs = require('fs');
+const fs = require('fs').promises;
 const path = require('path');
 const {log, errorLog} = require('./logger');
+const { OUTPUT_DIR, OUTPUT_FORMATS, OUTPUT_SQL_DIALECT } = require('./config');
+const { MERCHANT_EXPORT_COLUMNS } = require('./schema');
+const {
+    JSONExporter,
+    CSVExporter,
+    XMLExporter,
+    SQLExporter,
+    EXPORT_FORMATS
+} = require('./dataExportBackup');
 
-function ensureDir(dir) {
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-    }
-}
+/**
+ * Exporter for each per-scrape output format
+ */
+const EXPORTERS = {
+    [EXPORT_FORMATS.JSON]: (options) => new JSONExporter(options),
+    [EXPORT_FORMATS.CSV]: (options) => new CSVExporter(options),
+    [EXPORT_FORMATS.XML]: (options) => new XMLExporter({ rootElement: 'export', recordElement: 'merchant', ...options }),
+    [EXPORT_FORMATS.SQL]: (options) => new SQLExporter(options)
+};
 
-function csvEscape(value) {
-    if (value == null) return '';
-    const str = String(value).replace(/"/g, '""');
-    return `"${str}"`;
+/**
+ * One record with exactly the given columns, in order; missing fields become null
+ */
+function toExportRow(record, columns) {
+    return Object.fromEntries(columns.map(column => [column, record[column] ?? null]));
 }
 
 /**
- * Save data to a JSON file.
- *
- * @param {Array} data - The merchant data to save.
+ * Let the exporter write to a temporary file next to the target, then rename it
+ * into place, so readers see either the previous file or the complete new one.
  */
-function saveToJson (data) {
+async function exportAtomically(exporter, rows, filePath) {
+    const tempPath = `${filePath}.${process.pid}-${Date.now()}.tmp`;
+
     try {
-        const dataDir = path.join(__dirname, '../data');
-        ensureDir(dataDir);
-        const filePath = path.join(dataDir, 'gateio_p2p_merchants.json');
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
-        log(`Data successfully saved to JSON: ${ filePath } (records=${data.length})`);
-    } catch (err) {
-        errorLog("Error saving data to JSON:", err);
+        const result = await exporter.export(rows, tempPath);
+        await fs.rename(tempPath, filePath);
+        return { ...result, path: filePath };
+    } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
     }
 }
 
 /**
- * Save data to a CSV file.
+ * Write records to <outputDir>/<baseName>.<format> for each format.
+ * Every format carries the same rows (the given columns) and the same metadata header.
  *
- * @param {Array} data - The merchant data to save.
+ * @param {Array} records - Records to export.
+ * @param {Object} options - { baseName, outputDir, formats, columns, metadata, tableName, sqlDialect }
+ * @returns {Array} One { format, path, size, recordCount } or { format, error } per format.
  */
-function saveToCsv (data) {
-    try {
-        const dataDir = path.join(__dirname, '../data');
-        ensureDir(dataDir);
-        const filePath = path.join(dataDir, 'gateio_p2p_merchants.csv');
-        const csvHeader = "Merchant Name,Price,Size/Limit,Discount\n";
-        const csvRows = data
-            .map((row) =>
-                [row['Merchant Name'], row.Price, row['Size/Limit'], row.Discount]
-                    .map(csvEscape)
-                    .join(',')
-            )
-            .join("\n");
+async function saveExports(records, options = {}) {
+    const {
+        baseName,
+        outputDir = OUTPUT_DIR,
+        formats = OUTPUT_FORMATS,
+        columns = MERCHANT_EXPORT_COLUMNS,
+        metadata = {},
+        tableName = 'merchants',
+        sqlDialect = OUTPUT_SQL_DIALECT
+    } = options;
 
-        fs.writeFileSync(filePath, csvHeader + csvRows, 'utf8');
-        log(`Data successfully saved to CSV: ${ filePath } (records=${data.length})`);
-    } catch (err) {
-        errorLog("Error saving data to CSV:", err);
+    const rows = records.map(record => toExportRow(record, columns));
+    const results = [];
+
+    await fs.mkdir(outputDir, { recursive: true });
+
+    for (const format of formats) {
+        const filePath = path.join(outputDir, `${baseName}.${format}`);
+
+        try {
+            if (!EXPORTERS[format]) {
+                throw new Error(`Unsupported export format: ${format}`);
+            }
+            if (format === EXPORT_FORMATS.SQL && rows.length === 0) {
+                log(`Skipped ${filePath}: nothing to insert`);
+                continue;
+            }
+
+            const exporter = EXPORTERS[format]({ columns, metadata, tableName, dialect: sqlDialect });
+            results.push(await exportAtomically(exporter, rows, filePath));
+        } catch (error) {
+            errorLog(`Error saving ${filePath}:`, error);
+            results.push({ format, path: filePath, error: error.message });
+        }
     }
+
+    const written = results.filter(result => !result.error).map(result => path.basename(result.path));
+    log(`Saved ${baseName} (records=${rows.length}): ${written.join(', ') || 'no files written'}`);
+    return results;
+}
+
+/**
+ * Save the merchants of one scrape to gateio_p2p_merchants.<format>
+ *
+ * @param {Array} data - The merchant data to save.
+ * @param {Object} options - saveExports options; baseName defaults to gateio_p2p_merchants.
+ */
+function saveMerchantData(data, options = {}) {
+    return saveExports(data, { baseName: 'gateio_p2p_merchants', ...options });
 }
 
 module.exports = {
-    saveToJson,
-    saveToCsv
+    saveExports,
+    saveMerchantData
 };
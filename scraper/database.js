@@ -3,6 +3,20 @@ const fs = require('fs');
 const path = require('path');
 const { errorLog, log } = require('./logger');
 const { validateMerchants, generateScrapeId } = require('./schema');
+const { AGGREGATE_INTERVALS, DEFAULT_TOP_N, toPricePoint } = require('./priceAggregates');
+const { getMerchantKey, getListingValues, diffListing, buildMarketProfiles } = require('./merchantProfile');
+const { MigrationRunner } = require('./migrations');
+const {
+    StorageAdapter,
+    MERCHANT_ROW_COLUMNS,
+    VALIDATION_ERROR_COLUMNS,
+    toMerchantRow,
+    toValidationErrorRows
+} = require('./storageAdapter');
+const { PostgresAdapter } = require('./postgresAdapter');
+const { BackupManager, BACKUP_TYPES } = require('./dataExportBackup');
+const { parseKeyring } = require('./backupCrypto');
+const { getTraceId } = require('./traceContext');
 
 // Dynamic import for sqlite3 to avoid ESLint extraneous dependency warning
 let sqlite3;
@@ -21,6 +35,9 @@ const DB_CONFIG = {
     mode: sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE,
     backupInterval: 24 * 60 * 60 * 1000, // 24 hours
     maxBackups: 7, // Keep 7 days of backups
+    backupMode: 'file', // 'file' copies of the whole database, or 'incremental' session backups
+    fullBackupEvery: 7, // Session backups per chain: one full, then incremental ones
+    backupEncryption: null, // { keys, keyId } (storage.backup.encryption): encrypts session backups when a key is set
     pragmas: {
         journal_mode: 'WAL',
         synchronous: 'NORMAL',
@@ -30,110 +47,36 @@ const DB_CONFIG = {
 };
 
 /**
- * Database table schemas
+ * Tables backed up with the scrape session their rows belong to
  */
-const TABLE_SCHEMAS = {
-    merchants: `
-        CREATE TABLE IF NOT EXISTS merchants (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            scrape_id TEXT NOT NULL,
-            merchant_name TEXT NOT NULL,
-            price TEXT NOT NULL,
-            price_numeric REAL NOT NULL,
-            available_amount TEXT NOT NULL,
-            available_amount_numeric REAL NOT NULL,
-            limit_range TEXT NOT NULL,
-            limit_min REAL NOT NULL,
-            limit_max REAL NOT NULL,
-            payment_methods TEXT,
-            completion_rate REAL,
-            orders INTEGER,
-            avg_pay_time TEXT,
-            avg_release_time TEXT,
-            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-            source TEXT NOT NULL DEFAULT 'gate.io',
-            schema_version TEXT NOT NULL DEFAULT '1.0.0',
-            raw_data TEXT,
-            UNIQUE(scrape_id, merchant_name)
-        )
-    `,
-    
-    scrape_sessions: `
-        CREATE TABLE IF NOT EXISTS scrape_sessions (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            scrape_id TEXT UNIQUE NOT NULL,
-            start_time DATETIME NOT NULL,
-            end_time DATETIME,
-            status TEXT NOT NULL CHECK(status IN ('running', 'completed', 'failed')),
-            total_merchants INTEGER DEFAULT 0,
-            valid_merchants INTEGER DEFAULT 0,
-            invalid_merchants INTEGER DEFAULT 0,
-            errors_count INTEGER DEFAULT 0,
-            warnings_count INTEGER DEFAULT 0,
-            source TEXT NOT NULL DEFAULT 'gate.io',
-            version TEXT NOT NULL,
-            metadata TEXT,
-            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
-        )
-    `,
-    
-    validation_errors: `
-        CREATE TABLE IF NOT EXISTS validation_errors (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            scrape_id TEXT NOT NULL,
-            merchant_index INTEGER NOT NULL,
-            field_name TEXT NOT NULL,
-            rule_type TEXT NOT NULL,
-            error_message TEXT NOT NULL,
-            field_value TEXT,
-            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (scrape_id) REFERENCES scrape_sessions(scrape_id)
-        )
-    `,
-    
-    data_quality_metrics: `
-        CREATE TABLE IF NOT EXISTS data_quality_metrics (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            scrape_id TEXT NOT NULL,
-            metric_name TEXT NOT NULL,
-            metric_value REAL NOT NULL,
-            metric_unit TEXT,
-            calculated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (scrape_id) REFERENCES scrape_sessions(scrape_id)
-        )
-    `
-};
+const SESSION_BACKUP_TABLES = ['merchants', 'merchant_ranks', 'validation_errors', 'data_quality_metrics', 'merchant_changes'];
 
 /**
- * Database indexes for performance
+ * Tables that aren't per scrape (merchant history state, applied migrations):
+ * every session backup holds a full copy, and a chain restores the latest one
  */
-const INDEXES = [
-    'CREATE INDEX IF NOT EXISTS idx_merchants_scrape_id ON merchants(scrape_id)',
-    'CREATE INDEX IF NOT EXISTS idx_merchants_created_at ON merchants(created_at)',
-    'CREATE INDEX IF NOT EXISTS idx_merchants_price_numeric ON merchants(price_numeric)',
-    'CREATE INDEX IF NOT EXISTS idx_merchants_merchant_name ON merchants(merchant_name)',
-    'CREATE INDEX IF NOT EXISTS idx_scrape_sessions_status ON scrape_sessions(status)',
-    'CREATE INDEX IF NOT EXISTS idx_scrape_sessions_created_at ON scrape_sessions(created_at)',
-    'CREATE INDEX IF NOT EXISTS idx_validation_errors_scrape_id ON validation_errors(scrape_id)',
-    'CREATE INDEX IF NOT EXISTS idx_validation_errors_field_name ON validation_errors(field_name)',
-    'CREATE INDEX IF NOT EXISTS idx_data_quality_metrics_scrape_id ON data_quality_metrics(scrape_id)'
-];
+const SNAPSHOT_BACKUP_TABLES = ['merchant_identities', 'merchant_listings', 'schema_migrations'];
+const SESSION_BACKUP_CHAIN = 'sessions';
 
 /**
- * Database connection manager
+ * Database connection manager: the default (SQLite) storage adapter
  */
-class DatabaseManager {
+class DatabaseManager extends StorageAdapter {
     constructor(config = DB_CONFIG) {
-        this.config = config;
+        super();
+        // Fill in connection mode, pragmas and backup settings the caller omitted
+        this.config = { ...DB_CONFIG, ...config };
         this.db = null;
         this.isConnected = false;
         this.lastBackup = null;
     }
 
     /**
-     * Initialize database connection and schema
+     * Initialize database connection and bring the schema up to date.
+     * With `dryRun` the pending migrations are only reported, not applied.
+     * Returns the migration report.
      */
-    async initialize() {
+    async initialize(options = {}) {
         try {
             // Ensure data directory exists
             const dbDir = path.dirname(this.config.filename);
@@ -148,10 +91,10 @@ class DatabaseManager {
             
             // Configure database
             await this.configurePragmas();
-            await this.createTables();
-            await this.createIndexes();
+            const report = await this.migrate(options);
             
             log('Database initialization complete');
+            return report;
 
         } catch (error) {
             errorLog('Database initialization error', error);
@@ -200,46 +143,37 @@ class DatabaseManager {
     }
 
     /**
-     * Create database tables
+     * Apply pending schema migrations (see scraper/migrations.js)
      */
-    async createTables() {
-        const tablePromises = Object.entries(TABLE_SCHEMAS).map(([tableName, schema]) => {
-            return new Promise((resolve, reject) => {
-                this.db.run(schema, (err) => {
-                    if (err) {
-                        errorLog(`Failed to create table ${tableName}`, err);
-                        reject(err);
-                    } else {
-                        log(`Table '${tableName}' created/verified`);
-                        resolve();
-                    }
-                });
-            });
-        });
-
-        await Promise.all(tablePromises);
-        log('Database tables created/verified');
+    async migrate(options = {}) {
+        return new MigrationRunner(this).run(options);
     }
 
     /**
-     * Create database indexes
+     * Promise wrappers for single statements
      */
-    async createIndexes() {
-        const indexPromises = INDEXES.map((indexSql) => {
-            return new Promise((resolve, reject) => {
-                this.db.run(indexSql, (err) => {
-                    if (err) {
-                        errorLog('Failed to create index', err);
-                        reject(err);
-                    } else {
-                        resolve();
-                    }
-                });
+    runStatement(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ lastID: this.lastID, changes: this.changes });
+                }
             });
         });
+    }
+
+    getRow(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row || null)));
+        });
+    }
 
-        await Promise.all(indexPromises);
-        log('Database indexes created/verified');
+    getRows(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
     }
 
     /**
@@ -248,12 +182,17 @@ class DatabaseManager {
     async startScrapeSession(metadata = {}) {
         const scrapeId = generateScrapeId();
         const startTime = new Date().toISOString();
+        // Per-market outcomes get their own column so they can be queried directly
+        const { markets, ...sessionMetadata } = metadata;
+        // Replayed snapshots count at their capture time
+        const capturedAt = metadata.capturedAt ? new Date(metadata.capturedAt) : null;
+        const scrapedAt = capturedAt && !Number.isNaN(capturedAt.getTime()) ? capturedAt.toISOString() : startTime;
         
         return new Promise((resolve, reject) => {
             const stmt = this.db.prepare(`
                 INSERT INTO scrape_sessions 
-                (scrape_id, start_time, status, source, version, metadata) 
-                VALUES (?, ?, 'running', ?, ?, ?)
+                (scrape_id, start_time, status, source, version, metadata, markets, scraped_at) 
+                VALUES (?, ?, 'running', ?, ?, ?, ?, ?)
             `);
             
             stmt.run([
@@ -261,7 +200,9 @@ class DatabaseManager {
                 startTime,
                 metadata.source || 'gate.io',
                 metadata.version || '1.0.0',
-                JSON.stringify(metadata)
+                JSON.stringify(sessionMetadata),
+                markets ? JSON.stringify(markets) : null,
+                scrapedAt
             ], function(err) {
                 if (err) {
                     errorLog('Failed to start scrape session', err);
@@ -327,10 +268,12 @@ class DatabaseManager {
                 WHERE scrape_id = ?
             `);
             
+            const traceId = getTraceId();
             const errorMetadata = JSON.stringify({
                 error: error.message,
                 stack: error.stack,
-                timestamp: endTime
+                timestamp: endTime,
+                ...(traceId && { traceId })
             });
             
             stmt.run([endTime, errorMetadata, scrapeId], function(err) {
@@ -360,14 +303,8 @@ class DatabaseManager {
         let skipped = 0;
 
         const stmt = this.db.prepare(`
-            INSERT OR REPLACE INTO merchants (
-                scrape_id, merchant_name, price, price_numeric,
-                available_amount, available_amount_numeric,
-                limit_range, limit_min, limit_max,
-                payment_methods, completion_rate, orders,
-                avg_pay_time, avg_release_time, source,
-                schema_version, raw_data
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            INSERT OR REPLACE INTO merchants (${MERCHANT_ROW_COLUMNS.join(', ')})
+            VALUES (${MERCHANT_ROW_COLUMNS.map(() => '?').join(', ')})
         `);
 
         return new Promise((resolve, reject) => {
@@ -375,27 +312,7 @@ class DatabaseManager {
                 this.db.run('BEGIN TRANSACTION');
 
                 for (const record of validationResults.validRecords) {
-                    const merchant = record.data;
-                    
-                    stmt.run([
-                        scrapeId,
-                        merchant['Merchant Name'],
-                        merchant['Price'],
-                        merchant['PriceNumeric'],
-                        merchant['Available Amount'],
-                        merchant['AvailableAmountNumeric'],
-                        merchant['Limit'],
-                        merchant['LimitMin'],
-                        merchant['LimitMax'],
-                        merchant['Payment Methods'] || null,
-                        merchant['Completion Rate'] || null,
-                        merchant['Orders'] || null,
-                        merchant['Avg Pay Time'] || null,
-                        merchant['Avg Release Time'] || null,
-                        'gate.io',
-                        '1.0.0',
-                        JSON.stringify(merchant)
-                    ], function(err) {
+                    stmt.run(toMerchantRow(scrapeId, record.data), function(err) {
                         if (err) {
                             if (err.code === 'SQLITE_CONSTRAINT') {
                                 skipped++;
@@ -432,9 +349,8 @@ class DatabaseManager {
         }
 
         const stmt = this.db.prepare(`
-            INSERT INTO validation_errors 
-            (scrape_id, merchant_index, field_name, rule_type, error_message, field_value)
-            VALUES (?, ?, ?, ?, ?, ?)
+            INSERT INTO validation_errors (${VALIDATION_ERROR_COLUMNS.join(', ')})
+            VALUES (${VALIDATION_ERROR_COLUMNS.map(() => '?').join(', ')})
         `);
 
         let inserted = 0;
@@ -443,23 +359,14 @@ class DatabaseManager {
             this.db.serialize(() => {
                 this.db.run('BEGIN TRANSACTION');
 
-                for (const record of validationResults.invalidRecords) {
-                    for (const error of record.validation.errors) {
-                        stmt.run([
-                            scrapeId,
-                            record.index,
-                            error.field,
-                            error.rule,
-                            error.message,
-                            String(error.value)
-                        ], function(err) {
-                            if (err) {
-                                errorLog('Failed to insert validation error', err);
-                            } else {
-                                inserted++;
-                            }
-                        });
-                    }
+                for (const row of toValidationErrorRows(scrapeId, validationResults)) {
+                    stmt.run(row, function(err) {
+                        if (err) {
+                            errorLog('Failed to insert validation error', err);
+                        } else {
+                            inserted++;
+                        }
+                    });
                 }
 
                 this.db.run('COMMIT', (err) => {
@@ -477,6 +384,431 @@ class DatabaseManager {
         });
     }
 
+    /**
+     * Insert the data quality metrics of a scrape
+     */
+    async insertDataQualityMetrics(scrapeId, metrics) {
+        for (const metric of metrics) {
+            await this.runStatement(`
+                INSERT INTO data_quality_metrics 
+                (scrape_id, metric_name, metric_value, metric_unit)
+                VALUES (?, ?, ?, ?)
+            `, [scrapeId, metric.name, metric.value, metric.unit]);
+        }
+
+        return { inserted: metrics.length };
+    }
+
+    /**
+     * Insert the tracked merchant's rank in each market for a scrape
+     */
+    async insertMerchantRanks(scrapeId, ranks) {
+        if (ranks.length === 0) {
+            return { inserted: 0 };
+        }
+
+        const stmt = this.db.prepare(`
+            INSERT OR REPLACE INTO merchant_ranks (
+                scrape_id, merchant_name, asset, fiat, side,
+                rank, total_merchants, price_numeric,
+                best_price, best_merchant, gap_to_best,
+                above_merchant, gap_to_above, below_merchant, gap_to_below
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        let inserted = 0;
+
+        return new Promise((resolve, reject) => {
+            this.db.serialize(() => {
+                this.db.run('BEGIN TRANSACTION');
+
+                for (const rank of ranks) {
+                    stmt.run([
+                        scrapeId,
+                        rank.merchantName,
+                        rank.asset,
+                        rank.fiat,
+                        rank.side,
+                        rank.rank,
+                        rank.totalMerchants,
+                        rank.price,
+                        rank.bestPrice,
+                        rank.bestMerchant,
+                        rank.gapToBest,
+                        rank.aboveMerchant,
+                        rank.gapToAbove,
+                        rank.belowMerchant,
+                        rank.gapToBelow
+                    ], function(err) {
+                        if (err) {
+                            errorLog('Failed to insert merchant rank', err);
+                        } else {
+                            inserted++;
+                        }
+                    });
+                }
+
+                this.db.run('COMMIT', (err) => {
+                    if (err) {
+                        errorLog('Failed to commit merchant ranks', err);
+                        reject(err);
+                    } else {
+                        log(`Inserted ${inserted} merchant rank records`);
+                        resolve({ inserted });
+                    }
+                });
+            });
+
+            stmt.finalize();
+        });
+    }
+
+    /**
+     * Update the merchant dimension from one scrape: first/last seen per merchant and
+     * per market, and a merchant_changes row for every tracked field that changed
+     * since the merchant's previous listing in that market.
+     * Observations older than the stored listing (replayed backfills) only move first seen back.
+     */
+    async recordMerchantHistory(scrapeId, merchants, seenAt = new Date().toISOString()) {
+        await this.runStatement('BEGIN TRANSACTION');
+        try {
+            const result = await this.applyMerchantHistory(scrapeId, merchants, seenAt);
+            await this.runStatement('COMMIT');
+            log(`Merchant history: ${result.merchants} merchants (${result.newMerchants} new), ${result.changes} changes`);
+            return result;
+        } catch (error) {
+            await this.runStatement('ROLLBACK').catch(() => {});
+            errorLog('Failed to record merchant history', error);
+            throw error;
+        }
+    }
+
+    /**
+     * recordMerchantHistory() without its own transaction, for callers that hold one
+     */
+    async applyMerchantHistory(scrapeId, merchants, seenAt = new Date().toISOString()) {
+        const observedAt = new Date(seenAt).toISOString();
+        
+        // One observation per merchant and market; the last record wins, as in the merchants table
+        const observations = new Map();
+        for (const merchant of merchants) {
+            const key = getMerchantKey(merchant['Merchant Name']);
+            if (!key) continue;
+            const market = [merchant['Asset'] || null, merchant['Fiat'] || null, merchant['Side'] || null];
+            observations.set(JSON.stringify([key, ...market]), { key, market, merchant });
+        }
+
+        const seen = new Set();
+        let newMerchants = 0;
+        let changes = 0;
+
+        for (const { key, market, merchant } of observations.values()) {
+            let identity = await this.getRow('SELECT * FROM merchant_identities WHERE merchant_key = ?', [key]);
+            if (!identity) {
+                await this.runStatement(`
+                    INSERT INTO merchant_identities 
+                    (merchant_key, merchant_name, first_seen_at, last_seen_at, first_scrape_id, last_scrape_id)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `, [key, merchant['Merchant Name'].trim(), observedAt, observedAt, scrapeId, scrapeId]);
+                identity = await this.getRow('SELECT * FROM merchant_identities WHERE merchant_key = ?', [key]);
+                newMerchants++;
+            }
+
+            if (!seen.has(key)) {
+                seen.add(key);
+                const latest = observedAt >= identity.last_seen_at;
+                const earliest = observedAt < identity.first_seen_at;
+                await this.runStatement(`
+                    UPDATE merchant_identities 
+                    SET merchant_name = ?, first_seen_at = ?, first_scrape_id = ?, 
+                        last_seen_at = ?, last_scrape_id = ?, scrapes_seen = scrapes_seen + 1
+                    WHERE id = ?
+                `, [
+                    latest ? merchant['Merchant Name'].trim() : identity.merchant_name,
+                    earliest ? observedAt : identity.first_seen_at,
+                    earliest ? scrapeId : identity.first_scrape_id,
+                    latest ? observedAt : identity.last_seen_at,
+                    latest ? scrapeId : identity.last_scrape_id,
+                    identity.id
+                ]);
+            }
+
+            changes += await this.recordListing(identity.id, scrapeId, market, getListingValues(merchant), observedAt);
+        }
+
+        return { merchants: seen.size, newMerchants, changes };
+    }
+
+    /**
+     * Store one merchant's listing in one market and log changed fields.
+     * Returns the number of changes recorded.
+     */
+    async recordListing(merchantId, scrapeId, market, values, observedAt) {
+        const listing = await this.getRow(
+            'SELECT * FROM merchant_listings WHERE merchant_id = ? AND asset IS ? AND fiat IS ? AND side IS ?',
+            [merchantId, ...market]
+        );
+        const columns = Object.keys(values);
+
+        if (!listing) {
+            await this.runStatement(`
+                INSERT INTO merchant_listings 
+                (merchant_id, asset, fiat, side, first_seen_at, last_seen_at, last_scrape_id, ${columns.join(', ')})
+                VALUES (?, ?, ?, ?, ?, ?, ?, ${columns.map(() => '?').join(', ')})
+            `, [merchantId, ...market, observedAt, observedAt, scrapeId, ...Object.values(values)]);
+            return 0;
+        }
+
+        if (observedAt < listing.last_seen_at) {
+            if (observedAt < listing.first_seen_at) {
+                await this.runStatement('UPDATE merchant_listings SET first_seen_at = ? WHERE id = ?', [observedAt, listing.id]);
+            }
+            return 0;
+        }
+
+        const diffs = diffListing(listing, values);
+        for (const diff of diffs) {
+            await this.runStatement(`
+                INSERT INTO merchant_changes 
+                (merchant_id, scrape_id, asset, fiat, side, field_name, old_value, new_value, changed_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [merchantId, scrapeId, ...market, diff.field, diff.oldValue, diff.newValue, observedAt]);
+        }
+
+        // Fields this scrape did not capture keep their last known value
+        await this.runStatement(`
+            UPDATE merchant_listings 
+            SET last_seen_at = ?, last_scrape_id = ?, ${columns.map(column => `${column} = COALESCE(?, ${column})`).join(', ')}
+            WHERE id = ?
+        `, [observedAt, scrapeId, ...Object.values(values), listing.id]);
+
+        return diffs.length;
+    }
+
+    /**
+     * Get a merchant's identity row by name (case-insensitive), or null
+     */
+    async getMerchantIdentity(merchantName) {
+        return this.getRow('SELECT * FROM merchant_identities WHERE merchant_key = ?', [getMerchantKey(merchantName)]);
+    }
+
+    /**
+     * Get a merchant's change log in time order, optionally for one market, field and time range
+     */
+    async getMerchantChanges(options = {}) {
+        const {
+            merchantName,
+            asset = null,
+            fiat = null,
+            side = null,
+            field = null,
+            since = null,
+            until = null,
+            limit = 500
+        } = options;
+
+        let whereClause = 'i.merchant_key = ?';
+        const params = [getMerchantKey(merchantName)];
+
+        for (const [column, value] of [['c.asset', asset], ['c.fiat', fiat], ['c.side', side], ['c.field_name', field]]) {
+            if (value) {
+                whereClause += ` AND ${column} = ?`;
+                params.push(value);
+            }
+        }
+
+        if (since) {
+            whereClause += ' AND c.changed_at >= ?';
+            params.push(new Date(since).toISOString());
+        }
+
+        if (until) {
+            whereClause += ' AND c.changed_at <= ?';
+            params.push(new Date(until).toISOString());
+        }
+
+        // Take the most recent `limit` changes, returned oldest first
+        const sql = `
+            SELECT * FROM (
+                SELECT c.*, i.merchant_name FROM merchant_changes c
+                JOIN merchant_identities i ON i.id = c.merchant_id
+                WHERE ${whereClause}
+                ORDER BY c.changed_at DESC, c.id DESC
+                LIMIT ?
+            ) ORDER BY changed_at ASC, id ASC
+        `;
+
+        params.push(limit);
+
+        try {
+            return await this.getRows(sql, params);
+        } catch (error) {
+            errorLog('Failed to get merchant changes', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Lifetime profile of one merchant: identity, and per market its current listing,
+     * uptime on the book, typical premium to the best price and price volatility.
+     * Without `since` the range starts when the merchant was first seen. Null for unknown merchants.
+     */
+    async getMerchantProfile(options = {}) {
+        const {
+            merchantName,
+            asset = null,
+            fiat = null,
+            side = null,
+            since = null,
+            until = null,
+            changeLimit = 20
+        } = options;
+
+        const identity = await this.getMerchantIdentity(merchantName);
+        if (!identity) {
+            return null;
+        }
+
+        let listingClause = 'merchant_id = ?';
+        const listingParams = [identity.id];
+        for (const [column, value] of [['asset', asset], ['fiat', fiat], ['side', side]]) {
+            if (value) {
+                listingClause += ` AND ${column} = ?`;
+                listingParams.push(value);
+            }
+        }
+        const listings = await this.getRows(`SELECT * FROM merchant_listings WHERE ${listingClause}`, listingParams);
+
+        // Every completed scrape of the merchant's markets in range, with its best prices and the merchant's own price.
+        // Sessions are picked by the indexed (status, scraped_at), stored as an ISO string.
+        const sql = `
+            SELECT b.*, own.price_numeric AS price FROM (
+                SELECT m.scrape_id, m.asset, m.fiat, m.side, s.scraped_at,
+                    MIN(m.price_numeric) AS min_price, MAX(m.price_numeric) AS max_price
+                FROM merchants m
+                JOIN scrape_sessions s ON s.scrape_id = m.scrape_id
+                WHERE s.status = 'completed' AND s.scraped_at >= ?
+                    ${until ? 'AND s.scraped_at <= ?' : ''}
+                    AND m.price_numeric > 0
+                    AND (m.asset, m.fiat, m.side) IN (SELECT asset, fiat, side FROM merchant_listings WHERE ${listingClause})
+                GROUP BY m.scrape_id, m.asset, m.fiat, m.side
+            ) b
+            LEFT JOIN merchants own ON own.scrape_id = b.scrape_id
+                AND own.asset IS b.asset AND own.fiat IS b.fiat AND own.side IS b.side
+                AND own.merchant_name = ? COLLATE NOCASE
+            ORDER BY b.scraped_at ASC
+        `;
+        const params = [
+            new Date(since || identity.first_seen_at).toISOString(),
+            ...(until ? [new Date(until).toISOString()] : []),
+            ...listingParams,
+            identity.merchant_name
+        ];
+
+        let books;
+        try {
+            books = await this.getRows(sql, params);
+        } catch (error) {
+            errorLog('Failed to build merchant profile', error);
+            throw error;
+        }
+
+        const markets = buildMarketProfiles(books).map(profile => {
+            const listing = listings.find(l => l.asset === profile.asset && l.fiat === profile.fiat && l.side === profile.side);
+            return {
+                ...profile,
+                current: listing ? {
+                    lastSeenAt: listing.last_seen_at,
+                    price: listing.price_numeric,
+                    limitMin: listing.limit_min,
+                    limitMax: listing.limit_max,
+                    paymentMethods: listing.payment_methods,
+                    completionRate: listing.completion_rate,
+                    orders: listing.orders
+                } : null
+            };
+        });
+
+        return {
+            merchantName: identity.merchant_name,
+            firstSeenAt: identity.first_seen_at,
+            lastSeenAt: identity.last_seen_at,
+            scrapesSeen: identity.scrapes_seen,
+            markets,
+            recentChanges: await this.getMerchantChanges({ merchantName, asset, fiat, side, since, until, limit: changeLimit })
+        };
+    }
+
+    /**
+     * Get a merchant's rank history in time order, optionally for one market and time range.
+     * Points are ordered and filtered by when their scrape was taken (scraped_at), so a
+     * replayed snapshot lands at its capture time.
+     */
+    async getMerchantRankHistory(options = {}) {
+        const {
+            merchantName,
+            asset = null,
+            fiat = null,
+            side = null,
+            since = null,
+            until = null,
+            limit = 500
+        } = options;
+
+        let whereClause = 'r.merchant_name = ? COLLATE NOCASE';
+        const params = [merchantName];
+
+        if (asset) {
+            whereClause += ' AND r.asset = ?';
+            params.push(asset);
+        }
+
+        if (fiat) {
+            whereClause += ' AND r.fiat = ?';
+            params.push(fiat);
+        }
+
+        if (side) {
+            whereClause += ' AND r.side = ?';
+            params.push(side);
+        }
+
+        // scraped_at is stored as an ISO string
+        if (since) {
+            whereClause += ' AND s.scraped_at >= ?';
+            params.push(new Date(since).toISOString());
+        }
+
+        if (until) {
+            whereClause += ' AND s.scraped_at <= ?';
+            params.push(new Date(until).toISOString());
+        }
+
+        // Take the most recent `limit` points, returned oldest first
+        const sql = `
+            SELECT * FROM (
+                SELECT r.*, s.scraped_at FROM merchant_ranks r
+                JOIN scrape_sessions s ON s.scrape_id = r.scrape_id
+                WHERE ${whereClause}
+                ORDER BY s.scraped_at DESC, r.id DESC
+                LIMIT ?
+            ) ORDER BY scraped_at ASC, id ASC
+        `;
+
+        params.push(limit);
+
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) {
+                    errorLog('Failed to get merchant rank history', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
     /**
      * Get merchants from database with filtering and pagination
      */
@@ -489,7 +821,10 @@ class DatabaseManager {
             scrapeId = null,
             minPrice = null,
             maxPrice = null,
-            merchantName = null
+            merchantName = null,
+            asset = null,
+            fiat = null,
+            side = null
         } = options;
 
         let whereClause = '1=1';
@@ -515,6 +850,21 @@ class DatabaseManager {
             params.push(`%${merchantName}%`);
         }
 
+        if (asset) {
+            whereClause += ' AND asset = ?';
+            params.push(asset);
+        }
+
+        if (fiat) {
+            whereClause += ' AND fiat = ?';
+            params.push(fiat);
+        }
+
+        if (side) {
+            whereClause += ' AND side = ?';
+            params.push(side);
+        }
+
         const sql = `
             SELECT * FROM merchants 
             WHERE ${whereClause}
@@ -536,18 +886,134 @@ class DatabaseManager {
         });
     }
 
+    /**
+     * Per-interval price aggregates (OHLC of the best price, median, top-N average,
+     * merchant count, total available) over completed scrapes, one series per market.
+     * Replayed snapshots count at their capture time. Returns the most recent `limit` points, oldest first.
+     *
+     * Aggregated in SQL over the scrapes in [since, until]. Without `since` the range
+     * starts `limit` intervals before `until` (or now), so a request never scans
+     * the whole history.
+     */
+    async getPriceAggregates(options = {}) {
+        const {
+            interval = '1h',
+            asset = null,
+            fiat = null,
+            side = null,
+            topN = DEFAULT_TOP_N,
+            limit = 500
+        } = options;
+
+        const intervalMs = AGGREGATE_INTERVALS[interval];
+        if (!intervalMs) {
+            throw new Error(`Invalid interval "${interval}" (expected one of ${Object.keys(AGGREGATE_INTERVALS).join(', ')})`);
+        }
+
+        const toISOString = (value, name) => {
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                throw new Error(`Invalid ${name} "${value}"`);
+            }
+            return date.toISOString();
+        };
+        const until = options.until ? toISOString(options.until, 'until') : null;
+        const since = options.since
+            ? toISOString(options.since, 'since')
+            : new Date((until ? Date.parse(until) : Date.now()) - limit * intervalMs).toISOString();
+
+        // Sessions by the indexed (status, scraped_at); scraped_at is stored as an ISO string
+        let sessionClause = "s.status = 'completed' AND s.scraped_at >= ?";
+        const params = [since];
+        if (until) {
+            sessionClause += ' AND s.scraped_at <= ?';
+            params.push(until);
+        }
+
+        let merchantClause = 'm.price_numeric > 0';
+        for (const [column, value] of [['asset', asset], ['fiat', fiat], ['side', side]]) {
+            if (value) {
+                merchantClause += ` AND m.${column} = ?`;
+                params.push(value);
+            }
+        }
+
+        // One book is one market in one scrape; one point is one market in one bucket
+        const market = 'scrape_id, asset, fiat, side';
+        const book = 'm.scrape_id, m.asset, m.fiat, m.side';
+        const bucket = 'bucket_start, asset, fiat, side';
+        const sql = `
+            WITH ranked AS (
+                SELECT m.scrape_id, s.scraped_at, m.asset, m.fiat, m.side, m.price_numeric, m.available_amount_numeric,
+                    ROW_NUMBER() OVER (
+                        PARTITION BY ${book}
+                        ORDER BY CASE WHEN m.side = 'sell' THEN -m.price_numeric ELSE m.price_numeric END
+                    ) AS best_rank,
+                    ROW_NUMBER() OVER (PARTITION BY ${book} ORDER BY m.price_numeric) AS price_rank,
+                    COUNT(*) OVER (PARTITION BY ${book}) AS book_size
+                FROM scrape_sessions s
+                JOIN merchants m ON m.scrape_id = s.scrape_id
+                WHERE ${sessionClause} AND ${merchantClause}
+            ),
+            scrapes AS (
+                SELECT ${market}, scraped_at,
+                    (CAST(strftime('%s', scraped_at) AS INTEGER) / ?) * ? AS bucket_start,
+                    MIN(CASE WHEN best_rank = 1 THEN price_numeric END) AS best_price,
+                    AVG(CASE WHEN price_rank IN ((book_size + 1) / 2, (book_size + 2) / 2) THEN price_numeric END) AS median_price,
+                    AVG(CASE WHEN best_rank <= ? THEN price_numeric END) AS top_n_average,
+                    COUNT(*) AS merchant_count,
+                    SUM(COALESCE(available_amount_numeric, 0)) AS total_available
+                FROM ranked
+                GROUP BY ${market}
+            ),
+            ordered AS (
+                SELECT *,
+                    FIRST_VALUE(best_price) OVER bucket_scrapes AS open_price,
+                    LAST_VALUE(best_price) OVER bucket_scrapes AS close_price
+                FROM scrapes
+                WINDOW bucket_scrapes AS (
+                    PARTITION BY ${bucket} ORDER BY scraped_at, scrape_id
+                    ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING
+                )
+            )
+            SELECT ${bucket}, COUNT(*) AS scrapes,
+                MIN(open_price) AS open, MAX(best_price) AS high, MIN(best_price) AS low, MIN(close_price) AS close,
+                AVG(median_price) AS median_price, AVG(top_n_average) AS top_n_average,
+                AVG(merchant_count) AS merchant_count, AVG(total_available) AS total_available
+            FROM ordered
+            GROUP BY ${bucket}
+            ORDER BY bucket_start DESC, asset DESC, fiat DESC, side DESC
+            LIMIT ?
+        `;
+        const intervalSeconds = intervalMs / 1000;
+        params.push(intervalSeconds, intervalSeconds, topN, limit);
+
+        const rows = await new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, result) => {
+                if (err) {
+                    errorLog('Failed to get price aggregates', err);
+                    reject(err);
+                } else {
+                    resolve(result);
+                }
+            });
+        });
+
+        return rows.reverse().map(row => toPricePoint(row, { interval, topN }));
+    }
+
     /**
      * Get scrape session statistics
      */
-    async getScrapeSessions(limit = 10) {
+    async getScrapeSessions(limit = 10, offset = 0) {
         const sql = `
             SELECT * FROM scrape_sessions 
             ORDER BY created_at DESC 
-            LIMIT ?
+            LIMIT ? OFFSET ?
         `;
 
         return new Promise((resolve, reject) => {
-            this.db.all(sql, [limit], (err, rows) => {
+            this.db.all(sql, [limit, offset], (err, rows) => {
                 if (err) {
                     errorLog('Failed to get scrape sessions', err);
                     reject(err);
@@ -558,6 +1024,67 @@ class DatabaseManager {
         });
     }
 
+    /**
+     * Scrape sessions stored under a trace (see traceContext.js), oldest first,
+     * each with its data quality metrics. A scrape id finds its own session.
+     */
+    async getTraceSessions(id) {
+        const sessions = await this.getRows(`
+            SELECT * FROM scrape_sessions
+            WHERE json_extract(metadata, '$.traceId') = ? OR scrape_id = ?
+            ORDER BY start_time ASC, id ASC
+        `, [id, id]);
+
+        for (const session of sessions) {
+            session.qualityMetrics = await this.getDataQualityMetrics(session.scrape_id);
+        }
+        return sessions;
+    }
+
+    /**
+     * Get the merchants of the most recent completed scrape, cheapest first
+     * Pass { asset, fiat, side } to restrict the ladder to one market
+     */
+    async getLatestScrapeMerchants(limit = 50, market = {}) {
+        const sessionSql = `
+            SELECT scrape_id, end_time FROM scrape_sessions 
+            WHERE status = 'completed' 
+            ORDER BY created_at DESC, id DESC 
+            LIMIT 1
+        `;
+
+        const session = await new Promise((resolve, reject) => {
+            this.db.get(sessionSql, [], (err, row) => {
+                if (err) {
+                    errorLog('Failed to get latest scrape session', err);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+
+        if (!session) {
+            return { scrapeId: null, completedAt: null, merchants: [] };
+        }
+
+        const merchants = await this.getMerchants({
+            scrapeId: session.scrape_id,
+            orderBy: 'price_numeric',
+            orderDirection: 'ASC',
+            limit,
+            asset: market.asset || null,
+            fiat: market.fiat || null,
+            side: market.side || null
+        });
+
+        return {
+            scrapeId: session.scrape_id,
+            completedAt: session.end_time,
+            merchants
+        };
+    }
+
     /**
      * Get data quality metrics
      */
@@ -585,7 +1112,8 @@ class DatabaseManager {
     }
 
     /**
-     * Create database backup
+     * Create database backup: a plain copy of the SQLite file (session backups
+     * are the ones backupEncryption applies to)
      */
     async createBackup() {
         try {
@@ -598,19 +1126,33 @@ class DatabaseManager {
 
             const backupPath = path.join(backupDir, `merchants_${timestamp}.db`);
             
+            // The backup callback only reports that the backup started: copy every
+            // page with step(-1), then finish() to release the target file
             return new Promise((resolve, reject) => {
-                this.db.backup(backupPath, (err) => {
+                const fail = (err) => {
+                    errorLog('Database backup failed', err);
+                    reject(err);
+                };
+                const backup = this.db.backup(backupPath, (err) => {
                     if (err) {
-                        errorLog('Database backup failed', err);
-                        reject(err);
-                    } else {
-                        this.lastBackup = new Date();
-                        log(`Database backup created: ${backupPath}`);
-                        
-                        // Clean up old backups
-                        this.cleanupOldBackups(backupDir);
-                        resolve(backupPath);
+                        return fail(err);
                     }
+                    backup.step(-1, (stepErr) => {
+                        if (stepErr || !backup.completed) {
+                            return backup.finish(() => fail(stepErr || new Error(`Database backup to ${backupPath} did not complete`)));
+                        }
+                        backup.finish((finishErr) => {
+                            if (finishErr) {
+                                return fail(finishErr);
+                            }
+                            this.lastBackup = new Date();
+                            log(`Database backup created: ${backupPath}`);
+
+                            // Clean up old backups
+                            this.cleanupOldBackups(backupDir);
+                            resolve(backupPath);
+                        });
+                    });
                 });
             });
 
@@ -620,6 +1162,139 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Backup manager for session backups, in backups/sessions next to the database.
+     * New backups are encrypted when `backupEncryption` configures a key.
+     */
+    getSessionBackupManager(options = {}) {
+        const { keys, keyId } = this.config.backupEncryption || {};
+        const encryptionKeys = parseKeyring(keys);
+        const encryption = Object.keys(encryptionKeys).length > 0
+            ? { encryption: true, encryptionKeys, encryptionKeyId: keyId ? String(keyId) : null }
+            : {};
+
+        return new BackupManager({
+            backupDirectory: path.join(path.dirname(this.config.filename), 'backups', 'sessions'),
+            maxBackups: this.config.maxBackups * this.config.fullBackupEvery,
+            retentionDays: 0,
+            ...encryption,
+            ...options
+        });
+    }
+
+    /**
+     * Rows of the finished scrape sessions that ended after `since` (all of them
+     * without it), with their rows from SESSION_BACKUP_TABLES, and a snapshot of
+     * SNAPSHOT_BACKUP_TABLES. Running sessions are left for the next backup.
+     */
+    async exportSessionData(since = null) {
+        const sessionFilter = `status != 'running'${since ? ' AND end_time > ?' : ''}`;
+        const params = since ? [since] : [];
+
+        const data = {
+            scrape_sessions: await this.getRows(`SELECT * FROM scrape_sessions WHERE ${sessionFilter} ORDER BY end_time, id`, params)
+        };
+        for (const table of SESSION_BACKUP_TABLES) {
+            data[table] = await this.getRows(
+                `SELECT * FROM ${table} WHERE scrape_id IN (SELECT scrape_id FROM scrape_sessions WHERE ${sessionFilter}) ORDER BY id`,
+                params
+            );
+        }
+
+        // Kept out of the table arrays, which a chain concatenates: the newest snapshot replaces the older ones
+        data.snapshot = {};
+        for (const table of SNAPSHOT_BACKUP_TABLES) {
+            data.snapshot[table] = await this.getRows(`SELECT * FROM ${table} ORDER BY rowid`);
+        }
+        return data;
+    }
+
+    /**
+     * Back up the sessions finished since the last session backup as an
+     * incremental backup; a chain starts over with a full backup once it holds
+     * `fullBackupEvery` backups. Unlike createBackup(), the database file
+     * itself is not copied.
+     */
+    async createSessionBackup(options = {}) {
+        const backupManager = this.getSessionBackupManager(options);
+        const latest = (await backupManager.listBackups()).find(backup => backup.chain === SESSION_BACKUP_CHAIN);
+        const incremental = Boolean(latest) && latest.chainLength < this.config.fullBackupEvery;
+        const since = incremental ? latest.cursor : null;
+
+        const data = await this.exportSessionData(since);
+        const sessions = data.scrape_sessions;
+
+        const result = await backupManager.createBackup(data, {
+            type: incremental ? BACKUP_TYPES.INCREMENTAL : BACKUP_TYPES.FULL,
+            parentId: incremental ? latest.id : null,
+            chain: SESSION_BACKUP_CHAIN,
+            cursor: sessions.length > 0 ? sessions[sessions.length - 1].end_time : since,
+            metadata: {
+                source: 'database',
+                database: this.config.filename,
+                since,
+                sessions: sessions.length
+            }
+        });
+
+        this.lastBackup = new Date();
+        log(`Session backup created: ${result.id} (${result.manifest.type}, ${sessions.length} sessions${result.manifest.deduplicatedFrom ? ', deduplicated' : ''})`);
+        return result;
+    }
+
+    /**
+     * Insert the rows of a session backup, replayed through its chain, into this
+     * database, with their original ids. The database must be fresh (no scrapes
+     * or merchant history yet) and at the schema version of the backup.
+     */
+    async restoreSessionBackup(backupId, options = {}) {
+        const { data, chain } = await this.getSessionBackupManager(options).restoreBackup(backupId);
+        const snapshot = data.snapshot || {};
+        const restored = {};
+
+        for (const table of ['scrape_sessions', 'merchant_identities']) {
+            if (await this.getRow(`SELECT 1 FROM ${table} LIMIT 1`)) {
+                throw new Error(`Session backups restore into a fresh database; ${this.config.filename} already has ${table} rows`);
+            }
+        }
+        const versions = rows => (rows || []).map(row => row.version).sort((a, b) => a - b).join(',');
+        const currentVersions = versions(await this.getRows('SELECT version FROM schema_migrations'));
+        if (snapshot.schema_migrations && versions(snapshot.schema_migrations) !== currentVersions) {
+            throw new Error(`Backup ${backupId} has schema migrations [${versions(snapshot.schema_migrations)}], ` +
+                `this database [${currentVersions}]; migrate both to the same version first`);
+        }
+
+        const tables = [
+            ['scrape_sessions', data.scrape_sessions],
+            ['merchant_identities', snapshot.merchant_identities],
+            ['merchant_listings', snapshot.merchant_listings],
+            ...SESSION_BACKUP_TABLES.map(table => [table, data[table]])
+        ];
+
+        await this.runStatement('BEGIN TRANSACTION');
+        try {
+            for (const [table, rows] of tables) {
+                restored[table] = 0;
+                for (const row of rows || []) {
+                    const columns = Object.keys(row);
+                    await this.runStatement(
+                        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                        columns.map(column => row[column])
+                    );
+                    restored[table]++;
+                }
+            }
+            await this.runStatement('COMMIT');
+        } catch (error) {
+            await this.runStatement('ROLLBACK').catch(() => {});
+            errorLog('Failed to restore session backup', error);
+            throw error;
+        }
+
+        log(`Restored session backup ${backupId} (${chain.length} backups in chain): ${restored.scrape_sessions} sessions`);
+        return { id: backupId, chain, restored };
+    }
+
     /**
      * Clean up old backup files
      */
@@ -668,7 +1343,7 @@ class DatabaseManager {
 }
 
 /**
- * Data Pipeline for processing scraped data
+ * Data Pipeline for processing scraped data into a storage adapter
  */
 class DataPipeline {
     constructor(dbManager) {
@@ -680,11 +1355,18 @@ class DataPipeline {
      * Process scraped merchant data through the complete pipeline
      */
     async processData(merchants, metadata = {}) {
+        // Tracked merchant ranks are computed by the scraper from the full book
+        const { ranks = [], ...sessionMetadata } = metadata;
+        
         try {
             log(`Starting data pipeline for ${merchants.length} merchants`);
             
-            // Step 1: Start scrape session
-            this.currentScrapeId = await this.dbManager.startScrapeSession(metadata);
+            // Step 1: Start scrape session, under the scrape's trace when there is one
+            const traceId = getTraceId();
+            this.currentScrapeId = await this.dbManager.startScrapeSession({
+                ...sessionMetadata,
+                ...(traceId && { traceId })
+            });
             
             // Step 2: Validate data
             log('Step 1: Validating merchant data...');
@@ -702,6 +1384,20 @@ class DataPipeline {
                 await this.dbManager.insertMerchants(this.currentScrapeId, validationResults);
             }
             
+            // Merchant dimension and change log, at the time the page was captured
+            if (validationResults.validRecords.length > 0) {
+                await this.dbManager.recordMerchantHistory(
+                    this.currentScrapeId,
+                    validationResults.validRecords.map(record => record.data),
+                    sessionMetadata.capturedAt
+                );
+            }
+            
+            if (ranks.length > 0) {
+                log('Recording tracked merchant ranks...');
+                await this.dbManager.insertMerchantRanks(this.currentScrapeId, ranks);
+            }
+            
             // Step 5: Calculate and store metrics
             log('Step 4: Calculating data quality metrics...');
             await this.calculateDataQualityMetrics(this.currentScrapeId, validationResults);
@@ -759,17 +1455,7 @@ class DataPipeline {
             }
         ];
 
-        const stmt = this.dbManager.db.prepare(`
-            INSERT INTO data_quality_metrics 
-            (scrape_id, metric_name, metric_value, metric_unit)
-            VALUES (?, ?, ?, ?)
-        `);
-
-        for (const metric of metrics) {
-            stmt.run([scrapeId, metric.name, metric.value, metric.unit]);
-        }
-
-        stmt.finalize();
+        await this.dbManager.insertDataQualityMetrics(scrapeId, metrics);
         log(`Stored ${metrics.length} data quality metrics`);
     }
 
@@ -777,9 +1463,18 @@ class DataPipeline {
      * Check if backup is needed and create one
      */
     async checkAndCreateBackup() {
+        // Only local databases are backed up here; a warehouse has its own backups
+        if (typeof this.dbManager.createBackup !== 'function') {
+            return;
+        }
+
         if (!this.dbManager.lastBackup || 
             (Date.now() - this.dbManager.lastBackup.getTime()) > this.dbManager.config.backupInterval) {
-            await this.dbManager.createBackup();
+            if (this.dbManager.config.backupMode === 'incremental') {
+                await this.dbManager.createSessionBackup();
+            } else {
+                await this.dbManager.createBackup();
+            }
         }
     }
 }
@@ -797,10 +1492,24 @@ function getDatabaseManager() {
     return globalDbManager;
 }
 
+/**
+ * Storage adapter for a database config: SQLite unless `type` is postgresql
+ */
+function createStorageAdapter(config = DB_CONFIG) {
+    switch (config.type || 'sqlite') {
+        case 'sqlite':
+            return new DatabaseManager(config);
+        case 'postgresql':
+            return new PostgresAdapter(config);
+        default:
+            throw new Error(`Unsupported database type: ${config.type}`);
+    }
+}
+
 module.exports = {
     DatabaseManager,
     DataPipeline,
     DB_CONFIG,
-    TABLE_SCHEMAS,
-    getDatabaseManager
+    getDatabaseManager,
+    createStorageAdapter
 };
@@ -3,14 +3,34 @@ const puppeteer = require('puppeteer');
 const { log, errorLog } = require('./logger');
 const { applyStealth, simulateHumanBehavior, getStealthLaunchArgs } = require('./stealth');
 const { EnhancedStealthManager } = require('./enhanced-stealth');
-const { saveData } = require('./dataSaver');
-const { filterMerchantsByLocation } = require('./filterMerchant');
+const { saveExports } = require('./dataSaver');
+const { filterMerchantsByLocation, saveWatchlistOutput } = require('./filterMerchant');
 const { getSelectors } = require('./selectors');
 const { autoScroll } = require('./autoScroll');
 const { extractMerchants } = require('./extract');
-const { TARGET_URL, TARGET_MERCHANT, chromeExecutablePath } = require('./config');
-const fs = require('fs').promises;
-const path = require('path');
+const {
+    TARGET_URL,
+    TARGET_MERCHANT,
+    MARKETS,
+    WATCHLIST,
+    CAPTURE_SNAPSHOTS,
+    SNAPSHOT_DIR,
+    EXTRACTION_MODE,
+    NETWORK_URL_PATTERN,
+    OUTPUT_DIR,
+    OUTPUT_FORMATS,
+    OUTPUT_SQL_DIALECT,
+    WAREHOUSE_URL,
+    WAREHOUSE_SCHEMA,
+    SESSION_DIR,
+    CHANGES_DIR,
+    chromeExecutablePath
+} = require('./config');
+const { resolveMarkets, tagMerchants, summarizeMarket } = require('./markets');
+const { getMerchantRank } = require('./merchantRank');
+const { buildWatchlist, getWatchWindow } = require('./watchlist');
+const { saveSnapshot } = require('./snapshots');
+const { LISTING_URL_PATTERN, startNetworkCapture } = require('./networkExtract');
 
 // Import retry logic and circuit breaker
 const {
@@ -20,7 +40,8 @@ const {
     retryDataExtraction,
     BrowserLaunchError,
     ExtractionError,
-    NoDataFoundError
+    NoDataFoundError,
+    RateLimitError
 } = require('./retryLogic');
 
 const {
@@ -32,6 +53,11 @@ const {
 // Import validation and database (Features 4 & 5)
 const { validateMerchants } = require('./schema');
 const { DatabaseManager, DataPipeline } = require('./database');
+const { PostgresAdapter } = require('./postgresAdapter');
+const { getRateLimitingManager, parseRetryAfter, REQUEST_PRIORITY } = require('./rateLimiting');
+const { SessionManager, SESSION_STATES, SESSION_TYPES } = require('./sessionManagement');
+const { getChangeCapture } = require('./orderBookChanges');
+const { generateTraceId, getTraceId, withTrace } = require('./traceContext');
 
 /**
  * Enhanced Scraper with Advanced Stealth Features:
@@ -54,7 +80,13 @@ class EnhancedScraper {
         this.browser = null;
         this.page = null;
         this.database = null;
+        this.ownsDatabase = false;
         this.dataPipeline = null;
+        this.warehouse = null;
+        this.warehousePipeline = null;
+        this.requestManager = options.requestManager || null;
+        this.sessionManager = options.sessionManager || null;
+        this.changeCapture = options.changeCapture || null;
         this.sessionStartTime = Date.now();
         this.scrapeCount = 0;
         this.lastRotationTime = Date.now();
@@ -73,10 +105,32 @@ class EnhancedScraper {
             autoScrollEnabled: true,
             validationEnabled: true,
             databaseEnabled: true,
+            // The app passes its DatabaseManager, so the API and dashboard read what the scraper writes
+            database: null,
+            databaseConfig: undefined,
+            captureSnapshots: CAPTURE_SNAPSHOTS,
+            snapshotDir: SNAPSHOT_DIR,
+            extractionMode: EXTRACTION_MODE,
+            networkUrlPattern: NETWORK_URL_PATTERN || LISTING_URL_PATTERN,
+            outputDir: OUTPUT_DIR,
+            outputFormats: OUTPUT_FORMATS,
+            sqlDialect: OUTPUT_SQL_DIALECT,
+            warehouse: { connectionString: WAREHOUSE_URL, schema: WAREHOUSE_SCHEMA || null },
+            sessionDir: SESSION_DIR,
+            changesDir: CHANGES_DIR,
             ...options
         };
         
-        log('Enhanced scraper initialized with advanced stealth features');
+        // An explicit targetUrl without a market list scrapes just that page
+        this.config.markets = resolveMarkets(
+            options.markets || (options.targetUrl ? [] : MARKETS),
+            this.config.targetUrl
+        );
+        
+        // The target merchant is always the primary watchlist entry
+        this.config.watchlist = buildWatchlist(options.watchlist ?? WATCHLIST, this.config.targetMerchant);
+        
+        log(`Enhanced scraper initialized with advanced stealth features (${this.config.markets.length} market(s), ${this.config.watchlist.length} watched merchant(s))`);
     }
 
     /**
@@ -89,10 +143,24 @@ class EnhancedScraper {
             // Initialize database if enabled
             if (this.config.databaseEnabled) {
                 log('Initializing database...');
-                this.database = new DatabaseManager();
-                await this.database.initialize();
+                // A shared database belongs to the caller and stays open on shutdown
+                this.ownsDatabase = !this.config.database;
+                this.database = this.config.database || new DatabaseManager(this.config.databaseConfig);
+                if (!this.database.isConnected) {
+                    await this.database.initialize();
+                }
                 this.dataPipeline = new DataPipeline(this.database);
                 log('Database initialized successfully');
+                
+                // Every stored scrape is also written to the warehouse, when one is configured
+                if (this.config.warehouse && this.config.warehouse.connectionString) {
+                    await this.initializeWarehouse();
+                }
+            }
+            
+            // Checkpoints of scrape runs, to resume one a crash interrupted
+            if (!this.sessionManager && this.config.sessionDir) {
+                this.sessionManager = new SessionManager({ sessionStorePath: this.config.sessionDir });
             }
             
             log('Enhanced scraper initialization complete');
@@ -102,6 +170,22 @@ class EnhancedScraper {
         }
     }
 
+    /**
+     * Connect the warehouse; when it is unreachable (or pg is not installed)
+     * scrapes are stored in SQLite only
+     */
+    async initializeWarehouse() {
+        const warehouse = new PostgresAdapter(this.config.warehouse);
+        try {
+            await warehouse.initialize();
+            this.warehouse = warehouse;
+            this.warehousePipeline = new DataPipeline(warehouse);
+        } catch (error) {
+            errorLog('Warehouse unavailable, storing scrapes in SQLite only:', error);
+            await warehouse.close().catch(() => {});
+        }
+    }
+
     /**
      * Launch browser with enhanced stealth measures
      */
@@ -230,21 +314,47 @@ class EnhancedScraper {
         }
     }
 
+    /**
+     * Request queue page navigations go through, shared with alert deliveries
+     * unless one was passed in the options
+     */
+    getRequestManager() {
+        if (!this.requestManager) {
+            this.requestManager = getRateLimitingManager();
+        }
+        return this.requestManager;
+    }
+
     /**
      * Navigate to target URL with human-like behavior
      */
-    async navigateToTarget() {
+    async navigateToTarget(targetUrl = this.config.targetUrl) {
         return await this.pageCircuit.execute(async () => {
             return await retryPageNavigation(async () => {
-                log(`Navigating to target URL: ${this.config.targetUrl}`);
+                log(`Navigating to target URL: ${targetUrl}`);
                 
                 // Pre-navigation delay (like a user thinking)
                 await this.humanDelay(1000, 2000);
                 
                 const navigationStart = Date.now();
-                await this.page.goto(this.config.targetUrl, { 
-                    waitUntil: 'networkidle2',
-                    timeout: 45000 // Increased timeout for potential slow networks
+                
+                // Navigations share the host's limiter; a 429 holds back every
+                // request to the host until its Retry-After has passed
+                await this.getRequestManager().schedule(new URL(targetUrl).host, async () => {
+                    const response = await this.page.goto(targetUrl, { 
+                        waitUntil: 'networkidle2',
+                        timeout: 45000 // Increased timeout for potential slow networks
+                    });
+                    
+                    if (response && response.status() === 429) {
+                        const retryAfter = parseRetryAfter(response.headers()['retry-after']);
+                        throw new RateLimitError(`Rate limited by ${targetUrl} (HTTP 429${retryAfter !== null ? `, retry after ${retryAfter}s` : ''})`, retryAfter);
+                    }
+                    return response;
+                }, {
+                    priority: REQUEST_PRIORITY.HIGH,
+                    maxAttempts: 1, // retryPageNavigation owns the retries
+                    timeout: 120000
                 });
                 
                 const navigationTime = Date.now() - navigationStart;
@@ -346,9 +456,10 @@ class EnhancedScraper {
     }
 
     /**
-     * Perform enhanced auto-scroll with human-like behavior
+     * Perform enhanced auto-scroll with human-like behavior, resuming at
+     * `resumeFrom` and reporting every scroll batch to `onScrollBatch`
      */
-    async performEnhancedAutoScroll() {
+    async performEnhancedAutoScroll(options = {}) {
         try {
             log('Starting enhanced auto-scroll with human-like behavior...');
             
@@ -364,7 +475,10 @@ class EnhancedScraper {
             
             // Enhanced auto-scroll
             if (this.config.autoScrollEnabled) {
-                await autoScroll(this.page);
+                await autoScroll(this.page, {
+                    startPosition: options.resumeFrom || 0,
+                    onBatch: options.onScrollBatch || null
+                });
             }
             
             // Post-scroll behavior (reviewing loaded content)
@@ -423,9 +537,83 @@ class EnhancedScraper {
     }
 
     /**
-     * Process and save extracted data
+     * Scrape a single market page and tag its merchants with asset, fiat and side.
+     * `resumeFrom` and `onScrollBatch` are passed on to the auto-scroll; `runIds`
+     * (see createRunIds) stamp the snapshot.
+     */
+    async scrapeMarket(market, options = {}) {
+        log(`Scraping market ${market.id}...`);
+        
+        let networkCapture = null;
+        
+        try {
+            await this.createStealthPage();
+            
+            // Listen before navigating so the first listing request is recorded
+            if (this.config.extractionMode === 'network') {
+                networkCapture = startNetworkCapture(this.page, { urlPattern: this.config.networkUrlPattern });
+            }
+            
+            await this.navigateToTarget(market.url);
+            await this.waitForElements();
+            await this.performEnhancedAutoScroll(options);
+            
+            // Final delay before extraction
+            await this.humanDelay(1000, 2000);
+            
+            // Capture before extracting so pages that yield no merchants are kept too
+            if (this.config.captureSnapshots) {
+                await this.captureSnapshot(market, options.runIds);
+            }
+            
+            if (networkCapture) {
+                await networkCapture.stop();
+                const merchants = networkCapture.getMerchants(market, { sourceUrl: market.url });
+                if (merchants && merchants.length > 0) {
+                    log(`Network extraction: ${merchants.length} merchant(s) from listing responses for ${market.id}`);
+                    return tagMerchants(merchants, market);
+                }
+                log(`Network extraction found no recognised listing responses for ${market.id}, falling back to DOM extraction`);
+            }
+            
+            const merchants = await this.extractData();
+            return tagMerchants(merchants, market);
+        } finally {
+            if (networkCapture) {
+                await networkCapture.stop();
+            }
+            
+            // Each market gets a fresh page; the browser is kept for reuse
+            if (this.page) {
+                try {
+                    await this.page.close();
+                } catch (closeError) {
+                    errorLog(`Error closing page for market ${market.id}:`, closeError);
+                }
+                this.page = null;
+            }
+        }
+    }
+
+    /**
+     * Save the rendered DOM of the current market page for offline replay
      */
-    async processAndSaveData(merchantData) {
+    async captureSnapshot(market, runIds = this.createRunIds()) {
+        try {
+            const file = await saveSnapshot(this.page, market, {
+                ...runIds,
+                scrapeCount: this.scrapeCount
+            }, this.config.snapshotDir);
+            log(`Snapshot captured for ${market.id}: ${file}`);
+        } catch (error) {
+            errorLog(`Snapshot capture failed for ${market.id}:`, error);
+        }
+    }
+
+    /**
+     * Process and save extracted data; every output carries the run's `runIds`
+     */
+    async processAndSaveData(merchantData, marketResults = [], runIds = this.createRunIds()) {
         if (!merchantData || merchantData.length === 0) {
             log('No data to process');
             return;
@@ -433,6 +621,9 @@ class EnhancedScraper {
 
         log(`Processing ${merchantData.length} merchants...`);
         
+        // Ranks and neighbour windows use the full page, before validation drops any rows
+        const watchResults = this.collectWatchlist(merchantData, marketResults);
+        
         let processedData = merchantData;
         
         // Enhanced validation if enabled
@@ -458,144 +649,163 @@ class EnhancedScraper {
         if (this.config.databaseEnabled && this.dataPipeline) {
             try {
                 log('Saving to database with enhanced tracking...');
-                const dbResult = await this.dataPipeline.processScrapeData(processedData, {
-                    sessionId: this.generateSessionId(),
+                const dbResult = await this.dataPipeline.processData(processedData, {
+                    sessionId: runIds.sessionId,
                     stealthStats: this.stealthManager.getStealthStats(),
                     scrapeCount: this.scrapeCount,
-                    extractionMethod: 'enhanced-stealth'
+                    extractionMethod: 'enhanced-stealth',
+                    markets: marketResults,
+                    ranks: watchResults.flatMap(result => result.ranks)
                 });
-                log(`Enhanced database save complete. Scrape ID: ${dbResult.scrapeId}, ${dbResult.merchantCount} merchants saved`);
+                log(`Enhanced database save complete. Scrape ID: ${dbResult.scrapeId}, ${dbResult.summary.valid} merchants saved`);
+                
+                if (this.warehousePipeline) {
+                    await this.saveToWarehouse(processedData, marketResults, dbResult.scrapeId);
+                }
             } catch (dbError) {
                 errorLog('Enhanced database save failed:', dbError);
             }
         }
 
-        // Traditional file saves with enhanced metadata
+        // File outputs in every format of storage.formats
         try {
-            await this.saveEnhancedJson(processedData);
-            await this.saveEnhancedCsv(processedData);
+            await this.saveOutputs(processedData, marketResults, runIds);
+            
+            // Per-merchant neighbour windows for every watchlist entry
+            for (const { entry, windows } of watchResults) {
+                await saveWatchlistOutput(entry, windows, {
+                    timestamp: new Date().toISOString(),
+                    ...runIds,
+                    scrapeCount: this.scrapeCount
+                }, { outputDir: this.config.outputDir, formats: this.config.outputFormats, sqlDialect: this.config.sqlDialect });
+            }
         } catch (saveError) {
             errorLog('Enhanced file save failed:', saveError);
         }
-
-        // Filter and save adjacent merchants if target specified
-        if (this.config.targetMerchant) {
-            try {
-                const adjacentMerchants = this.getAdjacentMerchants(processedData, this.config.targetMerchant);
-                if (adjacentMerchants.length > 0) {
-                    await this.saveFilteredData(adjacentMerchants);
-                    log(`Enhanced filtering: saved ${adjacentMerchants.length} adjacent merchants for target: ${this.config.targetMerchant}`);
-                }
-            } catch (filterError) {
-                errorLog('Enhanced filtering failed:', filterError);
-            }
-        }
+        
+        // Order book changes since the previous scrape of each market, from the full page
+        const changes = await this.captureChanges(merchantData, marketResults);
+        
+        return { changes };
     }
 
     /**
-     * Save data as JSON with enhanced metadata
+     * Diff the scrape against the previous one of each market and publish the
+     * change events; returns the per-market summary, or null when change capture is off
      */
-    async saveEnhancedJson(data) {
-        const enhancedData = {
-            timestamp: new Date().toISOString(),
-            sessionId: this.generateSessionId(),
-            scrapeCount: this.scrapeCount,
-            stealthStats: this.stealthManager.getStealthStats(),
-            totalMerchants: data.length,
-            targetUrl: this.config.targetUrl,
-            extractionMethod: 'enhanced-stealth',
-            merchants: data
-        };
-
-        const fileName = `enhanced-merchants-${new Date().toISOString().split('T')[0]}-${this.scrapeCount}.json`;
-        const filePath = path.join(process.cwd(), 'data', fileName);
-        
-        await fs.mkdir(path.dirname(filePath), { recursive: true });
-        await fs.writeFile(filePath, JSON.stringify(enhancedData, null, 2));
+    async captureChanges(merchantData, marketResults) {
+        if (!this.changeCapture && !this.config.changesDir) {
+            return null;
+        }
         
-        log(`Enhanced JSON saved: ${fileName}`);
+        try {
+            const capture = this.changeCapture || getChangeCapture({ directory: this.config.changesDir });
+            const { summary } = await capture.capture(merchantData, marketResults);
+            return summary;
+        } catch (error) {
+            errorLog('Order book change capture failed:', error);
+            return null;
+        }
     }
 
     /**
-     * Save data as CSV with enhanced metadata
+     * Rank and neighbour window of every watchlist entry in every market that scraped successfully
      */
-    async saveEnhancedCsv(data) {
-        if (data.length === 0) return;
-
-        // Create CSV with enhanced headers
-        const headers = Object.keys(data[0]);
-        const enhancedHeaders = [
-            ...headers,
-            'SessionId',
-            'ScrapeCount',
-            'ExtractionMethod',
-            'Timestamp'
-        ];
-
-        const csvRows = [enhancedHeaders.join(',')];
+    collectWatchlist(merchantData, marketResults = []) {
+        const markets = marketResults.filter(result => result.status === 'success');
         
-        data.forEach((merchant, index) => {
-            const row = headers.map(header => {
-                const value = merchant[header] || '';
-                return `"${String(value).replace(/"/g, '""')}"`;
-            });
+        return this.config.watchlist.map(entry => {
+            const ranks = [];
+            const windows = [];
             
-            // Add enhanced metadata
-            row.push(`"${this.generateSessionId()}"`);
-            row.push(`"${this.scrapeCount}"`);
-            row.push(`"enhanced-stealth"`);
-            row.push(`"${new Date().toISOString()}"`);
+            for (const market of markets) {
+                const marketMerchants = merchantData.filter(m =>
+                    m.Asset === market.asset && m.Fiat === market.fiat && m.Side === market.side
+                );
+                ranks.push(entry.primary && market.targetRank
+                    ? market.targetRank
+                    : getMerchantRank(marketMerchants, entry, market));
+                
+                const window = getWatchWindow(marketMerchants, entry);
+                windows.push({
+                    market: market.market,
+                    asset: market.asset,
+                    fiat: market.fiat,
+                    side: market.side,
+                    listed: Boolean(window),
+                    position: window ? window.position : null,
+                    matchedName: window ? window.matchedName : null,
+                    merchants: window
+                        ? window.merchants.map((merchant, i) => ({
+                            Market: market.market,
+                            Position: window.position + window.offsets[i],
+                            Offset: window.offsets[i],
+                            ...merchant
+                        }))
+                        : []
+                });
+            }
             
-            csvRows.push(row.join(','));
+            return { entry, ranks, windows };
         });
+    }
 
-        const fileName = `enhanced-merchants-${new Date().toISOString().split('T')[0]}-${this.scrapeCount}.csv`;
-        const filePath = path.join(process.cwd(), 'data', fileName);
-        
-        await fs.mkdir(path.dirname(filePath), { recursive: true });
-        await fs.writeFile(filePath, csvRows.join('\n'));
-        
-        log(`Enhanced CSV saved: ${fileName}`);
+    /**
+     * Mirror a stored scrape to the warehouse; a warehouse outage doesn't fail the scrape
+     */
+    async saveToWarehouse(data, marketResults, sourceScrapeId) {
+        try {
+            const result = await this.warehousePipeline.processData(data, {
+                sourceScrapeId,
+                scrapeCount: this.scrapeCount,
+                extractionMethod: 'enhanced-stealth',
+                markets: marketResults
+            });
+            log(`Warehouse save complete. Scrape ID: ${result.scrapeId}`);
+            return result;
+        } catch (error) {
+            errorLog('Warehouse save failed:', error);
+            return null;
+        }
     }
 
     /**
-     * Save filtered data for adjacent merchants
+     * Write the scrape's merchants in every configured output format
      */
-    async saveFilteredData(adjacentMerchants) {
-        const fileName = `adjacent-to-${this.config.targetMerchant}-${Date.now()}.json`;
-        const filePath = path.join(process.cwd(), 'data', fileName);
+    async saveOutputs(data, marketResults = [], runIds = this.createRunIds()) {
+        const timestamp = new Date().toISOString();
         
-        const enhancedFilteredData = {
-            targetMerchant: this.config.targetMerchant,
-            timestamp: new Date().toISOString(),
-            sessionId: this.generateSessionId(),
-            totalAdjacent: adjacentMerchants.length,
-            stealthStats: this.stealthManager.getStealthStats(),
-            merchants: adjacentMerchants
-        };
-        
-        await fs.mkdir(path.dirname(filePath), { recursive: true });
-        await fs.writeFile(filePath, JSON.stringify(enhancedFilteredData, null, 2));
-        
-        log(`Enhanced filtered data saved: ${fileName}`);
+        return saveExports(data, {
+            baseName: `enhanced-merchants-${timestamp.split('T')[0]}-${this.scrapeCount}`,
+            outputDir: this.config.outputDir,
+            formats: this.config.outputFormats,
+            sqlDialect: this.config.sqlDialect,
+            metadata: {
+                timestamp,
+                ...runIds,
+                scrapeCount: this.scrapeCount,
+                targetUrl: this.config.targetUrl,
+                extractionMethod: 'enhanced-stealth',
+                markets: marketResults,
+                stealthStats: this.stealthManager.getStealthStats()
+            }
+        });
     }
 
     /**
-     * Get adjacent merchants around a target merchant
+     * Rank of the target merchant in a market's full book (before validation drops any rows)
      */
-    getAdjacentMerchants(merchants, targetName) {
-        const targetIndex = merchants.findIndex(m => 
-            m['Merchant Name'] && m['Merchant Name'].toLowerCase().includes(targetName.toLowerCase())
-        );
-        
-        if (targetIndex === -1) {
-            return [];
+    getTargetRank(merchants, market) {
+        const target = this.config.watchlist.find(entry => entry.primary);
+        if (!target) {
+            return null;
         }
         
-        const start = Math.max(0, targetIndex - 2);
-        const end = Math.min(merchants.length, targetIndex + 3);
-        
-        return merchants.slice(start, end);
+        const rank = getMerchantRank(merchants, target, market);
+        log(rank.rank
+            ? `${target.name} is #${rank.rank}/${rank.totalMerchants} on ${market.id} (gap to best: ${rank.gapToBest})`
+            : `${target.name} is not listed on ${market.id}`);
+        return rank;
     }
 
     /**
@@ -634,6 +844,13 @@ class EnhancedScraper {
         return `enhanced-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     }
 
+    /**
+     * Session id and trace id shared by every output of one scrape run
+     */
+    createRunIds(traceId = getTraceId()) {
+        return { sessionId: this.generateSessionId(), traceId: traceId || null };
+    }
+
     /**
      * Human-like delay with random variation
      */
@@ -643,11 +860,19 @@ class EnhancedScraper {
     }
 
     /**
-     * Run a single enhanced scrape operation
+     * Run a single enhanced scrape operation under a new trace id, which the
+     * result (or the thrown error) carries as traceId
      */
     async runSingleScrape() {
+        const traceId = generateTraceId();
+        return withTrace(traceId, () => this.runTracedScrape(traceId));
+    }
+
+    async runTracedScrape(traceId) {
+        let run = null;
+        
         try {
-            log('Starting enhanced scrape operation...');
+            log(`Starting enhanced scrape operation (trace ${traceId})...`);
             this.scrapeCount++;
             
             // Initialize if not already done
@@ -663,44 +888,84 @@ class EnhancedScraper {
             // Check for rotation needs
             await this.checkAndPerformRotation();
             
-            // Create new stealth page
-            await this.createStealthPage();
+            // Pick up an interrupted run where its last checkpoint left off
+            run = await this.startCheckpointedRun(traceId);
+            const progress = (run && run.progress) || {};
+            const runIds = this.createRunIds(traceId);
             
-            // Navigate to target
-            await this.navigateToTarget();
+            // Scrape every market; a failing market is recorded and skipped
+            const merchantData = [...(progress.records || [])];
+            const marketResults = [...(progress.marketResults || [])];
             
-            // Wait for elements
-            await this.waitForElements();
-            
-            // Perform enhanced auto-scroll
-            await this.performEnhancedAutoScroll();
-            
-            // Final delay before extraction
-            await this.humanDelay(1000, 2000);
+            for (let index = progress.marketCursor || 0; index < this.config.markets.length; index++) {
+                const market = this.config.markets[index];
+                const marketStart = Date.now();
+                const resumeScroll = index === progress.marketCursor && progress.scroll ? progress.scroll : null;
+                
+                try {
+                    const merchants = await this.scrapeMarket(market, {
+                        resumeFrom: resumeScroll ? resumeScroll.position : 0,
+                        runIds,
+                        onScrollBatch: run
+                            ? scroll => this.saveCheckpoint(run, 'SCROLL_BATCH', { marketCursor: index, market: market.id, scroll, records: merchantData, marketResults })
+                            : null
+                    });
+                    merchantData.push(...merchants);
+                    marketResults.push({
+                        market: market.id,
+                        asset: market.asset,
+                        fiat: market.fiat,
+                        side: market.side,
+                        status: 'success',
+                        ...summarizeMarket(merchants, market),
+                        targetRank: this.getTargetRank(merchants, market),
+                        duration: Date.now() - marketStart
+                    });
+                } catch (marketError) {
+                    errorLog(`Market ${market.id} failed, continuing with remaining markets:`, marketError);
+                    marketResults.push({
+                        market: market.id,
+                        asset: market.asset,
+                        fiat: market.fiat,
+                        side: market.side,
+                        status: 'failed',
+                        merchantCount: 0,
+                        duration: Date.now() - marketStart,
+                        error: marketError.message
+                    });
+                }
+                
+                await this.saveCheckpoint(run, 'MARKET', { marketCursor: index + 1, market: market.id, scroll: null, records: merchantData, marketResults });
+            }
             
-            // Extract data
-            const merchantData = await this.extractData();
+            const failedMarkets = marketResults.filter(result => result.status === 'failed');
+            if (failedMarkets.length === marketResults.length) {
+                throw new ExtractionError(`All ${failedMarkets.length} market(s) failed: ${failedMarkets.map(result => result.market).join(', ')}`);
+            }
             
             // Process and save data
-            await this.processAndSaveData(merchantData);
+            const saved = await this.processAndSaveData(merchantData, marketResults, runIds);
+            await this.endCheckpointedRun(run, 'COMPLETED');
             
-            log('Enhanced scrape operation completed successfully');
-            
-            // Close page but keep browser for potential reuse
-            if (this.page) {
-                await this.page.close();
-                this.page = null;
-            }
+            log(`Enhanced scrape operation completed: ${marketResults.length - failedMarkets.length}/${marketResults.length} markets succeeded`);
             
             return {
                 success: true,
-                merchantCount: merchantData ? merchantData.length : 0,
+                traceId,
+                merchantCount: merchantData.length,
+                markets: marketResults,
                 scrapeCount: this.scrapeCount,
+                resumedSession: run && run.progress ? run.sessionId : null,
+                changes: saved ? saved.changes : null,
                 stealthStats: this.stealthManager.getStealthStats()
             };
             
         } catch (error) {
             errorLog('Enhanced scrape operation failed:', error);
+            await this.endCheckpointedRun(run, 'FAILED');
+            if (!error.traceId) {
+                error.traceId = traceId;
+            }
             
             // Close page on error
             if (this.page) {
@@ -716,6 +981,74 @@ class EnhancedScraper {
         }
     }
 
+    /**
+     * Session this run checkpoints into: the most recent unfinished session of
+     * an earlier process over the same markets, with the progress of its last
+     * checkpoint, or else a new one. Null without a session manager.
+     * The session records the trace of every run that worked on it.
+     */
+    async startCheckpointedRun(traceId = null) {
+        if (!this.sessionManager) {
+            return null;
+        }
+        
+        await this.sessionManager.ready;
+        const marketIds = this.config.markets.map(market => market.id);
+        
+        for (const session of this.sessionManager.getRecoverableSessions(SESSION_TYPES.SCRAPING)) {
+            if (JSON.stringify(session.metadata.markets) !== JSON.stringify(marketIds)) {
+                continue;
+            }
+            
+            try {
+                const { checkpoint, recoveryAttempt } = await this.sessionManager.recoverSession(session.id);
+                await this.sessionManager.updateSessionState(session.id, SESSION_STATES.ACTIVE, { resumedFrom: checkpoint.id, traceId });
+                
+                const progress = checkpoint.data;
+                log(`Resuming interrupted scrape session ${session.id} at market ${progress.marketCursor + 1}/${marketIds.length}` +
+                    `${progress.scroll ? `, scroll position ${Math.round(progress.scroll.position)}px` : ''} (${progress.records.length} records kept, attempt ${recoveryAttempt})`);
+                return { sessionId: session.id, progress };
+            } catch (error) {
+                errorLog(`Cannot resume scrape session ${session.id}, starting over:`, error);
+                await this.sessionManager.endSession(session.id, 'FAILED').catch(() => {});
+            }
+        }
+        
+        const session = await this.sessionManager.createSession({
+            type: SESSION_TYPES.SCRAPING,
+            targetUrl: this.config.targetUrl,
+            metadata: { markets: marketIds, scrapeCount: this.scrapeCount, traceId }
+        });
+        return { sessionId: session.id, progress: null };
+    }
+
+    /**
+     * Checkpoint the run; a checkpoint that can't be written doesn't stop the scrape
+     */
+    async saveCheckpoint(run, type, progress) {
+        if (!run) {
+            return;
+        }
+        
+        try {
+            await this.sessionManager.createCheckpoint(run.sessionId, { type, ...progress });
+        } catch (error) {
+            errorLog(`Failed to checkpoint scrape session ${run.sessionId}:`, error);
+        }
+    }
+
+    async endCheckpointedRun(run, reason) {
+        if (!run) {
+            return;
+        }
+        
+        try {
+            await this.sessionManager.endSession(run.sessionId, reason);
+        } catch (error) {
+            errorLog(`Failed to end scrape session ${run.sessionId}:`, error);
+        }
+    }
+
     /**
      * Run continuous enhanced scraping
      */
@@ -805,10 +1138,24 @@ class EnhancedScraper {
             
             // Close database
             if (this.database) {
-                await this.database.close();
+                if (this.ownsDatabase) {
+                    await this.database.close();
+                }
                 this.database = null;
             }
             
+            if (this.warehouse) {
+                await this.warehouse.close();
+                this.warehouse = null;
+                this.warehousePipeline = null;
+            }
+            
+            // A run still in progress stays in storage, to resume on the next start
+            if (this.sessionManager) {
+                await this.sessionManager.shutdown({ endSessions: false });
+                this.sessionManager = null;
+            }
+            
             // Log final statistics
             const finalStats = this.getStats();
             log('Enhanced scraper shutdown complete');
@@ -2,6 +2,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { LogSearch } = require('./logSearch');
 
 /**
  * Enhanced Logging System with Different Severity Levels
@@ -203,9 +205,10 @@ class FileTarget extends LogTarget {
     }
 
     startFlushTimer() {
+        // Buffered entries are flushed on shutdown; the timer alone doesn't keep the process alive
         setInterval(() => {
             this.flush();
-        }, this.flushInterval);
+        }, this.flushInterval).unref();
     }
 
     async write(entry) {
@@ -362,7 +365,7 @@ class DatabaseTarget extends LogTarget {
     startFlushTimer() {
         setInterval(() => {
             this.flush();
-        }, this.flushInterval);
+        }, this.flushInterval).unref();
     }
 
     async write(entry) {
@@ -419,6 +422,7 @@ class EnhancedLogger {
 
         this.targets = [];
         this.contextStack = [this.options.context];
+        this.asyncContext = new AsyncLocalStorage();
         this.performanceMarks = new Map();
         this.metrics = {
             totalLogs: 0,
@@ -461,6 +465,8 @@ class EnhancedLogger {
 
     /**
      * Context management
+     * withContext/withContextAsync scopes follow their async call chain, so
+     * concurrent operations each keep their own context
      */
     pushContext(context) {
         const currentContext = this.getCurrentContext();
@@ -476,25 +482,15 @@ class EnhancedLogger {
     }
 
     getCurrentContext() {
-        return this.contextStack[this.contextStack.length - 1] || {};
+        return this.asyncContext.getStore() || this.contextStack[this.contextStack.length - 1] || {};
     }
 
     withContext(context, fn) {
-        this.pushContext(context);
-        try {
-            return fn();
-        } finally {
-            this.popContext();
-        }
+        return this.asyncContext.run({ ...this.getCurrentContext(), ...context }, fn);
     }
 
     async withContextAsync(context, fn) {
-        this.pushContext(context);
-        try {
-            return await fn();
-        } finally {
-            this.popContext();
-        }
+        return await this.asyncContext.run({ ...this.getCurrentContext(), ...context }, fn);
     }
 
     /**
@@ -733,76 +729,51 @@ class EnhancedLogger {
 
     /**
      * Log searching and filtering
+     * Searches the file targets (including rotated files) and database targets
+     */
+    getLogSearch() {
+        return new LogSearch({
+            files: this.targets
+                .filter(target => target instanceof FileTarget)
+                .map(target => target.filePath),
+            databases: this.targets
+                .filter(target => target instanceof DatabaseTarget && target.database)
+                .map(target => ({ database: target.database, tableName: target.tableName }))
+        });
+    }
+
+    /**
+     * Matching entries newest first, up to criteria.limit (default 100)
      */
     async searchLogs(criteria = {}) {
-        // This would search through log files or database
-        // Implementation depends on available log targets
-        const results = [];
-        
-        for (const target of this.targets) {
-            if (target instanceof DatabaseTarget && target.database) {
-                try {
-                    const logs = await this.searchDatabaseLogs(target, criteria);
-                    results.push(...logs);
-                } catch (error) {
-                    this.error('Failed to search database logs', error);
-                }
-            }
+        // Buffered entries are searchable too
+        await this.flush();
+
+        try {
+            return await this.getLogSearch().search(criteria);
+        } catch (error) {
+            this.error('Failed to search logs', error);
+            return [];
         }
-        
-        return results;
+    }
+
+    /**
+     * Every matching entry oldest first, as an async iterator
+     */
+    streamLogs(criteria = {}) {
+        return this.getLogSearch().stream(criteria);
+    }
+
+    /**
+     * Matching entries appended to the log files until options.signal aborts
+     */
+    followLogs(criteria = {}, options = {}) {
+        return this.getLogSearch().follow(criteria, options);
     }
 
     async searchDatabaseLogs(target, criteria) {
-        const {
-            level = null,
-            category = null,
-            component = null,
-            startTime = null,
-            endTime = null,
-            limit = 100
-        } = criteria;
-        
-        let query = `SELECT * FROM ${target.tableName} WHERE 1=1`;
-        const params = [];
-        
-        if (level) {
-            query += ' AND level = ?';
-            params.push(level);
-        }
-        
-        if (category) {
-            query += ' AND category = ?';
-            params.push(category);
-        }
-        
-        if (component) {
-            query += ' AND component = ?';
-            params.push(component);
-        }
-        
-        if (startTime) {
-            query += ' AND timestamp >= ?';
-            params.push(startTime);
-        }
-        
-        if (endTime) {
-            query += ' AND timestamp <= ?';
-            params.push(endTime);
-        }
-        
-        query += ' ORDER BY timestamp DESC LIMIT ?';
-        params.push(limit);
-        
-        const stmt = await target.database.prepare(query);
-        const rows = await stmt.all(params);
-        await stmt.finalize();
-        
-        return rows.map(row => ({
-            ...row,
-            metadata: JSON.parse(row.metadata || '{}'),
-            performance: JSON.parse(row.performance || '{}')
-        }));
+        const search = new LogSearch({ databases: [{ database: target.database, tableName: target.tableName }] });
+        return search.search(criteria);
     }
 
     /**
@@ -857,6 +828,13 @@ function setGlobalLogger(logger) {
     globalLogger = logger;
 }
 
+/**
+ * Context of the global logger, without creating it when it doesn't exist yet
+ */
+function getGlobalContext() {
+    return globalLogger ? globalLogger.getCurrentContext() : {};
+}
+
 // Convenience functions using global logger
 function debug(message, metadata) {
     return getGlobalLogger().debug(message, metadata);
@@ -890,6 +868,7 @@ module.exports = {
     createLogger,
     getGlobalLogger,
     setGlobalLogger,
+    getGlobalContext,
     debug,
     info,
     warn,
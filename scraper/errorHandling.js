@@ -1,5 +1,6 @@
 // scraper/errorHandling.js
 const { log, errorLog } = require('./logger');
+const { getTraceId } = require('./traceContext');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -68,6 +69,8 @@ class BaseScrapingError extends Error {
         this.context = context;
         this.timestamp = new Date().toISOString();
         this.id = this.generateErrorId();
+        // The scrape the error was raised in, when it was raised inside a trace
+        this.traceId = context.traceId || getTraceId();
         this.recoveryStrategy = this.determineRecoveryStrategy();
         
         // Capture stack trace
@@ -108,6 +111,7 @@ class BaseScrapingError extends Error {
             severity: this.severity,
             context: this.context,
             timestamp: this.timestamp,
+            traceId: this.traceId,
             recoveryStrategy: this.recoveryStrategy,
             stack: this.stack
         };
@@ -310,6 +314,7 @@ class ErrorHandler {
             {
                 originalError: error.name || 'Error',
                 stack: error.stack,
+                ...(error.traceId && { traceId: error.traceId }),
                 ...context
             }
         );
@@ -319,52 +324,7 @@ class ErrorHandler {
      * Classify error based on message and type
      */
     classifyError(error) {
-        const message = (error.message || '').toLowerCase();
-        const name = (error.name || '').toLowerCase();
-
-        // Network errors
-        if (message.includes('network') || message.includes('connect') || 
-            message.includes('timeout') || name.includes('network')) {
-            return ERROR_CATEGORIES.NETWORK;
-        }
-
-        // Rate limiting
-        if (message.includes('rate limit') || message.includes('too many requests') ||
-            message.includes('429') || message.includes('throttl')) {
-            return ERROR_CATEGORIES.RATE_LIMIT;
-        }
-
-        // Authentication/Authorization
-        if (message.includes('auth') || message.includes('401') || 
-            message.includes('403') || message.includes('unauthorized')) {
-            return ERROR_CATEGORIES.AUTHENTICATION;
-        }
-
-        // Parsing errors
-        if (message.includes('parse') || message.includes('json') || 
-            message.includes('xml') || message.includes('selector')) {
-            return ERROR_CATEGORIES.PARSING;
-        }
-
-        // Validation errors
-        if (message.includes('validation') || message.includes('invalid') ||
-            message.includes('schema') || name.includes('validation')) {
-            return ERROR_CATEGORIES.VALIDATION;
-        }
-
-        // Stealth detection
-        if (message.includes('detect') || message.includes('block') || 
-            message.includes('captcha') || message.includes('robot')) {
-            return ERROR_CATEGORIES.STEALTH;
-        }
-
-        // System errors
-        if (message.includes('system') || message.includes('memory') || 
-            message.includes('disk') || name.includes('system')) {
-            return ERROR_CATEGORIES.SYSTEM;
-        }
-
-        return ERROR_CATEGORIES.UNKNOWN;
+        return classifyError(error);
     }
 
     /**
@@ -781,6 +741,63 @@ class ErrorHandler {
     }
 }
 
+/**
+ * Category of an error: a scraping error's own, otherwise classified by its
+ * message and name
+ */
+function classifyError(error) {
+    if (error instanceof BaseScrapingError) {
+        return error.category;
+    }
+
+    const message = (error.message || '').toLowerCase();
+    const name = (error.name || '').toLowerCase();
+
+    // Network errors
+    if (message.includes('network') || message.includes('connect') || 
+        message.includes('timeout') || name.includes('network')) {
+        return ERROR_CATEGORIES.NETWORK;
+    }
+
+    // Rate limiting
+    if (message.includes('rate limit') || message.includes('too many requests') ||
+        message.includes('429') || message.includes('throttl')) {
+        return ERROR_CATEGORIES.RATE_LIMIT;
+    }
+
+    // Authentication/Authorization
+    if (message.includes('auth') || message.includes('401') || 
+        message.includes('403') || message.includes('unauthorized')) {
+        return ERROR_CATEGORIES.AUTHENTICATION;
+    }
+
+    // Parsing errors
+    if (message.includes('parse') || message.includes('json') || 
+        message.includes('xml') || message.includes('selector')) {
+        return ERROR_CATEGORIES.PARSING;
+    }
+
+    // Validation errors
+    if (message.includes('validation') || message.includes('invalid') ||
+        message.includes('schema') || name.includes('validation')) {
+        return ERROR_CATEGORIES.VALIDATION;
+    }
+
+    // Stealth detection
+    if (message.includes('detect') || message.includes('block') || 
+        message.includes('captcha') || message.includes('robot')) {
+        return ERROR_CATEGORIES.STEALTH;
+    }
+
+    // System errors
+    if (message.includes('system') || message.includes('memory') || 
+        message.includes('disk') || name.includes('system')) {
+        return ERROR_CATEGORIES.SYSTEM;
+    }
+
+    return ERROR_CATEGORIES.UNKNOWN;
+}
+
 module.exports = {
     ErrorHandler,
     BaseScrapingError,
@@ -795,5 +812,6 @@ module.exports = {
     ConfigurationError,
     ERROR_CATEGORIES,
     ERROR_SEVERITY,
-    RECOVERY_STRATEGIES
+    RECOVERY_STRATEGIES,
+    classifyError
 };
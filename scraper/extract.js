@@ -1,4 +1,5 @@
 // scraper/extract.js
+const { JSDOM } = require('jsdom');
 const { errorLog, log } = require('./logger');
 const { 
     SELECTOR_STRATEGIES, 
@@ -6,272 +7,314 @@ const {
 } = require('./selectors');
 
 /**
- * Extract merchant data from the page using robust selector strategies.
- * 
- * @param {puppeteer.Page} page - The Puppeteer page instance.
- * @returns {Promise<Array>} - The list of merchant data with validation results.
+ * Run the selector strategies against a rendered document.
+ * Self-contained so it can be passed to page.evaluate() as well as called
+ * directly on a parsed snapshot (see extractMerchantsFromHtml).
+ *
+ * @param {Object} selectorStrategies - SELECTOR_STRATEGIES.
+ * @param {Document} doc - The document to extract from (the page's own by default).
+ * @param {string} pageUrl - URL recorded as each merchant's sourceUrl.
+ * @returns {Object} - Raw merchant records and extraction stats.
  */
-async function extractMerchants(page) {
-    try {
-        const extractionResult = await page.evaluate((selectorStrategies) => {
-            // Import selector functions into page context
-            const findElementWithFallback = function(container, selectorArray, options = {}) {
-                const { 
-                    requireText = true, 
-                    minTextLength = 1,
-                    excludePatterns = []
-                } = options;
+function extractFromDocument(selectorStrategies, doc = document, pageUrl = window.location.href) {
+    // Import selector functions into page context
+    const findElementWithFallback = function(container, selectorArray, options = {}) {
+        const { 
+            requireText = true, 
+            minTextLength = 1,
+            excludePatterns = []
+        } = options;
+        
+        for (let i = 0; i < selectorArray.length; i++) {
+            const selector = selectorArray[i];
+            
+            try {
+                // Handle special :contains() pseudo-selector
+                let elements;
+                if (selector.includes(':contains(')) {
+                    elements = findElementsWithText(container, selector);
+                } else {
+                    elements = container.querySelectorAll(selector);
+                }
                 
-                for (let i = 0; i < selectorArray.length; i++) {
-                    const selector = selectorArray[i];
+                for (const element of elements) {
+                    const text = element.textContent?.trim() || '';
+                    
+                    // Skip if text is required but missing
+                    if (requireText && text.length < minTextLength) {
+                        continue;
+                    }
                     
-                    try {
-                        // Handle special :contains() pseudo-selector
-                        let elements;
-                        if (selector.includes(':contains(')) {
-                            elements = findElementsWithText(container, selector);
-                        } else {
-                            elements = container.querySelectorAll(selector);
-                        }
-                        
-                        for (const element of elements) {
-                            const text = element.textContent?.trim() || '';
-                            
-                            // Skip if text is required but missing
-                            if (requireText && text.length < minTextLength) {
-                                continue;
-                            }
-                            
-                            // Skip if text matches exclude patterns
-                            if (excludePatterns.some(pattern => 
-                                typeof pattern === 'string' ? text.includes(pattern) : pattern.test(text)
-                            )) {
-                                continue;
-                            }
-                            
-                            return element;
-                        }
-                    } catch {
+                    // Skip if text matches exclude patterns
+                    if (excludePatterns.some(pattern => 
+                        typeof pattern === 'string' ? text.includes(pattern) : pattern.test(text)
+                    )) {
                         continue;
                     }
+                    
+                    return element;
                 }
-                
-                return null;
-            };
+            } catch {
+                continue;
+            }
+        }
+        
+        return null;
+    };
 
-            const findElementsWithText = function(container, selector) {
-                const match = selector.match(/^(.+):contains\(["']?(.+?)["']?\)$/);
-                if (!match) {
-                    return container.querySelectorAll(selector);
-                }
-                
-                const [, baseSelector, searchText] = match;
-                const elements = container.querySelectorAll(baseSelector);
-                
-                return Array.from(elements).filter(el => 
-                    el.textContent && el.textContent.includes(searchText)
-                );
-            };
+    const findElementsWithText = function(container, selector) {
+        const match = selector.match(/^(.+):contains\(["']?(.+?)["']?\)$/);
+        if (!match) {
+            return container.querySelectorAll(selector);
+        }
+        
+        const [, baseSelector, searchText] = match;
+        const elements = container.querySelectorAll(baseSelector);
+        
+        return Array.from(elements).filter(el => 
+            el.textContent && el.textContent.includes(searchText)
+        );
+    };
 
-            const extractText = function(element, options = {}) {
-                const {
-                    fallback = 'N/A',
-                    trim = true,
-                    normalize = true,
-                    maxLength = 1000
-                } = options;
-                
-                if (!element) {
-                    return fallback;
-                }
-                
-                let text = element.textContent || element.innerText || '';
-                
-                if (trim) {
-                    text = text.trim();
-                }
-                
-                if (normalize) {
-                    text = text.replace(/\s+/g, ' ');
-                    text = text.replace(/[\u200B-\u200D\uFEFF]/g, '');
-                }
-                
-                if (text.length > maxLength) {
-                    text = text.substring(0, maxLength) + '...';
-                }
-                
-                return text || fallback;
-            };
+    const extractText = function(element, options = {}) {
+        const {
+            fallback = 'N/A',
+            trim = true,
+            normalize = true,
+            maxLength = 1000
+        } = options;
+        
+        if (!element) {
+            return fallback;
+        }
+        
+        let text = element.textContent || element.innerText || '';
+        
+        if (trim) {
+            text = text.trim();
+        }
+        
+        if (normalize) {
+            text = text.replace(/\s+/g, ' ');
+            text = text.replace(/[\u200B-\u200D\uFEFF]/g, '');
+        }
+        
+        if (text.length > maxLength) {
+            text = text.substring(0, maxLength) + '...';
+        }
+        
+        return text || fallback;
+    };
 
-            const findMerchantContainers = function(document) {
-                const containers = [];
+    const findMerchantContainers = function(document) {
+        const containers = [];
+        
+        for (const selector of selectorStrategies.merchantContainers) {
+            try {
+                const elements = document.querySelectorAll(selector);
                 
-                for (const selector of selectorStrategies.merchantContainers) {
-                    try {
-                        const elements = document.querySelectorAll(selector);
-                        
-                        if (elements.length > 0) {
-                            const validContainers = Array.from(elements).filter(container => {
-                                const text = container.textContent || '';
-                                return text.length > 10 && (
-                                    text.includes('KES') || 
-                                    text.includes('USD') || 
-                                    text.includes('~') ||
-                                    /\d+(\.\d+)?/.test(text)
-                                );
-                            });
-                            
-                            if (validContainers.length > 0) {
-                                containers.push(...validContainers);
-                                break;
-                            }
-                        }
-                    } catch {
-                        continue;
+                if (elements.length > 0) {
+                    const validContainers = Array.from(elements).filter(container => {
+                        const text = container.textContent || '';
+                        return text.length > 10 && (
+                            text.includes('KES') || 
+                            text.includes('USD') || 
+                            text.includes('~') ||
+                            /\d+(\.\d+)?/.test(text)
+                        );
+                    });
+                    
+                    if (validContainers.length > 0) {
+                        containers.push(...validContainers);
+                        break;
                     }
                 }
-                
-                return containers;
-            };
-
-            // Start extraction process
-            const merchantData = [];
-            const extractionStats = {
-                containersFound: 0,
-                successfulExtractions: 0,
-                failedExtractions: 0,
-                selectorStats: {}
-            };
-
-            // Find merchant containers using robust strategy
-            const containers = findMerchantContainers(document);
-            extractionStats.containersFound = containers.length;
-
-            containers.forEach((merchant, index) => {
-                try {
-                    // Extract merchant name
-                    const nameElement = findElementWithFallback(
-                        merchant, 
-                        selectorStrategies.merchantName,
-                        { requireText: true, minTextLength: 1 }
-                    );
-                    const name = extractText(nameElement);
+            } catch {
+                continue;
+            }
+        }
+        
+        return containers;
+    };
 
-                    // Extract price
-                    const priceElement = findElementWithFallback(
-                        merchant, 
-                        selectorStrategies.price,
-                        { requireText: true, minTextLength: 1 }
-                    );
-                    const priceRaw = extractText(priceElement);
+    // Start extraction process
+    const merchantData = [];
+    const extractionStats = {
+        containersFound: 0,
+        successfulExtractions: 0,
+        failedExtractions: 0,
+        selectorStats: {}
+    };
 
-                    // Extract currency
-                    const currencyElement = findElementWithFallback(
-                        merchant, 
-                        selectorStrategies.currency,
-                        { requireText: true, minTextLength: 1 }
-                    );
-                    const currency = extractText(currencyElement);
+    // Find merchant containers using robust strategy
+    const containers = findMerchantContainers(doc);
+    extractionStats.containersFound = containers.length;
 
-                    // Extract size/limit
-                    const sizeLimitElement = findElementWithFallback(
-                        merchant, 
-                        selectorStrategies.sizeLimit,
-                        { requireText: true, minTextLength: 1 }
-                    );
-                    const sizeLimit = extractText(sizeLimitElement);
+    containers.forEach((merchant, index) => {
+        try {
+            // Extract merchant name
+            const nameElement = findElementWithFallback(
+                merchant, 
+                selectorStrategies.merchantName,
+                { requireText: true, minTextLength: 1 }
+            );
+            const name = extractText(nameElement);
 
-                    // Extract discount
-                    const discountElement = findElementWithFallback(
-                        merchant, 
-                        selectorStrategies.discount,
-                        { requireText: false }
-                    );
-                    const discount = extractText(discountElement);
+            // Extract price
+            const priceElement = findElementWithFallback(
+                merchant, 
+                selectorStrategies.price,
+                { requireText: true, minTextLength: 1 }
+            );
+            const priceRaw = extractText(priceElement);
 
-                    // Parse numeric price
-                    const numericPrice = (() => {
-                        const cleanPrice = priceRaw.replace(/[,\s]/g, '');
-                        const match = cleanPrice.match(/([0-9]*\.?[0-9]+)/);
-                        return match ? Number(match[1]) : null;
-                    })();
+            // Extract currency
+            const currencyElement = findElementWithFallback(
+                merchant, 
+                selectorStrategies.currency,
+                { requireText: true, minTextLength: 1 }
+            );
+            const currency = extractText(currencyElement);
 
-                    const merchantRecord = {
-                        'Merchant Name': name,
-                        Price: `${priceRaw} ${currency}`.trim(),
-                        'PriceNumeric': numericPrice,
-                        'Size/Limit': sizeLimit,
-                        Discount: discount,
-                        extractedAt: new Date().toISOString(),
-                        sourceUrl: window.location.href,
-                        extractionIndex: index
-                    };
+            // Extract size/limit
+            const sizeLimitElement = findElementWithFallback(
+                merchant, 
+                selectorStrategies.sizeLimit,
+                { requireText: true, minTextLength: 1 }
+            );
+            const sizeLimit = extractText(sizeLimitElement);
 
-                    merchantData.push(merchantRecord);
-                    extractionStats.successfulExtractions++;
+            // Extract discount
+            const discountElement = findElementWithFallback(
+                merchant, 
+                selectorStrategies.discount,
+                { requireText: false }
+            );
+            const discount = extractText(discountElement);
 
-                } catch (error) {
-                    extractionStats.failedExtractions++;
-                    console.error(`Failed to extract merchant ${index}:`, error);
-                }
-            });
+            // Parse numeric price
+            const numericPrice = (() => {
+                const cleanPrice = priceRaw.replace(/[,\s]/g, '');
+                const match = cleanPrice.match(/([0-9]*\.?[0-9]+)/);
+                return match ? Number(match[1]) : null;
+            })();
 
-            return {
-                merchantData,
-                extractionStats,
-                timestamp: new Date().toISOString(),
-                pageUrl: window.location.href,
-                pageTitle: document.title
+            const merchantRecord = {
+                'Merchant Name': name,
+                Price: `${priceRaw} ${currency}`.trim(),
+                'PriceNumeric': numericPrice,
+                'Size/Limit': sizeLimit,
+                Discount: discount,
+                extractedAt: new Date().toISOString(),
+                sourceUrl: pageUrl,
+                extractionIndex: index
             };
 
-        }, SELECTOR_STRATEGIES);
+            merchantData.push(merchantRecord);
+            extractionStats.successfulExtractions++;
 
-        // Validate extracted data
-        const validatedResults = {
-            merchants: [],
-            validationErrors: [],
-            warnings: [],
-            stats: extractionResult.extractionStats
-        };
+        } catch (error) {
+            extractionStats.failedExtractions++;
+            console.error(`Failed to extract merchant ${index}:`, error);
+        }
+    });
 
-        extractionResult.merchantData.forEach((merchant, index) => {
-            const validation = validateMerchantData(merchant);
-            
-            if (validation.isValid) {
-                validatedResults.merchants.push(merchant);
-            } else {
-                validatedResults.validationErrors.push({
-                    index,
-                    merchant,
-                    errors: validation.errors
-                });
-            }
-            
-            if (validation.warnings.length > 0) {
-                validatedResults.warnings.push({
-                    index,
-                    merchant: merchant['Merchant Name'],
-                    warnings: validation.warnings
-                });
-            }
-        });
+    return {
+        merchantData,
+        extractionStats,
+        timestamp: new Date().toISOString(),
+        pageUrl,
+        pageTitle: doc.title
+    };
+}
+
+/**
+ * Validate raw extraction results and keep the merchants that pass.
+ *
+ * @param {Object} extractionResult - Result of extractFromDocument.
+ * @returns {Array} - The valid merchant records.
+ */
+function validateExtraction(extractionResult) {
+    // Validate extracted data
+    const validatedResults = {
+        merchants: [],
+        validationErrors: [],
+        warnings: [],
+        stats: extractionResult.extractionStats
+    };
 
-        // Log extraction results
-        log(`Extraction completed: ${validatedResults.merchants.length} valid merchants found`);
-        if (validatedResults.validationErrors.length > 0) {
-            errorLog(`Validation errors: ${validatedResults.validationErrors.length} merchants failed validation`);
+    extractionResult.merchantData.forEach((merchant, index) => {
+        const validation = validateMerchantData(merchant);
+        
+        if (validation.isValid) {
+            validatedResults.merchants.push(merchant);
+        } else {
+            validatedResults.validationErrors.push({
+                index,
+                merchant,
+                errors: validation.errors
+            });
         }
-        if (validatedResults.warnings.length > 0) {
-            log(`Warnings: ${validatedResults.warnings.length} merchants have warnings`);
+        
+        if (validation.warnings.length > 0) {
+            validatedResults.warnings.push({
+                index,
+                merchant: merchant['Merchant Name'],
+                warnings: validation.warnings
+            });
         }
+    });
+
+    // Log extraction results
+    log(`Extraction completed: ${validatedResults.merchants.length} valid merchants found`);
+    if (validatedResults.validationErrors.length > 0) {
+        errorLog(`Validation errors: ${validatedResults.validationErrors.length} merchants failed validation`);
+    }
+    if (validatedResults.warnings.length > 0) {
+        log(`Warnings: ${validatedResults.warnings.length} merchants have warnings`);
+    }
 
-        return validatedResults.merchants;
+    return validatedResults.merchants;
+}
+
+/**
+ * Extract merchant data from the page using robust selector strategies.
+ * 
+ * @param {puppeteer.Page} page - The Puppeteer page instance.
+ * @returns {Promise<Array>} - The list of merchant data with validation results.
+ */
+async function extractMerchants(page) {
+    try {
+        const extractionResult = await page.evaluate(extractFromDocument, SELECTOR_STRATEGIES);
+        return validateExtraction(extractionResult);
     } catch (err) {
         errorLog("Error while extracting merchants:", err);
         return [];
     }
 }
 
+/**
+ * Extract merchant data from saved page HTML with the same selector strategies
+ * and validation as a live page. Used to replay captured snapshots offline.
+ *
+ * @param {string} html - The rendered page HTML.
+ * @param {Object} options - { url } the page was captured from (used as sourceUrl).
+ * @returns {Array} - The list of valid merchant records.
+ */
+function extractMerchantsFromHtml(html, { url = 'about:blank' } = {}) {
+    // Parsing only: snapshot scripts are never run and nothing is fetched
+    const { window } = new JSDOM(html, { url });
+
+    try {
+        return validateExtraction(extractFromDocument(SELECTOR_STRATEGIES, window.document, url));
+    } finally {
+        window.close();
+    }
+}
+
 module.exports = {
-    extractMerchants
+    extractMerchants,
+    extractMerchantsFromHtml,
+    extractFromDocument
 };
+
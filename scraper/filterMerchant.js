@@ -1,76 +1,55 @@
 // scraper/filterMerchant.js
-const fs = require('fs');
-const path = require('path');
-const {log, errorLog} = require('./logger');
 const { TARGET_MERCHANT } = require('./config');
+const { MERCHANT_EXPORT_COLUMNS } = require('./schema');
+const { saveExports } = require('./dataSaver');
+const { normalizeEntry, getWatchWindow } = require('./watchlist');
 
-function ensureDir(dir) {
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-    }
-}
-
-function csvEscape(value) {
-    if (value == null) return '';
-    const str = String(value).replace(/"/g, '""');
-    return `"${str}"`;
-}
+/**
+ * The target merchant and its neighbours on the page.
+ * Options: { window, aliases, caseInsensitive } as accepted by watchlist entries;
+ * by default the name must match exactly and one neighbour is kept on each side.
+ */
+function getAdjacentMerchants(merchants, targetMerchant = TARGET_MERCHANT, options = {}) {
+    if (!Array.isArray(merchants) || merchants.length === 0 || !targetMerchant) return [];
 
-function getAdjacentMerchants(merchants, targetMerchant = TARGET_MERCHANT) {
-    const result = [];
-    if (!Array.isArray(merchants) || merchants.length === 0) return result;
-    const targetIndex = merchants.findIndex(m => m["Merchant Name"] === targetMerchant);
-    
-    if (targetIndex === -1) return result;
-    
-    // Add merchant above (if exists)
-    if (targetIndex > 0) {
-        result.push(merchants[targetIndex - 1]);
-    }
-    
-    // Add target merchant
-    result.push(merchants[targetIndex]);
-    
-    // Add merchant below (if exists)
-    if (targetIndex < merchants.length - 1) {
-        result.push(merchants[targetIndex + 1]);
-    }
-    
-    return result;
+    const window = getWatchWindow(merchants, normalizeEntry({ ...options, name: targetMerchant }));
+    return window ? window.merchants : [];
 }
 
-function saveFilteredToJson(data) {
-    try {
-        const dataDir = path.join(__dirname, '../data');
-        ensureDir(dataDir);
-        const filePath = path.join(dataDir, 'filtered_merchants.json');
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 4), 'utf8');
-        log(`Filtered data successfully saved to JSON: ${filePath}`);
-    } catch (err) {
-        errorLog("Error saving filtered data to JSON:", err);
-    }
+/**
+ * Save the target merchant's neighbours to filtered_merchants.<format>
+ */
+function saveFilteredMerchants(data, options = {}) {
+    return saveExports(data, { baseName: 'filtered_merchants', ...options });
 }
 
-function saveFilteredToCsv(data) {
-    try {
-        const dataDir = path.join(__dirname, '../data');
-        ensureDir(dataDir);
-        const filePath = path.join(dataDir, 'filtered_merchants.csv');
-        const csvHeader = "Merchant Name,Price,Size/Limit,Discount\n";
-        const csvRows = data
-            .map((row) => [row['Merchant Name'], row.Price, row['Size/Limit'], row.Discount]
-                .map(csvEscape).join(','))
-            .join("\n");
-
-        fs.writeFileSync(filePath, csvHeader + csvRows, 'utf8');
-        log(`Filtered data successfully saved to CSV: ${filePath}`);
-    } catch (err) {
-        errorLog("Error saving filtered data to CSV:", err);
-    }
+/**
+ * Write one watchlist entry's neighbour windows to watch-<output>.<format>.
+ * The files are replaced on every scrape; the rank history lives in the database.
+ *
+ * @param {Object} entry - Normalized watchlist entry.
+ * @param {Array} windows - One { market, listed, position, merchants } per market.
+ * @param {Object} metadata - Scrape metadata for the file header.
+ * @param {Object} options - saveExports options (outputDir, formats).
+ */
+function saveWatchlistOutput(entry, windows, metadata = {}, options = {}) {
+    return saveExports(windows.flatMap(window => window.merchants), {
+        baseName: `watch-${entry.output}`,
+        columns: ['Market', 'Position', 'Offset', ...MERCHANT_EXPORT_COLUMNS],
+        metadata: {
+            merchant: entry.name,
+            aliases: entry.aliases,
+            caseInsensitive: entry.caseInsensitive,
+            window: entry.window,
+            ...metadata,
+            markets: windows.map(({ merchants, ...summary }) => ({ ...summary, merchantCount: merchants.length }))
+        },
+        ...options
+    });
 }
 
 module.exports = {
     getAdjacentMerchants,
-    saveFilteredToJson,
-    saveFilteredToCsv
-};
\ No newline at end of file
+    saveFilteredMerchants,
+    saveWatchlistOutput
+};
@@ -0,0 +1,677 @@
+// scraper/logSearch.js
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Log Search
+ *
+ * Queries the JSON lines written by FileTarget (current and rotated files), the
+ * plain lines written by logger.js (activity.log, warnings.log, errors.log) and
+ * the rows written by DatabaseTarget with one set of criteria:
+ * - level: a level or a list of levels
+ * - category, component
+ * - startTime / endTime (ISO date or Date)
+ * - sessionId, scrapeId, traceId (matched against the entry metadata)
+ * - text: case-insensitive match on the message and metadata
+ *
+ * Entries are streamed oldest first, merged across sources by timestamp.
+ *
+ * Plain lines only carry a trace id: a scrapeId matches the lines of the traces
+ * the database recorded for that scrape, or lines that mention the id.
+ */
+
+const ROTATED_SUFFIX = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+const DEFAULT_PAGE_SIZE = 500;
+const DEFAULT_POLL_INTERVAL = 1000;
+const READ_CHUNK_SIZE = 64 * 1024;
+const PLAIN_LOG_FILES = ['activity.log', 'warnings.log', 'errors.log'];
+const PLAIN_LINE = /^\[([^\]]+)\] (?:\[([^\]]+)\] )?([A-Z]+): (.*)$/;
+
+function toISOString(value, name) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name} "${value}"`);
+    }
+    return date.toISOString();
+}
+
+/**
+ * Validate search criteria and bring them to the form the matchers use
+ */
+function normalizeCriteria(criteria = {}) {
+    const levels = [].concat(criteria.level || [])
+        .flatMap(level => String(level).split(','))
+        .map(level => level.trim().toUpperCase())
+        .filter(Boolean);
+
+    return {
+        levels: levels.length > 0 ? levels : null,
+        category: criteria.category ? String(criteria.category).toUpperCase() : null,
+        component: criteria.component || null,
+        startTime: toISOString(criteria.startTime, 'startTime'),
+        endTime: toISOString(criteria.endTime, 'endTime'),
+        sessionId: criteria.sessionId || null,
+        scrapeId: criteria.scrapeId || null,
+        traceId: criteria.traceId || null,
+        text: criteria.text ? String(criteria.text).toLowerCase() : null
+    };
+}
+
+function parseJson(value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * A FileTarget line or DatabaseTarget row as { id, timestamp, level, message, metadata, performance, stack }
+ */
+function toLogEntry(record) {
+    return {
+        id: record.id,
+        timestamp: record.timestamp,
+        level: record.level,
+        message: record.message,
+        metadata: parseJson(record.metadata) || {},
+        performance: parseJson(record.performance) || undefined,
+        stack: record.stack || undefined
+    };
+}
+
+/**
+ * Whether a log entry satisfies normalized criteria
+ */
+function matchesCriteria(entry, criteria) {
+    const metadata = entry.metadata || {};
+
+    if (criteria.levels && !criteria.levels.includes(String(entry.level).toUpperCase())) {
+        return false;
+    }
+    if (criteria.category && String(metadata.category).toUpperCase() !== criteria.category) {
+        return false;
+    }
+    if (criteria.component && metadata.component !== criteria.component) {
+        return false;
+    }
+    if (criteria.startTime && !(entry.timestamp >= criteria.startTime)) {
+        return false;
+    }
+    if (criteria.endTime && !(entry.timestamp <= criteria.endTime)) {
+        return false;
+    }
+    if (criteria.sessionId && metadata.sessionId !== criteria.sessionId) {
+        return false;
+    }
+    if (criteria.scrapeId && metadata.scrapeId !== criteria.scrapeId) {
+        return false;
+    }
+    if (criteria.traceId && metadata.traceId !== criteria.traceId) {
+        return false;
+    }
+    if (criteria.text) {
+        const haystack = `${entry.message}\n${JSON.stringify(metadata)}`.toLowerCase();
+        if (!haystack.includes(criteria.text)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * matchesCriteria for a logger.js entry; `scrapeTraceIds` are the traces of criteria.scrapeId
+ */
+function matchesPlainEntry(entry, criteria, scrapeTraceIds = []) {
+    if (!matchesCriteria(entry, { ...criteria, scrapeId: null, sessionId: null })) {
+        return false;
+    }
+    if (criteria.scrapeId && !scrapeTraceIds.includes(entry.metadata.traceId) && !entry.message.includes(criteria.scrapeId)) {
+        return false;
+    }
+    return !criteria.sessionId || entry.message.includes(criteria.sessionId);
+}
+
+/**
+ * Parser for logger.js lines ("[timestamp] [trace-id] LEVEL: message"); the
+ * unprefixed lines that follow an entry are its stack trace
+ */
+function createPlainParser(source) {
+    let current = null;
+
+    return {
+        // The entry this line completes, if any
+        push(line) {
+            const match = PLAIN_LINE.exec(line);
+            if (!match) {
+                if (current && line.trim()) {
+                    current.stack = current.stack ? `${current.stack}\n${line}` : line;
+                }
+                return null;
+            }
+
+            const [, timestamp, traceId, level, message] = match;
+            const done = current;
+            current = {
+                timestamp,
+                level: level === 'WARNING' ? 'WARN' : level,
+                message,
+                metadata: traceId ? { source, traceId } : { source }
+            };
+            return done;
+        },
+
+        // The last entry, once no more stack lines can follow
+        flush() {
+            const done = current;
+            current = null;
+            return done;
+        }
+    };
+}
+
+/**
+ * Parse one JSON line, or null for blank and malformed lines (e.g. a partial write)
+ */
+function parseLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed) {
+        return null;
+    }
+
+    try {
+        const record = JSON.parse(trimmed);
+        return record && typeof record === 'object' && record.timestamp ? toLogEntry(record) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * A log file and its rotated copies ("enhanced.2026-01-05T08-00-00-000Z.log"), oldest first
+ */
+async function listLogFiles(filePath) {
+    const dir = path.dirname(filePath);
+    const ext = path.extname(filePath);
+    const base = path.basename(filePath, ext);
+
+    let names;
+    try {
+        names = await fs.promises.readdir(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const rotated = names
+        .filter(name => name.startsWith(`${base}.`) && name.endsWith(ext))
+        .filter(name => ROTATED_SUFFIX.test(name.slice(base.length + 1, name.length - ext.length)))
+        .sort()
+        .map(name => path.join(dir, name));
+
+    return names.includes(path.basename(filePath)) ? [...rotated, filePath] : rotated;
+}
+
+/**
+ * Matching entries of one JSON lines file, in file order
+ */
+async function* readFileLogs(filePath, criteria) {
+    const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+    try {
+        for await (const line of lines) {
+            const entry = parseLine(line);
+            if (entry && matchesCriteria(entry, criteria)) {
+                yield entry;
+            }
+        }
+    } catch (error) {
+        // A file rotated away between listing and reading has nothing left to search
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    } finally {
+        lines.close();
+        stream.destroy();
+    }
+}
+
+/**
+ * Matching entries of one logger.js file, in file order
+ */
+async function* readPlainFileLogs(filePath, criteria, scrapeTraceIds = []) {
+    const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    const parser = createPlainParser(path.basename(filePath));
+    const matches = entry => entry && matchesPlainEntry(entry, criteria, scrapeTraceIds);
+
+    try {
+        for await (const line of lines) {
+            const entry = parser.push(line);
+            if (matches(entry)) {
+                yield entry;
+            }
+        }
+        const last = parser.flush();
+        if (matches(last)) {
+            yield last;
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    } finally {
+        lines.close();
+        stream.destroy();
+    }
+}
+
+/**
+ * Run a query against a DatabaseManager (getRows) or a sqlite connection (prepare/all/finalize)
+ */
+async function queryRows(database, sql, params) {
+    if (typeof database.getRows === 'function') {
+        return database.getRows(sql, params);
+    }
+
+    const stmt = await database.prepare(sql);
+    try {
+        return await stmt.all(params);
+    } finally {
+        await stmt.finalize();
+    }
+}
+
+/**
+ * Matching rows of a DatabaseTarget table, oldest first, fetched in keyset pages.
+ * Level, category, component and time range are filtered in SQL; the metadata
+ * criteria are applied to each row.
+ */
+async function* readDatabaseLogs(database, criteria, { tableName = 'logs', pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (criteria.levels) {
+        conditions.push(`level IN (${criteria.levels.map(() => '?').join(', ')})`);
+        params.push(...criteria.levels);
+    }
+    if (criteria.category) {
+        conditions.push('UPPER(category) = ?');
+        params.push(criteria.category);
+    }
+    if (criteria.component) {
+        conditions.push('component = ?');
+        params.push(criteria.component);
+    }
+    if (criteria.startTime) {
+        conditions.push('timestamp >= ?');
+        params.push(criteria.startTime);
+    }
+    if (criteria.endTime) {
+        conditions.push('timestamp <= ?');
+        params.push(criteria.endTime);
+    }
+
+    let after = null;
+    for (;;) {
+        const page = after ? ['(timestamp > ? OR (timestamp = ? AND id > ?))'] : [];
+        const where = [...conditions, ...page];
+        const sql = `SELECT * FROM ${tableName}${where.length > 0 ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY timestamp ASC, id ASC LIMIT ?`;
+
+        let rows;
+        try {
+            rows = await queryRows(database, sql, [...params, ...(after ? [after.timestamp, after.timestamp, after.id] : []), pageSize]);
+        } catch (error) {
+            // Nothing has been logged to this database yet
+            if (/no such table/i.test(error.message)) {
+                return;
+            }
+            throw error;
+        }
+
+        for (const row of rows) {
+            const entry = toLogEntry(row);
+            if (matchesCriteria(entry, criteria)) {
+                yield entry;
+            }
+        }
+
+        if (rows.length < pageSize) {
+            return;
+        }
+        after = rows[rows.length - 1];
+    }
+}
+
+/**
+ * Merge sources that are each ordered by timestamp into one ordered stream.
+ * An entry written to several targets (same id and timestamp) is yielded once.
+ */
+async function* mergeByTimestamp(sources) {
+    const iterators = sources.map(source => source[Symbol.asyncIterator]());
+    const heads = await Promise.all(iterators.map(iterator => iterator.next()));
+    let lastTimestamp = null;
+    let seenIds = new Set();
+
+    try {
+        for (;;) {
+            let next = -1;
+            heads.forEach((head, index) => {
+                if (!head.done && (next === -1 || head.value.timestamp < heads[next].value.timestamp)) {
+                    next = index;
+                }
+            });
+            if (next === -1) {
+                return;
+            }
+
+            const entry = heads[next].value;
+            heads[next] = await iterators[next].next();
+
+            if (entry.timestamp !== lastTimestamp) {
+                lastTimestamp = entry.timestamp;
+                seenIds = new Set();
+            }
+            if (entry.id && seenIds.has(entry.id)) {
+                continue;
+            }
+            seenIds.add(entry.id);
+            yield entry;
+        }
+    } finally {
+        await Promise.all(iterators
+            .filter((iterator, index) => !heads[index].done && iterator.return)
+            .map(iterator => iterator.return()));
+    }
+}
+
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        if (signal && signal.aborted) {
+            resolve();
+            return;
+        }
+        const timer = setTimeout(done, ms);
+        function done() {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', done);
+            }
+            resolve();
+        }
+        if (signal) {
+            signal.addEventListener('abort', done);
+        }
+    });
+}
+
+async function statOrNull(filePath) {
+    try {
+        return await fs.promises.stat(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Matching entries appended to a log file from now on, until the signal aborts.
+ * The open file is read to its end when FileTarget rotates it, then the new
+ * file is followed from its start. `plain` follows a logger.js file; logger.js
+ * appends an error and its stack trace in one write.
+ */
+async function* followFileLogs(filePath, criteria, { signal = null, pollInterval = DEFAULT_POLL_INTERVAL, plain = false, scrapeTraceIds = [] } = {}) {
+    let handle = null;
+    let handleIno = null;
+    let position = 0;
+    let decoder = new StringDecoder('utf8');
+    let partial = '';
+
+    const open = async (fromEnd) => {
+        try {
+            handle = await fs.promises.open(filePath, 'r');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            handle = null;
+            return;
+        }
+        const stats = await handle.stat();
+        handleIno = stats.ino;
+        position = fromEnd ? stats.size : 0;
+        decoder = new StringDecoder('utf8');
+        partial = '';
+    };
+
+    // New complete lines from the open file; a trailing partial line waits for the next read
+    const readAppended = async (flush = false) => {
+        const { size } = await handle.stat();
+        if (size < position) {
+            // Truncated in place
+            position = 0;
+            partial = '';
+        }
+
+        let text = '';
+        while (position < size) {
+            const buffer = Buffer.alloc(Math.min(READ_CHUNK_SIZE, size - position));
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+            if (bytesRead === 0) {
+                break;
+            }
+            position += bytesRead;
+            text += decoder.write(buffer.subarray(0, bytesRead));
+        }
+
+        const lines = (partial + text).split('\n');
+        partial = flush ? '' : lines.pop();
+        if (!plain) {
+            return lines
+                .map(parseLine)
+                .filter(entry => entry && matchesCriteria(entry, criteria));
+        }
+
+        const parser = createPlainParser(path.basename(filePath));
+        return [...lines.map(line => parser.push(line)), parser.flush()]
+            .filter(entry => entry && matchesPlainEntry(entry, criteria, scrapeTraceIds));
+    };
+
+    await open(true);
+    try {
+        while (!(signal && signal.aborted)) {
+            if (handle) {
+                yield* await readAppended();
+            }
+
+            const current = await statOrNull(filePath);
+            const replaced = handle ? !current || current.ino !== handleIno : Boolean(current);
+            if (replaced) {
+                if (handle) {
+                    yield* await readAppended(true);
+                    await handle.close();
+                    handle = null;
+                }
+                if (current) {
+                    await open(false);
+                    continue;
+                }
+            }
+
+            await sleep(pollInterval, signal);
+        }
+    } finally {
+        if (handle) {
+            await handle.close();
+        }
+    }
+}
+
+/**
+ * One-line rendering of an entry for terminals:
+ * "2026-01-05T08:00:00.000Z ERROR [SCRAPING:scraper] Navigation timeout scrape=abc"
+ * (logger.js entries show their file: "[errors.log]")
+ */
+function formatLogEntry(entry) {
+    const metadata = entry.metadata || {};
+    const ids = ['scrapeId', 'sessionId', 'traceId']
+        .filter(key => metadata[key])
+        .map(key => ` ${key.replace(/Id$/, '')}=${metadata[key]}`)
+        .join('');
+    const origin = metadata.source || `${metadata.category}:${metadata.component}`;
+    return `${entry.timestamp} ${String(entry.level).padEnd(5)} [${origin}] ${entry.message}${ids}`;
+}
+
+/**
+ * Search over log files (with their rotated copies) and log database tables
+ */
+class LogSearch {
+    /**
+     * @param {Object} options - { files: [path], plainFiles: [path], databases: [{ database, tableName }],
+     *   scrapeDatabase, pageSize, pollInterval }. scrapeDatabase (a DatabaseManager) finds the traces of a
+     *   scrapeId for the plain files.
+     */
+    constructor(options = {}) {
+        this.files = options.files || [];
+        this.plainFiles = options.plainFiles || [];
+        this.databases = options.databases || [];
+        this.scrapeDatabase = options.scrapeDatabase || null;
+        this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+        this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+    }
+
+    /**
+     * Trace ids the scrape sessions table recorded for a scrape
+     */
+    async getScrapeTraceIds(scrapeId) {
+        const database = this.scrapeDatabase;
+        if (!scrapeId || this.plainFiles.length === 0 || !database || database.isConnected === false) {
+            return [];
+        }
+
+        let sessions;
+        try {
+            sessions = await database.getTraceSessions(scrapeId);
+        } catch (error) {
+            // Nothing has been scraped into this database yet
+            if (/no such table/i.test(error.message)) {
+                return [];
+            }
+            throw error;
+        }
+        return sessions
+            .filter(session => session.scrape_id === scrapeId)
+            .map(session => parseJson(session.metadata))
+            .map(metadata => (metadata && typeof metadata === 'object' ? metadata.traceId : null))
+            .filter(Boolean);
+    }
+
+    /**
+     * Every matching entry, oldest first
+     */
+    async* stream(criteria = {}) {
+        const normalized = normalizeCriteria(criteria);
+        const scrapeTraceIds = await this.getScrapeTraceIds(normalized.scrapeId);
+        const readFiles = async (filePath, read) => {
+            const files = await listLogFiles(filePath);
+            return (async function* () {
+                for (const file of files) {
+                    yield* read(file);
+                }
+            })();
+        };
+        const fileSources = await Promise.all([
+            ...this.files.map(filePath => readFiles(filePath, file => readFileLogs(file, normalized))),
+            ...this.plainFiles.map(filePath => readFiles(filePath, file => readPlainFileLogs(file, normalized, scrapeTraceIds)))
+        ]);
+        const databaseSources = this.databases
+            .filter(({ database }) => database && database.isConnected !== false)
+            .map(({ database, tableName }) => readDatabaseLogs(database, normalized, { tableName, pageSize: this.pageSize }));
+
+        yield* mergeByTimestamp([...fileSources, ...databaseSources]);
+    }
+
+    /**
+     * The last `count` matching entries, oldest first
+     */
+    async tail(criteria = {}, count = 100) {
+        const entries = [];
+        for await (const entry of this.stream(criteria)) {
+            entries.push(entry);
+            if (entries.length > count) {
+                entries.shift();
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Matching entries newest first, up to criteria.limit (default 100)
+     */
+    async search(criteria = {}) {
+        return (await this.tail(criteria, criteria.limit || 100)).reverse();
+    }
+
+    /**
+     * Matching entries appended to the log files after the call, until options.signal aborts.
+     * Database targets are not followed.
+     */
+    async* follow(criteria = {}, options = {}) {
+        const normalized = normalizeCriteria(criteria);
+        const followOptions = {
+            signal: options.signal || null,
+            pollInterval: options.pollInterval || this.pollInterval,
+            scrapeTraceIds: await this.getScrapeTraceIds(normalized.scrapeId)
+        };
+
+        // Files are followed side by side; entries are yielded as each file delivers them
+        const iterators = [
+            ...this.files.map(filePath => followFileLogs(filePath, normalized, followOptions)),
+            ...this.plainFiles.map(filePath => followFileLogs(filePath, normalized, { ...followOptions, plain: true }))
+        ];
+        const pending = new Map(iterators.map((iterator, index) => [index, iterator.next().then(result => ({ index, result }))]));
+
+        try {
+            while (pending.size > 0) {
+                const { index, result } = await Promise.race(pending.values());
+                if (result.done) {
+                    pending.delete(index);
+                    continue;
+                }
+                pending.set(index, iterators[index].next().then(next => ({ index, result: next })));
+                yield result.value;
+            }
+        } finally {
+            await Promise.all(iterators.map(iterator => iterator.return()));
+        }
+    }
+}
+
+module.exports = {
+    LogSearch,
+    PLAIN_LOG_FILES,
+    normalizeCriteria,
+    matchesCriteria,
+    formatLogEntry,
+    listLogFiles,
+    readFileLogs,
+    readPlainFileLogs,
+    readDatabaseLogs,
+    mergeByTimestamp,
+    followFileLogs
+};
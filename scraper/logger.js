@@ -1,6 +1,7 @@
 // scraper/logger.js
 const fs = require('fs');
 const path = require('path');
+const { getTraceId } = require('./traceContext');
 
 // --- Ensure logs directory exists ---
 const logsDir = path.join(__dirname, '../', 'logs');
@@ -15,8 +16,11 @@ class Logger {
 
     write (message) {
         const timestamp = new Date().toISOString();
+        // Lines written during a scrape are tagged with its trace id
+        const traceId = getTraceId();
+        const prefix = traceId ? `[${ timestamp }] [${ traceId }]` : `[${ timestamp }]`;
         try {
-            fs.appendFileSync(this.logFile, `[${ timestamp }] ${ message }\n`, 'utf8');
+            fs.appendFileSync(this.logFile, `${ prefix } ${ message }\n`, 'utf8');
         } catch (err) {
             // As a last resort, write to stderr to avoid losing logs entirely
             console.error('LOG WRITE FAILED:', err?.message || err);
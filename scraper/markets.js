@@ -0,0 +1,201 @@
+// scraper/markets.js
+
+/**
+ * Sides of the Gate.io P2P book a market can be scraped from
+ */
+const MARKET_SIDES = ['buy', 'sell'];
+
+const DEFAULT_BASE_URL = 'https://www.gate.io/p2p';
+
+const MARKET_PATH_PATTERN = /\/(buy|sell)\/([A-Za-z0-9]+)-([A-Za-z0-9]+)\/?$/;
+const MARKET_SPEC_PATTERN = /^([A-Za-z0-9]+)[-/]([A-Za-z0-9]+)(?::(buy|sell))?$/i;
+
+/**
+ * Stable identifier for a market, e.g. "USDT-KES-buy"
+ */
+function getMarketId(market) {
+    return `${market.asset}-${market.fiat}-${market.side}`;
+}
+
+/**
+ * Build the P2P listing URL for an asset/fiat pair and side
+ */
+function buildMarketUrl({ asset, fiat, side }, baseUrl = DEFAULT_BASE_URL) {
+    return `${baseUrl.replace(/\/+$/, '')}/${side}/${asset}-${fiat}`;
+}
+
+/**
+ * Derive the P2P base URL (".../p2p") from a market listing URL
+ */
+function getBaseUrl(targetUrl) {
+    if (!targetUrl) return DEFAULT_BASE_URL;
+
+    const url = new URL(targetUrl);
+    const pathname = url.pathname.replace(MARKET_PATH_PATTERN, '');
+    return `${url.origin}${pathname}`;
+}
+
+/**
+ * Create a normalized market object
+ */
+function createMarket({ asset, fiat, side, url }, baseUrl = DEFAULT_BASE_URL) {
+    const normalizedSide = String(side || '').toLowerCase();
+    if (!MARKET_SIDES.includes(normalizedSide)) {
+        throw new Error(`Invalid market side "${side}" (expected one of: ${MARKET_SIDES.join(', ')})`);
+    }
+    if (!asset || !fiat) {
+        throw new Error('A market needs both an asset and a fiat currency');
+    }
+
+    const market = {
+        asset: String(asset).toUpperCase(),
+        fiat: String(fiat).toUpperCase(),
+        side: normalizedSide
+    };
+    market.id = getMarketId(market);
+    market.url = url || buildMarketUrl(market, baseUrl);
+    return market;
+}
+
+/**
+ * Parse a market listing URL such as https://www.gate.io/p2p/buy/USDT-KES
+ */
+function parseMarketUrl(targetUrl) {
+    const match = new URL(targetUrl).pathname.match(MARKET_PATH_PATTERN);
+    if (!match) {
+        throw new Error(`Cannot determine asset, fiat and side from URL: ${targetUrl}`);
+    }
+
+    const [, side, asset, fiat] = match;
+    return createMarket({ asset, fiat, side, url: targetUrl });
+}
+
+/**
+ * Parse a single market spec.
+ * Accepts "USDT-KES:buy", "USDT-KES" (both sides) or { asset, fiat, side, url }.
+ */
+function parseMarketSpec(spec, baseUrl = DEFAULT_BASE_URL) {
+    if (spec && typeof spec === 'object') {
+        if (spec.side) {
+            return [createMarket(spec, baseUrl)];
+        }
+        return MARKET_SIDES.map(side => createMarket({ ...spec, side, url: undefined }, baseUrl));
+    }
+
+    const match = String(spec).trim().match(MARKET_SPEC_PATTERN);
+    if (!match) {
+        throw new Error(`Invalid market "${spec}" (expected ASSET-FIAT or ASSET-FIAT:side, e.g. USDT-KES:buy)`);
+    }
+
+    const [, asset, fiat, side] = match;
+    const sides = side ? [side] : MARKET_SIDES;
+    return sides.map(s => createMarket({ asset, fiat, side: s }, baseUrl));
+}
+
+/**
+ * Parse a market list from a comma-separated string or an array of specs.
+ * Duplicates are dropped, keeping the first occurrence.
+ */
+function parseMarkets(specs, baseUrl = DEFAULT_BASE_URL) {
+    const list = Array.isArray(specs)
+        ? specs
+        : String(specs || '').split(',').filter(spec => spec.trim() !== '');
+
+    const markets = new Map();
+    for (const spec of list) {
+        for (const market of parseMarketSpec(spec, baseUrl)) {
+            if (!markets.has(market.id)) {
+                markets.set(market.id, market);
+            }
+        }
+    }
+
+    return Array.from(markets.values());
+}
+
+/**
+ * Resolve the markets to scrape: the configured list, or the single market
+ * behind the target URL when no list is configured.
+ */
+function resolveMarkets(specs, targetUrl) {
+    const hasSpecs = Array.isArray(specs) ? specs.length > 0 : Boolean(specs && String(specs).trim());
+    if (hasSpecs) {
+        return parseMarkets(specs, getBaseUrl(targetUrl));
+    }
+
+    return [parseMarketUrl(targetUrl)];
+}
+
+/**
+ * Tag merchant records with the market they were scraped from
+ */
+function tagMerchants(merchants, market) {
+    return merchants.map(merchant => ({
+        ...merchant,
+        Asset: market.asset,
+        Fiat: market.fiat,
+        Side: market.side
+    }));
+}
+
+/**
+ * Parse the leading number of an amount such as "1,250.50 USDT"
+ */
+function parseAmount(value) {
+    if (typeof value === 'number') return value;
+    if (value === null || value === undefined) return null;
+
+    const match = String(value).replace(/,/g, '').match(/\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Available amount of a merchant in asset units
+ */
+function getAvailableAmount(merchant) {
+    if (typeof merchant.AvailableAmountNumeric === 'number') {
+        return merchant.AvailableAmountNumeric;
+    }
+    return parseAmount(merchant['Available Amount'] ?? merchant['Size/Limit']);
+}
+
+/**
+ * Summarize a market's book: best price for the side, total liquidity and depth.
+ * On the buy page merchants sell to us, so the lowest price is best; on the sell page the highest.
+ */
+function summarizeMarket(merchants, market) {
+    const prices = merchants
+        .map(merchant => merchant.PriceNumeric)
+        .filter(price => typeof price === 'number' && price > 0);
+    const amounts = merchants
+        .map(getAvailableAmount)
+        .filter(amount => typeof amount === 'number');
+
+    let bestPrice = null;
+    if (prices.length > 0) {
+        bestPrice = market.side === 'buy' ? Math.min(...prices) : Math.max(...prices);
+    }
+
+    return {
+        bestPrice,
+        liquidity: amounts.length > 0 ? amounts.reduce((sum, amount) => sum + amount, 0) : null,
+        merchantCount: merchants.length
+    };
+}
+
+module.exports = {
+    MARKET_SIDES,
+    DEFAULT_BASE_URL,
+    getMarketId,
+    buildMarketUrl,
+    getBaseUrl,
+    createMarket,
+    parseMarketUrl,
+    parseMarketSpec,
+    parseMarkets,
+    resolveMarkets,
+    tagMerchants,
+    parseAmount,
+    getAvailableAmount,
+    summarizeMarket
+};
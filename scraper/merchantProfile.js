@@ -0,0 +1,130 @@
+// scraper/merchantProfile.js
+
+/**
+ * Listing fields whose changes are written to merchant_changes,
+ * keyed by merchants table column with the merchant record field they come from
+ */
+const TRACKED_FIELDS = {
+    price_numeric: 'PriceNumeric',
+    limit_min: 'LimitMin',
+    limit_max: 'LimitMax',
+    payment_methods: 'Payment Methods',
+    completion_rate: 'Completion Rate',
+    orders: 'Orders'
+};
+
+/**
+ * Identity key of a merchant across scrapes: the trimmed, lower-cased name
+ */
+function getMerchantKey(name) {
+    return String(name || '').trim().toLowerCase();
+}
+
+/**
+ * Tracked listing values of a merchant record, as stored in the merchants table
+ */
+function getListingValues(merchant) {
+    return Object.fromEntries(Object.entries(TRACKED_FIELDS).map(([column, field]) => {
+        const value = merchant[field];
+        return [column, value === undefined || value === null || value === '' ? null : value];
+    }));
+}
+
+/**
+ * Tracked fields that differ between the stored listing and a new observation.
+ * A field the new scrape did not capture (null) is not a change.
+ */
+function diffListing(previous, current) {
+    return Object.keys(TRACKED_FIELDS)
+        .filter(column => current[column] !== null && String(previous[column] ?? '') !== String(current[column]))
+        .map(column => ({ field: column, oldValue: previous[column] ?? null, newValue: current[column] }));
+}
+
+function round(value, decimals = 8) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function standardDeviation(values) {
+    if (values.length < 2) return null;
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return round(Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)));
+}
+
+/**
+ * Per-market profile of one merchant from the books of the scrapes in range.
+ *
+ * Rows hold one scrape of one market: scrape_id, scraped_at, asset, fiat, side,
+ * min_price, max_price and the merchant's own price (null when not listed).
+ * - uptime: share of the market's scrapes the merchant was listed in, in percent
+ * - premium: how far the merchant's price was from the best price, in percent
+ *   (above the cheapest on the buy side, below the highest on the sell side)
+ * - volatility: standard deviation of the merchant's price, absolute and relative to its mean
+ */
+function buildMarketProfiles(rows) {
+    const markets = new Map();
+    for (const row of rows) {
+        const key = JSON.stringify([row.asset, row.fiat, row.side]);
+        if (!markets.has(key)) {
+            markets.set(key, { asset: row.asset, fiat: row.fiat, side: row.side, books: [] });
+        }
+        markets.get(key).books.push(row);
+    }
+
+    return Array.from(markets.values())
+        .map(({ asset, fiat, side, books }) => {
+            const listed = books.filter(book => book.price !== null && book.price !== undefined);
+            if (listed.length === 0) return null;
+
+            const prices = listed.map(book => book.price);
+            const premiums = listed.map(book => {
+                const best = side === 'sell' ? book.max_price : book.min_price;
+                return round(((side === 'sell' ? best - book.price : book.price - best) / best) * 100, 4);
+            });
+            const mean = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+            const deviation = standardDeviation(prices);
+
+            return {
+                asset,
+                fiat,
+                side,
+                scrapes: books.length,
+                listedScrapes: listed.length,
+                uptime: round((listed.length / books.length) * 100, 2),
+                firstListedAt: listed[0].scraped_at,
+                lastListedAt: listed[listed.length - 1].scraped_at,
+                price: {
+                    last: prices[prices.length - 1],
+                    min: Math.min(...prices),
+                    max: Math.max(...prices),
+                    mean: round(mean),
+                    median: median(prices)
+                },
+                premium: {
+                    median: median(premiums),
+                    mean: round(premiums.reduce((sum, premium) => sum + premium, 0) / premiums.length, 4),
+                    bestPriceShare: round((premiums.filter(premium => premium === 0).length / premiums.length) * 100, 2)
+                },
+                volatility: {
+                    standardDeviation: deviation,
+                    coefficientOfVariation: deviation === null ? null : round((deviation / mean) * 100, 4)
+                }
+            };
+        })
+        .filter(Boolean);
+}
+
+module.exports = {
+    TRACKED_FIELDS,
+    getMerchantKey,
+    getListingValues,
+    diffListing,
+    buildMarketProfiles
+};
@@ -0,0 +1,80 @@
+// scraper/merchantRank.js
+const { matchesEntry } = require('./watchlist');
+
+/**
+ * Order merchants best price first for the side of the book.
+ * On the buy page the cheapest merchant ranks first, on the sell page the highest bidder.
+ * Ties keep the order the page listed them in.
+ */
+function rankMerchants(merchants, side = 'buy') {
+    const direction = side === 'sell' ? -1 : 1;
+
+    return merchants
+        .map((merchant, index) => ({ merchant, index }))
+        .filter(({ merchant }) => typeof merchant.PriceNumeric === 'number' && merchant.PriceNumeric > 0)
+        .sort((a, b) => (a.merchant.PriceNumeric - b.merchant.PriceNumeric) * direction || a.index - b.index)
+        .map(({ merchant }) => merchant);
+}
+
+/**
+ * How much worse `price` is than `reference` for the side (never negative for correctly ranked pairs)
+ */
+function priceGap(price, reference, side) {
+    const gap = side === 'sell' ? reference - price : price - reference;
+    return Math.round(gap * 1e8) / 1e8;
+}
+
+/**
+ * Position of a merchant within a market's book, with price gaps to #1 and to its neighbours.
+ * `merchant` is a name (matched case-insensitively) or a watchlist entry (matched by its rules).
+ * `rank` is null when the merchant is not listed in this scrape.
+ */
+function getMerchantRank(merchants, merchant, market) {
+    const ranked = rankMerchants(merchants, market.side);
+    const entry = typeof merchant === 'string'
+        ? { name: merchant.trim(), aliases: [], caseInsensitive: true }
+        : merchant;
+    const merchantName = typeof merchant === 'string' ? merchant : entry.name;
+    const index = ranked.findIndex(m => matchesEntry(m['Merchant Name'], entry));
+
+    const record = {
+        merchantName,
+        asset: market.asset || null,
+        fiat: market.fiat || null,
+        side: market.side || null,
+        rank: null,
+        totalMerchants: ranked.length,
+        price: null,
+        bestPrice: ranked.length > 0 ? ranked[0].PriceNumeric : null,
+        bestMerchant: ranked.length > 0 ? ranked[0]['Merchant Name'] : null,
+        gapToBest: null,
+        aboveMerchant: null,
+        gapToAbove: null,
+        belowMerchant: null,
+        gapToBelow: null
+    };
+
+    if (index === -1) {
+        return record;
+    }
+
+    const price = ranked[index].PriceNumeric;
+    const above = ranked[index - 1];
+    const below = ranked[index + 1];
+
+    return {
+        ...record,
+        rank: index + 1,
+        price,
+        gapToBest: priceGap(price, record.bestPrice, market.side),
+        aboveMerchant: above ? above['Merchant Name'] : null,
+        gapToAbove: above ? priceGap(price, above.PriceNumeric, market.side) : null,
+        belowMerchant: below ? below['Merchant Name'] : null,
+        gapToBelow: below ? priceGap(below.PriceNumeric, price, market.side) : null
+    };
+}
+
+module.exports = {
+    rankMerchants,
+    getMerchantRank
+};
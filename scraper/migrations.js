@@ -0,0 +1,485 @@
+// scraper/migrations.js
+const { errorLog, log } = require('./logger');
+
+/**
+ * Raised when the database was migrated by a newer scraper than this one
+ */
+class SchemaVersionError extends Error {
+    constructor(databaseVersion, supportedVersion) {
+        super(`Database schema version ${databaseVersion} is newer than this scraper supports (${supportedVersion}); upgrade the scraper or restore an older backup`);
+        this.name = 'SchemaVersionError';
+        this.databaseVersion = databaseVersion;
+        this.supportedVersion = supportedVersion;
+    }
+}
+
+const MERCHANT_INDEXES = [
+    'CREATE INDEX IF NOT EXISTS idx_merchants_scrape_id ON merchants(scrape_id)',
+    'CREATE INDEX IF NOT EXISTS idx_merchants_created_at ON merchants(created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_merchants_price_numeric ON merchants(price_numeric)',
+    'CREATE INDEX IF NOT EXISTS idx_merchants_merchant_name ON merchants(merchant_name)'
+];
+
+/**
+ * Columns shared by every version of the merchants table
+ */
+const MERCHANT_COLUMNS = [
+    'id', 'scrape_id', 'merchant_name', 'price', 'price_numeric', 'available_amount',
+    'available_amount_numeric', 'limit_range', 'limit_min', 'limit_max', 'payment_methods',
+    'completion_rate', 'orders', 'avg_pay_time', 'avg_release_time', 'created_at', 'source',
+    'schema_version', 'raw_data'
+];
+
+async function getColumns(db, table) {
+    const columns = await db.getRows(`PRAGMA table_info(${table})`);
+    return columns.map(column => column.name);
+}
+
+/**
+ * Listing columns whose changes migration 4 backfills, as tracked when it was released
+ */
+const HISTORY_BACKFILL_COLUMNS = ['price_numeric', 'limit_min', 'limit_max', 'payment_methods', 'completion_rate', 'orders'];
+
+/**
+ * Merchant history of migration 4, rebuilt from the stored scrapes oldest capture
+ * first. Kept here rather than calling DatabaseManager, so later changes to how
+ * history is recorded don't change what this migration does.
+ */
+async function backfillMerchantHistory(db) {
+    // Capture time of replayed snapshots (when the metadata is valid JSON), else the session start
+    const sessions = await db.getRows(`
+        SELECT scrape_id, COALESCE(
+            strftime('%Y-%m-%dT%H:%M:%fZ', CASE WHEN json_valid(metadata) THEN json_extract(metadata, '$.capturedAt') END),
+            strftime('%Y-%m-%dT%H:%M:%fZ', start_time),
+            start_time
+        ) AS scraped_at
+        FROM scrape_sessions
+        WHERE status = 'completed'
+        ORDER BY scraped_at ASC, id ASC
+    `);
+
+    for (const { scrape_id: scrapeId, scraped_at: seenAt } of sessions) {
+        const rows = await db.getRows('SELECT * FROM merchants WHERE scrape_id = ? ORDER BY id', [scrapeId]);
+
+        // One observation per merchant and market; the last row wins
+        const observations = new Map();
+        for (const row of rows) {
+            const key = String(row.merchant_name || '').trim().toLowerCase();
+            if (key) {
+                observations.set(JSON.stringify([key, row.asset, row.fiat, row.side]), { key, row });
+            }
+        }
+
+        const seen = new Set();
+        for (const { key, row } of observations.values()) {
+            const market = [row.asset, row.fiat, row.side];
+            await db.runStatement(`
+                INSERT OR IGNORE INTO merchant_identities
+                (merchant_key, merchant_name, first_seen_at, last_seen_at, first_scrape_id, last_scrape_id)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [key, row.merchant_name.trim(), seenAt, seenAt, scrapeId, scrapeId]);
+            if (!seen.has(key)) {
+                seen.add(key);
+                await db.runStatement(`
+                    UPDATE merchant_identities
+                    SET merchant_name = ?, last_seen_at = ?, last_scrape_id = ?, scrapes_seen = scrapes_seen + 1
+                    WHERE merchant_key = ?
+                `, [row.merchant_name.trim(), seenAt, scrapeId, key]);
+            }
+            const { id: merchantId } = await db.getRow('SELECT id FROM merchant_identities WHERE merchant_key = ?', [key]);
+
+            const values = HISTORY_BACKFILL_COLUMNS.map(column => (row[column] === undefined || row[column] === '' ? null : row[column]));
+            const listing = await db.getRow(
+                'SELECT * FROM merchant_listings WHERE merchant_id = ? AND asset IS ? AND fiat IS ? AND side IS ?',
+                [merchantId, ...market]
+            );
+            if (!listing) {
+                await db.runStatement(`
+                    INSERT INTO merchant_listings
+                    (merchant_id, asset, fiat, side, first_seen_at, last_seen_at, last_scrape_id, ${HISTORY_BACKFILL_COLUMNS.join(', ')})
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ${HISTORY_BACKFILL_COLUMNS.map(() => '?').join(', ')})
+                `, [merchantId, ...market, seenAt, seenAt, scrapeId, ...values]);
+                continue;
+            }
+
+            // A field this scrape did not capture (null) is not a change and keeps its last value
+            for (const [index, column] of HISTORY_BACKFILL_COLUMNS.entries()) {
+                if (values[index] !== null && String(listing[column] ?? '') !== String(values[index])) {
+                    await db.runStatement(`
+                        INSERT INTO merchant_changes
+                        (merchant_id, scrape_id, asset, fiat, side, field_name, old_value, new_value, changed_at)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    `, [merchantId, scrapeId, ...market, column, listing[column] ?? null, values[index], seenAt]);
+                }
+            }
+            await db.runStatement(`
+                UPDATE merchant_listings
+                SET last_seen_at = ?, last_scrape_id = ?, ${HISTORY_BACKFILL_COLUMNS.map(column => `${column} = COALESCE(?, ${column})`).join(', ')}
+                WHERE id = ?
+            `, [seenAt, scrapeId, ...values, listing.id]);
+        }
+    }
+}
+
+/**
+ * Ordered up-migrations. Each runs in its own transaction together with its
+ * schema_migrations row. Databases created before migrations were tracked may
+ * already contain some of these changes, so every step checks before altering.
+ * Never edit a released migration; add a new one.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        async up(db) {
+            await db.runStatement(`
+                CREATE TABLE IF NOT EXISTS merchants (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    scrape_id TEXT NOT NULL,
+                    merchant_name TEXT NOT NULL,
+                    price TEXT NOT NULL,
+                    price_numeric REAL NOT NULL,
+                    available_amount TEXT NOT NULL,
+                    available_amount_numeric REAL NOT NULL,
+                    limit_range TEXT NOT NULL,
+                    limit_min REAL NOT NULL,
+                    limit_max REAL NOT NULL,
+                    payment_methods TEXT,
+                    completion_rate REAL,
+                    orders INTEGER,
+                    avg_pay_time TEXT,
+                    avg_release_time TEXT,
+                    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    source TEXT NOT NULL DEFAULT 'gate.io',
+                    schema_version TEXT NOT NULL DEFAULT '1.0.0',
+                    raw_data TEXT,
+                    UNIQUE(scrape_id, merchant_name)
+                )
+            `);
+            await db.runStatement(`
+                CREATE TABLE IF NOT EXISTS scrape_sessions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    scrape_id TEXT UNIQUE NOT NULL,
+                    start_time DATETIME NOT NULL,
+                    end_time DATETIME,
+                    status TEXT NOT NULL CHECK(status IN ('running', 'completed', 'failed')),
+                    total_merchants INTEGER DEFAULT 0,
+                    valid_merchants INTEGER DEFAULT 0,
+                    invalid_merchants INTEGER DEFAULT 0,
+                    errors_count INTEGER DEFAULT 0,
+                    warnings_count INTEGER DEFAULT 0,
+                    source TEXT NOT NULL DEFAULT 'gate.io',
+                    version TEXT NOT NULL,
+                    metadata TEXT,
+                    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await db.runStatement(`
+                CREATE TABLE IF NOT EXISTS validation_errors (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    scrape_id TEXT NOT NULL,
+                    merchant_index INTEGER NOT NULL,
+                    field_name TEXT NOT NULL,
+                    rule_type TEXT NOT NULL,
+                    error_message TEXT NOT NULL,
+                    field_value TEXT,
+                    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (scrape_id) REFERENCES scrape_sessions(scrape_id)
+                )
+            `);
+            await db.runStatement(`
+                CREATE TABLE IF NOT EXISTS data_quality_metrics (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    scrape_id TEXT NOT NULL,
+                    metric_name TEXT NOT NULL,
+                    metric_value REAL NOT NULL,
+                    metric_unit TEXT,
+                    calculated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (scrape_id) REFERENCES scrape_sessions(scrape_id)
+                )
+            `);
+
+            for (const indexSql of [
+                ...MERCHANT_INDEXES,
+                'CREATE INDEX IF NOT EXISTS idx_scrape_sessions_status ON scrape_sessions(status)',
+                'CREATE INDEX IF NOT EXISTS idx_scrape_sessions_created_at ON scrape_sessions(created_at)',
+                'CREATE INDEX IF NOT EXISTS idx_validation_errors_scrape_id ON validation_errors(scrape_id)',
+                'CREATE INDEX IF NOT EXISTS idx_validation_errors_field_name ON validation_errors(field_name)',
+                'CREATE INDEX IF NOT EXISTS idx_data_quality_metrics_scrape_id ON data_quality_metrics(scrape_id)'
+            ]) {
+                await db.runStatement(indexSql);
+            }
+        }
+    },
+    {
+        version: 2,
+        name: 'market_columns',
+        async up(db) {
+            // The unique key gains the market, and SQLite can't alter constraints: rebuild the table
+            if (!(await getColumns(db, 'merchants')).includes('asset')) {
+                await db.runStatement(`
+                    CREATE TABLE merchants_migrated (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        scrape_id TEXT NOT NULL,
+                        asset TEXT,
+                        fiat TEXT,
+                        side TEXT CHECK(side IN ('buy', 'sell')),
+                        merchant_name TEXT NOT NULL,
+                        price TEXT NOT NULL,
+                        price_numeric REAL NOT NULL,
+                        available_amount TEXT NOT NULL,
+                        available_amount_numeric REAL NOT NULL,
+                        limit_range TEXT NOT NULL,
+                        limit_min REAL NOT NULL,
+                        limit_max REAL NOT NULL,
+                        payment_methods TEXT,
+                        completion_rate REAL,
+                        orders INTEGER,
+                        avg_pay_time TEXT,
+                        avg_release_time TEXT,
+                        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                        source TEXT NOT NULL DEFAULT 'gate.io',
+                        schema_version TEXT NOT NULL DEFAULT '1.0.0',
+                        raw_data TEXT,
+                        UNIQUE(scrape_id, asset, fiat, side, merchant_name)
+                    )
+                `);
+                const columns = MERCHANT_COLUMNS.join(', ');
+                await db.runStatement(`INSERT INTO merchants_migrated (${columns}) SELECT ${columns} FROM merchants`);
+                await db.runStatement('DROP TABLE merchants');
+                await db.runStatement('ALTER TABLE merchants_migrated RENAME TO merchants');
+                for (const indexSql of MERCHANT_INDEXES) {
+                    await db.runStatement(indexSql);
+                }
+            }
+
+            await db.runStatement('CREATE INDEX IF NOT EXISTS idx_merchants_market ON merchants(asset, fiat, side)');
+
+            if (!(await getColumns(db, 'scrape_sessions')).includes('markets')) {
+                await db.runStatement('ALTER TABLE scrape_sessions ADD COLUMN markets TEXT');
+            }
+        }
+    },
+    {
+        version: 3,
+        name: 'merchant_ranks',
+        async up(db) {
+            await db.runStatement(`
+                CREATE TABLE IF NOT EXISTS merchant_ranks (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    scrape_id TEXT NOT NULL,
+                    merchant_name TEXT NOT NULL,
+                    asset TEXT,
+                    fiat TEXT,
+                    side TEXT CHECK(side IN ('buy', 'sell')),
+                    rank INTEGER,
+                    total_merchants INTEGER NOT NULL,
+                    price_numeric REAL,
+                    best_price REAL,
+                    best_merchant TEXT,
+                    gap_to_best REAL,
+                    above_merchant TEXT,
+                    gap_to_above REAL,
+                    below_merchant TEXT,
+                    gap_to_below REAL,
+                    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(scrape_id, merchant_name, asset, fiat, side),
+                    FOREIGN KEY (scrape_id) REFERENCES scrape_sessions(scrape_id)
+                )
+            `);
+            await db.runStatement('CREATE INDEX IF NOT EXISTS idx_merchant_ranks_merchant ON merchant_ranks(merchant_name, asset, fiat, side, created_at)');
+        }
+    },
+    {
+        version: 4,
+        name: 'merchant_history',
+        async up(db) {
+            await db.runStatement(`
+                CREATE TABLE IF NOT EXISTS merchant_identities (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    merchant_key TEXT UNIQUE NOT NULL,
+                    merchant_name TEXT NOT NULL,
+                    first_seen_at DATETIME NOT NULL,
+                    last_seen_at DATETIME NOT NULL,
+                    first_scrape_id TEXT NOT NULL,
+                    last_scrape_id TEXT NOT NULL,
+                    scrapes_seen INTEGER NOT NULL DEFAULT 0
+                )
+            `);
+            await db.runStatement(`
+                CREATE TABLE IF NOT EXISTS merchant_listings (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    merchant_id INTEGER NOT NULL,
+                    asset TEXT,
+                    fiat TEXT,
+                    side TEXT CHECK(side IN ('buy', 'sell')),
+                    first_seen_at DATETIME NOT NULL,
+                    last_seen_at DATETIME NOT NULL,
+                    last_scrape_id TEXT NOT NULL,
+                    price_numeric REAL,
+                    limit_min REAL,
+                    limit_max REAL,
+                    payment_methods TEXT,
+                    completion_rate REAL,
+                    orders INTEGER,
+                    UNIQUE(merchant_id, asset, fiat, side),
+                    FOREIGN KEY (merchant_id) REFERENCES merchant_identities(id)
+                )
+            `);
+            await db.runStatement(`
+                CREATE TABLE IF NOT EXISTS merchant_changes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    merchant_id INTEGER NOT NULL,
+                    scrape_id TEXT NOT NULL,
+                    asset TEXT,
+                    fiat TEXT,
+                    side TEXT CHECK(side IN ('buy', 'sell')),
+                    field_name TEXT NOT NULL,
+                    old_value TEXT,
+                    new_value TEXT,
+                    changed_at DATETIME NOT NULL,
+                    FOREIGN KEY (merchant_id) REFERENCES merchant_identities(id),
+                    FOREIGN KEY (scrape_id) REFERENCES scrape_sessions(scrape_id)
+                )
+            `);
+            await db.runStatement('CREATE INDEX IF NOT EXISTS idx_merchant_changes_merchant ON merchant_changes(merchant_id, changed_at)');
+
+            // Backfill from the stored scrapes, unless history is already being recorded
+            if (!(await db.getRow('SELECT id FROM merchant_identities LIMIT 1'))) {
+                await backfillMerchantHistory(db);
+            }
+        }
+    },
+    {
+        version: 5,
+        name: 'scrape_time',
+        async up(db) {
+            if (!(await getColumns(db, 'scrape_sessions')).includes('scraped_at')) {
+                await db.runStatement('ALTER TABLE scrape_sessions ADD COLUMN scraped_at TEXT');
+            }
+
+            // When the book was scraped: the capture time of replayed snapshots, else the session start, as an ISO string
+            await db.runStatement(`
+                UPDATE scrape_sessions
+                SET scraped_at = strftime('%Y-%m-%dT%H:%M:%fZ', COALESCE(
+                    CASE WHEN json_valid(metadata) THEN json_extract(metadata, '$.capturedAt') END,
+                    start_time
+                ))
+                WHERE scraped_at IS NULL
+            `);
+            await db.runStatement('CREATE INDEX IF NOT EXISTS idx_scrape_sessions_scraped_at ON scrape_sessions(status, scraped_at)');
+        }
+    }
+];
+
+/**
+ * Applies pending migrations to a connected DatabaseManager and records them in schema_migrations
+ */
+class MigrationRunner {
+    constructor(dbManager, migrations = MIGRATIONS) {
+        this.dbManager = dbManager;
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+        this.targetVersion = this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+    }
+
+    /**
+     * Migrations recorded in the database, oldest first; empty before the first run
+     */
+    async getAppliedMigrations() {
+        const table = await this.dbManager.getRow("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+        if (!table) {
+            return [];
+        }
+        return this.dbManager.getRows('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    }
+
+    /**
+     * Whether the database already holds tables worth backing up
+     */
+    async hasData() {
+        const row = await this.dbManager.getRow(
+            "SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'"
+        );
+        return row.count > 0;
+    }
+
+    /**
+     * Bring the schema up to date.
+     * Refuses databases migrated past the newest known version. With `dryRun` only
+     * reports the pending migrations; otherwise backs up an existing database
+     * through createBackup() first (unless `backup` is false).
+     *
+     * @param {Object} options - { dryRun, backup }
+     * @returns {Object} { currentVersion, targetVersion, pending, applied, backupPath, dryRun }
+     */
+    async run(options = {}) {
+        const { dryRun = false, backup = true } = options;
+
+        const appliedMigrations = await this.getAppliedMigrations();
+        const appliedVersions = new Set(appliedMigrations.map(migration => migration.version));
+        const currentVersion = appliedMigrations.reduce((max, migration) => Math.max(max, migration.version), 0);
+
+        if (currentVersion > this.targetVersion) {
+            throw new SchemaVersionError(currentVersion, this.targetVersion);
+        }
+
+        const pending = this.migrations.filter(migration => !appliedVersions.has(migration.version));
+        const report = {
+            currentVersion,
+            targetVersion: this.targetVersion,
+            pending: pending.map(({ version, name }) => ({ version, name })),
+            applied: [],
+            backupPath: null,
+            dryRun
+        };
+
+        if (pending.length === 0) {
+            log(`Database schema is up to date (version ${currentVersion})`);
+            return report;
+        }
+
+        if (dryRun) {
+            log(`Dry run: ${pending.length} pending migrations: ${pending.map(m => `${m.version}_${m.name}`).join(', ')}`);
+            return report;
+        }
+
+        if (backup && await this.hasData()) {
+            report.backupPath = await this.dbManager.createBackup();
+        }
+
+        await this.dbManager.runStatement(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        for (const migration of pending) {
+            await this.dbManager.runStatement('BEGIN TRANSACTION');
+            try {
+                await migration.up(this.dbManager);
+                await this.dbManager.runStatement(
+                    'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                    [migration.version, migration.name]
+                );
+                await this.dbManager.runStatement('COMMIT');
+            } catch (error) {
+                await this.dbManager.runStatement('ROLLBACK').catch(() => {});
+                errorLog(`Migration ${migration.version}_${migration.name} failed`, error);
+                throw error;
+            }
+
+            report.applied.push({ version: migration.version, name: migration.name });
+            log(`Applied migration ${migration.version}_${migration.name}`);
+        }
+
+        return report;
+    }
+}
+
+module.exports = {
+    MIGRATIONS,
+    MigrationRunner,
+    SchemaVersionError
+};
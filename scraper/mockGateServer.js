@@ -0,0 +1,343 @@
+// scraper/mockGateServer.js
+const http = require('http');
+const { log } = require('./logger');
+
+/**
+ * Layouts the mock server can render for a listing page
+ */
+const LAYOUT_VARIANTS = ['infinite-scroll', 'paginated', 'empty', 'rate-limited'];
+
+const BASE_PRICES = {
+    KES: 129.5,
+    NGN: 1530,
+    UGX: 3700,
+    USD: 1
+};
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatNumber(value) {
+    return value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Deterministic order book for a market: best price first, as Gate.io lists it
+ */
+function generateMerchants({ asset, fiat, side }, count, names = []) {
+    const base = BASE_PRICES[fiat] || 100;
+    const step = Math.max(base * 0.001, 0.01);
+
+    return Array.from({ length: count }, (_, i) => {
+        const price = side === 'sell' ? base - i * step : base + i * step;
+        const available = 500 + ((i * 137) % 9500);
+        return {
+            name: names[i] || `merchant-${String(i + 1).padStart(3, '0')}`,
+            price: Math.round(price * 100) / 100,
+            asset,
+            fiat,
+            available,
+            limitMin: 1000,
+            limitMax: Math.round(available * base),
+            discount: i % 4 === 0 ? `-${(i % 3) * 0.5 + 0.5}%` : ''
+        };
+    });
+}
+
+/**
+ * Row markup using the primary data-testid selectors
+ */
+function renderTestIdRow(merchant) {
+    return `
+        <div class="dataMsg merchant-row" data-testid="merchant-row">
+            <a data-testid="merchant-name" href="/p2p/user/${encodeURIComponent(merchant.name)}">${escapeHtml(merchant.name)}</a>
+            <span data-testid="price">${formatNumber(merchant.price)}</span>
+            <span data-testid="currency">${merchant.fiat}</span>
+            <div data-testid="limit">${formatNumber(merchant.available)} ${merchant.asset} | ${formatNumber(merchant.limitMin)}~${formatNumber(merchant.limitMax)} ${merchant.fiat}</div>
+            <span data-testid="discount">${escapeHtml(merchant.discount)}</span>
+        </div>`;
+}
+
+/**
+ * Row markup without test ids, reachable only through the class and style fallbacks
+ */
+function renderClassRow(merchant) {
+    return `
+        <div class="dataMsg order-item">
+            <span class="markList-username">${escapeHtml(merchant.name)}</span>
+            <div class="order-price"><span style="font-weight: 700">${formatNumber(merchant.price)}</span><span style="font-weight: 500">${merchant.fiat}</span></div>
+            <div class="order-limit">${formatNumber(merchant.available)} ${merchant.asset} | ${formatNumber(merchant.limitMin)}~${formatNumber(merchant.limitMax)} ${merchant.fiat}</div>
+            ${merchant.discount ? `<span class="p2p-discount-icon-txt">${escapeHtml(merchant.discount)}</span>` : ''}
+        </div>`;
+}
+
+function renderPage(title, body, script = '') {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: sans-serif; margin: 0; }
+        header { height: 400px; }
+        .dataMsg { height: 80px; border-bottom: 1px solid #ddd; }
+    </style>
+</head>
+<body>
+    <header><h1>${escapeHtml(title)}</h1></header>
+    ${body}
+    ${script}
+</body>
+</html>`;
+}
+
+/**
+ * Local stand-in for the Gate.io P2P listing pages, for end-to-end runs
+ * with a real browser and no network.
+ *
+ * Routes:
+ *   GET /p2p/:side/:ASSET-:FIAT   listing page (?variant=, ?page=, ?failures= override the defaults)
+ *   GET /api/p2p/orders           JSON batches loaded by the infinite-scroll page
+ *
+ * Layout variants:
+ *   infinite-scroll  first batch rendered (or fetched, with renderFirstBatch: false),
+ *                    the rest fetched as the page is scrolled
+ *   paginated        one page per request with next/previous links, class-based markup only
+ *   empty            a list with no orders
+ *   rate-limited     429 with Retry-After; after `rateLimitFailures` refusals per page
+ *                    the infinite-scroll page is served
+ */
+class MockGateServer {
+    constructor(options = {}) {
+        this.options = {
+            host: '127.0.0.1',
+            port: 0,
+            variant: 'infinite-scroll',
+            variants: {},          // per pair, e.g. { 'USDT-NGN': 'empty' }
+            merchantCount: 30,
+            pageSize: 10,
+            merchantNames: [],
+            renderFirstBatch: true,   // false: every batch is loaded over XHR, as on gate.io
+            retryAfter: 1,
+            rateLimitFailures: Infinity,
+            ...options
+        };
+
+        this.server = null;
+        this.requests = [];
+        this.rateLimitHits = new Map();
+    }
+
+    /**
+     * Start listening; resolves with the base URL
+     */
+    async start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, () => {
+                this.server.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        log(`Mock Gate.io server listening on ${this.baseUrl}`);
+        return this.baseUrl;
+    }
+
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        await new Promise((resolve) => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections();
+        });
+        this.server = null;
+    }
+
+    get baseUrl() {
+        const { port } = this.server.address();
+        return `http://${this.options.host}:${port}`;
+    }
+
+    /**
+     * URL of a listing page, e.g. marketUrl('USDT-KES', 'sell', { variant: 'paginated' })
+     */
+    marketUrl(pair = 'USDT-KES', side = 'buy', query = {}) {
+        const search = new URLSearchParams(query).toString();
+        return `${this.baseUrl}/p2p/${side}/${pair}${search ? `?${search}` : ''}`;
+    }
+
+    /**
+     * Listing page requests received so far, optionally for one path
+     */
+    getPageRequests(pathname = null) {
+        return this.requests.filter(request =>
+            request.pathname.startsWith('/p2p/') && (!pathname || request.pathname === pathname)
+        );
+    }
+
+    reset() {
+        this.requests = [];
+        this.rateLimitHits.clear();
+    }
+
+    getMerchants(market) {
+        return generateMerchants(market, this.options.merchantCount, this.options.merchantNames);
+    }
+
+    handleRequest(req, res) {
+        const url = new URL(req.url, this.baseUrl);
+        const record = { method: req.method, pathname: url.pathname, query: Object.fromEntries(url.searchParams), status: 200 };
+        this.requests.push(record);
+
+        const send = (status, contentType, body, headers = {}) => {
+            record.status = status;
+            res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store', ...headers });
+            res.end(body);
+        };
+
+        const listing = url.pathname.match(/^\/p2p\/(buy|sell)\/([A-Za-z0-9]+)-([A-Za-z0-9]+)\/?$/);
+        if (req.method === 'GET' && listing) {
+            const [, side, asset, fiat] = listing;
+            const market = { asset: asset.toUpperCase(), fiat: fiat.toUpperCase(), side };
+            return this.renderListing(url, market, send);
+        }
+
+        if (req.method === 'GET' && url.pathname === '/api/p2p/orders') {
+            const market = {
+                asset: String(url.searchParams.get('asset') || 'USDT').toUpperCase(),
+                fiat: String(url.searchParams.get('fiat') || 'KES').toUpperCase(),
+                side: url.searchParams.get('side') === 'sell' ? 'sell' : 'buy'
+            };
+            const page = Math.max(1, Number(url.searchParams.get('page')) || 1);
+            const { pageSize } = this.options;
+            const merchants = this.getMerchants(market);
+            const orders = merchants.slice((page - 1) * pageSize, page * pageSize);
+
+            return send(200, 'application/json', JSON.stringify({
+                page,
+                pageSize,
+                total: merchants.length,
+                hasMore: page * pageSize < merchants.length,
+                orders,
+                html: orders.map(renderTestIdRow).join('')
+            }));
+        }
+
+        return send(404, 'text/plain', 'Not found');
+    }
+
+    renderListing(url, market, send) {
+        const pair = `${market.asset}-${market.fiat}`;
+        const variant = url.searchParams.get('variant') || this.options.variants[pair] || this.options.variant;
+        const title = `${market.side === 'buy' ? 'Buy' : 'Sell'} ${market.asset} with ${market.fiat} | P2P`;
+
+        if (!LAYOUT_VARIANTS.includes(variant)) {
+            return send(400, 'text/plain', `Unknown variant "${variant}" (expected one of: ${LAYOUT_VARIANTS.join(', ')})`);
+        }
+
+        if (variant === 'rate-limited') {
+            const failures = url.searchParams.has('failures')
+                ? Number(url.searchParams.get('failures'))
+                : this.options.rateLimitFailures;
+            const hits = this.rateLimitHits.get(url.pathname) || 0;
+
+            if (hits < failures) {
+                this.rateLimitHits.set(url.pathname, hits + 1);
+                return send(429, 'text/html', renderPage('Too Many Requests', '<p>Too many requests, please try again later.</p>'), {
+                    'Retry-After': String(this.options.retryAfter)
+                });
+            }
+        }
+
+        const merchants = this.getMerchants(market);
+        const { pageSize } = this.options;
+
+        if (variant === 'empty') {
+            return send(200, 'text/html', renderPage(title, `
+    <div data-testid="p2p-list"></div>
+    <div class="empty-state">No orders available</div>`));
+        }
+
+        if (variant === 'paginated') {
+            const pageCount = Math.max(1, Math.ceil(merchants.length / pageSize));
+            const page = Math.min(pageCount, Math.max(1, Number(url.searchParams.get('page')) || 1));
+            const rows = merchants.slice((page - 1) * pageSize, page * pageSize).map(renderClassRow).join('');
+            const link = (target, label, rel) => `<a href="?variant=paginated&page=${target}" rel="${rel}">${label}</a>`;
+
+            return send(200, 'text/html', renderPage(title, `
+    <div class="p2p-newfriend-list">${rows}</div>
+    <nav class="pagination">
+        ${page > 1 ? link(page - 1, 'Previous', 'prev') : ''}
+        <span class="pagination-current">Page ${page} of ${pageCount}</span>
+        ${page < pageCount ? link(page + 1, 'Next', 'next') : ''}
+    </nav>`));
+        }
+
+        // infinite-scroll (also served once a rate-limited page recovers)
+        const query = new URLSearchParams({ asset: market.asset, fiat: market.fiat, side: market.side });
+        const { renderFirstBatch } = this.options;
+        const script = `
+    <script>
+        (function () {
+            var page = ${renderFirstBatch ? 1 : 0};
+            var loading = false;
+            var done = ${renderFirstBatch && merchants.length <= pageSize};
+            var list = document.querySelector('[data-testid="p2p-list"]');
+
+            function loadMore() {
+                if (loading || done) return;
+                if (page > 0 && window.innerHeight + window.scrollY < document.body.scrollHeight - 300) return;
+                loading = true;
+                fetch('/api/p2p/orders?${query.toString()}&page=' + (page + 1))
+                    .then(function (response) { return response.json(); })
+                    .then(function (batch) {
+                        page = batch.page;
+                        done = !batch.hasMore;
+                        list.insertAdjacentHTML('beforeend', batch.html);
+                    })
+                    .finally(function () { loading = false; });
+            }
+
+            window.addEventListener('scroll', loadMore);
+            loadMore();
+        })();
+    </script>`;
+
+        const firstBatch = renderFirstBatch ? merchants.slice(0, pageSize).map(renderTestIdRow).join('') : '';
+        return send(200, 'text/html', renderPage(title, `
+    <div data-testid="p2p-list">${firstBatch}</div>`, script));
+    }
+}
+
+module.exports = {
+    MockGateServer,
+    LAYOUT_VARIANTS,
+    generateMerchants
+};
+
+// Run standalone: node scraper/mockGateServer.js [port] [variant]
+if (require.main === module) {
+    const [port = 8080, variant = 'infinite-scroll'] = process.argv.slice(2);
+    const server = new MockGateServer({ port: Number(port), variant });
+
+    const run = async () => {
+        const baseUrl = await server.start();
+        console.log(`Mock Gate.io P2P server (${variant}) on ${baseUrl}`);
+        console.log(`TARGET_URL=${baseUrl}/p2p/buy/USDT-KES`);
+    };
+
+    run().catch(error => {
+        console.error('Mock Gate.io server failed to start:', error.message);
+        process.exitCode = 1;
+    });
+}
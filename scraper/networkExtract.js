@@ -0,0 +1,234 @@
+// scraper/networkExtract.js
+const { log, errorLog } = require('./logger');
+
+/**
+ * Field names accepted for each MERCHANT_SCHEMA field in a listing response.
+ * The first name present on an order wins; extend these when the endpoint changes.
+ */
+const FIELD_ALIASES = {
+    name: ['username', 'nickname', 'nick_name', 'user_name', 'merchant_name', 'merchantName', 'name'],
+    price: ['price', 'rate', 'unit_price', 'unitPrice'],
+    available: ['available', 'available_amount', 'availableAmount', 'amount', 'stock', 'total_amount'],
+    limitMin: ['min_amount', 'minAmount', 'limit_min', 'limitMin', 'min_limit', 'minLimit'],
+    limitMax: ['max_amount', 'maxAmount', 'limit_max', 'limitMax', 'max_limit', 'maxLimit'],
+    paymentMethods: ['pay_type', 'payTypes', 'payment_methods', 'paymentMethods', 'pay_methods'],
+    completionRate: ['complete_rate', 'completeRate', 'completion_rate', 'completionRate', 'complete_rate_month'],
+    orders: ['orders', 'order_count', 'orderCount', 'orders_month', 'trade_count', 'tradeCount'],
+    discount: ['discount', 'discount_rate'],
+    id: ['id', 'oid', 'order_id', 'orderId', 'ad_id', 'adId']
+};
+
+/**
+ * Responses recorded by default: P2P order/ad listing endpoints such as /api/p2p/orders.
+ * Other JSON the page fetches (banners, config, user info) is never considered.
+ */
+const LISTING_URL_PATTERN = '/p2p/(?:[^?#]*/)?(?:orders?|ads?|list)(?:[/?#]|$)';
+
+/**
+ * Where listing responses keep their order array
+ */
+const LIST_PATHS = [
+    [],
+    ['data'],
+    ['data', 'list'],
+    ['data', 'orders'],
+    ['data', 'items'],
+    ['data', 'rows'],
+    ['list'],
+    ['orders'],
+    ['items'],
+    ['result'],
+    ['result', 'list']
+];
+
+function pick(item, field) {
+    const key = FIELD_ALIASES[field].find(alias => item[alias] !== undefined && item[alias] !== null && item[alias] !== '');
+    return key === undefined ? undefined : item[key];
+}
+
+/**
+ * Exact number from a JSON number or numeric string ("1,250.50" → 1250.5)
+ */
+function toNumber(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const cleaned = value.replace(/,/g, '').trim();
+    return /^-?\d+(\.\d+)?$/.test(cleaned) ? Number(cleaned) : null;
+}
+
+/**
+ * Fixed decimals without trailing zeros, e.g. (1000.5, 8) → "1000.5"
+ */
+function formatAmount(value, decimals) {
+    return String(Number(value.toFixed(decimals)));
+}
+
+/**
+ * A merchant name and price alone also match tickers and user lists, so an order
+ * must carry its trade limits or available amount too
+ */
+function isOrder(item) {
+    if (!item || typeof item !== 'object' || pick(item, 'name') === undefined || toNumber(pick(item, 'price')) === null) {
+        return false;
+    }
+    const hasLimits = toNumber(pick(item, 'limitMin')) !== null && toNumber(pick(item, 'limitMax')) !== null;
+    return hasLimits || toNumber(pick(item, 'available')) !== null;
+}
+
+/**
+ * Find the order list in a listing response, or null when the shape is unknown
+ */
+function findOrderList(body) {
+    for (const listPath of LIST_PATHS) {
+        const list = listPath.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), body);
+        if (Array.isArray(list) && list.length > 0 && list.every(isOrder)) {
+            return list;
+        }
+    }
+    return null;
+}
+
+/**
+ * Map one order onto the MERCHANT_SCHEMA fields.
+ * Numeric fields come straight from the JSON; display strings are built from them.
+ */
+function mapOrder(item, market, context = {}) {
+    const price = toNumber(pick(item, 'price'));
+    const available = toNumber(pick(item, 'available'));
+    const limitMin = toNumber(pick(item, 'limitMin'));
+    const limitMax = toNumber(pick(item, 'limitMax'));
+    const completionRate = toNumber(pick(item, 'completionRate'));
+    const orders = toNumber(pick(item, 'orders'));
+    const paymentMethods = pick(item, 'paymentMethods');
+    const discount = pick(item, 'discount');
+
+    const merchant = {
+        'Merchant Name': String(pick(item, 'name')).trim(),
+        'Price': `${price.toFixed(2)} ${market.fiat}`,
+        'PriceNumeric': price
+    };
+
+    if (available !== null) {
+        merchant['Available Amount'] = `${formatAmount(available, 8)} ${market.asset}`;
+        merchant['AvailableAmountNumeric'] = available;
+    }
+    if (limitMin !== null && limitMax !== null) {
+        merchant['Limit'] = `${limitMin.toFixed(2)} - ${limitMax.toFixed(2)} ${market.fiat}`;
+        merchant['LimitMin'] = limitMin;
+        merchant['LimitMax'] = limitMax;
+    }
+    if (paymentMethods !== undefined) {
+        merchant['Payment Methods'] = Array.isArray(paymentMethods)
+            ? paymentMethods.map(method => (typeof method === 'object' ? method.name || method.type : method)).join(', ')
+            : String(paymentMethods);
+    }
+    if (completionRate !== null) {
+        // Ratios (0.985) and percentages (98.5) are both seen in the wild
+        merchant['Completion Rate'] = completionRate > 0 && completionRate <= 1 ? Math.round(completionRate * 10000) / 100 : completionRate;
+    }
+    if (orders !== null) {
+        merchant['Orders'] = Math.trunc(orders);
+    }
+    if (discount !== undefined) {
+        merchant['Discount'] = String(discount);
+    }
+
+    merchant.extractedAt = context.extractedAt || new Date().toISOString();
+    merchant.sourceUrl = context.sourceUrl || market.url;
+    return merchant;
+}
+
+/**
+ * Map a listing response onto merchant records, or null when the shape is unknown
+ */
+function mapOrdersResponse(body, market, context = {}) {
+    const list = findOrderList(body);
+    return list ? list.map(item => mapOrder(item, market, context)) : null;
+}
+
+/**
+ * Record JSON responses to XHR/fetch requests made by a page.
+ * Start before navigating; call getMerchants() once the page has loaded its listings.
+ *
+ * @param {puppeteer.Page} page - The Puppeteer page instance.
+ * @param {Object} options - { urlPattern } responses whose URL matches are kept
+ *   (default LISTING_URL_PATTERN; null keeps every JSON response).
+ */
+function startNetworkCapture(page, options = {}) {
+    const { urlPattern = LISTING_URL_PATTERN } = options;
+    const responses = [];
+    const reads = [];
+
+    const onResponse = (response) => {
+        const request = response.request();
+        if (!['xhr', 'fetch'].includes(request.resourceType())) return;
+        if (!String(response.headers()['content-type'] || '').includes('json')) return;
+        if (urlPattern && !new RegExp(urlPattern).test(response.url())) return;
+
+        reads.push((async () => {
+            try {
+                const body = await response.json();
+                responses.push({ url: response.url(), status: response.status(), body, receivedAt: new Date().toISOString() });
+            } catch (error) {
+                errorLog(`Could not read JSON response from ${response.url()}:`, error);
+            }
+        })());
+    };
+
+    page.on('response', onResponse);
+
+    return {
+        responses,
+
+        /**
+         * Stop recording and wait for response bodies still being read
+         */
+        async stop() {
+            page.off('response', onResponse);
+            await Promise.all(reads);
+        },
+
+        /**
+         * Merchants from every recognised listing response, in the order they arrived.
+         * Orders repeated across responses are kept once. Null when nothing was recognised.
+         */
+        getMerchants(market, context = {}) {
+            const seen = new Set();
+            const merchants = [];
+            let recognised = 0;
+
+            for (const response of responses) {
+                const list = findOrderList(response.body);
+                if (!list) continue;
+                recognised++;
+
+                for (const item of list) {
+                    const id = pick(item, 'id');
+                    const key = id !== undefined
+                        ? `id:${id}`
+                        : JSON.stringify([pick(item, 'name'), pick(item, 'price'), pick(item, 'limitMin'), pick(item, 'limitMax')]);
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    merchants.push(mapOrder(item, market, context));
+                }
+            }
+
+            log(`Network capture: ${responses.length} JSON response(s), ${recognised} listing response(s), ${merchants.length} order(s)`);
+            return recognised > 0 ? merchants : null;
+        }
+    };
+}
+
+module.exports = {
+    FIELD_ALIASES,
+    LISTING_URL_PATTERN,
+    findOrderList,
+    mapOrder,
+    mapOrdersResponse,
+    startNetworkCapture
+};
@@ -0,0 +1,316 @@
+// scraper/orderBookChanges.js
+const fs = require('fs').promises;
+const path = require('path');
+const { EventEmitter } = require('events');
+const { log, errorLog } = require('./logger');
+const { getMerchantKey } = require('./merchantProfile');
+const { CHANGES_DIR, CHANGES_MAX_FILE_SIZE, CHANGES_MAX_FILES } = require('./config');
+
+/**
+ * Change-data-capture of the order book: each scrape of a market is diffed
+ * against the previous scrape of the same market, and every added, removed or
+ * changed ad becomes an event.
+ */
+const CHANGE_TYPES = {
+    AD_ADDED: 'ad.added',
+    AD_REMOVED: 'ad.removed',
+    PRICE_CHANGED: 'ad.price_changed',
+    AMOUNT_CHANGED: 'ad.amount_changed',
+    LIMITS_CHANGED: 'ad.limits_changed'
+};
+
+// Ad fields compared between scrapes, by the change type they raise
+const CHANGE_FIELDS = {
+    [CHANGE_TYPES.PRICE_CHANGED]: ['price'],
+    [CHANGE_TYPES.AMOUNT_CHANGED]: ['amount'],
+    [CHANGE_TYPES.LIMITS_CHANGED]: ['limitMin', 'limitMax']
+};
+
+function toValue(value) {
+    return value === undefined || value === null || value === '' ? null : value;
+}
+
+/**
+ * Order book of one market: its merchants' ads in page order, keyed by merchant.
+ * A merchant listing several ads on the page gets "key#2", "key#3", ...
+ */
+function toOrderBook(merchants) {
+    const seen = new Map();
+
+    return merchants.map(merchant => {
+        const merchantKey = getMerchantKey(merchant['Merchant Name']);
+        const occurrence = (seen.get(merchantKey) || 0) + 1;
+        seen.set(merchantKey, occurrence);
+
+        return {
+            key: occurrence > 1 ? `${merchantKey}#${occurrence}` : merchantKey,
+            merchant: merchant['Merchant Name'],
+            price: toValue(merchant.PriceNumeric),
+            amount: toValue(merchant.AvailableAmountNumeric),
+            limitMin: toValue(merchant.LimitMin),
+            limitMax: toValue(merchant.LimitMax),
+            paymentMethods: toValue(merchant['Payment Methods'])
+        };
+    });
+}
+
+/**
+ * Change events between two order books of the same market.
+ * A field the new scrape did not capture (null) is not a change.
+ *
+ * @param {Object|null} previous - { capturedAt, ads } of the previous scrape, null for the first one.
+ * @param {Object} current - { capturedAt, ads } of this scrape.
+ * @param {Object} market - { market, asset, fiat, side } the books belong to.
+ * @returns {Array} Events in page order: removals first, then additions and changes.
+ */
+function diffOrderBooks(previous, current, market) {
+    if (!previous) {
+        return [];
+    }
+
+    const base = {
+        market: market.market,
+        asset: market.asset,
+        fiat: market.fiat,
+        side: market.side,
+        capturedAt: current.capturedAt,
+        previousCapturedAt: previous.capturedAt
+    };
+    const event = (type, before, after, changes = []) => ({
+        id: `${market.market}:${current.capturedAt}:${(after || before).key}:${type}`,
+        type,
+        ...base,
+        merchant: (after || before).merchant,
+        position: after ? current.ads.indexOf(after) + 1 : null,
+        before,
+        after,
+        changes
+    });
+
+    const previousAds = new Map(previous.ads.map(ad => [ad.key, ad]));
+    const currentKeys = new Set(current.ads.map(ad => ad.key));
+    const events = previous.ads
+        .filter(ad => !currentKeys.has(ad.key))
+        .map(ad => event(CHANGE_TYPES.AD_REMOVED, ad, null));
+
+    for (const ad of current.ads) {
+        const before = previousAds.get(ad.key);
+        if (!before) {
+            events.push(event(CHANGE_TYPES.AD_ADDED, null, ad));
+            continue;
+        }
+
+        for (const [type, fields] of Object.entries(CHANGE_FIELDS)) {
+            const changes = fields
+                .filter(field => ad[field] !== null && String(before[field] ?? '') !== String(ad[field]))
+                .map(field => ({
+                    field,
+                    from: before[field],
+                    to: ad[field],
+                    percent: typeof before[field] === 'number' && before[field] !== 0 && typeof ad[field] === 'number'
+                        ? ((ad[field] - before[field]) / before[field]) * 100
+                        : null
+                }));
+            if (changes.length > 0) {
+                events.push(event(type, before, ad, changes));
+            }
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Count of events by type, e.g. { 'ad.added': 2, 'ad.price_changed': 1 }
+ */
+function countByType(events) {
+    return events.reduce((counts, event) => {
+        counts[event.type] = (counts[event.type] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+/**
+ * Appends records as newline-delimited JSON, rotating the file to a timestamped
+ * name once it reaches maxFileSize and keeping the newest maxFiles rotated files
+ */
+class NdjsonFileWriter {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.maxFileSize = options.maxFileSize || 10 * 1024 * 1024; // 10MB
+        this.maxFiles = options.maxFiles || 10;
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Append records after any earlier appends of this writer have finished
+     */
+    append(records) {
+        const result = this.pending.then(() => this.write(records));
+        this.pending = result.catch(() => {});
+        return result;
+    }
+
+    async write(records) {
+        if (records.length === 0) {
+            return;
+        }
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await this.rotateIfNeeded();
+        await fs.appendFile(this.filePath, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+    }
+
+    async rotateIfNeeded() {
+        try {
+            const stats = await fs.stat(this.filePath);
+            if (stats.size >= this.maxFileSize) {
+                await this.rotateFile();
+            }
+        } catch {
+            // File doesn't exist, no rotation needed
+        }
+    }
+
+    async rotateFile() {
+        const ext = path.extname(this.filePath);
+        const base = path.basename(this.filePath, ext);
+        const dir = path.dirname(this.filePath);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+        await fs.rename(this.filePath, path.join(dir, `${base}.${timestamp}${ext}`));
+        log(`Rotated change log: ${base}.${timestamp}${ext}`);
+
+        const rotated = (await this.getRotatedFiles()).slice(this.maxFiles);
+        for (const file of rotated) {
+            await fs.unlink(path.join(dir, file));
+        }
+    }
+
+    /**
+     * Rotated files, newest first (their names sort by timestamp)
+     */
+    async getRotatedFiles() {
+        const ext = path.extname(this.filePath);
+        const base = path.basename(this.filePath, ext);
+        const files = await fs.readdir(path.dirname(this.filePath));
+
+        return files
+            .filter(file => file.startsWith(`${base}.`) && file.endsWith(ext) && file !== path.basename(this.filePath))
+            .sort()
+            .reverse();
+    }
+}
+
+/**
+ * Diffs each scrape's order books against the previous scrape of the same
+ * market, writes the events to `changes.ndjson` in the change directory and
+ * emits them in-process:
+ * - 'change' with every event, and the event's type (e.g. 'ad.removed') with that event
+ * - 'changes' once per scrape with { capturedAt, events, summary }
+ *
+ * The last order book of each market is kept in `order-books.json` next to the
+ * change log, so runs in a new process diff against the previous process's scrape.
+ */
+class OrderBookChangeCapture extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.directory = options.directory || CHANGES_DIR;
+        this.statePath = path.join(this.directory, 'order-books.json');
+        this.writer = new NdjsonFileWriter(path.join(this.directory, 'changes.ndjson'), {
+            maxFileSize: options.maxFileSize || CHANGES_MAX_FILE_SIZE,
+            maxFiles: options.maxFiles || CHANGES_MAX_FILES
+        });
+        this.books = null;
+    }
+
+    /**
+     * Last order book of each market, as { [market]: { capturedAt, ads } }
+     */
+    async loadBooks() {
+        if (!this.books) {
+            try {
+                this.books = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    errorLog(`Unreadable order book state ${this.statePath}, starting over:`, error);
+                }
+                this.books = {};
+            }
+        }
+        return this.books;
+    }
+
+    async saveBooks() {
+        await fs.mkdir(this.directory, { recursive: true });
+        const tempPath = `${this.statePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(this.books));
+        await fs.rename(tempPath, this.statePath);
+    }
+
+    /**
+     * Diff the markets of a scrape that succeeded; failed markets keep their
+     * last good order book for the next comparison
+     *
+     * @param {Array} merchantData - Merchants of the scrape, tagged with Asset, Fiat and Side.
+     * @param {Array} marketResults - Per-market results of the scrape.
+     * @param {Object} options - { capturedAt } (ISO timestamp, defaults to now).
+     * @returns {Object} { capturedAt, events, summary } where summary counts events by market and type.
+     */
+    async capture(merchantData, marketResults = [], options = {}) {
+        const capturedAt = options.capturedAt || new Date().toISOString();
+        const books = await this.loadBooks();
+        const events = [];
+        const summary = {};
+
+        for (const market of marketResults.filter(result => result.status === 'success')) {
+            const current = {
+                capturedAt,
+                ads: toOrderBook(merchantData.filter(m =>
+                    m.Asset === market.asset && m.Fiat === market.fiat && m.Side === market.side
+                ))
+            };
+            const marketEvents = diffOrderBooks(books[market.market] || null, current, market);
+
+            books[market.market] = current;
+            events.push(...marketEvents);
+            summary[market.market] = countByType(marketEvents);
+        }
+
+        await this.writer.append(events);
+        await this.saveBooks();
+
+        for (const event of events) {
+            this.emit('change', event);
+            this.emit(event.type, event);
+        }
+        const result = { capturedAt, events, summary };
+        this.emit('changes', result);
+
+        log(`Order book changes: ${events.length} event(s) across ${Object.keys(summary).length} market(s)`);
+        return result;
+    }
+}
+
+let changeCaptureInstance = null;
+
+/**
+ * Process-wide change capture, shared by the scraper that feeds it and the
+ * monitoring service that subscribes to it
+ */
+function getChangeCapture(options = {}) {
+    if (!changeCaptureInstance) {
+        changeCaptureInstance = new OrderBookChangeCapture(options);
+    }
+    return changeCaptureInstance;
+}
+
+module.exports = {
+    CHANGE_TYPES,
+    toOrderBook,
+    diffOrderBooks,
+    countByType,
+    NdjsonFileWriter,
+    OrderBookChangeCapture,
+    getChangeCapture
+};
@@ -0,0 +1,297 @@
+// scraper/postgresAdapter.js
+const { errorLog, log } = require('./logger');
+const { generateScrapeId } = require('./schema');
+const { getTraceId } = require('./traceContext');
+const { getDialect, buildBatchInserts } = require('./sqlDialects');
+const {
+    StorageAdapter,
+    MERCHANT_ROW_COLUMNS,
+    VALIDATION_ERROR_COLUMNS,
+    toMerchantRow,
+    toValidationErrorRows
+} = require('./storageAdapter');
+
+const dialect = getDialect('postgres');
+
+/**
+ * Warehouse tables, mirroring the SQLite model
+ */
+const POSTGRES_TABLES = {
+    scrape_sessions: `
+        scrape_id TEXT PRIMARY KEY,
+        start_time TIMESTAMPTZ NOT NULL,
+        end_time TIMESTAMPTZ,
+        status TEXT NOT NULL CHECK(status IN ('running', 'completed', 'failed')),
+        total_merchants INTEGER DEFAULT 0,
+        valid_merchants INTEGER DEFAULT 0,
+        invalid_merchants INTEGER DEFAULT 0,
+        errors_count INTEGER DEFAULT 0,
+        warnings_count INTEGER DEFAULT 0,
+        source TEXT NOT NULL DEFAULT 'gate.io',
+        version TEXT NOT NULL,
+        metadata JSONB,
+        markets JSONB,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    `,
+    merchants: `
+        id BIGSERIAL PRIMARY KEY,
+        scrape_id TEXT NOT NULL REFERENCES scrape_sessions(scrape_id),
+        asset TEXT,
+        fiat TEXT,
+        side TEXT CHECK(side IN ('buy', 'sell')),
+        merchant_name TEXT NOT NULL,
+        price TEXT NOT NULL,
+        price_numeric DOUBLE PRECISION NOT NULL,
+        available_amount TEXT NOT NULL,
+        available_amount_numeric DOUBLE PRECISION NOT NULL,
+        limit_range TEXT NOT NULL,
+        limit_min DOUBLE PRECISION NOT NULL,
+        limit_max DOUBLE PRECISION NOT NULL,
+        payment_methods TEXT,
+        completion_rate DOUBLE PRECISION,
+        orders INTEGER,
+        avg_pay_time TEXT,
+        avg_release_time TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        source TEXT NOT NULL DEFAULT 'gate.io',
+        schema_version TEXT NOT NULL DEFAULT '1.0.0',
+        raw_data JSONB,
+        UNIQUE(scrape_id, asset, fiat, side, merchant_name)
+    `,
+    validation_errors: `
+        id BIGSERIAL PRIMARY KEY,
+        scrape_id TEXT NOT NULL REFERENCES scrape_sessions(scrape_id),
+        merchant_index INTEGER NOT NULL,
+        field_name TEXT NOT NULL,
+        rule_type TEXT NOT NULL,
+        error_message TEXT NOT NULL,
+        field_value TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    `,
+    data_quality_metrics: `
+        id BIGSERIAL PRIMARY KEY,
+        scrape_id TEXT NOT NULL REFERENCES scrape_sessions(scrape_id),
+        metric_name TEXT NOT NULL,
+        metric_value DOUBLE PRECISION NOT NULL,
+        metric_unit TEXT,
+        calculated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+    `
+};
+
+/**
+ * Storage adapter writing scrapes to PostgreSQL through a single connection.
+ *
+ * Takes a pg-compatible client ({ connect, query(text, values), end }) in
+ * `dependencies.client`; without one it opens a pg Client from the config
+ * (`connectionString`, or host/port/username/password/database).
+ */
+class PostgresAdapter extends StorageAdapter {
+    constructor(config = {}, dependencies = {}) {
+        super();
+        this.config = {
+            schema: null,
+            batchSize: 500,
+            ...config
+        };
+        this.client = dependencies.client || null;
+        this.isConnected = false;
+    }
+
+    /**
+     * Connect and create the tables the warehouse is missing
+     */
+    async initialize() {
+        try {
+            if (!this.client) {
+                this.client = this.createClient();
+            }
+            await this.client.connect();
+            this.isConnected = true;
+
+            if (this.config.schema) {
+                await this.query(`CREATE SCHEMA IF NOT EXISTS ${dialect.quoteIdentifier(this.config.schema)}`);
+            }
+
+            for (const [table, columns] of Object.entries(POSTGRES_TABLES)) {
+                await this.query(`CREATE TABLE IF NOT EXISTS ${this.table(table)} (${columns.replace(/REFERENCES (\w+)/g, (match, name) => `REFERENCES ${this.table(name)}`)})`);
+            }
+
+            log(`PostgreSQL storage ready${this.config.schema ? ` (schema ${this.config.schema})` : ''}`);
+        } catch (error) {
+            errorLog('PostgreSQL storage initialization error', error);
+            throw error;
+        }
+    }
+
+    createClient() {
+        let pg;
+        try {
+            pg = require('pg');
+        } catch (error) {
+            errorLog('PostgreSQL storage requires the pg package. Please install it with: npm install pg');
+            throw error;
+        }
+
+        const { connectionString, host, port, username, password, database } = this.config;
+        return new pg.Client(connectionString ? { connectionString } : { host, port, user: username, password, database });
+    }
+
+    /**
+     * Table name, qualified with the configured schema
+     */
+    table(name) {
+        return this.config.schema
+            ? `${dialect.quoteIdentifier(this.config.schema)}.${dialect.quoteIdentifier(name)}`
+            : dialect.quoteIdentifier(name);
+    }
+
+    query(text, values = []) {
+        return this.client.query(text, values);
+    }
+
+    /**
+     * Run batched inserts in one transaction; returns the number of rows written
+     */
+    async insertBatches(table, columns, rows, suffix = '') {
+        const statements = buildBatchInserts(dialect, this.table(table), columns, rows, {
+            batchSize: this.config.batchSize,
+            suffix
+        });
+
+        let inserted = 0;
+        await this.query('BEGIN');
+        try {
+            for (const statement of statements) {
+                const result = await this.query(statement.text, statement.values);
+                inserted += result.rowCount || 0;
+            }
+            await this.query('COMMIT');
+        } catch (error) {
+            await this.query('ROLLBACK').catch(() => {});
+            throw error;
+        }
+
+        return inserted;
+    }
+
+    async startScrapeSession(metadata = {}) {
+        const scrapeId = generateScrapeId();
+        const { markets, ...sessionMetadata } = metadata;
+
+        try {
+            await this.query(`
+                INSERT INTO ${this.table('scrape_sessions')}
+                (scrape_id, start_time, status, source, version, metadata, markets)
+                VALUES ($1, $2, 'running', $3, $4, $5, $6)
+            `, [
+                scrapeId,
+                new Date().toISOString(),
+                metadata.source || 'gate.io',
+                metadata.version || '1.0.0',
+                JSON.stringify(sessionMetadata),
+                markets ? JSON.stringify(markets) : null
+            ]);
+        } catch (error) {
+            errorLog('Failed to start scrape session in PostgreSQL', error);
+            throw error;
+        }
+
+        log(`Started PostgreSQL scrape session: ${scrapeId}`);
+        return scrapeId;
+    }
+
+    async completeScrapeSession(scrapeId, results) {
+        await this.query(`
+            UPDATE ${this.table('scrape_sessions')}
+            SET end_time = $1, status = 'completed', total_merchants = $2,
+                valid_merchants = $3, invalid_merchants = $4,
+                errors_count = $5, warnings_count = $6
+            WHERE scrape_id = $7
+        `, [
+            new Date().toISOString(),
+            results.totalRecords,
+            results.summary.validCount,
+            results.summary.invalidCount,
+            results.summary.totalErrors,
+            results.summary.totalWarnings,
+            scrapeId
+        ]);
+        log(`Completed PostgreSQL scrape session: ${scrapeId}`);
+    }
+
+    async failScrapeSession(scrapeId, error) {
+        const endTime = new Date().toISOString();
+        const traceId = getTraceId();
+        await this.query(`
+            UPDATE ${this.table('scrape_sessions')}
+            SET end_time = $1, status = 'failed', metadata = $2
+            WHERE scrape_id = $3
+        `, [endTime, JSON.stringify({ error: error.message, stack: error.stack, timestamp: endTime, ...(traceId && { traceId }) }), scrapeId]);
+        log(`Marked PostgreSQL scrape session as failed: ${scrapeId}`);
+    }
+
+    async insertMerchants(scrapeId, validationResults) {
+        // One row per merchant and market, the last record winning as in SQLite;
+        // a statement can't touch the same conflicting row twice
+        const rows = new Map();
+        for (const record of validationResults.validRecords) {
+            const row = toMerchantRow(scrapeId, record.data);
+            rows.set(JSON.stringify(row.slice(0, 5)), row);
+        }
+
+        if (rows.size === 0) {
+            return { inserted: 0, skipped: 0 };
+        }
+
+        try {
+            const inserted = await this.insertBatches('merchants', MERCHANT_ROW_COLUMNS, Array.from(rows.values()), 'ON CONFLICT DO NOTHING');
+            const skipped = validationResults.validRecords.length - inserted;
+            log(`Inserted ${inserted} merchants into PostgreSQL, skipped ${skipped} duplicates`);
+            return { inserted, skipped };
+        } catch (error) {
+            errorLog('Failed to insert merchants into PostgreSQL', error);
+            throw error;
+        }
+    }
+
+    async insertValidationErrors(scrapeId, validationResults) {
+        const rows = toValidationErrorRows(scrapeId, validationResults);
+        if (rows.length === 0) {
+            return { inserted: 0 };
+        }
+
+        try {
+            const inserted = await this.insertBatches('validation_errors', VALIDATION_ERROR_COLUMNS, rows);
+            log(`Inserted ${inserted} validation errors into PostgreSQL`);
+            return { inserted };
+        } catch (error) {
+            errorLog('Failed to insert validation errors into PostgreSQL', error);
+            throw error;
+        }
+    }
+
+    async insertDataQualityMetrics(scrapeId, metrics) {
+        const rows = metrics.map(metric => [scrapeId, metric.name, metric.value, metric.unit]);
+
+        try {
+            const inserted = await this.insertBatches('data_quality_metrics', ['scrape_id', 'metric_name', 'metric_value', 'metric_unit'], rows);
+            return { inserted };
+        } catch (error) {
+            errorLog('Failed to insert data quality metrics into PostgreSQL', error);
+            throw error;
+        }
+    }
+
+    async close() {
+        if (this.client && this.isConnected) {
+            await this.client.end();
+            this.isConnected = false;
+            log('PostgreSQL connection closed');
+        }
+    }
+}
+
+module.exports = {
+    PostgresAdapter,
+    POSTGRES_TABLES
+};
@@ -0,0 +1,153 @@
+// scraper/priceAggregates.js
+
+/**
+ * Supported aggregation intervals and their length in milliseconds.
+ * Buckets are aligned to the Unix epoch, so 1d buckets start at midnight UTC.
+ */
+const AGGREGATE_INTERVALS = {
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000
+};
+
+const DEFAULT_TOP_N = 5;
+
+function round(value) {
+    return Math.round(value * 1e8) / 1e8;
+}
+
+function average(values) {
+    return values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+}
+
+function median(sorted) {
+    if (sorted.length === 0) return null;
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * Price statistics of one market in one scrape.
+ * The best price is the cheapest on the buy side and the highest on the sell side;
+ * the top-N average is taken over the N best prices.
+ */
+function summarizeScrape(rows, side = 'buy', topN = DEFAULT_TOP_N) {
+    const direction = side === 'sell' ? -1 : 1;
+    const prices = rows.map(row => row.price_numeric).sort((a, b) => (a - b) * direction);
+    const ascending = [...prices].sort((a, b) => a - b);
+
+    return {
+        bestPrice: prices[0],
+        medianPrice: median(ascending),
+        topNAverage: average(prices.slice(0, topN)),
+        merchantCount: rows.length,
+        totalAvailable: round(rows.reduce((sum, row) => sum + (row.available_amount_numeric || 0), 0))
+    };
+}
+
+/**
+ * Aggregate merchant rows into per-interval points, one series per market.
+ *
+ * Rows need scrape_id, scraped_at, asset, fiat, side, price_numeric and
+ * available_amount_numeric. Each point holds the open/high/low/close of the best
+ * price over the scrapes in the interval, and the per-scrape median price, top-N
+ * average, merchant count and total available amount averaged over those scrapes.
+ *
+ * @param {Array} rows - Merchant rows in scrape order.
+ * @param {Object} options - { interval, topN }
+ * @returns {Array} Points ordered by bucket, then market.
+ */
+function aggregatePriceSeries(rows, options = {}) {
+    const { interval = '1h', topN = DEFAULT_TOP_N } = options;
+    const intervalMs = AGGREGATE_INTERVALS[interval];
+    if (!intervalMs) {
+        throw new Error(`Invalid interval "${interval}" (expected one of ${Object.keys(AGGREGATE_INTERVALS).join(', ')})`);
+    }
+
+    // Group rows by scrape and market first: every scrape is one observation of its book
+    const scrapes = new Map();
+    for (const row of rows) {
+        const key = JSON.stringify([row.scrape_id, row.asset, row.fiat, row.side]);
+        if (!scrapes.has(key)) {
+            scrapes.set(key, { row, rows: [] });
+        }
+        scrapes.get(key).rows.push(row);
+    }
+
+    const buckets = new Map();
+    for (const scrape of scrapes.values()) {
+        const { asset, fiat, side, scraped_at: scrapedAt } = scrape.row;
+        const time = Date.parse(scrapedAt);
+        if (Number.isNaN(time)) continue;
+
+        const bucketStart = Math.floor(time / intervalMs) * intervalMs;
+        const key = JSON.stringify([bucketStart, asset, fiat, side]);
+        if (!buckets.has(key)) {
+            buckets.set(key, { bucketStart, asset, fiat, side, observations: [] });
+        }
+        buckets.get(key).observations.push({ time, ...summarizeScrape(scrape.rows, side, topN) });
+    }
+
+    return Array.from(buckets.values())
+        .sort((a, b) => a.bucketStart - b.bucketStart
+            || String(a.asset).localeCompare(String(b.asset))
+            || String(a.fiat).localeCompare(String(b.fiat))
+            || String(a.side).localeCompare(String(b.side)))
+        .map(({ bucketStart, asset, fiat, side, observations }) => {
+            observations.sort((a, b) => a.time - b.time);
+            const bestPrices = observations.map(observation => observation.bestPrice);
+
+            return {
+                bucket: new Date(bucketStart).toISOString(),
+                interval,
+                asset,
+                fiat,
+                side,
+                scrapes: observations.length,
+                open: bestPrices[0],
+                high: Math.max(...bestPrices),
+                low: Math.min(...bestPrices),
+                close: bestPrices[bestPrices.length - 1],
+                medianPrice: average(observations.map(observation => observation.medianPrice)),
+                topNAverage: average(observations.map(observation => observation.topNAverage)),
+                topN,
+                merchantCount: average(observations.map(observation => observation.merchantCount)),
+                totalAvailable: average(observations.map(observation => observation.totalAvailable))
+            };
+        });
+}
+
+/**
+ * Point of aggregatePriceSeries' shape from a row aggregated in SQL
+ * (DatabaseManager.getPriceAggregates): bucket_start in epoch seconds, snake_case statistics
+ */
+function toPricePoint(row, options = {}) {
+    const { interval = '1h', topN = DEFAULT_TOP_N } = options;
+
+    return {
+        bucket: new Date(row.bucket_start * 1000).toISOString(),
+        interval,
+        asset: row.asset,
+        fiat: row.fiat,
+        side: row.side,
+        scrapes: row.scrapes,
+        open: row.open,
+        high: row.high,
+        low: row.low,
+        close: row.close,
+        medianPrice: round(row.median_price),
+        topNAverage: round(row.top_n_average),
+        topN,
+        merchantCount: round(row.merchant_count),
+        totalAvailable: round(row.total_available)
+    };
+}
+
+module.exports = {
+    AGGREGATE_INTERVALS,
+    DEFAULT_TOP_N,
+    summarizeScrape,
+    aggregatePriceSeries,
+    toPricePoint
+};
@@ -0,0 +1,178 @@
+// scraper/rateLimitStore.js
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { log } = require('./logger');
+
+/**
+ * Rate limiter state shared by every process on the host through one SQLite file,
+ * so N scraper workers draw on a single budget per domain instead of N.
+ *
+ * Each acquire runs inside BEGIN IMMEDIATE, which takes the file's write lock:
+ * other processes wait (up to busyTimeout) and then see the updated state.
+ * Acquires from this process are queued, as they share one connection.
+ */
+class SharedRateLimitStore {
+    constructor(filename, options = {}) {
+        this.filename = filename;
+        this.busyTimeout = options.busyTimeout || 5000;
+        this.db = null;
+        this.ready = null;
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Open the file and create the state tables, once; a failed open is
+     * retried by the next call
+     */
+    open() {
+        if (!this.ready) {
+            this.ready = this.connect().catch(async (error) => {
+                if (this.db) {
+                    await new Promise(resolve => this.db.close(() => resolve()));
+                    this.db = null;
+                }
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    async connect() {
+        fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+
+        this.db = await new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(this.filename, (err) => (err ? reject(err) : resolve(db)));
+        });
+        this.db.configure('busyTimeout', this.busyTimeout);
+
+        await this.run('PRAGMA journal_mode = WAL');
+        await this.run(`CREATE TABLE IF NOT EXISTS token_buckets (
+            identifier TEXT PRIMARY KEY,
+            tokens REAL NOT NULL,
+            updated_at INTEGER NOT NULL
+        )`);
+        await this.run(`CREATE TABLE IF NOT EXISTS window_requests (
+            identifier TEXT NOT NULL,
+            requested_at INTEGER NOT NULL
+        )`);
+        await this.run('CREATE INDEX IF NOT EXISTS idx_window_requests ON window_requests(identifier, requested_at)');
+
+        log(`Shared rate limit state: ${this.filename}`);
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                return err ? reject(err) : resolve(this.changes);
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+        });
+    }
+
+    /**
+     * Run `work` inside a write-locked transaction, after this process's earlier ones
+     */
+    async transaction(work) {
+        await this.open();
+
+        const result = this.pending.then(async () => {
+            await this.run('BEGIN IMMEDIATE');
+            try {
+                const value = await work(Date.now());
+                await this.run('COMMIT');
+                return value;
+            } catch (error) {
+                try {
+                    await this.run('ROLLBACK');
+                } catch {
+                    // SQLite already rolled back the failed transaction
+                }
+                throw error;
+            }
+        });
+
+        this.pending = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Take tokens from a shared token bucket
+     *
+     * @param {string} identifier - Host or limiter name.
+     * @param {Object} limits - { capacity, refillRate (tokens per second), tokens }.
+     * @returns {Object} { granted, waitMs, tokens } where waitMs is the time until enough tokens refill.
+     */
+    acquireTokens(identifier, limits) {
+        const { capacity, refillRate, tokens = 1 } = limits;
+
+        return this.transaction(async (now) => {
+            const row = await this.get('SELECT tokens, updated_at FROM token_buckets WHERE identifier = ?', [identifier]);
+            const elapsedSeconds = row ? Math.max(0, now - row.updated_at) / 1000 : 0;
+            const available = row ? Math.min(capacity, row.tokens + elapsedSeconds * refillRate) : capacity;
+            const granted = available >= tokens;
+            const remaining = granted ? available - tokens : available;
+
+            await this.run(`
+                INSERT INTO token_buckets (identifier, tokens, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(identifier) DO UPDATE SET tokens = excluded.tokens, updated_at = excluded.updated_at
+            `, [identifier, remaining, now]);
+
+            return {
+                granted,
+                waitMs: granted ? 0 : Math.ceil(((tokens - remaining) / refillRate) * 1000),
+                tokens: remaining
+            };
+        });
+    }
+
+    /**
+     * Record a request in a shared sliding window, if the window has room
+     *
+     * @param {string} identifier - Host or limiter name.
+     * @param {Object} limits - { maxRequests, windowSizeMs }.
+     * @returns {Object} { granted, waitMs, currentRequests } where waitMs is the time until the oldest request leaves the window.
+     */
+    acquireWindowSlot(identifier, limits) {
+        const { maxRequests, windowSizeMs } = limits;
+
+        return this.transaction(async (now) => {
+            await this.run('DELETE FROM window_requests WHERE identifier = ? AND requested_at <= ?', [identifier, now - windowSizeMs]);
+            const { count, oldest } = await this.get(
+                'SELECT COUNT(*) AS count, MIN(requested_at) AS oldest FROM window_requests WHERE identifier = ?',
+                [identifier]
+            );
+
+            if (count >= maxRequests) {
+                return { granted: false, waitMs: Math.max(1, oldest + windowSizeMs - now), currentRequests: count };
+            }
+
+            await this.run('INSERT INTO window_requests (identifier, requested_at) VALUES (?, ?)', [identifier, now]);
+            return { granted: true, waitMs: 0, currentRequests: count + 1 };
+        });
+    }
+
+    async close() {
+        if (!this.ready) {
+            return;
+        }
+
+        await this.ready.catch(() => {});
+        await this.pending;
+        if (this.db) {
+            await new Promise(resolve => this.db.close(() => resolve()));
+            this.db = null;
+        }
+        this.ready = null;
+    }
+}
+
+module.exports = {
+    SharedRateLimitStore
+};
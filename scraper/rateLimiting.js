@@ -1,7 +1,16 @@
 // scraper/rateLimiting.js
 const { log, errorLog } = require('./logger');
+const { RateLimitError, RetryableError, NonRetryableError } = require('./retryLogic');
+const { SharedRateLimitStore } = require('./rateLimitStore');
+const {
+    RATE_LIMIT_REQUESTS_PER_SECOND,
+    RATE_LIMIT_BURST,
+    RATE_LIMIT_STATE_FILE
+} = require('./config');
 const fs = require('fs').promises;
 const path = require('path');
+const http = require('http');
+const https = require('https');
 
 /**
  * Rate Limiting and Request Throttling System
@@ -11,9 +20,14 @@ const path = require('path');
  * - Sliding window rate limiting
  * - Request queue management
  * - Adaptive throttling
- * - Domain-specific rate limiting
+ * - Per-host rate limiting, optionally shared across processes
+ * - Retry-After handling for 429 responses
  * - Burst handling
  * - Performance metrics
+ *
+ * Queued requests are either functions (run as-is, e.g. a page navigation) or
+ * request configs ({ url, method, headers, body, timeout }) handed to the
+ * manager's executor, which performs real HTTP requests by default.
  */
 
 /**
@@ -37,6 +51,19 @@ const REQUEST_PRIORITY = {
     BACKGROUND: 'BACKGROUND'
 };
 
+/**
+ * Log a limiter falling back to per-process limiting, and recovering, once per
+ * outage of its shared store rather than on every acquire
+ */
+function reportSharedState(limiter, error = null) {
+    if (error && !limiter.sharedStateFailed) {
+        errorLog(`Shared rate limit state unavailable for ${limiter.identifier}, limiting this process only:`, error);
+    } else if (!error && limiter.sharedStateFailed) {
+        log(`Shared rate limit state available again for ${limiter.identifier}`);
+    }
+    limiter.sharedStateFailed = Boolean(error);
+}
+
 /**
  * Token Bucket Rate Limiter
  */
@@ -47,6 +74,33 @@ class TokenBucketLimiter {
         this.tokens = options.initialTokens || this.capacity;
         this.lastRefill = Date.now();
         this.identifier = options.identifier || 'default';
+        this.store = options.store || null; // SharedRateLimitStore, when the budget is shared
+        this.sharedStateFailed = false;
+    }
+
+    /**
+     * Take tokens for a request: { granted, waitMs }
+     */
+    async acquire(tokensRequired = 1) {
+        if (this.store) {
+            try {
+                const result = await this.store.acquireTokens(this.identifier, {
+                    capacity: this.capacity,
+                    refillRate: this.refillRate,
+                    tokens: tokensRequired
+                });
+                this.tokens = result.tokens;
+                this.lastRefill = Date.now();
+                reportSharedState(this);
+                return result;
+            } catch (error) {
+                reportSharedState(this, error);
+            }
+        }
+
+        return this.consume(tokensRequired)
+            ? { granted: true, waitMs: 0 }
+            : { granted: false, waitMs: this.getTimeUntilToken() };
     }
 
     /**
@@ -122,6 +176,30 @@ class SlidingWindowLimiter {
         this.windowSizeMs = options.windowSizeMs || 60000; // 1 minute
         this.requests = [];
         this.identifier = options.identifier || 'default';
+        this.store = options.store || null; // SharedRateLimitStore, when the budget is shared
+        this.sharedStateFailed = false;
+    }
+
+    /**
+     * Record a request if the window has room: { granted, waitMs }
+     */
+    async acquire() {
+        if (this.store) {
+            try {
+                const result = await this.store.acquireWindowSlot(this.identifier, {
+                    maxRequests: this.maxRequests,
+                    windowSizeMs: this.windowSizeMs
+                });
+                reportSharedState(this);
+                return result;
+            } catch (error) {
+                reportSharedState(this, error);
+            }
+        }
+
+        return this.recordRequest()
+            ? { granted: true, waitMs: 0 }
+            : { granted: false, waitMs: this.getTimeUntilNextRequest() };
     }
 
     /**
@@ -196,6 +274,7 @@ class RequestQueueItem {
         this.createdAt = Date.now();
         this.attempts = 0;
         this.maxAttempts = options.maxAttempts || 3;
+        this.retryDelay = options.retryDelay || 1000; // First backoff, doubled per attempt
         this.delay = options.delay || 0;
         this.executeAt = this.createdAt + this.delay;
         this.metadata = options.metadata || {};
@@ -225,8 +304,150 @@ class RequestQueueItem {
     }
 }
 
+/**
+ * Seconds to wait from a Retry-After header (delay-seconds or an HTTP date), or null
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds);
+    }
+
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) {
+        return null;
+    }
+
+    return Math.max(0, Math.ceil((date - now) / 1000));
+}
+
+/**
+ * Host a request is limited under: metadata.host (or the older metadata.domain),
+ * else the host of a request config's url
+ */
+function getRequestHost(request, metadata = {}) {
+    if (metadata.host || metadata.domain) {
+        return metadata.host || metadata.domain;
+    }
+
+    if (request && typeof request === 'object' && request.url) {
+        try {
+            return new URL(request.url).host;
+        } catch {
+            return 'default';
+        }
+    }
+
+    return 'default';
+}
+
+function parseResponseBody(text, contentType = '') {
+    if (text && contentType.includes('json')) {
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    }
+    return text;
+}
+
+/**
+ * Error for a non-2xx response: 429 becomes a RateLimitError carrying Retry-After,
+ * other 5xx responses are retryable and 4xx responses are not
+ */
+function toHttpError(method, target, response) {
+    const message = `${method} ${target.origin}${target.pathname} failed with HTTP ${response.status}`;
+    let error;
+
+    if (response.status === 429) {
+        const retryAfter = parseRetryAfter(response.headers['retry-after']);
+        error = new RateLimitError(`${message}${retryAfter !== null ? `, retry after ${retryAfter}s` : ''}`, retryAfter);
+    } else if (response.status >= 500) {
+        error = new RetryableError(message);
+    } else {
+        error = new NonRetryableError(message);
+    }
+
+    error.status = response.status;
+    error.response = response;
+    return error;
+}
+
+/**
+ * Default request executor, using node's http/https.
+ *
+ * The returned function takes { url, method, headers, body, timeout } (object
+ * bodies are sent as JSON) and resolves { status, headers, data, duration }.
+ *
+ * @param {Object} defaults - { headers, timeout } applied to every request.
+ */
+function createHttpExecutor(defaults = {}) {
+    return function executeHttp(requestConfig) {
+        const { url, method = 'GET', headers = {}, body, timeout = defaults.timeout || 30000 } = requestConfig;
+        const target = new URL(url);
+        const transport = target.protocol === 'https:' ? https : http;
+        const requestHeaders = { ...defaults.headers, ...headers };
+        const hasHeader = (name) => Object.keys(requestHeaders).some(key => key.toLowerCase() === name);
+
+        let payload = body;
+        if (payload !== undefined && payload !== null && typeof payload !== 'string' && !Buffer.isBuffer(payload)) {
+            payload = JSON.stringify(payload);
+            if (!hasHeader('content-type')) {
+                requestHeaders['Content-Type'] = 'application/json';
+            }
+        }
+        if (payload !== undefined && payload !== null && !hasHeader('content-length')) {
+            requestHeaders['Content-Length'] = Buffer.byteLength(payload);
+        }
+
+        const startTime = Date.now();
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(target, { method, headers: requestHeaders }, (res) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('error', reject);
+                res.on('end', () => {
+                    const response = {
+                        status: res.statusCode,
+                        headers: res.headers,
+                        data: parseResponseBody(Buffer.concat(chunks).toString('utf-8'), res.headers['content-type']),
+                        duration: Date.now() - startTime
+                    };
+
+                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                        resolve(response);
+                    } else {
+                        reject(toHttpError(method, target, response));
+                    }
+                });
+            });
+
+            req.setTimeout(timeout, () => {
+                req.destroy(new RetryableError(`${method} ${target.origin}${target.pathname} timed out after ${timeout}ms`));
+            });
+            req.on('error', reject);
+
+            if (payload !== undefined && payload !== null) {
+                req.write(payload);
+            }
+            req.end();
+        });
+    };
+}
+
 /**
  * Rate Limiting Manager
+ *
+ * Options beyond the limits: `executor` (runs request configs, defaults to
+ * createHttpExecutor()), `hostLimits`, limiter config per host, e.g.
+ * { 'hooks.slack.com': { refillRate: 1, capacity: 1 } }, and `sharedStatePath`,
+ * a SQLite file through which every process using it shares each host's budget.
  */
 class RateLimitingManager {
     constructor(options = {}) {
@@ -234,24 +455,36 @@ class RateLimitingManager {
             enablePersistence: options.enablePersistence !== false,
             persistenceStorePath: options.persistenceStorePath || path.join(process.cwd(), 'data', 'rate-limits'),
             defaultAlgorithm: options.defaultAlgorithm || RATE_LIMIT_ALGORITHMS.TOKEN_BUCKET,
+            adaptiveThrottling: options.adaptiveThrottling !== false,
+            queueSize: options.queueSize || 1000,
+            processingInterval: options.processingInterval || 100, // milliseconds
+            hostLimits: options.hostLimits || {},
+            ...options,
+            // After the spread, so limits the caller leaves out keep their defaults
             globalLimits: {
                 requestsPerSecond: options.globalLimits?.requestsPerSecond || 10,
                 burstCapacity: options.globalLimits?.burstCapacity || 50,
                 concurrentRequests: options.globalLimits?.concurrentRequests || 5
-            },
-            adaptiveThrottling: options.adaptiveThrottling !== false,
-            queueSize: options.queueSize || 1000,
-            processingInterval: options.processingInterval || 100, // milliseconds
-            ...options
+            }
         };
 
-        // Rate limiters by domain/identifier
+        // Runs queued request configs; functions are called directly
+        this.executor = options.executor || createHttpExecutor();
+
+        // Limiter state other processes see, instead of this process's memory
+        this.sharedStore = options.sharedStatePath ? new SharedRateLimitStore(options.sharedStatePath) : null;
+
+        // Rate limiters by host/identifier
         this.limiters = new Map();
+
+        // Hosts that answered 429, and when their Retry-After ends
+        this.hostBlockedUntil = new Map();
         
         // Request queue with priority
         this.requestQueue = [];
         this.processingQueue = false;
         this.processTimer = null;
+        this.adaptiveTimer = null;
         
         // Active requests tracking
         this.activeRequests = new Map();
@@ -317,6 +550,7 @@ class RateLimitingManager {
                 case RATE_LIMIT_ALGORITHMS.TOKEN_BUCKET:
                     limiter = new TokenBucketLimiter({
                         identifier,
+                        store: this.sharedStore,
                         capacity: config.capacity || this.options.globalLimits.burstCapacity,
                         refillRate: config.refillRate || this.options.globalLimits.requestsPerSecond,
                         ...config
@@ -326,6 +560,7 @@ class RateLimitingManager {
                 case RATE_LIMIT_ALGORITHMS.SLIDING_WINDOW:
                     limiter = new SlidingWindowLimiter({
                         identifier,
+                        store: this.sharedStore,
                         maxRequests: config.maxRequests || this.options.globalLimits.burstCapacity,
                         windowSizeMs: config.windowSizeMs || 60000,
                         ...config
@@ -352,7 +587,10 @@ class RateLimitingManager {
             throw new Error(`Request queue is full (${this.options.queueSize} items)`);
         }
 
-        const queueItem = new RequestQueueItem(request, options);
+        const queueItem = new RequestQueueItem(request, {
+            ...options,
+            metadata: { ...options.metadata, host: getRequestHost(request, options.metadata) }
+        });
         
         // Add to queue with priority ordering
         this.insertByPriority(queueItem);
@@ -363,20 +601,70 @@ class RateLimitingManager {
 
         // Return promise that resolves when request is processed
         return new Promise((resolve, reject) => {
-            queueItem.resolve = resolve;
-            queueItem.reject = reject;
-            
             // Set timeout
-            setTimeout(() => {
+            const timeoutTimer = setTimeout(() => {
                 if (!queueItem.processed) {
                     queueItem.processed = true;
                     this.removeFromQueue(queueItem.id);
-                    reject(new Error(`Request timeout: ${queueItem.id}`));
+                    const error = new Error(`Request timeout: ${queueItem.id}`);
+                    error.attempts = queueItem.attempts;
+                    reject(error);
                 }
             }, queueItem.timeout);
+
+            queueItem.resolve = (result) => {
+                clearTimeout(timeoutTimer);
+                resolve(result);
+            };
+            queueItem.reject = (error) => {
+                clearTimeout(timeoutTimer);
+                // Tells callers how often the request was tried before it failed
+                if (error instanceof Error) {
+                    error.attempts = queueItem.attempts;
+                }
+                reject(error);
+            };
+        });
+    }
+
+    /**
+     * Queue a task (e.g. a page navigation) under a host's limiter
+     */
+    async schedule(host, task, options = {}) {
+        return this.queueRequest(task, {
+            ...options,
+            metadata: { ...options.metadata, host }
         });
     }
 
+    /**
+     * Hold back a host's requests until its Retry-After has passed
+     */
+    blockHost(host, delayMs) {
+        const until = Date.now() + delayMs;
+        if (until > (this.hostBlockedUntil.get(host) || 0)) {
+            this.hostBlockedUntil.set(host, until);
+            log(`Requests to ${host} paused for ${Math.ceil(delayMs / 1000)}s (Retry-After)`);
+        }
+    }
+
+    /**
+     * Milliseconds until a blocked host may be requested again, 0 if it isn't blocked
+     */
+    getHostBlockRemaining(host) {
+        const until = this.hostBlockedUntil.get(host);
+        if (!until) {
+            return 0;
+        }
+
+        const remaining = until - Date.now();
+        if (remaining <= 0) {
+            this.hostBlockedUntil.delete(host);
+            return 0;
+        }
+        return remaining;
+    }
+
     /**
      * Insert request into queue by priority
      */
@@ -428,6 +716,7 @@ class RateLimitingManager {
                 await this.processQueue();
             }
         }, this.options.processingInterval);
+        this.processTimer.unref?.();
 
         log('Queue processing started');
     }
@@ -484,31 +773,38 @@ class RateLimitingManager {
      */
     async processRequest(queueItem) {
         const startTime = Date.now();
+        const host = queueItem.metadata.host || 'default';
+        
+        // Counted as active while it waits on the limiter too, so the
+        // concurrency limit holds while a shared limiter is consulted
+        this.activeRequests.set(queueItem.id, {
+            queueItem,
+            startTime,
+            host
+        });
         
         try {
-            // Check rate limiting
-            const limiter = this.getRateLimiter(queueItem.metadata.domain || 'default');
-            
-            if (!limiter.canProcess()) {
-                // Reschedule request
-                const delay = limiter.getTimeUntilToken ? limiter.getTimeUntilToken() : limiter.getTimeUntilNextRequest();
-                queueItem.reschedule(delay);
-                queueItem.incrementAttempt();
-                
-                if (queueItem.canRetry()) {
-                    this.insertByPriority(queueItem);
-                    log(`Request rescheduled due to rate limit: ${queueItem.id} (delay: ${delay}ms)`);
-                    return;
-                } else {
-                    throw new Error(`Rate limit exceeded, max attempts reached: ${queueItem.id}`);
-                }
+            // Wait out a Retry-After the host asked for
+            const blockedFor = this.getHostBlockRemaining(host);
+            if (blockedFor > 0) {
+                queueItem.reschedule(blockedFor);
+                this.insertByPriority(queueItem);
+                this.requestStats.throttledRequests++;
+                return;
             }
 
-            // Consume rate limit token
-            if (limiter.consume) {
-                limiter.consume();
-            } else {
-                limiter.recordRequest();
+            // Check rate limiting, taking a token (or window slot) when one is free
+            const limiter = this.getRateLimiter(host, this.options.hostLimits[host]);
+            const { granted, waitMs } = await limiter.acquire();
+            
+            if (!granted) {
+                // Reschedule request; waiting for a token doesn't use up an attempt
+                const delay = Math.max(waitMs, this.options.processingInterval);
+                queueItem.reschedule(delay);
+                this.insertByPriority(queueItem);
+                this.requestStats.throttledRequests++;
+                log(`Request rescheduled due to rate limit: ${queueItem.id} (delay: ${delay}ms)`);
+                return;
             }
 
             // Apply adaptive throttling delay
@@ -517,13 +813,6 @@ class RateLimitingManager {
                 await this.sleep(throttleDelay);
             }
 
-            // Add to active requests
-            this.activeRequests.set(queueItem.id, {
-                queueItem,
-                startTime,
-                domain: queueItem.metadata.domain
-            });
-
             // Execute request
             let result;
             if (typeof queueItem.request === 'function') {
@@ -550,10 +839,18 @@ class RateLimitingManager {
             
             // Handle retry logic
             queueItem.incrementAttempt();
+
+            // A 429 pauses the whole host, not just this request
+            const retryAfterMs = error instanceof RateLimitError && error.retryAfter !== null
+                ? error.retryAfter * 1000
+                : null;
+            if (retryAfterMs !== null) {
+                this.blockHost(host, retryAfterMs);
+            }
             
-            if (queueItem.canRetry()) {
-                // Calculate exponential backoff delay
-                const retryDelay = Math.min(1000 * Math.pow(2, queueItem.attempts - 1), 30000);
+            if (queueItem.canRetry() && error.retryable !== false) {
+                // Retry-After when given, exponential backoff otherwise
+                const retryDelay = retryAfterMs ?? Math.min(queueItem.retryDelay * Math.pow(2, queueItem.attempts - 1), 30000);
                 queueItem.reschedule(retryDelay);
                 this.insertByPriority(queueItem);
                 
@@ -604,7 +901,7 @@ class RateLimitingManager {
                 duration,
                 success,
                 error: error?.message,
-                domain: queueItem.metadata.domain,
+                domain: queueItem.metadata.host,
                 priority: queueItem.priority,
                 attempts: queueItem.attempts
             });
@@ -612,25 +909,10 @@ class RateLimitingManager {
     }
 
     /**
-     * Execute HTTP request (placeholder implementation)
+     * Execute a request config through the configured executor
      */
     async executeHttpRequest(requestConfig) {
-        // This would integrate with actual HTTP client (e.g., axios, fetch)
-        // For now, it's a placeholder that simulates a request
-        
-        const delay = Math.random() * 1000; // Simulate network delay
-        await this.sleep(delay);
-        
-        // Simulate occasional failures
-        if (Math.random() < 0.05) { // 5% failure rate
-            throw new Error('Simulated network error');
-        }
-        
-        return {
-            status: 200,
-            data: { message: 'Success' },
-            duration: delay
-        };
+        return this.executor(requestConfig);
     }
 
     /**
@@ -651,9 +933,14 @@ class RateLimitingManager {
      * Start adaptive throttling monitor
      */
     startAdaptiveThrottling() {
-        setInterval(() => {
+        if (this.adaptiveTimer) {
+            clearInterval(this.adaptiveTimer);
+        }
+
+        this.adaptiveTimer = setInterval(() => {
             this.adjustThrottlingLevel();
         }, this.adaptiveState.adjustmentInterval);
+        this.adaptiveTimer.unref?.();
 
         log('Adaptive throttling monitor started');
     }
@@ -892,6 +1179,10 @@ class RateLimitingManager {
 
             // Stop queue processing
             this.pauseProcessing();
+            if (this.adaptiveTimer) {
+                clearInterval(this.adaptiveTimer);
+                this.adaptiveTimer = null;
+            }
 
             // Clear queue
             this.clearQueue();
@@ -913,6 +1204,10 @@ class RateLimitingManager {
             // Persist final state
             await this.persistState();
 
+            if (this.sharedStore) {
+                await this.sharedStore.close();
+            }
+
             log('RateLimitingManager shutdown completed');
 
         } catch (error) {
@@ -921,8 +1216,33 @@ class RateLimitingManager {
     }
 }
 
+let sharedManager = null;
+
+/**
+ * Manager shared by the scraper and alert deliveries, so they draw on the same
+ * per-host limiters; created with `options` on first use. Its budget comes from
+ * RATE_LIMIT_REQUESTS_PER_SECOND and RATE_LIMIT_BURST, shared with the other
+ * processes on this host through RATE_LIMIT_STATE_FILE.
+ */
+function getRateLimitingManager(options = {}) {
+    if (!sharedManager) {
+        sharedManager = new RateLimitingManager({
+            globalLimits: {
+                requestsPerSecond: RATE_LIMIT_REQUESTS_PER_SECOND,
+                burstCapacity: RATE_LIMIT_BURST
+            },
+            sharedStatePath: RATE_LIMIT_STATE_FILE || null,
+            ...options
+        });
+    }
+    return sharedManager;
+}
+
 module.exports = {
     RateLimitingManager,
+    getRateLimitingManager,
+    createHttpExecutor,
+    parseRetryAfter,
     TokenBucketLimiter,
     SlidingWindowLimiter,
     RequestQueueItem,
@@ -16,6 +16,7 @@ const RETRY_PRESETS = {
             'TimeoutError',
             'ProtocolError', 
             'NetworkError',
+            'RateLimitError',
             'ERR_NETWORK_CHANGED',
             'ERR_INTERNET_DISCONNECTED',
             'ERR_CONNECTION_RESET',
@@ -107,6 +108,14 @@ class BrowserLaunchError extends RetryableError {
     }
 }
 
+class RateLimitError extends RetryableError {
+    constructor(message, retryAfter = null, originalError = null) {
+        super(message, originalError);
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter; // seconds, from the Retry-After header
+    }
+}
+
 /**
  * Determine if an error is retryable based on the retry configuration
  * 
@@ -303,6 +312,7 @@ module.exports = {
     ExtractionError,
     NoDataFoundError,
     BrowserLaunchError,
+    RateLimitError,
     
     // Utility functions
     isRetryableError,
@@ -155,6 +155,30 @@ const MERCHANT_SCHEMA = {
             ],
             sanitize: true,
             description: 'Average release time'
+        },
+        'Asset': {
+            type: DATA_TYPES.STRING,
+            required: false,
+            rules: [
+                { type: VALIDATION_RULES.PATTERN, value: /^[A-Z0-9]{2,10}$/ }
+            ],
+            description: 'Crypto asset of the market (e.g., "USDT")'
+        },
+        'Fiat': {
+            type: DATA_TYPES.STRING,
+            required: false,
+            rules: [
+                { type: VALIDATION_RULES.PATTERN, value: /^[A-Z]{3}$/ }
+            ],
+            description: 'Fiat currency of the market (e.g., "KES")'
+        },
+        'Side': {
+            type: DATA_TYPES.STRING,
+            required: false,
+            rules: [
+                { type: VALIDATION_RULES.ENUM, value: ['buy', 'sell'] }
+            ],
+            description: 'Side of the P2P book the merchant was listed on'
         }
     },
     metadata: {
@@ -187,6 +211,18 @@ const MERCHANT_SCHEMA = {
     }
 };
 
+/**
+ * Columns of every merchant export: each MERCHANT_SCHEMA field plus
+ * the raw extraction fields that have no schema equivalent
+ */
+const MERCHANT_EXPORT_COLUMNS = [
+    ...Object.keys(MERCHANT_SCHEMA.fields),
+    'Size/Limit',
+    'Discount',
+    'extractedAt',
+    'sourceUrl'
+];
+
 /**
  * Validation error class
  */
@@ -594,6 +630,7 @@ function validateMerchants(merchants, options = {}) {
 module.exports = {
     // Schema definitions
     MERCHANT_SCHEMA,
+    MERCHANT_EXPORT_COLUMNS,
     DATA_TYPES,
     VALIDATION_RULES,
     
@@ -3,8 +3,8 @@ const puppeteer = require('puppeteer');
 const { log, errorLog } = require('./logger');
 const { applyStealth, simulateHumanBehavior, getStealthLaunchArgs } = require('./stealth');
 const { EnhancedStealthManager } = require('./enhanced-stealth');
-const { saveData } = require('./dataSaver');
-const { filterMerchantsByLocation } = require('./filterMerchant');
+const { saveMerchantData } = require('./dataSaver');
+const { filterMerchantsByLocation, getAdjacentMerchants, saveFilteredMerchants } = require('./filterMerchant');
 const { getSelectors } = require('./selectors');
 const { autoScroll } = require('./autoScroll');
 const { extractMerchants } = require('./extract');
@@ -222,8 +222,7 @@ async function runScraper() {
                 log(`Database save complete. Scrape ID: ${dbResult.scrapeId}, ${dbResult.merchantCount} merchants saved`);
                 
                 // Traditional file saves
-                await saveToJson(dataToSave);
-                await saveToCsv(dataToSave);
+                await saveMerchantData(dataToSave);
                 
             } catch (saveError) {
                 errorLog("Failed to save data", saveError);
@@ -235,8 +234,7 @@ async function runScraper() {
                 try {
                     const adjacentMerchants = getAdjacentMerchants(dataToSave, TARGET_MERCHANT);
                     if (adjacentMerchants.length > 0) {
-                        await saveFilteredToJson(adjacentMerchants);
-                        await saveFilteredToCsv(adjacentMerchants);
+                        await saveFilteredMerchants(adjacentMerchants);
                         log(`Saved ${adjacentMerchants.length} adjacent merchants for target: ${TARGET_MERCHANT}`);
                     }
                 } catch (filterError) {
@@ -60,7 +60,8 @@ class SessionManager {
         this.database = options.database || null;
         this.monitoringService = options.monitoringService || null;
 
-        this.initializeSessionManager();
+        // Resolves once persisted sessions are loaded
+        this.ready = this.initializeSessionManager();
     }
 
     /**
@@ -324,6 +325,10 @@ class SessionManager {
 
     /**
      * Create session checkpoint
+     *
+     * The session keeps the latest checkpoint in full and a summary of the
+     * earlier ones, whose data stays in their checkpoint files. A checkpoint
+     * counts as activity, so a long run that keeps checkpointing doesn't expire.
      */
     async createCheckpoint(sessionId, checkpointData = {}) {
         const session = this.getSession(sessionId);
@@ -334,24 +339,35 @@ class SessionManager {
         const checkpoint = {
             id: crypto.randomUUID(),
             timestamp: new Date().toISOString(),
-            sessionState: { ...session },
+            sessionState: {
+                state: session.state,
+                metadata: session.metadata,
+                metrics: { ...session.metrics }
+            },
             data: checkpointData,
             type: checkpointData.type || 'MANUAL'
         };
 
         // Add to session tracking
-        session.tracking.checkpoints.push(checkpoint);
+        session.tracking.checkpoints.push({ id: checkpoint.id, timestamp: checkpoint.timestamp, type: checkpoint.type });
         session.recovery.lastCheckpoint = checkpoint;
-        session.lastActivity = new Date().toISOString();
+        session.lastActivity = checkpoint.timestamp;
+        session.expiresAt = new Date(Date.now() + this.options.sessionTimeout).toISOString();
 
         // Limit checkpoint history
         if (session.tracking.checkpoints.length > 20) {
+            const dropped = session.tracking.checkpoints.slice(0, -20);
             session.tracking.checkpoints = session.tracking.checkpoints.slice(-20);
+
+            if (this.options.enablePersistence) {
+                await this.removeCheckpoints(sessionId, dropped.map(cp => cp.id));
+            }
         }
 
-        // Persist checkpoint
+        // Persist checkpoint, and the session pointing at it
         if (this.options.enablePersistence) {
             await this.persistCheckpoint(sessionId, checkpoint);
+            await this.persistSession(session);
         }
 
         log(`Checkpoint created for session ${sessionId}: ${checkpoint.id}`);
@@ -378,12 +394,12 @@ class SessionManager {
                 throw new Error(`Session not found for recovery: ${sessionId}`);
             }
 
-            // Find checkpoint to recover from
-            let checkpoint = null;
-            if (checkpointId) {
-                checkpoint = session.tracking.checkpoints.find(cp => cp.id === checkpointId);
-            } else {
-                checkpoint = session.recovery.lastCheckpoint;
+            // Find checkpoint to recover from; only the latest is kept in the session
+            let checkpoint = session.recovery.lastCheckpoint;
+            if (checkpointId && (!checkpoint || checkpoint.id !== checkpointId)) {
+                checkpoint = session.tracking.checkpoints.some(cp => cp.id === checkpointId)
+                    ? await this.loadCheckpoint(sessionId, checkpointId)
+                    : null;
             }
 
             if (!checkpoint) {
@@ -417,6 +433,17 @@ class SessionManager {
         }
     }
 
+    /**
+     * Sessions a previous process left unfinished (loaded from storage for
+     * recovery) that have a checkpoint to resume from, most recent first
+     */
+    getRecoverableSessions(type = null) {
+        return Array.from(this.activeSessions.values())
+            .filter(session => session.state === SESSION_STATES.RECOVERING && session.recovery.lastCheckpoint)
+            .filter(session => !type || session.type === type)
+            .sort((a, b) => new Date(b.recovery.lastCheckpoint.timestamp) - new Date(a.recovery.lastCheckpoint.timestamp));
+    }
+
     /**
      * End session
      */
@@ -440,9 +467,10 @@ class SessionManager {
         // Update statistics
         this.updateSessionStats(session);
 
-        // Archive session if persistence enabled
+        // Archive session if persistence enabled; its checkpoints are no longer needed
         if (this.options.enablePersistence) {
             await this.archiveSession(session);
+            await this.removeCheckpoints(sessionId);
         }
 
         log(`Session ended: ${sessionId} (${finalState})`);
@@ -542,6 +570,7 @@ class SessionManager {
         this.heartbeatTimer = setInterval(async () => {
             await this.performHeartbeat();
         }, this.options.heartbeatInterval);
+        this.heartbeatTimer.unref();
 
         log('Session heartbeat monitoring started');
     }
@@ -695,7 +724,8 @@ class SessionManager {
                         const now = Date.now();
                         const expiresAt = new Date(session.expiresAt).getTime();
 
-                        if (now < expiresAt && session.state === SESSION_STATES.ACTIVE) {
+                        // Sessions a crash interrupted, including during an earlier recovery
+                        if (now < expiresAt && (session.state === SESSION_STATES.ACTIVE || session.state === SESSION_STATES.RECOVERING)) {
                             // Restore session as RECOVERING state
                             session.state = SESSION_STATES.RECOVERING;
                             session.lastActivity = new Date().toISOString();
@@ -736,6 +766,35 @@ class SessionManager {
         }
     }
 
+    /**
+     * Load a persisted checkpoint
+     */
+    async loadCheckpoint(sessionId, checkpointId) {
+        try {
+            const checkpointFile = path.join(this.options.sessionStorePath, 'checkpoints', `${sessionId}_${checkpointId}.json`);
+            return JSON.parse(await fs.readFile(checkpointFile, 'utf-8'));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Delete persisted checkpoints of a session (all of them without ids)
+     */
+    async removeCheckpoints(sessionId, checkpointIds = null) {
+        const checkpointPath = path.join(this.options.sessionStorePath, 'checkpoints');
+        const files = await fs.readdir(checkpointPath).catch(() => []);
+
+        for (const file of files) {
+            const matches = checkpointIds
+                ? checkpointIds.some(id => file === `${sessionId}_${id}.json`)
+                : file.startsWith(`${sessionId}_`);
+            if (matches) {
+                await fs.unlink(path.join(checkpointPath, file)).catch(() => {});
+            }
+        }
+    }
+
     /**
      * Record session in database
      */
@@ -796,8 +855,11 @@ class SessionManager {
 
     /**
      * Shutdown session manager
+     *
+     * With `endSessions: false` unfinished sessions are left in storage, so the
+     * next process can resume them from their last checkpoint.
      */
-    async shutdown() {
+    async shutdown(options = {}) {
         try {
             log('Shutting down SessionManager...');
 
@@ -807,6 +869,14 @@ class SessionManager {
                 this.heartbeatTimer = null;
             }
 
+            await this.ready;
+
+            if (options.endSessions === false) {
+                this.activeSessions.clear();
+                log('SessionManager shutdown completed (unfinished sessions kept for recovery)');
+                return;
+            }
+
             // End all active sessions
             const activeSessionIds = Array.from(this.activeSessions.keys());
             for (const sessionId of activeSessionIds) {
@@ -0,0 +1,161 @@
+// scraper/snapshots.js
+const fs = require('fs').promises;
+const path = require('path');
+const { log, errorLog } = require('./logger');
+const { extractMerchantsFromHtml } = require('./extract');
+const { validateMerchants } = require('./schema');
+const { createMarket, parseMarketUrl, tagMerchants, summarizeMarket } = require('./markets');
+const { getMerchantRank } = require('./merchantRank');
+const { SNAPSHOT_DIR, TARGET_URL } = require('./config');
+
+/**
+ * Save the rendered DOM of a market page as <dir>/<capturedAt>-<market>.html,
+ * with a .json sidecar holding the URL, market and capture time needed to replay it.
+ *
+ * @returns {Promise<string>} - Path of the saved HTML file.
+ */
+async function saveSnapshot(page, market, metadata = {}, dir = SNAPSHOT_DIR) {
+    const capturedAt = new Date().toISOString();
+    const baseName = path.join(dir, `${capturedAt.replace(/[:.]/g, '-')}-${market.id}`);
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(`${baseName}.html`, await page.content());
+    await fs.writeFile(`${baseName}.json`, JSON.stringify({
+        url: page.url() || market.url,
+        market: { asset: market.asset, fiat: market.fiat, side: market.side, url: market.url },
+        capturedAt,
+        ...metadata
+    }, null, 2));
+
+    return `${baseName}.html`;
+}
+
+/**
+ * Expand files and directories into the list of snapshot HTML files, oldest first
+ */
+async function listSnapshots(paths = [SNAPSHOT_DIR]) {
+    const files = [];
+
+    for (const target of paths) {
+        const stats = await fs.stat(target);
+        if (stats.isDirectory()) {
+            const entries = await fs.readdir(target);
+            files.push(...entries
+                .filter(entry => /\.html?$/i.test(entry))
+                .sort()
+                .map(entry => path.join(target, entry)));
+        } else {
+            files.push(target);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Load a snapshot and its sidecar. Pages saved without a sidecar (e.g. by hand)
+ * are attributed to `fallbackUrl` and the file's modification time.
+ */
+async function loadSnapshot(file, fallbackUrl = TARGET_URL) {
+    const html = await fs.readFile(file, 'utf8');
+    const sidecar = file.replace(/\.html?$/i, '.json');
+
+    let metadata = {};
+    try {
+        metadata = JSON.parse(await fs.readFile(sidecar, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw new Error(`Invalid snapshot metadata ${sidecar}: ${error.message}`);
+        }
+    }
+
+    const url = metadata.url || fallbackUrl;
+    return {
+        file,
+        html,
+        url,
+        market: metadata.market ? createMarket(metadata.market) : parseMarketUrl(url),
+        capturedAt: metadata.capturedAt || (await fs.stat(file)).mtime.toISOString(),
+        metadata
+    };
+}
+
+/**
+ * Run a loaded snapshot through the live selector strategies.
+ * Merchants are tagged with the snapshot's market and dated to its capture time.
+ */
+function extractSnapshot(snapshot) {
+    const merchants = extractMerchantsFromHtml(snapshot.html, { url: snapshot.url })
+        .map(merchant => ({ ...merchant, extractedAt: snapshot.capturedAt }));
+
+    return tagMerchants(merchants, snapshot.market);
+}
+
+/**
+ * Replay saved snapshots: extract, validate and, when a DataPipeline is given,
+ * store each snapshot as its own scrape session (source "replay").
+ * Watchlist entries get a rank per snapshot, as in a live scrape.
+ *
+ * @returns {Promise<Array>} - One result per snapshot file.
+ */
+async function replaySnapshots(paths, { pipeline = null, watchlist = [], fallbackUrl = TARGET_URL } = {}) {
+    const files = await listSnapshots(paths);
+    const results = [];
+
+    log(`Replaying ${files.length} snapshot(s)${pipeline ? ' into the database' : ''}`);
+
+    for (const file of files) {
+        try {
+            const snapshot = await loadSnapshot(file, fallbackUrl);
+            const { market } = snapshot;
+            const merchants = extractSnapshot(snapshot);
+            const result = {
+                file,
+                market: market.id,
+                capturedAt: snapshot.capturedAt,
+                status: merchants.length > 0 ? 'success' : 'empty',
+                merchantCount: merchants.length
+            };
+
+            if (merchants.length === 0) {
+                results.push(result);
+                continue;
+            }
+
+            if (pipeline) {
+                const dbResult = await pipeline.processData(merchants, {
+                    source: 'replay',
+                    extractionMethod: 'snapshot-replay',
+                    snapshotFile: file,
+                    capturedAt: snapshot.capturedAt,
+                    markets: [{
+                        market: market.id,
+                        asset: market.asset,
+                        fiat: market.fiat,
+                        side: market.side,
+                        status: 'success',
+                        ...summarizeMarket(merchants, market)
+                    }],
+                    ranks: watchlist.map(entry => getMerchantRank(merchants, entry, market))
+                });
+                results.push({ ...result, scrapeId: dbResult.scrapeId, valid: dbResult.summary.valid, invalid: dbResult.summary.invalid });
+            } else {
+                const validation = validateMerchants(merchants);
+                results.push({ ...result, valid: validation.summary.validCount, invalid: validation.summary.invalidCount });
+            }
+        } catch (error) {
+            errorLog(`Snapshot replay failed for ${file}:`, error);
+            results.push({ file, status: 'failed', merchantCount: 0, error: error.message });
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    saveSnapshot,
+    listSnapshots,
+    loadSnapshot,
+    extractSnapshot,
+    replaySnapshots
+};
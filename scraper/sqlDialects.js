@@ -0,0 +1,107 @@
+// scraper/sqlDialects.js
+
+/**
+ * SQL dialects the exporters and storage adapters can write.
+ * The sqlite dialect keeps identifiers unquoted, as the SQL export always has.
+ */
+const SQL_DIALECTS = {
+    sqlite: {
+        name: 'sqlite',
+        quoteIdentifier: (name) => name,
+        placeholder: () => '?',
+        types: {
+            INTEGER: 'INTEGER',
+            REAL: 'REAL',
+            BOOLEAN: 'BOOLEAN',
+            DATETIME: 'DATETIME',
+            TEXT: 'TEXT'
+        },
+        formatBoolean: (value) => (value ? '1' : '0')
+    },
+    postgres: {
+        name: 'postgres',
+        quoteIdentifier: (name) => `"${String(name).replace(/"/g, '""')}"`,
+        placeholder: (index) => `$${index}`,
+        types: {
+            INTEGER: 'BIGINT',
+            REAL: 'DOUBLE PRECISION',
+            BOOLEAN: 'BOOLEAN',
+            DATETIME: 'TIMESTAMPTZ',
+            TEXT: 'TEXT'
+        },
+        formatBoolean: (value) => (value ? 'TRUE' : 'FALSE')
+    }
+};
+
+function getDialect(name = 'sqlite') {
+    const dialect = SQL_DIALECTS[name];
+    if (!dialect) {
+        throw new Error(`Unsupported SQL dialect: ${name} (expected one of ${Object.keys(SQL_DIALECTS).join(', ')})`);
+    }
+    return dialect;
+}
+
+/**
+ * SQL literal for a value; strings are quoted with '' escaping, which both dialects accept
+ */
+function formatLiteral(dialect, value) {
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? String(value) : 'NULL';
+    }
+
+    if (typeof value === 'boolean') {
+        return dialect.formatBoolean(value);
+    }
+
+    if (value instanceof Date) {
+        return `'${value.toISOString()}'`;
+    }
+
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Parameterized multi-row INSERT statements, at most `batchSize` rows each
+ *
+ * @param {Object} dialect - One of SQL_DIALECTS.
+ * @param {string} table - Table name, quoted by the caller if needed.
+ * @param {Array} columns - Column names.
+ * @param {Array} rows - Arrays of values in column order.
+ * @param {Object} options - { batchSize, suffix } where suffix follows VALUES (e.g. ON CONFLICT DO NOTHING).
+ * @returns {Array} One { text, values } per batch.
+ */
+function buildBatchInserts(dialect, table, columns, rows, options = {}) {
+    const { batchSize = 500, suffix = '' } = options;
+    const columnList = columns.map(column => dialect.quoteIdentifier(column)).join(', ');
+    const statements = [];
+
+    for (let start = 0; start < rows.length; start += batchSize) {
+        const batch = rows.slice(start, start + batchSize);
+        const values = [];
+        const tuples = batch.map(row => {
+            const placeholders = row.map(value => {
+                values.push(value);
+                return dialect.placeholder(values.length);
+            });
+            return `(${placeholders.join(', ')})`;
+        });
+
+        statements.push({
+            text: `INSERT INTO ${table} (${columnList}) VALUES ${tuples.join(', ')}${suffix ? ` ${suffix}` : ''}`,
+            values
+        });
+    }
+
+    return statements;
+}
+
+module.exports = {
+    SQL_DIALECTS,
+    getDialect,
+    formatLiteral,
+    buildBatchInserts
+};
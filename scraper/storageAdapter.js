@@ -0,0 +1,127 @@
+// scraper/storageAdapter.js
+
+/**
+ * Merchant columns written for every stored merchant, in insert order
+ */
+const MERCHANT_ROW_COLUMNS = [
+    'scrape_id', 'asset', 'fiat', 'side', 'merchant_name', 'price', 'price_numeric',
+    'available_amount', 'available_amount_numeric',
+    'limit_range', 'limit_min', 'limit_max',
+    'payment_methods', 'completion_rate', 'orders',
+    'avg_pay_time', 'avg_release_time', 'source',
+    'schema_version', 'raw_data'
+];
+
+/**
+ * Values of one validated merchant record, in MERCHANT_ROW_COLUMNS order
+ */
+function toMerchantRow(scrapeId, merchant) {
+    return [
+        scrapeId,
+        merchant['Asset'] || null,
+        merchant['Fiat'] || null,
+        merchant['Side'] || null,
+        merchant['Merchant Name'],
+        merchant['Price'],
+        merchant['PriceNumeric'],
+        merchant['Available Amount'],
+        merchant['AvailableAmountNumeric'],
+        merchant['Limit'],
+        merchant['LimitMin'],
+        merchant['LimitMax'],
+        merchant['Payment Methods'] || null,
+        merchant['Completion Rate'] || null,
+        merchant['Orders'] || null,
+        merchant['Avg Pay Time'] || null,
+        merchant['Avg Release Time'] || null,
+        'gate.io',
+        '1.0.0',
+        JSON.stringify(merchant)
+    ];
+}
+
+/**
+ * Validation error columns, and their values for every error of every invalid record
+ */
+const VALIDATION_ERROR_COLUMNS = ['scrape_id', 'merchant_index', 'field_name', 'rule_type', 'error_message', 'field_value'];
+
+function toValidationErrorRows(scrapeId, validationResults) {
+    return validationResults.invalidRecords.flatMap(record => record.validation.errors.map(error => [
+        scrapeId,
+        record.index,
+        error.field,
+        error.rule,
+        error.message,
+        String(error.value)
+    ]));
+}
+
+/**
+ * Where DataPipeline stores a scrape: its session, merchants, validation errors
+ * and quality metrics. DatabaseManager (SQLite) is the default; PostgresAdapter
+ * writes the same model to a PostgreSQL warehouse.
+ *
+ * Merchant ranks and merchant history are optional: adapters that don't keep
+ * them inherit the no-ops below.
+ */
+class StorageAdapter {
+    async initialize() {
+        throw new Error('initialize method must be implemented by subclasses');
+    }
+
+    /**
+     * @returns {string} The new scrape id.
+     */
+    async startScrapeSession(_metadata) {
+        throw new Error('startScrapeSession method must be implemented by subclasses');
+    }
+
+    async completeScrapeSession(_scrapeId, _validationResults) {
+        throw new Error('completeScrapeSession method must be implemented by subclasses');
+    }
+
+    async failScrapeSession(_scrapeId, _error) {
+        throw new Error('failScrapeSession method must be implemented by subclasses');
+    }
+
+    /**
+     * @returns {Object} { inserted, skipped }
+     */
+    async insertMerchants(_scrapeId, _validationResults) {
+        throw new Error('insertMerchants method must be implemented by subclasses');
+    }
+
+    /**
+     * @returns {Object} { inserted }
+     */
+    async insertValidationErrors(_scrapeId, _validationResults) {
+        throw new Error('insertValidationErrors method must be implemented by subclasses');
+    }
+
+    /**
+     * @param {Array} metrics - { name, value, unit } per metric.
+     */
+    async insertDataQualityMetrics(_scrapeId, _metrics) {
+        throw new Error('insertDataQualityMetrics method must be implemented by subclasses');
+    }
+
+    async insertMerchantRanks(_scrapeId, _ranks) {
+        return { inserted: 0 };
+    }
+
+    async recordMerchantHistory(_scrapeId, _merchants, _seenAt) {
+        return null;
+    }
+
+    async close() {
+        throw new Error('close method must be implemented by subclasses');
+    }
+}
+
+module.exports = {
+    StorageAdapter,
+    MERCHANT_ROW_COLUMNS,
+    VALIDATION_ERROR_COLUMNS,
+    toMerchantRow,
+    toValidationErrorRows
+};
@@ -0,0 +1,41 @@
+// scraper/traceContext.js
+const { randomUUID } = require('crypto');
+const { getGlobalLogger, getGlobalContext } = require('./enhancedLogger');
+
+/**
+ * Scrape Trace Context
+ *
+ * One trace id follows a scrape through navigation, extraction, validation,
+ * DataPipeline, alerting and error persistence. It is held in the global
+ * EnhancedLogger context (withContextAsync), so it follows the async call
+ * chain of the scrape: structured log entries carry it as metadata.traceId,
+ * and the plain logs, scraping errors, scrape sessions and alerts read it
+ * with getTraceId().
+ */
+
+function generateTraceId() {
+    return `trace-${randomUUID()}`;
+}
+
+/**
+ * Trace id of the current async call chain, or null outside a trace
+ */
+function getTraceId() {
+    return getGlobalContext().traceId || null;
+}
+
+/**
+ * Run fn inside the trace; without a trace id fn runs in the current context
+ */
+function withTrace(traceId, fn, context = {}) {
+    if (!traceId) {
+        return fn();
+    }
+    return getGlobalLogger().withContextAsync({ ...context, traceId }, fn);
+}
+
+module.exports = {
+    generateTraceId,
+    getTraceId,
+    withTrace
+};
@@ -0,0 +1,228 @@
+// scraper/traceTimeline.js
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { LogSearch, PLAIN_LOG_FILES, normalizeCriteria, readPlainFileLogs } = require('./logSearch');
+
+/**
+ * Trace Timeline
+ *
+ * Reassembles what was recorded under one scrape trace id (see traceContext.js):
+ * - plain log lines (activity.log, warnings.log, errors.log) tagged with the trace
+ * - EnhancedLogger entries whose metadata.traceId matches, from files and the logs table
+ * - scraping errors persisted by ErrorHandler (logs/errors.json)
+ * - checkpointed scrape sessions: state changes, checkpoints and errors
+ * - scrape_sessions rows: start, outcome, per-market results and quality metrics
+ * - dead-lettered alerts raised during the trace
+ *
+ * Events are { timestamp, source, level, message, details }, oldest first.
+ */
+
+function event(timestamp, source, level, message, details = {}) {
+    return { timestamp, source, level, message, details };
+}
+
+async function* readLines(filePath) {
+    const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+    try {
+        yield* lines;
+    } catch (error) {
+        // Sources that were never written have nothing to add
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    } finally {
+        lines.close();
+        stream.destroy();
+    }
+}
+
+/**
+ * Lines of a logger.js file tagged with the trace, with the stack trace of errors
+ */
+async function readPlainLog(filePath, traceId) {
+    const events = [];
+    for await (const entry of readPlainFileLogs(filePath, normalizeCriteria({ traceId }))) {
+        events.push(event(entry.timestamp, entry.metadata.source, entry.level, entry.message, entry.stack ? { stack: entry.stack } : {}));
+    }
+    return events;
+}
+
+/**
+ * Scraping errors of the trace from an ErrorHandler error log (one JSON error per line)
+ */
+async function readPersistedErrors(filePath, traceId) {
+    const events = [];
+
+    for await (const line of readLines(filePath)) {
+        let error;
+        try {
+            error = JSON.parse(line);
+        } catch {
+            continue;
+        }
+        if (error && error.traceId === traceId) {
+            events.push(event(error.timestamp, 'errors', 'ERROR', `${error.name}: ${error.message}`, {
+                id: error.id,
+                category: error.category,
+                severity: error.severity,
+                recoveryStrategy: error.recoveryStrategy,
+                context: error.context
+            }));
+        }
+    }
+    return events;
+}
+
+/**
+ * Traces recorded by a SessionManager session: the one it was created under
+ * and the ones of the runs that resumed it
+ */
+function sessionTraceIds(session) {
+    const traceIds = [(session.metadata || {}).traceId];
+    ((session.tracking || {}).stateHistory || []).forEach(entry => traceIds.push((entry.context || {}).traceId));
+    return [...new Set(traceIds.filter(Boolean))];
+}
+
+/**
+ * Checkpointed scrape sessions (active and archived) that worked on the trace
+ */
+async function readSessions(sessionDir, traceId) {
+    const sessions = [];
+
+    for (const directory of [sessionDir, path.join(sessionDir, 'archive')]) {
+        const files = await fs.promises.readdir(directory).catch(() => []);
+        for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+            try {
+                const session = JSON.parse(await fs.promises.readFile(path.join(directory, file), 'utf8'));
+                if (sessionTraceIds(session).includes(traceId)) {
+                    sessions.push(session);
+                }
+            } catch {
+                // Skip unreadable session files
+            }
+        }
+    }
+    return sessions;
+}
+
+function sessionEvents(session) {
+    const { stateHistory = [], checkpoints = [], errors = [] } = session.tracking || {};
+
+    return [
+        ...stateHistory.map(entry => event(
+            entry.timestamp,
+            'session',
+            entry.state === 'FAILED' ? 'ERROR' : 'INFO',
+            `Session ${session.id} ${entry.previousState ? `${entry.previousState} → ` : ''}${entry.state}`,
+            entry.context || {}
+        )),
+        ...checkpoints.map(checkpoint => event(
+            checkpoint.timestamp, 'session', 'INFO', `Session ${session.id} checkpoint ${checkpoint.id} (${checkpoint.type})`
+        )),
+        ...errors.map(error => event(
+            error.timestamp, 'session', 'ERROR', `Session ${session.id} error: ${error.message}`,
+            { category: error.category, severity: error.severity, context: error.context }
+        ))
+    ];
+}
+
+function parseJson(value, fallback) {
+    try {
+        return value ? JSON.parse(value) : fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * Start and outcome of a scrape_sessions row; the outcome carries the
+ * per-market results and the data quality metrics of the scrape
+ */
+function scrapeEvents(row) {
+    const markets = parseJson(row.markets, []);
+    const failedMarkets = markets.filter(market => market.status === 'failed');
+    const events = [event(row.start_time, 'database', 'INFO', `Scrape ${row.scrape_id} started`, parseJson(row.metadata, {}))];
+
+    if (row.end_time) {
+        const summary = row.status === 'failed'
+            ? parseJson(row.metadata, {}).error
+            : `${row.valid_merchants}/${row.total_merchants} valid merchants, ${row.errors_count} error(s)` +
+              (markets.length > 0 ? `, ${markets.length - failedMarkets.length}/${markets.length} markets` : '');
+
+        events.push(event(row.end_time, 'database', row.status === 'failed' ? 'ERROR' : 'INFO', `Scrape ${row.scrape_id} ${row.status}: ${summary}`, {
+            markets,
+            qualityMetrics: Object.fromEntries((row.qualityMetrics || []).map(metric => [metric.metric_name, metric.metric_value]))
+        }));
+        failedMarkets.forEach(market => events.push(event(
+            row.end_time, 'database', 'WARN', `Market ${market.market} failed: ${market.error}`, market
+        )));
+    }
+    return events;
+}
+
+/**
+ * Every recorded event of a trace, oldest first
+ *
+ * @param {string} traceId
+ * @param {Object} options - { logDir, structuredLogFiles, errorLogPath, sessionDir, database, deadLetters }
+ * @returns {Promise<Object>} { traceId, events, sessionIds, scrapeIds, relatedTraces }
+ */
+async function buildTraceTimeline(traceId, options = {}) {
+    const logDir = options.logDir || path.join(__dirname, '..', 'logs');
+    const structuredLogFiles = options.structuredLogFiles || [path.join(logDir, 'enhanced.log')];
+    const errorLogPath = options.errorLogPath || path.join(logDir, 'errors.json');
+    const database = options.database && options.database.isConnected !== false ? options.database : null;
+
+    const events = [];
+    for (const file of PLAIN_LOG_FILES) {
+        events.push(...await readPlainLog(path.join(logDir, file), traceId));
+    }
+
+    const search = new LogSearch({ files: structuredLogFiles, databases: database ? [{ database }] : [] });
+    for await (const entry of search.stream({ traceId })) {
+        events.push(event(entry.timestamp, 'log', entry.level, entry.message, entry.metadata));
+    }
+
+    events.push(...await readPersistedErrors(errorLogPath, traceId));
+
+    const sessions = options.sessionDir ? await readSessions(options.sessionDir, traceId) : [];
+    sessions.forEach(session => events.push(...sessionEvents(session)));
+
+    const rows = database ? await database.getTraceSessions(traceId) : [];
+    rows.forEach(row => events.push(...scrapeEvents(row)));
+
+    (options.deadLetters || [])
+        .filter(entry => entry.alert && entry.alert.traceId === traceId)
+        .forEach(entry => events.push(event(
+            entry.failedAt, 'alerts', 'WARN', `Alert ${entry.alert.id} (${entry.alert.rule}) to ${entry.channel} dead-lettered: ${entry.error}`,
+            { deadLetterId: entry.id, attempts: entry.attempts, severity: entry.alert.severity, message: entry.alert.message }
+        )));
+
+    events.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+
+    return {
+        traceId,
+        events,
+        sessionIds: sessions.map(session => session.id),
+        scrapeIds: rows.map(row => row.scrape_id),
+        relatedTraces: [...new Set(sessions.flatMap(sessionTraceIds))].filter(id => id !== traceId)
+    };
+}
+
+/**
+ * One-line rendering of a timeline event:
+ * "2026-01-05T08:00:00.000Z ERROR session   Session sess-1 ACTIVE → FAILED"
+ */
+function formatTraceEvent(entry) {
+    return `${entry.timestamp} ${String(entry.level).padEnd(5)} ${entry.source.padEnd(12)} ${entry.message}`;
+}
+
+module.exports = {
+    buildTraceTimeline,
+    formatTraceEvent,
+    readPlainLog,
+    sessionTraceIds
+};
@@ -0,0 +1,144 @@
+// scraper/watchlist.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File-safe identifier for a watchlist entry
+ */
+function slugify(name) {
+    return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'merchant';
+}
+
+/**
+ * Normalize a neighbour window: a number applies to both directions
+ */
+function normalizeWindow(window) {
+    if (window === undefined || window === null) {
+        return { above: 1, below: 1 };
+    }
+    if (typeof window === 'number') {
+        return { above: window, below: window };
+    }
+    return {
+        above: window.above ?? 1,
+        below: window.below ?? 1
+    };
+}
+
+/**
+ * Normalize a watchlist entry.
+ * Accepts "name" or { name, aliases, caseInsensitive, window, output }.
+ */
+function normalizeEntry(entry) {
+    const spec = typeof entry === 'string' ? { name: entry } : { ...entry };
+    const name = String(spec.name || '').trim();
+    if (!name) {
+        throw new Error('Watchlist entries need a merchant name');
+    }
+
+    const window = normalizeWindow(spec.window);
+    for (const [direction, size] of Object.entries(window)) {
+        if (!Number.isInteger(size) || size < 0) {
+            throw new Error(`Invalid ${direction} window for watchlist entry "${name}": ${size}`);
+        }
+    }
+
+    return {
+        name,
+        aliases: (spec.aliases || []).map(alias => String(alias).trim()).filter(Boolean),
+        caseInsensitive: Boolean(spec.caseInsensitive),
+        window,
+        output: spec.output ? slugify(spec.output) : slugify(name),
+        primary: Boolean(spec.primary)
+    };
+}
+
+/**
+ * Parse a watchlist from config: an array, a JSON array string, a path to a
+ * JSON file, or a comma-separated list of names
+ */
+function parseWatchlist(spec) {
+    if (Array.isArray(spec)) {
+        return spec.map(normalizeEntry);
+    }
+
+    const text = String(spec || '').trim();
+    if (!text) {
+        return [];
+    }
+
+    if (text.startsWith('[')) {
+        return parseWatchlist(JSON.parse(text));
+    }
+
+    if (text.endsWith('.json')) {
+        const filePath = path.resolve(text);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Watchlist file not found: ${filePath}`);
+        }
+        return parseWatchlist(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    }
+
+    return text.split(',').map(name => name.trim()).filter(Boolean).map(normalizeEntry);
+}
+
+/**
+ * Whether a scraped merchant name matches a watchlist entry (name or alias)
+ */
+function matchesEntry(merchantName, entry) {
+    if (!merchantName) return false;
+
+    const candidate = String(merchantName).trim();
+    return [entry.name, ...entry.aliases].some(name =>
+        entry.caseInsensitive ? name.toLowerCase() === candidate.toLowerCase() : name === candidate
+    );
+}
+
+/**
+ * Build the watchlist for a run. The target merchant is always watched,
+ * case-insensitively, and marked primary for rank alerts.
+ */
+function buildWatchlist(spec, targetMerchant = '') {
+    const entries = parseWatchlist(spec);
+
+    if (targetMerchant) {
+        const target = entries.find(entry => matchesEntry(targetMerchant, { ...entry, caseInsensitive: true }));
+        if (target) {
+            target.primary = true;
+        } else {
+            entries.unshift(normalizeEntry({ name: targetMerchant, caseInsensitive: true, primary: true }));
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Slice the watched merchant and its neighbours out of one market's page.
+ * Positions are 1-based page positions; `offsets` are relative to the watched merchant.
+ */
+function getWatchWindow(merchants, entry) {
+    const index = merchants.findIndex(merchant => matchesEntry(merchant['Merchant Name'], entry));
+    if (index === -1) {
+        return null;
+    }
+
+    const start = Math.max(0, index - entry.window.above);
+    const end = Math.min(merchants.length, index + entry.window.below + 1);
+
+    return {
+        position: index + 1,
+        matchedName: merchants[index]['Merchant Name'],
+        merchants: merchants.slice(start, end),
+        offsets: merchants.slice(start, end).map((merchant, i) => start + i - index)
+    };
+}
+
+module.exports = {
+    slugify,
+    normalizeEntry,
+    parseWatchlist,
+    matchesEntry,
+    buildWatchlist,
+    getWatchWindow
+};
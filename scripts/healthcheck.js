@@ -19,7 +19,10 @@ async function check() {
   await fs.writeFile(testFile, 'ok');
   await fs.unlink(testFile).catch(() => {});
 
-  // 3) Basic env sanity (optional)
+  // 3) Fail on critical checks the running app's HealthChecker reports
+  await checkHealthStatus(process.env.HEALTH_STATUS_FILE || path.join(dataDir, 'health.json'));
+
+  // 4) Basic env sanity (optional)
   if (!process.env.NODE_ENV) {
     // Default to production semantics for container healthchecks
     process.env.NODE_ENV = 'production';
@@ -28,6 +31,31 @@ async function check() {
   return 'OK';
 }
 
+/**
+ * Throw when the app's last health summary has failing critical checks.
+ * A missing file (app starting, or no status file configured) passes, and so does
+ * a summary older than three check intervals, left behind by an earlier run.
+ */
+async function checkHealthStatus(statusFile, now = Date.now()) {
+  let summary;
+  try {
+    summary = JSON.parse(await fs.readFile(statusFile, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return;
+    throw new Error(`unreadable health status ${statusFile}: ${e.message}`);
+  }
+
+  const maxAge = 3 * (summary.checkInterval || 60000);
+  if (now - summary.timestamp > maxAge) return;
+
+  const failing = Object.entries(summary.checks || {})
+    .filter(([, check]) => check.critical && check.status === 'unhealthy')
+    .map(([name, check]) => `${name} (${check.message})`);
+  if (failing.length > 0) {
+    throw new Error(`critical health checks failing: ${failing.join(', ')}`);
+  }
+}
+
 if (require.main === module) {
   check()
     .then((msg) => {
@@ -43,4 +71,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { check };
+module.exports = { check, checkHealthStatus };
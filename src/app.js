@@ -1,12 +1,17 @@
 // src/app.js
 const path = require('path');
 const { configService } = require('./config');
-const { MonitoringService } = require('./services/monitoring');
+const { MonitoringService, DashboardServer } = require('./services/monitoring');
+const { ApiServer } = require('./services/api');
 
 // Import existing modules (to be refactored)
 const logger = require('../scraper/logger');
 const { DatabaseManager } = require('../scraper/database');
-const { runScraper } = require('../scraper/scraper');
+const { runScraper } = require('../scraper/enhanced-scraper');
+const { resolveMarkets } = require('../scraper/markets');
+const { createMetrics, setGlobalMetrics } = require('../scraper/performanceMetrics');
+const { classifyError } = require('../scraper/errorHandling');
+const { LogSearch, PLAIN_LOG_FILES } = require('../scraper/logSearch');
 
 /**
  * Main Application Class
@@ -32,21 +37,93 @@ class App {
      */
     initializeServices() {
         try {
+            // Shared registry for scraper performance metrics, exposed on /metrics rather
+            // than persisted; system metrics come from the MetricsCollector
+            this.services.performanceMetrics = createMetrics({ enableSystemMetrics: false, persistenceEnabled: false });
+            setGlobalMetrics(this.services.performanceMetrics);
+            
             // Initialize monitoring service
-            this.services.monitoring = new MonitoringService(this.config.getSection('monitoring'));
+            const alertingConfig = this.config.getSection('alerting');
+            const monitoringConfig = this.config.getSection('monitoring');
+            const healthCheckConfig = monitoringConfig.healthCheck || {};
+            this.services.monitoring = new MonitoringService({
+                ...monitoringConfig,
+                health: {
+                    checkInterval: healthCheckConfig.interval,
+                    timeout: healthCheckConfig.timeout,
+                    statusFile: healthCheckConfig.statusFile,
+                    dependencies: healthCheckConfig.dependencies
+                },
+                alerting: {
+                    ...alertingConfig,
+                    ...alertingConfig.channels,
+                    cooldownPeriod: alertingConfig.cooldown * 1000
+                },
+                performanceMetrics: this.services.performanceMetrics
+            });
             
             // Initialize database service (wrapper around existing)
-            this.services.database = new DatabaseManager(this.config.getSection('database'));
+            this.services.database = new DatabaseManager({
+                ...this.config.getSection('database'),
+                backupEncryption: this.config.get('storage.backup.encryption')
+            });
             
             // Initialize logger service (wrapper around existing)
             this.services.logger = logger;
             
             // Initialize scraper service (wrapper around existing)
+            const scraperConfig = this.config.getSection('scraper');
+            const storageConfig = this.config.getSection('storage');
+            const markets = resolveMarkets(scraperConfig.markets, scraperConfig.targetUrl);
+            
             this.services.scraper = {
-                run: runScraper,
-                config: this.config.getSection('scraper')
+                run: () => runScraper({
+                    database: this.services.database,
+                    targetUrl: scraperConfig.targetUrl,
+                    markets,
+                    ...(scraperConfig.targetMerchant && { targetMerchant: scraperConfig.targetMerchant }),
+                    ...(scraperConfig.watchlist?.length > 0 && { watchlist: scraperConfig.watchlist }),
+                    captureSnapshots: scraperConfig.captureSnapshots,
+                    snapshotDir: scraperConfig.snapshotDir,
+                    extractionMode: scraperConfig.extractionMode,
+                    outputDir: storageConfig.outputDir,
+                    outputFormats: storageConfig.formats,
+                    sqlDialect: storageConfig.sqlDialect,
+                    warehouse: this.config.get('database.warehouse')
+                }),
+                config: scraperConfig,
+                markets
             };
             
+            // Initialize REST API server (serves data from the shared database connection)
+            if (this.config.isFeatureEnabled('api')) {
+                const logsDir = path.join(process.cwd(), 'logs');
+                this.services.api = new ApiServer({
+                    port: this.config.get('app.port', 3000)
+                }, {
+                    database: this.services.database,
+                    monitoring: this.services.monitoring,
+                    // Off unless features.logsApi: the API has no authentication
+                    logSearch: this.config.isFeatureEnabled('logsApi') ? new LogSearch({
+                        files: [path.join(logsDir, 'enhanced.log')],
+                        plainFiles: PLAIN_LOG_FILES.map(file => path.join(logsDir, file)),
+                        databases: [{ database: this.services.database }],
+                        scrapeDatabase: this.services.database
+                    }) : null
+                });
+            }
+            
+            // Initialize monitoring dashboard (HTML view over MonitoringService data)
+            if (this.config.isFeatureEnabled('dashboard') && this.config.get('monitoring.dashboard.enabled')) {
+                this.services.dashboard = new DashboardServer({
+                    ladderMarket: markets[0],
+                    ...monitoringConfig.dashboard
+                }, {
+                    monitoring: this.services.monitoring,
+                    database: this.services.database
+                });
+            }
+            
             console.log('✅ All services initialized');
             
         } catch (error) {
@@ -126,6 +203,17 @@ class App {
             await this.services.database.initialize();
             console.log('✅ Database initialized');
 
+            // Start API server once the database is ready to serve queries
+            if (this.services.api) {
+                await this.services.api.start();
+                console.log('✅ API server started');
+            }
+
+            if (this.services.dashboard) {
+                await this.services.dashboard.start();
+                console.log('✅ Monitoring dashboard started');
+            }
+
             // Setup monitoring event handlers
             if (this.services.monitoring) {
                 const handlers = this.services.monitoring.getEventHandlers();
@@ -145,7 +233,11 @@ class App {
             this.isRunning = true;
             
             console.log('🎉 Application started successfully!');
-            console.log(`🔍 Monitoring dashboard data available via getStatus()`);
+            if (this.services.dashboard) {
+                console.log(`🔍 Monitoring dashboard: http://localhost:${this.services.dashboard.getPort()}/`);
+            } else {
+                console.log(`🔍 Monitoring dashboard data available via getStatus()`);
+            }
             
             // Send startup notification
             if (this.services.monitoring && this.config.get('alerting.enabled')) {
@@ -208,7 +300,7 @@ class App {
                 if (this.services.monitoring) {
                     this.services.monitoring.handleScraperEvent({
                         type: 'scraper.error',
-                        data: { error: error.message }
+                        data: { error: error.message, category: classifyError(error) }
                     });
                 }
             }
@@ -236,7 +328,7 @@ class App {
                 if (this.services.monitoring) {
                     this.services.monitoring.handleScraperEvent({
                         type: 'scraper.error',
-                        data: { error: error.message }
+                        data: { error: error.message, category: classifyError(error) }
                     });
                 }
             }
@@ -263,9 +355,9 @@ class App {
             const results = await this.services.scraper.run();
             
             const duration = Date.now() - startTime;
-            const merchantCount = results?.merchants?.length || 0;
+            const merchantCount = results?.merchantCount ?? results?.merchants?.length ?? 0;
             
-            console.log(`✅ Scrape completed in ${duration}ms, found ${merchantCount} merchants`);
+            console.log(`✅ Scrape completed in ${duration}ms, found ${merchantCount} merchants${results?.traceId ? ` (trace ${results.traceId})` : ''}`);
             
             // Emit scraper success event
             if (this.services.monitoring) {
@@ -280,13 +372,13 @@ class App {
         } catch (error) {
             const duration = Date.now() - startTime;
             
-            console.error(`❌ Scrape failed after ${duration}ms:`, error.message);
+            console.error(`❌ Scrape failed after ${duration}ms${error.traceId ? ` (trace ${error.traceId})` : ''}:`, error.message);
             
             // Emit scraper error event
             if (this.services.monitoring) {
                 this.services.monitoring.handleScraperEvent({
                     type: 'scraper.error',
-                    data: { duration, error: error.message }
+                    data: { duration, error: error.message, category: classifyError(error), traceId: error.traceId || null }
                 });
             }
             
@@ -319,12 +411,27 @@ class App {
                 console.log('✅ Scheduled task stopped');
             }
 
+            // Stop API server before closing the database it reads from
+            if (this.services.api) {
+                await this.services.api.stop();
+                console.log('✅ API server stopped');
+            }
+
+            if (this.services.dashboard) {
+                await this.services.dashboard.stop();
+                console.log('✅ Monitoring dashboard stopped');
+            }
+
             // Stop monitoring service
             if (this.services.monitoring) {
                 await this.services.monitoring.stop();
                 console.log('✅ Monitoring service stopped');
             }
 
+            if (this.services.performanceMetrics) {
+                await this.services.performanceMetrics.shutdown();
+            }
+
             // Close database connections
             if (this.services.database && this.services.database.close) {
                 await this.services.database.close();
@@ -380,6 +487,14 @@ class App {
             status.database = this.services.database.getStatus();
         }
 
+        if (this.services.api) {
+            status.api = this.services.api.getStatus();
+        }
+
+        if (this.services.dashboard) {
+            status.dashboard = this.services.dashboard.getStatus();
+        }
+
         return status;
     }
 
@@ -87,6 +87,7 @@ module.exports = {
         alerting: false,
         dashboard: true,
         api: true,
+        logsApi: false,
         clustering: false,
         caching: false
     }
@@ -93,7 +93,25 @@ module.exports = {
         healthCheck: {
             enabled: true,
             interval: 120000, // 2 minutes
-            timeout: 10000
+            timeout: 10000,
+            dependencies: [
+                // The scraper is no use without Gate.io, so the Docker healthcheck fails with it
+                {
+                    name: 'gateio',
+                    url: process.env.TARGET_URL || 'https://www.gate.io/p2p/buy/USDT-KES',
+                    timeout: 20000,
+                    latencyWarning: 5000,
+                    latencyCritical: 15000,
+                    critical: true
+                },
+                // A receiver outage only degrades health; undelivered alerts are dead-lettered
+                ...(process.env.WEBHOOK_HEALTH_URL ? [{
+                    name: 'webhook',
+                    url: process.env.WEBHOOK_HEALTH_URL,
+                    latencyWarning: 2000,
+                    critical: false
+                }] : [])
+            ]
         },
         dashboard: {
             enabled: false // Disable dashboard in production by default
@@ -121,7 +139,8 @@ module.exports = {
                 enabled: Boolean(process.env.WEBHOOK_URL),
                 url: process.env.WEBHOOK_URL,
                 method: 'POST',
-                timeout: 10000
+                timeout: 10000,
+                secret: process.env.WEBHOOK_SECRET
             },
             slack: {
                 enabled: Boolean(process.env.SLACK_WEBHOOK_URL),
@@ -179,6 +198,7 @@ module.exports = {
         alerting: true,
         dashboard: false,
         api: false,
+        logsApi: false,
         clustering: true,
         caching: true
     }
@@ -82,7 +82,25 @@ module.exports = {
         healthCheck: {
             enabled: true,
             interval: 60000, // 1 minute
-            timeout: 5000
+            timeout: 5000,
+            dependencies: [
+                // The scraper is no use without Gate.io, so the Docker healthcheck fails with it
+                {
+                    name: 'gateio',
+                    url: process.env.TARGET_URL || 'https://www.gate.io/p2p/buy/USDT-KES',
+                    timeout: 20000,
+                    latencyWarning: 5000,
+                    latencyCritical: 15000,
+                    critical: true
+                },
+                // A receiver outage only degrades health; undelivered alerts are dead-lettered
+                ...(process.env.WEBHOOK_HEALTH_URL ? [{
+                    name: 'webhook',
+                    url: process.env.WEBHOOK_HEALTH_URL,
+                    latencyWarning: 2000,
+                    critical: false
+                }] : [])
+            ]
         },
         dashboard: {
             enabled: true,
@@ -112,7 +130,8 @@ module.exports = {
                 enabled: Boolean(process.env.WEBHOOK_URL),
                 url: process.env.WEBHOOK_URL,
                 method: 'POST',
-                timeout: 5000
+                timeout: 5000,
+                secret: process.env.WEBHOOK_SECRET
             },
             slack: {
                 enabled: Boolean(process.env.SLACK_WEBHOOK_URL),
@@ -168,6 +187,7 @@ module.exports = {
         alerting: true,
         dashboard: true,
         api: true,
+        logsApi: false,
         clustering: false,
         caching: false
     }
@@ -24,6 +24,39 @@ const scraperConfigSchema = Joi.object({
             .description('Scraping interval in milliseconds'),
         targetMerchant: Joi.string().allow('').default('')
             .description('Target merchant name for filtering'),
+        markets: Joi.array().single().items(
+            Joi.string().pattern(/^[A-Za-z0-9]+[-/][A-Za-z0-9]+(:(buy|sell))?$/i),
+            Joi.object({
+                asset: Joi.string().required(),
+                fiat: Joi.string().required(),
+                side: Joi.string().valid('buy', 'sell'),
+                url: Joi.string().uri()
+            })
+        ).default([])
+            .description('Markets to scrape each run (e.g. "USDT-KES:buy"); empty uses targetUrl only'),
+        watchlist: Joi.array().items(
+            Joi.string(),
+            Joi.object({
+                name: Joi.string().required(),
+                aliases: Joi.array().items(Joi.string()).default([]),
+                caseInsensitive: Joi.boolean().default(false),
+                window: Joi.alternatives().try(
+                    Joi.number().integer().min(0),
+                    Joi.object({
+                        above: Joi.number().integer().min(0),
+                        below: Joi.number().integer().min(0)
+                    })
+                ),
+                output: Joi.string()
+            })
+        ).default([])
+            .description('Merchants to watch besides targetMerchant, each with its own neighbour window and output files'),
+        captureSnapshots: Joi.boolean().default(false)
+            .description('Save the rendered DOM of every market page for offline replay'),
+        snapshotDir: Joi.string().default('./data/snapshots')
+            .description('Directory for captured page snapshots'),
+        extractionMode: Joi.string().valid('dom', 'network').default('dom')
+            .description('Extract from the rendered page (dom) or from the page\'s JSON listing responses (network)'),
         maxRetries: Joi.number().min(0).max(10).default(3)
             .description('Maximum retry attempts'),
         timeout: Joi.number().min(1000).max(300000).default(30000)
@@ -95,13 +128,22 @@ const scraperConfigSchema = Joi.object({
             synchronous: Joi.string().valid('OFF', 'NORMAL', 'FULL', 'EXTRA').default('NORMAL'),
             cacheSize: Joi.number().default(-2000),
             tempStore: Joi.string().valid('DEFAULT', 'FILE', 'MEMORY').default('MEMORY')
+        }).default(),
+        warehouse: Joi.object({
+            connectionString: Joi.string().allow('').optional()
+                .description('PostgreSQL URL every stored scrape is also written to'),
+            schema: Joi.string().optional(),
+            batchSize: Joi.number().integer().min(1).default(500)
         }).default()
     }).default(),
 
     // Storage configuration
     storage: Joi.object({
         outputDir: Joi.string().default('./data'),
-        formats: Joi.array().items(Joi.string().valid('json', 'csv', 'xml')).default(['json', 'csv']),
+        formats: Joi.array().items(Joi.string().valid('json', 'csv', 'xml', 'sql')).single().default(['json', 'csv'])
+            .description('Formats written for every scrape'),
+        sqlDialect: Joi.string().valid('sqlite', 'postgres').default('sqlite')
+            .description('Dialect of the .sql output'),
         compression: Joi.boolean().default(false),
         retention: Joi.object({
             enabled: Joi.boolean().default(true),
@@ -115,7 +157,16 @@ const scraperConfigSchema = Joi.object({
             schedule: Joi.string().default('0 2 * * *')
                 .description('Cron schedule for backups'),
             location: Joi.string().default('./backups'),
-            compression: Joi.boolean().default(true)
+            compression: Joi.boolean().default(true),
+            encryption: Joi.object({
+                keyId: Joi.alternatives(Joi.string(), Joi.number())
+                    .description('Key id new session backups (database backupMode incremental) are encrypted under'),
+                keys: Joi.alternatives(
+                    Joi.object().pattern(Joi.string(), Joi.string()),
+                    Joi.array().items(Joi.string()),
+                    Joi.string()
+                ).description('Backup passphrases by key id, or "id:passphrase" entries')
+            }).default()
         }).default()
     }).default(),
 
@@ -161,7 +212,33 @@ const scraperConfigSchema = Joi.object({
             enabled: Joi.boolean().default(true),
             interval: Joi.number().min(5000).max(300000).default(60000),
             endpoint: Joi.string().default('/health'),
-            timeout: Joi.number().default(5000)
+            timeout: Joi.number().default(5000),
+            statusFile: Joi.string().allow('').default('./data/health.json')
+                .description('Health summary read by scripts/healthcheck.js; empty disables it'),
+            dependencies: Joi.array().items(Joi.object({
+                name: Joi.string().required(),
+                type: Joi.string().valid('http').default('http'),
+                url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+                method: Joi.string().valid('GET', 'HEAD', 'POST').default('GET'),
+                headers: Joi.object().pattern(Joi.string(), Joi.string()),
+                expectedStatus: Joi.alternatives(
+                    Joi.number().integer().min(100).max(599),
+                    Joi.array().items(Joi.number().integer().min(100).max(599)).min(1)
+                ).description('Expected status code(s); any below 400 when unset'),
+                bodyContains: Joi.alternatives(Joi.string(), Joi.array().items(Joi.string())),
+                jsonPath: Joi.array().items(Joi.object({
+                    path: Joi.string().required(),
+                    equals: Joi.any(),
+                    exists: Joi.boolean()
+                })),
+                latencyWarning: Joi.number().min(1).description('Warn above this response time (ms)'),
+                latencyCritical: Joi.number().min(1).description('Fail above this response time (ms)'),
+                certificateExpiryDays: Joi.number().min(0).default(14)
+                    .description('Warn when the TLS certificate expires within this many days'),
+                rejectUnauthorized: Joi.boolean().default(true),
+                timeout: Joi.number().min(100).default(10000),
+                critical: Joi.boolean().default(false)
+            })).default([])
         }).default(),
         dashboard: Joi.object({
             enabled: Joi.boolean().default(false),
@@ -221,7 +298,9 @@ const scraperConfigSchema = Joi.object({
                 }),
                 method: Joi.string().valid('POST', 'PUT').default('POST'),
                 headers: Joi.object().default({}),
-                timeout: Joi.number().default(5000)
+                timeout: Joi.number().default(5000),
+                secret: Joi.string().allow('')
+                    .description('Shared secret for the X-Alert-Signature HMAC-SHA256 header; unsigned when empty')
             }).default(),
             slack: Joi.object({
                 enabled: Joi.boolean().default(false),
@@ -231,9 +310,18 @@ const scraperConfigSchema = Joi.object({
                     otherwise: Joi.optional()
                 }),
                 channel: Joi.string().default('#alerts'),
-                username: Joi.string().default('GateIO-Scraper-Bot')
+                username: Joi.string().default('GateIO-Scraper-Bot'),
+                timeout: Joi.number().default(5000)
             }).default()
         }).default(),
+        delivery: Joi.object({
+            maxAttempts: Joi.number().integer().min(1).max(10).default(4)
+                .description('Webhook and Slack delivery attempts before an alert is dead-lettered'),
+            retryDelay: Joi.number().min(100).default(1000)
+                .description('Backoff before the first retry in milliseconds, doubled for each further attempt'),
+            deadLetterPath: Joi.string()
+                .description('JSON file holding alerts that could not be delivered')
+        }).default(),
         rules: Joi.object({
             errorRate: Joi.object({
                 enabled: Joi.boolean().default(true),
@@ -263,6 +351,30 @@ const scraperConfigSchema = Joi.object({
                     .description('No data received threshold in seconds')
             }).default()
         }).default(),
+        marketRules: Joi.array().items(Joi.object({
+            market: Joi.string().pattern(/^[A-Za-z0-9]+[-/][A-Za-z0-9]+(:(buy|sell))?$/i).required()
+                .description('Market the rule applies to, e.g. "USDT-KES" (both sides) or "USDT-KES:buy"'),
+            priceChangePercent: Joi.number().positive()
+                .description('Alert when the best price moves more than this percentage since the last scrape'),
+            spreadPercent: Joi.number().min(0)
+                .description('Alert when the buy/sell spread of the pair reaches this percentage'),
+            minLiquidity: Joi.number().min(0)
+                .description('Alert when total available amount drops below this many asset units'),
+            rankChange: Joi.boolean()
+                .description('Alert when scraper.targetMerchant gains or loses rank'),
+            undercutMargin: Joi.number().min(0)
+                .description('Alert when scraper.targetMerchant falls behind the best price by at least this much (fiat units)'),
+            adChanges: Joi.alternatives().try(
+                Joi.boolean(),
+                Joi.array().items(Joi.string().valid('ad.added', 'ad.removed', 'ad.price_changed', 'ad.amount_changed', 'ad.limits_changed')).min(1)
+            ).description('Alert when ads of these change types (true for all) appear since the last scrape'),
+            severity: Joi.string().valid('info', 'warning', 'error', 'critical').default('warning'),
+            channels: Joi.array().items(Joi.string().valid('email', 'webhook', 'slack')),
+            cooldown: Joi.number().min(60).max(86400)
+                .description('Cooldown period in seconds; defaults to alerting.cooldown'),
+            enabled: Joi.boolean().default(true)
+        }).or('priceChangePercent', 'spreadPercent', 'minLiquidity', 'rankChange', 'undercutMargin', 'adChanges')).default([])
+            .description('Market-aware alert rules evaluated after each scrape'),
         cooldown: Joi.number().min(60).max(3600).default(300)
             .description('Cooldown period in seconds between repeated alerts')
     }).default(),
@@ -299,6 +411,8 @@ const scraperConfigSchema = Joi.object({
         alerting: Joi.boolean().default(false),
         dashboard: Joi.boolean().default(false),
         api: Joi.boolean().default(false),
+        // GET /api/logs returns log lines and stack traces to anyone who can reach the API
+        logsApi: Joi.boolean().default(false),
         clustering: Joi.boolean().default(false),
         caching: Joi.boolean().default(false)
     }).default()
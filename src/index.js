@@ -49,6 +49,15 @@ function setupDevelopmentHelpers(app) {
     global.app = app;
 }
 
+/**
+ * Value following a CLI flag, or undefined when the flag is absent or has no value
+ */
+function getOptionValue(args, flag) {
+    const index = args.indexOf(flag);
+    const value = index >= 0 ? args[index + 1] : undefined;
+    return value && !value.startsWith('--') ? value : undefined;
+}
+
 // Handle CLI arguments
 if (require.main === module) {
     const args = process.argv.slice(2);
@@ -59,6 +68,8 @@ if (require.main === module) {
 Gate.io P2P Scraper - Enhanced Version
 
 Usage: node src/index.js [options]
+       node src/index.js logs [log options]
+       node src/index.js trace <id> [--session-dir <dir>] [--json]
 
 Options:
   --help, -h          Show this help message
@@ -66,18 +77,75 @@ Options:
   --test-config       Validate configuration
   --test-alert        Send test alert
   --dry-run          Run without actually scraping
+  --replay [paths]    Re-extract saved HTML snapshots (files or directories,
+                      default: the snapshot directory) and store them
+  --no-save           With --replay: only report what would be extracted
+  --aggregates [1m|5m|1h|1d]
+                      Print per-interval price aggregates (default 1h)
+    --market <spec>   With --aggregates: one market, e.g. USDT-KES or USDT-KES:buy
+    --since <date>    With --aggregates: start of the range (ISO date,
+                      default: --limit intervals before --until or now)
+    --until <date>    With --aggregates: end of the range (ISO date)
+    --top <n>         With --aggregates: merchants in the top-N average (default 5)
+    --limit <n>       With --aggregates: most recent points to print (default 500)
+    --json            With --aggregates: print JSON instead of a table
+  --migrate           Apply pending database migrations (backs up the database first)
+    --dry-run         With --migrate: only list the pending migrations
+  --reencrypt-backups Re-encrypt encrypted backups under the current key
+                      (BACKUP_ENCRYPTION_KEY_ID, or --key-id <id>)
+    --backup-dir <dir> With --reencrypt-backups: backup directory
+                      (default: storage.backup.location)
+  --redrive-alerts    Deliver dead-lettered alerts again
+    --channel <name>  With --redrive-alerts: only this channel (webhook, slack, email)
+    --id <id>         With --redrive-alerts: only this entry
+    --list            With --redrive-alerts: only list the queue
   --version          Show version information
 
+Log options (logs):
+  --level <levels>    Only these levels, e.g. ERROR,FATAL
+  --category <name>   Only this category (SCRAPING, DATABASE, NETWORK, ...)
+  --component <name>  Only this component
+  --since <date>      Entries at or after this ISO date
+  --until <date>      Entries at or before this ISO date
+  --scrape <id>       Entries of one scrape
+  --session <id>      Entries of one session
+  --trace <id>        Entries of one scrape trace
+  --grep <text>       Message or metadata contains this text (case-insensitive)
+  --tail <n>          Only the last n entries
+  --follow, -f        Keep printing new entries (after the last 10, or --tail n)
+  --file <paths>      Comma-separated log files, rotated copies included
+                      (default: logs/enhanced.log)
+  --plain <paths>     Comma-separated scraper logs written by logger.js
+                      (default: logs/activity.log, warnings.log, errors.log)
+  --db                Also search the logs table of the configured database
+                      (--scrape always reads the scrape's traces from it)
+  --json              Print one JSON entry per line
+
+Trace (trace <id>):
+  Timeline of one scrape trace (or scrape id) from the plain and structured
+  logs, logs/errors.json, scrape sessions, the database and dead-lettered alerts
+  --session-dir <dir> Checkpointed session files (default: SESSION_DIR)
+  --json              Print the timeline as JSON
+
 Environment Variables:
   NODE_ENV           Environment (development, staging, production)
   DEBUG              Enable debug logging
   TARGET_URL         Override target URL
   SCRAPE_INTERVAL_MS Override scraping interval
+  CAPTURE_SNAPSHOTS  Save the rendered DOM of every scraped page (true/false)
   
 Examples:
   NODE_ENV=development node src/index.js
   DEBUG=true node src/index.js
   node src/index.js --test-config
+  node src/index.js --replay data/snapshots --no-save
+  node src/index.js --aggregates 1d --market USDT-KES:buy --since 2026-01-01
+  node src/index.js --migrate --dry-run
+  node src/index.js --reencrypt-backups --key-id 2026-10
+  node src/index.js --redrive-alerts --channel webhook
+  node src/index.js logs --scrape 3f2a9c1e-7b4d-4e8a-9c21-5d6e7f8a9b0c --level ERROR,WARN
+  node src/index.js logs --grep timeout --follow
+  node src/index.js trace trace-9b1c2d3e-4f50-4a6b-8c7d-9e0f1a2b3c4d
             `);
             return;
         }
@@ -123,6 +191,356 @@ Examples:
             return;
         }
         
+        if (args.includes('--replay')) {
+            console.log('🔁 Replaying saved snapshots...');
+            const { configService } = require('./config');
+            const { DatabaseManager, DataPipeline } = require('../scraper/database');
+            const { replaySnapshots } = require('../scraper/snapshots');
+            const { buildWatchlist } = require('../scraper/watchlist');
+            const { WATCHLIST } = require('../scraper/config');
+
+            const scraperConfig = configService.getSection('scraper');
+            const paths = args.slice(args.indexOf('--replay') + 1).filter(arg => !arg.startsWith('-'));
+            const save = !args.includes('--no-save');
+            const database = save
+                ? new DatabaseManager({ ...configService.getSection('database'), backupEncryption: configService.get('storage.backup.encryption') })
+                : null;
+
+            try {
+                if (database) {
+                    await database.initialize();
+                }
+
+                const results = await replaySnapshots(paths.length > 0 ? paths : [scraperConfig.snapshotDir], {
+                    pipeline: database ? new DataPipeline(database) : null,
+                    watchlist: buildWatchlist(
+                        scraperConfig.watchlist.length > 0 ? scraperConfig.watchlist : WATCHLIST,
+                        scraperConfig.targetMerchant
+                    ),
+                    fallbackUrl: scraperConfig.targetUrl
+                });
+
+                results.forEach(result => {
+                    const icon = result.status === 'success' ? '✅' : result.status === 'empty' ? '⚠️' : '❌';
+                    const detail = result.status === 'failed'
+                        ? result.error
+                        : `${result.market}: ${result.merchantCount} merchant(s), ${result.valid ?? 0} valid${result.scrapeId ? ` → ${result.scrapeId}` : ''}`;
+                    console.log(`${icon} ${result.file} ${detail}`);
+                });
+
+                const failed = results.filter(result => result.status !== 'success').length;
+                console.log(`Replayed ${results.length} snapshot(s), ${failed} without merchants or failed`);
+                if (failed > 0) {
+                    process.exitCode = 1;
+                }
+            } catch (error) {
+                console.error('❌ Replay failed:', error.message);
+                process.exitCode = 1;
+            } finally {
+                if (database) {
+                    await database.close();
+                }
+                // Release the development config watcher so the command exits
+                configService.destroy();
+            }
+            return;
+        }
+        
+        if (args.includes('--aggregates')) {
+            const { configService } = require('./config');
+            const { DatabaseManager } = require('../scraper/database');
+            const { parseMarketSpec } = require('../scraper/markets');
+            const { AGGREGATE_INTERVALS, DEFAULT_TOP_N } = require('../scraper/priceAggregates');
+
+            const interval = getOptionValue(args, '--aggregates') || '1h';
+            const marketSpec = getOptionValue(args, '--market');
+            const database = new DatabaseManager(configService.getSection('database'));
+
+            try {
+                if (!AGGREGATE_INTERVALS[interval]) {
+                    throw new Error(`Invalid interval "${interval}" (expected one of ${Object.keys(AGGREGATE_INTERVALS).join(', ')})`);
+                }
+
+                // A pair without :buy/:sell covers both sides
+                const [market] = marketSpec ? parseMarketSpec(marketSpec) : [];
+                await database.initialize();
+
+                const points = await database.getPriceAggregates({
+                    interval,
+                    asset: market ? market.asset : null,
+                    fiat: market ? market.fiat : null,
+                    side: marketSpec && marketSpec.includes(':') ? market.side : null,
+                    since: getOptionValue(args, '--since') || null,
+                    until: getOptionValue(args, '--until') || null,
+                    topN: Number(getOptionValue(args, '--top')) || DEFAULT_TOP_N,
+                    limit: Number(getOptionValue(args, '--limit')) || 500
+                });
+
+                if (args.includes('--json')) {
+                    console.log(JSON.stringify(points, null, 2));
+                } else if (points.length === 0) {
+                    console.log('⚠️ No completed scrapes in range');
+                } else {
+                    console.table(points.map(point => ({
+                        bucket: point.bucket,
+                        market: `${point.asset}-${point.fiat}-${point.side}`,
+                        scrapes: point.scrapes,
+                        open: point.open,
+                        high: point.high,
+                        low: point.low,
+                        close: point.close,
+                        median: point.medianPrice,
+                        [`top${point.topN}Avg`]: point.topNAverage,
+                        merchants: point.merchantCount,
+                        available: point.totalAvailable
+                    })));
+                }
+            } catch (error) {
+                console.error('❌ Aggregation failed:', error.message);
+                process.exitCode = 1;
+            } finally {
+                await database.close();
+                // Release the development config watcher so the command exits
+                configService.destroy();
+            }
+            return;
+        }
+        
+        if (args.includes('--migrate')) {
+            const { configService } = require('./config');
+            const { DatabaseManager } = require('../scraper/database');
+
+            const dryRun = args.includes('--dry-run');
+            const database = new DatabaseManager(configService.getSection('database'));
+
+            try {
+                const report = await database.initialize({ dryRun });
+
+                console.log(`Schema version: ${report.currentVersion} (latest ${report.targetVersion})`);
+                if (report.pending.length === 0) {
+                    console.log('✅ Database schema is up to date');
+                } else if (dryRun) {
+                    console.log('🧪 Pending migrations:');
+                    report.pending.forEach(migration => console.log(`   ${migration.version}_${migration.name}`));
+                } else {
+                    if (report.backupPath) {
+                        console.log(`✅ Backup created: ${report.backupPath}`);
+                    }
+                    report.applied.forEach(migration => console.log(`✅ Applied ${migration.version}_${migration.name}`));
+                }
+            } catch (error) {
+                console.error('❌ Migration failed:', error.message);
+                process.exitCode = 1;
+            } finally {
+                await database.close();
+                configService.destroy();
+            }
+            return;
+        }
+        
+        if (args.includes('--reencrypt-backups')) {
+            const { configService } = require('./config');
+            const { BackupManager } = require('../scraper/dataExportBackup');
+
+            const backupConfig = configService.getSection('storage').backup;
+            const keyId = getOptionValue(args, '--key-id') ?? backupConfig.encryption.keyId;
+            const backupManager = new BackupManager({
+                backupDirectory: getOptionValue(args, '--backup-dir') || backupConfig.location,
+                encryptionKeys: backupConfig.encryption.keys,
+                encryptionKeyId: keyId !== undefined ? String(keyId) : null
+            });
+
+            try {
+                const result = await backupManager.reencryptBackups();
+
+                console.log(`✅ Re-encrypted ${result.reencrypted.length} backup(s) under key "${result.keyId}"`);
+                if (result.skipped.length > 0) {
+                    console.log(`   Skipped ${result.skipped.length} (unencrypted or already under this key)`);
+                }
+                result.failed.forEach(failure => console.error(`❌ ${failure.id}: ${failure.error}`));
+                if (result.failed.length > 0) {
+                    process.exitCode = 1;
+                }
+            } catch (error) {
+                console.error('❌ Re-encryption failed:', error.message);
+                process.exitCode = 1;
+            } finally {
+                configService.destroy();
+            }
+            return;
+        }
+        
+        if (args.includes('--redrive-alerts')) {
+            const { configService } = require('./config');
+            const { AlertManager } = require('./services/monitoring');
+
+            const alertingConfig = configService.getSection('alerting');
+            const alertManager = new AlertManager({
+                ...alertingConfig,
+                ...alertingConfig.channels,
+                marketRules: []
+            });
+            const id = getOptionValue(args, '--id');
+            const filter = { channel: getOptionValue(args, '--channel'), ids: id ? [id] : undefined };
+
+            try {
+                if (args.includes('--list')) {
+                    const entries = await alertManager.deadLetterQueue.list(filter);
+                    console.log(`${entries.length} dead-lettered alert(s)`);
+                    entries.forEach(entry => console.log(
+                        `   ${entry.id}  ${entry.channel}  ${entry.alert.rule}  ${entry.failedAt}  ${entry.error}`
+                    ));
+                } else {
+                    const result = await alertManager.redriveDeadLetters(filter);
+
+                    console.log(`✅ Delivered ${result.delivered.length} dead-lettered alert(s), ${result.remaining} left in the queue`);
+                    result.failed.forEach(failure => console.error(`❌ ${failure.id} (${failure.channel}): ${failure.error}`));
+                    if (result.failed.length > 0) {
+                        process.exitCode = 1;
+                    }
+                }
+            } catch (error) {
+                console.error('❌ Redrive failed:', error.message);
+                process.exitCode = 1;
+            } finally {
+                if (alertManager.requestManager) {
+                    await alertManager.requestManager.shutdown();
+                }
+                configService.destroy();
+            }
+            return;
+        }
+        
+        if (args[0] === 'logs') {
+            const { configService } = require('./config');
+            const { DatabaseManager } = require('../scraper/database');
+            const { LogSearch, PLAIN_LOG_FILES, formatLogEntry } = require('../scraper/logSearch');
+
+            const files = (getOptionValue(args, '--file') || 'logs/enhanced.log').split(',');
+            const plainFiles = getOptionValue(args, '--plain')
+                ? getOptionValue(args, '--plain').split(',')
+                : PLAIN_LOG_FILES.map(file => `logs/${file}`);
+            const scrapeId = getOptionValue(args, '--scrape');
+            const database = args.includes('--db') || scrapeId ? new DatabaseManager(configService.getSection('database')) : null;
+            const follow = args.includes('--follow') || args.includes('-f');
+            const tailOption = getOptionValue(args, '--tail');
+            const tail = tailOption !== undefined ? Number(tailOption) : (follow ? 10 : null);
+            const print = args.includes('--json')
+                ? entry => console.log(JSON.stringify(entry))
+                : entry => console.log(formatLogEntry(entry));
+            const criteria = {
+                level: getOptionValue(args, '--level'),
+                category: getOptionValue(args, '--category'),
+                component: getOptionValue(args, '--component'),
+                startTime: getOptionValue(args, '--since'),
+                endTime: getOptionValue(args, '--until'),
+                scrapeId,
+                sessionId: getOptionValue(args, '--session'),
+                traceId: getOptionValue(args, '--trace'),
+                text: getOptionValue(args, '--grep')
+            };
+            const controller = new AbortController();
+            const stop = () => controller.abort();
+
+            try {
+                if (tail !== null && !(Number.isInteger(tail) && tail >= 0)) {
+                    throw new Error(`Invalid --tail "${tailOption}" (expected a whole number)`);
+                }
+                if (args.includes('--db')) {
+                    await database.connect();
+                } else if (database) {
+                    // Without the database only plain lines that mention the scrape id are found
+                    await database.connect().catch(error => {
+                        console.error(`⚠️ Scrape traces not looked up: ${error.message}`);
+                    });
+                }
+
+                const search = new LogSearch({
+                    files,
+                    plainFiles,
+                    databases: args.includes('--db') ? [{ database }] : [],
+                    scrapeDatabase: database
+                });
+                if (tail === null) {
+                    for await (const entry of search.stream(criteria)) {
+                        print(entry);
+                    }
+                } else {
+                    (await search.tail(criteria, tail)).forEach(print);
+                }
+
+                if (follow) {
+                    process.once('SIGINT', stop);
+                    for await (const entry of search.follow(criteria, { signal: controller.signal })) {
+                        print(entry);
+                    }
+                }
+            } catch (error) {
+                console.error('❌ Log search failed:', error.message);
+                process.exitCode = 1;
+            } finally {
+                process.removeListener('SIGINT', stop);
+                if (database) {
+                    await database.close();
+                }
+                configService.destroy();
+            }
+            return;
+        }
+        
+        if (args[0] === 'trace') {
+            const { configService } = require('./config');
+            const { DeadLetterQueue } = require('./services/monitoring');
+            const { DatabaseManager } = require('../scraper/database');
+            const { SESSION_DIR } = require('../scraper/config');
+            const { buildTraceTimeline, formatTraceEvent } = require('../scraper/traceTimeline');
+
+            const traceId = args[1] && !args[1].startsWith('--') ? args[1] : undefined;
+            const database = new DatabaseManager(configService.getSection('database'));
+            const deliveryConfig = configService.getSection('alerting').delivery || {};
+
+            try {
+                if (!traceId) {
+                    throw new Error('Usage: node src/index.js trace <trace id or scrape id>');
+                }
+                await database.connect().catch(error => {
+                    console.error(`⚠️ Database not searched: ${error.message}`);
+                });
+
+                const timeline = await buildTraceTimeline(traceId, {
+                    sessionDir: getOptionValue(args, '--session-dir') || SESSION_DIR,
+                    database: database.isConnected ? database : null,
+                    deadLetters: await new DeadLetterQueue({ filePath: deliveryConfig.deadLetterPath }).list()
+                });
+
+                if (args.includes('--json')) {
+                    console.log(JSON.stringify(timeline, null, 2));
+                } else {
+                    console.log(`🔎 Trace ${traceId}: ${timeline.events.length} event(s)`);
+                    timeline.events.forEach(entry => console.log(formatTraceEvent(entry)));
+                    if (timeline.sessionIds.length > 0) {
+                        console.log(`   Sessions: ${timeline.sessionIds.join(', ')}`);
+                    }
+                    if (timeline.scrapeIds.length > 0) {
+                        console.log(`   Scrapes: ${timeline.scrapeIds.join(', ')}`);
+                    }
+                    if (timeline.relatedTraces.length > 0) {
+                        console.log(`   Related traces (same session): ${timeline.relatedTraces.join(', ')}`);
+                    }
+                }
+                if (timeline.events.length === 0) {
+                    process.exitCode = 1;
+                }
+            } catch (error) {
+                console.error('❌ Trace failed:', error.message);
+                process.exitCode = 1;
+            } finally {
+                await database.close();
+                configService.destroy();
+            }
+            return;
+        }
+        
         if (args.includes('--dry-run')) {
             console.log('🧪 Dry run mode - configuration and monitoring only');
             process.env.DRY_RUN = 'true';
@@ -0,0 +1,565 @@
+// src/services/api/ApiServer.js
+const http = require('http');
+const { AGGREGATE_INTERVALS, DEFAULT_TOP_N } = require('../../../scraper/priceAggregates');
+const { TRACKED_FIELDS } = require('../../../scraper/merchantProfile');
+const { negotiateFormat } = require('../monitoring/openMetrics');
+
+/**
+ * Columns of the merchants table that clients may sort by.
+ * getMerchants interpolates orderBy into SQL, so anything else is rejected.
+ */
+const SORTABLE_MERCHANT_COLUMNS = [
+    'created_at',
+    'price_numeric',
+    'available_amount_numeric',
+    'limit_min',
+    'limit_max',
+    'merchant_name',
+    'completion_rate',
+    'orders'
+];
+
+/**
+ * Error raised by route handlers to produce a non-200 JSON response
+ */
+class ApiError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * REST API Server
+ * Exposes scraped merchants, scrape sessions and data quality metrics over HTTP
+ */
+class ApiServer {
+    constructor(config = {}, dependencies = {}) {
+        this.config = {
+            name: config.name || 'API server',
+            port: config.port || 3000,
+            host: config.host || '0.0.0.0',
+            defaultPageSize: config.defaultPageSize || 50,
+            maxPageSize: config.maxPageSize || 500,
+            ...config
+        };
+
+        this.database = dependencies.database || null;
+        this.monitoring = dependencies.monitoring || null;
+        this.logSearch = dependencies.logSearch || null;
+        this.routes = new Map();
+        this.server = null;
+        this.isRunning = false;
+        this.startTime = null;
+        this.stats = {
+            requests: 0,
+            errors: 0
+        };
+
+        // Register built-in routes; every server exposes its process's metrics
+        this.registerBuiltInRoutes();
+        this.registerRoute('GET', '/metrics', this.handleGetMetrics.bind(this));
+    }
+
+    /**
+     * Register built-in API routes
+     */
+    registerBuiltInRoutes() {
+        this.registerRoute('GET', '/api/merchants', this.handleGetMerchants.bind(this));
+        this.registerRoute('GET', '/api/sessions', this.handleGetSessions.bind(this));
+        this.registerRoute('GET', '/api/quality-metrics', this.handleGetQualityMetrics.bind(this));
+        this.registerRoute('GET', '/api/merchant-ranks', this.handleGetMerchantRanks.bind(this));
+        this.registerRoute('GET', '/api/merchant-profile', this.handleGetMerchantProfile.bind(this));
+        this.registerRoute('GET', '/api/merchant-changes', this.handleGetMerchantChanges.bind(this));
+        this.registerRoute('GET', '/api/price-aggregates', this.handleGetPriceAggregates.bind(this));
+        this.registerRoute('GET', '/api/logs', this.handleGetLogs.bind(this));
+        this.registerRoute('GET', '/api/status', this.handleGetStatus.bind(this));
+    }
+
+    /**
+     * Register a route handler
+     * Handlers receive { query, req } and return the JSON response body
+     */
+    registerRoute(method, path, handler) {
+        this.routes.set(`${method.toUpperCase()} ${path}`, handler);
+    }
+
+    /**
+     * Start listening for requests
+     */
+    async start() {
+        if (this.isRunning) {
+            console.log(`⚠️ ${this.config.name} already running`);
+            return;
+        }
+
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res);
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.host, () => {
+                this.server.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        this.isRunning = true;
+        this.startTime = Date.now();
+
+        console.log(`✅ ${this.config.name} listening on http://${this.config.host}:${this.getPort()}`);
+    }
+
+    /**
+     * Stop accepting requests and close the server
+     */
+    async stop() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        await new Promise((resolve) => {
+            this.server.close(() => resolve());
+            if (this.server.closeAllConnections) {
+                this.server.closeAllConnections();
+            }
+        });
+
+        this.server = null;
+        this.isRunning = false;
+
+        console.log(`✅ ${this.config.name} stopped`);
+    }
+
+    /**
+     * Get the port the server is bound to (resolves port 0 to the real port)
+     */
+    getPort() {
+        const address = this.server && this.server.address();
+        return address && typeof address === 'object' ? address.port : this.config.port;
+    }
+
+    /**
+     * Dispatch an incoming request to its route handler
+     */
+    async handleRequest(req, res) {
+        this.stats.requests++;
+
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const handler = this.routes.get(`${req.method} ${url.pathname}`);
+
+            if (!handler) {
+                const pathExists = Array.from(this.routes.keys())
+                    .some(key => key.endsWith(` ${url.pathname}`));
+                throw pathExists
+                    ? new ApiError(405, `Method ${req.method} not allowed`)
+                    : new ApiError(404, `Route not found: ${url.pathname}`);
+            }
+
+            const query = Object.fromEntries(url.searchParams);
+            const body = await handler({ query, req, res });
+
+            // Handlers that stream their own response return undefined
+            if (body !== undefined) {
+                this.sendJson(res, 200, body);
+            }
+
+        } catch (error) {
+            this.stats.errors++;
+
+            const statusCode = error instanceof ApiError ? error.statusCode : 500;
+            if (statusCode === 500) {
+                console.error(`❌ ${this.config.name} request failed:`, error.message);
+            }
+
+            this.sendJson(res, statusCode, { error: error.message });
+        }
+    }
+
+    /**
+     * Write a JSON response
+     */
+    sendJson(res, statusCode, body) {
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+
+        const payload = JSON.stringify(body);
+        res.writeHead(statusCode, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(payload),
+            'Cache-Control': 'no-store'
+        });
+        res.end(payload);
+    }
+
+    /**
+     * Ensure the database is available before serving data routes
+     */
+    requireDatabase() {
+        if (!this.database || !this.database.isConnected) {
+            throw new ApiError(503, 'Database not available');
+        }
+        return this.database;
+    }
+
+    /**
+     * Parse an optional numeric query parameter
+     */
+    parseNumber(query, name, { integer = false, min = null } = {}) {
+        const raw = query[name];
+        if (raw === undefined || raw === '') {
+            return null;
+        }
+
+        const value = Number(raw);
+        if (!Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+            throw new ApiError(400, `Query parameter '${name}' must be ${integer ? 'an integer' : 'a number'}`);
+        }
+
+        if (min !== null && value < min) {
+            throw new ApiError(400, `Query parameter '${name}' must be at least ${min}`);
+        }
+
+        return value;
+    }
+
+    /**
+     * Parse limit/offset paging parameters
+     */
+    parsePagination(query) {
+        const limit = this.parseNumber(query, 'limit', { integer: true, min: 1 }) ?? this.config.defaultPageSize;
+        const offset = this.parseNumber(query, 'offset', { integer: true, min: 0 }) ?? 0;
+
+        return {
+            limit: Math.min(limit, this.config.maxPageSize),
+            offset
+        };
+    }
+
+    /**
+     * Parse the asset, fiat and side query parameters
+     */
+    parseMarketFilter(query) {
+        const side = query.side ? query.side.toLowerCase() : null;
+        if (side !== null && !['buy', 'sell'].includes(side)) {
+            throw new ApiError(400, "side must be 'buy' or 'sell'");
+        }
+
+        return {
+            asset: query.asset ? query.asset.toUpperCase() : null,
+            fiat: query.fiat ? query.fiat.toUpperCase() : null,
+            side
+        };
+    }
+
+    /**
+     * Parse an optional ISO date query parameter
+     */
+    parseDate(query, name) {
+        if (query[name] === undefined || query[name] === '') {
+            return null;
+        }
+
+        const date = new Date(query[name]);
+        if (Number.isNaN(date.getTime())) {
+            throw new ApiError(400, `${name} must be a valid date`);
+        }
+
+        return date.toISOString();
+    }
+
+    /**
+     * GET /api/merchants
+     * Query: limit, offset, minPrice, maxPrice, merchantName, scrapeId, asset, fiat, side, orderBy, order
+     */
+    async handleGetMerchants({ query }) {
+        const database = this.requireDatabase();
+        const { limit, offset } = this.parsePagination(query);
+        const minPrice = this.parseNumber(query, 'minPrice', { min: 0 });
+        const maxPrice = this.parseNumber(query, 'maxPrice', { min: 0 });
+
+        if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+            throw new ApiError(400, 'minPrice must not be greater than maxPrice');
+        }
+
+        const orderBy = query.orderBy || 'created_at';
+        if (!SORTABLE_MERCHANT_COLUMNS.includes(orderBy)) {
+            throw new ApiError(400, `orderBy must be one of: ${SORTABLE_MERCHANT_COLUMNS.join(', ')}`);
+        }
+
+        const orderDirection = (query.order || 'desc').toUpperCase();
+        if (!['ASC', 'DESC'].includes(orderDirection)) {
+            throw new ApiError(400, "order must be 'asc' or 'desc'");
+        }
+
+        const merchants = await database.getMerchants({
+            limit,
+            offset,
+            orderBy,
+            orderDirection,
+            scrapeId: query.scrapeId || null,
+            minPrice,
+            maxPrice,
+            merchantName: query.merchantName || null,
+            ...this.parseMarketFilter(query)
+        });
+
+        return {
+            data: merchants,
+            pagination: { limit, offset, count: merchants.length }
+        };
+    }
+
+    /**
+     * GET /api/sessions
+     * Query: limit, offset
+     */
+    async handleGetSessions({ query }) {
+        const database = this.requireDatabase();
+        const { limit, offset } = this.parsePagination(query);
+
+        const sessions = await database.getScrapeSessions(limit, offset);
+
+        return {
+            data: sessions.map(session => ({
+                ...session,
+                metadata: this.parseJsonColumn(session.metadata),
+                markets: this.parseJsonColumn(session.markets)
+            })),
+            pagination: { limit, offset, count: sessions.length }
+        };
+    }
+
+    /**
+     * GET /api/merchant-ranks
+     * Query: merchant (required), asset, fiat, side, since, until, limit
+     */
+    async handleGetMerchantRanks({ query }) {
+        const database = this.requireDatabase();
+
+        if (!query.merchant) {
+            throw new ApiError(400, 'merchant is required');
+        }
+
+        const limit = this.parseNumber(query, 'limit', { integer: true, min: 1 }) ?? this.config.maxPageSize;
+        const history = await database.getMerchantRankHistory({
+            merchantName: query.merchant,
+            ...this.parseMarketFilter(query),
+            since: this.parseDate(query, 'since'),
+            until: this.parseDate(query, 'until'),
+            limit: Math.min(limit, this.config.maxPageSize)
+        });
+
+        return {
+            data: history,
+            count: history.length
+        };
+    }
+
+    /**
+     * GET /api/merchant-profile
+     * Query: merchant (required), asset, fiat, side, since, until
+     */
+    async handleGetMerchantProfile({ query }) {
+        const database = this.requireDatabase();
+
+        if (!query.merchant) {
+            throw new ApiError(400, 'merchant is required');
+        }
+
+        const profile = await database.getMerchantProfile({
+            merchantName: query.merchant,
+            ...this.parseMarketFilter(query),
+            since: this.parseDate(query, 'since'),
+            until: this.parseDate(query, 'until')
+        });
+
+        if (!profile) {
+            throw new ApiError(404, `Unknown merchant: ${query.merchant}`);
+        }
+
+        return { data: profile };
+    }
+
+    /**
+     * GET /api/merchant-changes
+     * Query: merchant (required), asset, fiat, side, field, since, until, limit
+     */
+    async handleGetMerchantChanges({ query }) {
+        const database = this.requireDatabase();
+
+        if (!query.merchant) {
+            throw new ApiError(400, 'merchant is required');
+        }
+
+        if (query.field && !TRACKED_FIELDS[query.field]) {
+            throw new ApiError(400, `field must be one of: ${Object.keys(TRACKED_FIELDS).join(', ')}`);
+        }
+
+        const limit = this.parseNumber(query, 'limit', { integer: true, min: 1 }) ?? this.config.maxPageSize;
+        const changes = await database.getMerchantChanges({
+            merchantName: query.merchant,
+            ...this.parseMarketFilter(query),
+            field: query.field || null,
+            since: this.parseDate(query, 'since'),
+            until: this.parseDate(query, 'until'),
+            limit: Math.min(limit, this.config.maxPageSize)
+        });
+
+        return {
+            data: changes,
+            count: changes.length
+        };
+    }
+
+    /**
+     * GET /api/price-aggregates
+     * Query: interval (1m, 5m, 1h, 1d; default 1h), asset, fiat, side, since, until, topN, limit
+     */
+    async handleGetPriceAggregates({ query }) {
+        const database = this.requireDatabase();
+
+        const interval = query.interval || '1h';
+        if (!AGGREGATE_INTERVALS[interval]) {
+            throw new ApiError(400, `interval must be one of: ${Object.keys(AGGREGATE_INTERVALS).join(', ')}`);
+        }
+
+        const limit = this.parseNumber(query, 'limit', { integer: true, min: 1 }) ?? this.config.maxPageSize;
+        const points = await database.getPriceAggregates({
+            interval,
+            ...this.parseMarketFilter(query),
+            since: this.parseDate(query, 'since'),
+            until: this.parseDate(query, 'until'),
+            topN: this.parseNumber(query, 'topN', { integer: true, min: 1 }) ?? DEFAULT_TOP_N,
+            limit: Math.min(limit, this.config.maxPageSize)
+        });
+
+        return {
+            data: points,
+            count: points.length
+        };
+    }
+
+    /**
+     * GET /api/quality-metrics
+     * Query: scrapeId
+     */
+    async handleGetQualityMetrics({ query }) {
+        const database = this.requireDatabase();
+        const metrics = await database.getDataQualityMetrics(query.scrapeId || null);
+
+        return {
+            data: metrics,
+            count: metrics.length
+        };
+    }
+
+    /**
+     * GET /api/logs
+     * Query: level, category, component, since, until, scrapeId, sessionId, traceId, q, tail
+     * Streams matching log entries oldest first as NDJSON; with tail, only the last n
+     */
+    async handleGetLogs({ query, res }) {
+        if (!this.logSearch) {
+            throw new ApiError(503, 'Log search not enabled (features.logsApi)');
+        }
+
+        const tail = this.parseNumber(query, 'tail', { integer: true, min: 1 });
+        const criteria = {
+            level: query.level || null,
+            category: query.category || null,
+            component: query.component || null,
+            startTime: this.parseDate(query, 'since'),
+            endTime: this.parseDate(query, 'until'),
+            scrapeId: query.scrapeId || null,
+            sessionId: query.sessionId || null,
+            traceId: query.traceId || null,
+            text: query.q || null
+        };
+        const entries = tail !== null
+            ? await this.logSearch.tail(criteria, Math.min(tail, this.config.maxPageSize))
+            : this.logSearch.stream(criteria);
+
+        res.writeHead(200, {
+            'Content-Type': 'application/x-ndjson; charset=utf-8',
+            'Cache-Control': 'no-store'
+        });
+        for await (const entry of entries) {
+            if (res.destroyed) {
+                break;
+            }
+            if (!res.write(`${JSON.stringify(entry)}\n`)) {
+                await new Promise(resolve => {
+                    res.once('drain', resolve);
+                    res.once('close', resolve);
+                });
+            }
+        }
+        res.end();
+    }
+
+    /**
+     * GET /api/status
+     */
+    async handleGetStatus() {
+        return this.getStatus();
+    }
+
+    /**
+     * GET /metrics
+     * OpenMetrics text when the Accept header asks for it, Prometheus 0.0.4 text otherwise
+     */
+    async handleGetMetrics({ req, res }) {
+        if (!this.monitoring) {
+            throw new ApiError(503, 'Monitoring not available');
+        }
+
+        const { openMetrics, contentType } = negotiateFormat(req.headers.accept);
+        const text = this.monitoring.getOpenMetrics({ openMetrics });
+
+        res.writeHead(200, {
+            'Content-Type': contentType,
+            'Content-Length': Buffer.byteLength(text),
+            'Cache-Control': 'no-store'
+        });
+        res.end(text);
+    }
+
+    /**
+     * Parse a JSON text column, leaving malformed values untouched
+     */
+    parseJsonColumn(value) {
+        if (typeof value !== 'string') {
+            return value;
+        }
+
+        try {
+            return JSON.parse(value);
+        } catch {
+            return value;
+        }
+    }
+
+    /**
+     * Get service status
+     */
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            port: this.getPort(),
+            uptime: this.startTime ? Date.now() - this.startTime : 0,
+            routes: Array.from(this.routes.keys()),
+            databaseConnected: Boolean(this.database && this.database.isConnected),
+            stats: { ...this.stats }
+        };
+    }
+}
+
+module.exports = ApiServer;
+module.exports.ApiError = ApiError;
+module.exports.SORTABLE_MERCHANT_COLUMNS = SORTABLE_MERCHANT_COLUMNS;
@@ -0,0 +1,251 @@
+// src/services/api/__tests__/ApiServer.test.js
+const http = require('http');
+const ApiServer = require('../ApiServer');
+
+describe('ApiServer', () => {
+    let server;
+    let database;
+    let baseUrl;
+
+    const request = (path, method = 'GET') => new Promise((resolve, reject) => {
+        const req = http.request(`${baseUrl}${path}`, { method }, (res) => {
+            let raw = '';
+            res.on('data', (chunk) => { raw += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(raw) }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+
+    const get = (path) => request(path);
+
+    const getLines = (path) => new Promise((resolve, reject) => {
+        http.get(`${baseUrl}${path}`, (res) => {
+            let raw = '';
+            res.on('data', (chunk) => { raw += chunk; });
+            res.on('end', () => resolve({
+                status: res.statusCode,
+                contentType: res.headers['content-type'],
+                lines: raw.split('\n').filter(Boolean).map(line => JSON.parse(line))
+            }));
+        }).on('error', reject);
+    });
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(async () => {
+        database = {
+            isConnected: true,
+            getMerchants: jest.fn().mockResolvedValue([{ merchant_name: 'coinftw', price_numeric: 130.5 }]),
+            getScrapeSessions: jest.fn().mockResolvedValue([{ scrape_id: 'abc', metadata: '{"source":"gate.io"}' }]),
+            getDataQualityMetrics: jest.fn().mockResolvedValue([{ metric_name: 'data_completeness_rate', metric_value: 100 }]),
+            getMerchantRankHistory: jest.fn().mockResolvedValue([{ merchant_name: 'coinftw', rank: 2, gap_to_best: 0.4 }]),
+            getMerchantProfile: jest.fn().mockImplementation(async ({ merchantName }) => (merchantName === 'coinftw' ? { merchantName, markets: [] } : null)),
+            getMerchantChanges: jest.fn().mockResolvedValue([{ field_name: 'price_numeric', old_value: '130', new_value: '129.5' }]),
+            getPriceAggregates: jest.fn().mockResolvedValue([{ bucket: '2026-01-05T08:00:00.000Z', open: 129.5, close: 129.1 }])
+        };
+
+        server = new ApiServer({ port: 0, host: '127.0.0.1' }, { database });
+        await server.start();
+        baseUrl = `http://127.0.0.1:${server.getPort()}`;
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    test('should serve merchants with paging, price range and name filters', async () => {
+        const { status, body } = await get('/api/merchants?limit=10&offset=20&minPrice=120&maxPrice=140&merchantName=coin');
+
+        expect(status).toBe(200);
+        expect(body.data).toHaveLength(1);
+        expect(body.pagination).toEqual({ limit: 10, offset: 20, count: 1 });
+        expect(database.getMerchants).toHaveBeenCalledWith(expect.objectContaining({
+            limit: 10,
+            offset: 20,
+            minPrice: 120,
+            maxPrice: 140,
+            merchantName: 'coin',
+            orderBy: 'created_at',
+            orderDirection: 'DESC'
+        }));
+    });
+
+    test('should filter merchants by market', async () => {
+        const { status } = await get('/api/merchants?asset=usdt&fiat=kes&side=SELL');
+
+        expect(status).toBe(200);
+        expect(database.getMerchants).toHaveBeenCalledWith(expect.objectContaining({
+            asset: 'USDT',
+            fiat: 'KES',
+            side: 'sell'
+        }));
+    });
+
+    test('should clamp page size to the configured maximum', async () => {
+        const { body } = await get('/api/merchants?limit=100000');
+        expect(body.pagination.limit).toBe(500);
+    });
+
+    test('should reject invalid query parameters', async () => {
+        expect((await get('/api/merchants?minPrice=abc')).status).toBe(400);
+        expect((await get('/api/merchants?minPrice=150&maxPrice=100')).status).toBe(400);
+        expect((await get('/api/merchants?orderBy=raw_data;DROP')).status).toBe(400);
+        expect((await get('/api/merchants?offset=-1')).status).toBe(400);
+        expect((await get('/api/merchants?side=hold')).status).toBe(400);
+        expect(database.getMerchants).not.toHaveBeenCalled();
+    });
+
+    test('should serve scrape sessions with parsed metadata', async () => {
+        const { status, body } = await get('/api/sessions?limit=5&offset=5');
+
+        expect(status).toBe(200);
+        expect(body.data[0].metadata).toEqual({ source: 'gate.io' });
+        expect(database.getScrapeSessions).toHaveBeenCalledWith(5, 5);
+    });
+
+    test('should serve the tracked merchant rank history', async () => {
+        const { status, body } = await get('/api/merchant-ranks?merchant=coinftw&asset=usdt&side=buy&since=2026-01-01&limit=100');
+
+        expect(status).toBe(200);
+        expect(body).toEqual({ data: [{ merchant_name: 'coinftw', rank: 2, gap_to_best: 0.4 }], count: 1 });
+        expect(database.getMerchantRankHistory).toHaveBeenCalledWith({
+            merchantName: 'coinftw',
+            asset: 'USDT',
+            fiat: null,
+            side: 'buy',
+            since: '2026-01-01T00:00:00.000Z',
+            until: null,
+            limit: 100
+        });
+
+        expect((await get('/api/merchant-ranks')).status).toBe(400);
+        expect((await get('/api/merchant-ranks?merchant=coinftw&until=soon')).status).toBe(400);
+    });
+
+    test('should serve merchant profiles and change history', async () => {
+        const { status, body } = await get('/api/merchant-profile?merchant=coinftw&fiat=kes&since=2026-01-01');
+
+        expect(status).toBe(200);
+        expect(body).toEqual({ data: { merchantName: 'coinftw', markets: [] } });
+        expect(database.getMerchantProfile).toHaveBeenCalledWith({
+            merchantName: 'coinftw',
+            asset: null,
+            fiat: 'KES',
+            side: null,
+            since: '2026-01-01T00:00:00.000Z',
+            until: null
+        });
+        expect((await get('/api/merchant-profile?merchant=nobody')).status).toBe(404);
+        expect((await get('/api/merchant-profile')).status).toBe(400);
+
+        const changes = await get('/api/merchant-changes?merchant=coinftw&field=price_numeric&limit=10');
+        expect(changes.body.count).toBe(1);
+        expect(database.getMerchantChanges).toHaveBeenCalledWith(expect.objectContaining({ merchantName: 'coinftw', field: 'price_numeric', limit: 10 }));
+        expect((await get('/api/merchant-changes?merchant=coinftw&field=rank')).status).toBe(400);
+    });
+
+    test('should serve per-interval price aggregates', async () => {
+        const { status, body } = await get('/api/price-aggregates?interval=5m&fiat=kes&side=buy&since=2026-01-05&topN=3&limit=50');
+
+        expect(status).toBe(200);
+        expect(body).toEqual({ data: [{ bucket: '2026-01-05T08:00:00.000Z', open: 129.5, close: 129.1 }], count: 1 });
+        expect(database.getPriceAggregates).toHaveBeenCalledWith({
+            interval: '5m',
+            asset: null,
+            fiat: 'KES',
+            side: 'buy',
+            since: '2026-01-05T00:00:00.000Z',
+            until: null,
+            topN: 3,
+            limit: 50
+        });
+
+        await get('/api/price-aggregates');
+        expect(database.getPriceAggregates).toHaveBeenLastCalledWith(expect.objectContaining({ interval: '1h', topN: 5, limit: 500 }));
+
+        expect((await get('/api/price-aggregates?interval=2h')).status).toBe(400);
+        expect((await get('/api/price-aggregates?topN=0')).status).toBe(400);
+    });
+
+    test('should serve data quality metrics for a scrape', async () => {
+        const { status, body } = await get('/api/quality-metrics?scrapeId=abc');
+
+        expect(status).toBe(200);
+        expect(body.count).toBe(1);
+        expect(database.getDataQualityMetrics).toHaveBeenCalledWith('abc');
+    });
+
+    test('should return 503 when the database is not connected', async () => {
+        database.isConnected = false;
+        expect((await get('/api/merchants')).status).toBe(503);
+    });
+
+    test('should return 503 for metrics without a monitoring service', async () => {
+        const { status, body } = await get('/metrics');
+        expect(status).toBe(503);
+        expect(body.error).toBe('Monitoring not available');
+    });
+
+    test('should stream matching log entries as NDJSON', async () => {
+        const entries = [
+            { id: 'a', timestamp: '2026-01-05T08:00:00.000Z', level: 'ERROR', message: 'Navigation timeout' },
+            { id: 'b', timestamp: '2026-01-05T08:00:05.000Z', level: 'ERROR', message: 'Retry failed' }
+        ];
+        const logSearch = {
+            stream: jest.fn(async function* () {
+                yield* entries;
+            }),
+            tail: jest.fn().mockResolvedValue(entries.slice(1))
+        };
+        await server.stop();
+        server = new ApiServer({ port: 0, host: '127.0.0.1' }, { database, logSearch });
+        await server.start();
+        baseUrl = `http://127.0.0.1:${server.getPort()}`;
+
+        const streamed = await getLines('/api/logs?level=ERROR&scrapeId=abc&since=2026-01-05&q=timeout');
+        expect(streamed.status).toBe(200);
+        expect(streamed.contentType).toBe('application/x-ndjson; charset=utf-8');
+        expect(streamed.lines).toEqual(entries);
+        expect(logSearch.stream).toHaveBeenCalledWith({
+            level: 'ERROR',
+            category: null,
+            component: null,
+            startTime: '2026-01-05T00:00:00.000Z',
+            endTime: null,
+            scrapeId: 'abc',
+            sessionId: null,
+            traceId: null,
+            text: 'timeout'
+        });
+
+        expect((await getLines('/api/logs?tail=1')).lines).toEqual([entries[1]]);
+        expect(logSearch.tail).toHaveBeenCalledWith(expect.objectContaining({ level: null }), 1);
+        expect((await get('/api/logs?since=later')).status).toBe(400);
+    });
+
+    test('should return 503 for logs without a log search', async () => {
+        expect((await get('/api/logs')).status).toBe(503);
+    });
+
+    test('should return 404 for unknown routes and 405 for wrong methods', async () => {
+        expect((await get('/api/unknown')).status).toBe(404);
+
+        expect((await request('/api/merchants', 'POST')).status).toBe(405);
+    });
+
+    test('should return 500 when the database query fails', async () => {
+        database.getMerchants.mockRejectedValue(new Error('SQLITE_BUSY'));
+
+        const { status, body } = await get('/api/merchants');
+        expect(status).toBe(500);
+        expect(body.error).toBe('SQLITE_BUSY');
+    });
+});
@@ -0,0 +1,8 @@
+// src/services/api/index.js
+const ApiServer = require('./ApiServer');
+const { ApiError } = require('./ApiServer');
+
+module.exports = {
+    ApiServer,
+    ApiError
+};
@@ -106,12 +106,23 @@ class ConfigService {
             'TARGET_URL': 'scraper.targetUrl',
             'SCRAPE_INTERVAL_MS': 'scraper.intervalMs',
             'TARGET_MERCHANT': 'scraper.targetMerchant',
+            'MARKETS': 'scraper.markets',
+            'CAPTURE_SNAPSHOTS': 'scraper.captureSnapshots',
+            'SNAPSHOT_DIR': 'scraper.snapshotDir',
+            'EXTRACTION_MODE': 'scraper.extractionMode',
             'CHROME_EXECUTABLE': 'browser.executablePath',
             'DATABASE_PATH': 'database.filename',
+            'WAREHOUSE_URL': 'database.warehouse.connectionString',
+            'WAREHOUSE_SCHEMA': 'database.warehouse.schema',
             'OUTPUT_DIR': 'storage.outputDir',
+            'OUTPUT_FORMATS': 'storage.formats',
+            'OUTPUT_SQL_DIALECT': 'storage.sqlDialect',
+            'BACKUP_ENCRYPTION_KEYS': 'storage.backup.encryption.keys',
+            'BACKUP_ENCRYPTION_KEY_ID': 'storage.backup.encryption.keyId',
             'LOG_LEVEL': 'logging.level',
             'MONITORING_ENABLED': 'monitoring.enabled',
-            'ALERTING_ENABLED': 'alerting.enabled'
+            'ALERTING_ENABLED': 'alerting.enabled',
+            'LOGS_API_ENABLED': 'features.logsApi'
         };
 
         const result = { ...config };
@@ -2,6 +2,13 @@
 const nodemailer = require('nodemailer');
 const fs = require('fs');
 const path = require('path');
+const { createHmac } = require('crypto');
+const DeadLetterQueue = require('./DeadLetterQueue');
+const { parseMarketSpec } = require('../../../scraper/markets');
+const { getRateLimitingManager, REQUEST_PRIORITY } = require('../../../scraper/rateLimiting');
+const { CHANGE_TYPES, countByType } = require('../../../scraper/orderBookChanges');
+const { getTraceId } = require('../../../scraper/traceContext');
+const { log } = require('../../../scraper/logger');
 
 /**
  * Alert Management Service
@@ -16,21 +23,36 @@ class AlertManager {
             email: config.email || {},
             webhook: config.webhook || {},
             slack: config.slack || {},
+            marketRules: config.marketRules || [],
             ...config
         };
         
+        // Webhook and Slack deliveries: attempts with exponential backoff, then the dead-letter queue
+        this.config.delivery = {
+            maxAttempts: 4,
+            retryDelay: 1000,
+            deadLetterPath: path.join(process.cwd(), 'data', 'alerts', 'dead-letter.json'),
+            ...config.delivery
+        };
+        
         this.rules = new Map();
         this.alertHistory = [];
         this.activeCooldowns = new Map();
         this.rateLimits = new Map();
         this.channels = new Map();
         this.emailTransporter = null;
+        this.requestManager = this.config.requestManager || null;
+        this.deadLetterQueue = this.config.deadLetterQueue || new DeadLetterQueue({ filePath: this.config.delivery.deadLetterPath });
+        this.marketSnapshots = new Map();
         
         // Initialize notification channels
         this.initializeChannels();
         
         // Register built-in alert rules
         this.registerBuiltInRules();
+        
+        // Register per-market rules from configuration
+        this.registerMarketRules(this.config.marketRules);
     }
 
     /**
@@ -222,6 +244,171 @@ class AlertManager {
         console.log(`✅ Registered ${this.rules.size} built-in alert rules`);
     }
 
+    /**
+     * Register alert rules evaluated against scraped market snapshots
+     * Each entry targets "ASSET-FIAT" (both sides) or "ASSET-FIAT:side";
+     * the spread rule always compares the pair's buy and sell pages
+     */
+    registerMarketRules(marketRules = []) {
+        let registered = 0;
+        
+        for (const entry of marketRules) {
+            const markets = parseMarketSpec(entry.market);
+            const pair = `${markets[0].asset}-${markets[0].fiat}`;
+            const options = {
+                scope: 'market',
+                severity: entry.severity || 'warning',
+                channels: entry.channels || ['email', 'webhook', 'slack'],
+                cooldown: entry.cooldown ? entry.cooldown * 1000 : this.config.cooldownPeriod,
+                enabled: entry.enabled !== false
+            };
+            
+            for (const market of markets) {
+                if (entry.priceChangePercent !== undefined) {
+                    this.registerRule(`market_price_change:${market.id}`, {
+                        ...options,
+                        condition: (context) => {
+                            const change = getBestPriceChange(context, market.id);
+                            return change !== null && Math.abs(change.percent) >= entry.priceChangePercent;
+                        },
+                        message: (context) => {
+                            const change = getBestPriceChange(context, market.id);
+                            return `${market.id} best price moved ${change.percent.toFixed(2)}% since the last scrape ` +
+                                `(${change.previous} → ${change.current} ${market.fiat})`;
+                        },
+                        details: (context) => ({
+                            market: market.id,
+                            ...getBestPriceChange(context, market.id),
+                            threshold: entry.priceChangePercent
+                        })
+                    });
+                    registered++;
+                }
+                
+                if (entry.minLiquidity !== undefined) {
+                    this.registerRule(`market_liquidity:${market.id}`, {
+                        ...options,
+                        condition: (context) => {
+                            const snapshot = context.current.get(market.id);
+                            return Boolean(snapshot) && typeof snapshot.liquidity === 'number' &&
+                                snapshot.liquidity < entry.minLiquidity;
+                        },
+                        message: (context) => {
+                            const snapshot = context.current.get(market.id);
+                            return `${market.id} available liquidity ${snapshot.liquidity.toFixed(2)} ${market.asset} ` +
+                                `is below ${entry.minLiquidity} ${market.asset}`;
+                        },
+                        details: (context) => ({
+                            market: market.id,
+                            liquidity: context.current.get(market.id).liquidity,
+                            threshold: entry.minLiquidity
+                        })
+                    });
+                    registered++;
+                }
+                
+                if (entry.rankChange) {
+                    this.registerRule(`market_rank_change:${market.id}`, {
+                        ...options,
+                        condition: (context) => getRankChange(context, market.id) !== null,
+                        message: (context) => {
+                            const change = getRankChange(context, market.id);
+                            if (change.current === null) {
+                                return `${change.merchant} is no longer listed on ${market.id} (was #${change.previous})`;
+                            }
+                            if (change.previous === null) {
+                                return `${change.merchant} is listed again on ${market.id} at #${change.current}`;
+                            }
+                            const direction = change.current < change.previous ? 'gained' : 'lost';
+                            return `${change.merchant} ${direction} rank on ${market.id}: #${change.previous} → #${change.current}`;
+                        },
+                        details: (context) => ({
+                            market: market.id,
+                            ...getRankChange(context, market.id)
+                        })
+                    });
+                    registered++;
+                }
+                
+                if (entry.undercutMargin !== undefined) {
+                    this.registerRule(`market_undercut:${market.id}`, {
+                        ...options,
+                        // Alert when the target becomes undercut, not on every scrape it stays undercut
+                        condition: (context) =>
+                            isUndercut(context.current.get(market.id)?.targetRank, entry.undercutMargin) &&
+                            !isUndercut(context.previous.get(market.id)?.targetRank, entry.undercutMargin),
+                        message: (context) => {
+                            const rank = context.current.get(market.id).targetRank;
+                            return `${rank.merchantName} undercut on ${market.id}: ${rank.bestMerchant} is ` +
+                                `${rank.gapToBest} ${market.fiat} better (now #${rank.rank})`;
+                        },
+                        details: (context) => {
+                            const rank = context.current.get(market.id).targetRank;
+                            return {
+                                market: market.id,
+                                merchant: rank.merchantName,
+                                rank: rank.rank,
+                                price: rank.price,
+                                bestMerchant: rank.bestMerchant,
+                                bestPrice: rank.bestPrice,
+                                gapToBest: rank.gapToBest,
+                                threshold: entry.undercutMargin
+                            };
+                        }
+                    });
+                    registered++;
+                }
+                
+                if (entry.adChanges) {
+                    const types = entry.adChanges === true ? Object.values(CHANGE_TYPES) : entry.adChanges;
+                    const matching = ({ events }) => events.filter(event => event.market === market.id && types.includes(event.type));
+                    
+                    this.registerRule(`market_ad_changes:${market.id}`, {
+                        ...options,
+                        scope: 'orderbook',
+                        condition: (context) => matching(context).length > 0,
+                        message: (context) => {
+                            const counts = Object.entries(countByType(matching(context)))
+                                .map(([type, count]) => `${count} ${type}`);
+                            return `${market.id} order book changed since the last scrape: ${counts.join(', ')}`;
+                        },
+                        details: (context) => ({
+                            market: market.id,
+                            counts: countByType(matching(context)),
+                            merchants: [...new Set(matching(context).map(event => event.merchant))]
+                        })
+                    });
+                    registered++;
+                }
+            }
+            
+            if (entry.spreadPercent !== undefined && !this.rules.has(`market_spread:${pair}`)) {
+                this.registerRule(`market_spread:${pair}`, {
+                    ...options,
+                    condition: (context) => {
+                        const spread = getPairSpread(context, pair);
+                        return spread !== null && spread.percent >= entry.spreadPercent;
+                    },
+                    message: (context) => {
+                        const spread = getPairSpread(context, pair);
+                        return `${pair} buy/sell spread is ${spread.percent.toFixed(2)}% ` +
+                            `(buy ${spread.buy} / sell ${spread.sell} ${markets[0].fiat})`;
+                    },
+                    details: (context) => ({
+                        market: pair,
+                        ...getPairSpread(context, pair),
+                        threshold: entry.spreadPercent
+                    })
+                });
+                registered++;
+            }
+        }
+        
+        if (registered > 0) {
+            console.log(`✅ Registered ${registered} market alert rules`);
+        }
+    }
+
     /**
      * Register a custom alert rule
      */
@@ -248,39 +435,116 @@ class AlertManager {
 
         const triggeredAlerts = [];
         
-        for (const [name, rule] of this.rules) {
-            if (!rule.enabled) {
+        for (const rule of this.rules.values()) {
+            // Market and order book rules only run when a scrape reports new market data
+            if (rule.scope === 'market' || rule.scope === 'orderbook') {
                 continue;
             }
             
-            try {
-                // Check if rule is in cooldown
-                if (this.isInCooldown(name)) {
-                    continue;
-                }
-                
-                // Evaluate rule condition
-                const triggered = rule.condition(metrics, healthStatus);
-                
-                if (triggered) {
-                    const alert = await this.createAlert(rule, metrics, healthStatus);
-                    triggeredAlerts.push(alert);
-                    
-                    // Send alert through configured channels
-                    await this.sendAlert(alert);
-                    
-                    // Start cooldown period
-                    this.startCooldown(name, rule.cooldown);
-                }
-                
-            } catch (error) {
-                console.error(`Error evaluating alert rule ${name}:`, error.message);
+            const alert = await this.evaluateRule(rule, metrics, healthStatus);
+            if (alert) {
+                triggeredAlerts.push(alert);
             }
         }
         
         return triggeredAlerts;
     }
 
+    /**
+     * Evaluate market rules against the per-market results of a scrape
+     * Snapshots are { market, status, bestPrice, liquidity } as reported by the scraper
+     */
+    async evaluateMarketRules(snapshots = []) {
+        if (!this.config.enabled) {
+            return [];
+        }
+
+        const current = new Map(
+            snapshots
+                .filter(snapshot => snapshot.status !== 'failed')
+                .map(snapshot => [snapshot.market, snapshot])
+        );
+        const context = { current, previous: this.marketSnapshots };
+        const triggeredAlerts = [];
+        
+        for (const rule of this.rules.values()) {
+            if (rule.scope !== 'market') {
+                continue;
+            }
+            
+            const alert = await this.evaluateRule(rule, context, null);
+            if (alert) {
+                triggeredAlerts.push(alert);
+            }
+        }
+        
+        // Failed markets keep their last good snapshot for the next comparison
+        this.marketSnapshots = new Map([...this.marketSnapshots, ...current]);
+        
+        return triggeredAlerts;
+    }
+
+    /**
+     * Evaluate order book rules against the change events of a scrape
+     * (see scraper/orderBookChanges.js); rules get { events } as context
+     */
+    async evaluateChangeRules(events = []) {
+        if (!this.config.enabled) {
+            return [];
+        }
+
+        const context = { events };
+        const triggeredAlerts = [];
+        
+        for (const rule of this.rules.values()) {
+            if (rule.scope !== 'orderbook') {
+                continue;
+            }
+            
+            const alert = await this.evaluateRule(rule, context, null);
+            if (alert) {
+                triggeredAlerts.push(alert);
+            }
+        }
+        
+        return triggeredAlerts;
+    }
+
+    /**
+     * Evaluate a single rule, sending the alert and starting the cooldown when it triggers
+     */
+    async evaluateRule(rule, metrics, healthStatus) {
+        if (!rule.enabled) {
+            return null;
+        }
+        
+        try {
+            // Check if rule is in cooldown
+            if (this.isInCooldown(rule.name)) {
+                return null;
+            }
+            
+            // Evaluate rule condition
+            if (!rule.condition(metrics, healthStatus)) {
+                return null;
+            }
+            
+            const alert = await this.createAlert(rule, metrics, healthStatus);
+            
+            // Send alert through configured channels
+            await this.sendAlert(alert);
+            
+            // Start cooldown period
+            this.startCooldown(rule.name, rule.cooldown);
+            
+            return alert;
+            
+        } catch (error) {
+            console.error(`Error evaluating alert rule ${rule.name}:`, error.message);
+            return null;
+        }
+    }
+
     /**
      * Create alert object
      */
@@ -293,6 +557,8 @@ class AlertManager {
                 ? rule.message(metrics, healthStatus) 
                 : rule.message,
             timestamp: Date.now(),
+            // The scrape that triggered a market or order book rule
+            traceId: getTraceId(),
             metrics: this.extractRelevantMetrics(metrics, rule),
             healthStatus,
             channels: rule.channels,
@@ -303,8 +569,9 @@ class AlertManager {
             }
         };
         
-        // Add to history
+        // Add to history; the activity log line puts the alert on its scrape's trace
         this.alertHistory.push(alert);
+        log(`Alert ${alert.id} created: ${alert.rule} (${alert.severity}) - ${alert.message}`);
         
         // Limit history size
         if (this.alertHistory.length > 1000) {
@@ -331,9 +598,10 @@ class AlertManager {
                 }
                 
                 sendPromises.push(
-                    channel.send(alert).catch(error => {
+                    channel.send(alert).catch(async (error) => {
                         console.error(`❌ Failed to send alert via ${channelName}:`, error.message);
-                        return { channel: channelName, error: error.message };
+                        await this.deadLetter(channelName, alert, error);
+                        throw error;
                     })
                 );
                 
@@ -353,6 +621,43 @@ class AlertManager {
         return results;
     }
 
+    /**
+     * Park an alert a channel failed to deliver in the dead-letter queue
+     */
+    async deadLetter(channelName, alert, error) {
+        try {
+            const entry = await this.deadLetterQueue.add({
+                channel: channelName,
+                alert,
+                error: error.message,
+                // Request queue failures carry their attempt count; email is sent once
+                attempts: error.attempts || 1
+            });
+            console.warn(`⚠️ Alert ${alert.rule} dead-lettered for ${channelName}: ${entry.id}`);
+        } catch (queueError) {
+            console.error(`❌ Failed to dead-letter alert ${alert.rule}:`, queueError.message);
+        }
+    }
+
+    /**
+     * Deliver dead-lettered alerts again through their channels
+     *
+     * @param {Object} filter - { channel, ids } to redrive only some entries.
+     * @returns {Object} { delivered: [ids], failed: [{ id, channel, error }], remaining }
+     */
+    async redriveDeadLetters(filter = {}) {
+        const result = await this.deadLetterQueue.redrive(async (entry) => {
+            const channel = this.channels.get(entry.channel);
+            if (!channel || !channel.enabled) {
+                throw new Error(`Channel ${entry.channel} is not enabled`);
+            }
+            await channel.send(entry.alert);
+        }, filter);
+        
+        console.log(`📧 Redrove dead-lettered alerts: ${result.delivered.length} delivered, ${result.failed.length} failed, ${result.remaining} left`);
+        return result;
+    }
+
     /**
      * Send email alert
      */
@@ -375,30 +680,85 @@ class AlertManager {
         await this.emailTransporter.sendMail(mailOptions);
     }
 
+    /**
+     * Request queue deliveries go through, so webhook and Slack posts share the
+     * per-host limits (and Retry-After pauses) of the scraper's traffic
+     */
+    getRequestManager() {
+        if (!this.requestManager) {
+            this.requestManager = getRateLimitingManager();
+        }
+        return this.requestManager;
+    }
+
+    /**
+     * POST a delivery through the request queue
+     */
+    async deliver(url, body, options = {}) {
+        const { maxAttempts, retryDelay } = this.config.delivery;
+        const response = await this.getRequestManager().queueRequest({
+            url,
+            method: options.method || 'POST',
+            headers: options.headers || {},
+            body,
+            timeout: options.timeout || 5000
+        }, {
+            priority: REQUEST_PRIORITY.HIGH,
+            maxAttempts,
+            retryDelay,
+            timeout: 120000 // Room for retries and a Retry-After pause
+        });
+
+        return { status: response.status, data: response.data };
+    }
+
     /**
      * Send webhook alert
      */
     async sendWebhookAlert(alert) {
-        // This would require adding an HTTP client
-        // For now, just log the webhook payload
-        const payload = {
-            alert,
-            webhook_url: this.config.webhook.url
-        };
-        
-        console.log('📡 Webhook alert payload:', JSON.stringify(payload, null, 2));
-        
-        // In a real implementation, you would POST this to the webhook URL
-        return { status: 'simulated', payload };
+        const { url, method, headers, timeout, secret } = this.config.webhook;
+        if (!url) {
+            throw new Error('Webhook URL not configured');
+        }
+
+        if (!secret) {
+            return this.deliver(url, { alert }, { method, headers, timeout });
+        }
+
+        // Signed over the exact bytes sent, with the timestamp so receivers can reject replays
+        const payload = JSON.stringify({ alert });
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        return this.deliver(url, payload, {
+            method,
+            timeout,
+            headers: {
+                ...headers,
+                'Content-Type': 'application/json',
+                'X-Alert-Timestamp': timestamp,
+                'X-Alert-Signature': AlertManager.signWebhookPayload(secret, timestamp, payload)
+            }
+        });
+    }
+
+    /**
+     * Signature of a webhook body: "sha256=" and the hex HMAC-SHA256 of
+     * "<timestamp>.<body>" under the shared secret
+     */
+    static signWebhookPayload(secret, timestamp, payload) {
+        return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex')}`;
     }
 
     /**
      * Send Slack alert
      */
     async sendSlackAlert(alert) {
-        // This would require Slack SDK or webhook integration
-        // For now, format as Slack message
+        if (!this.config.slack.webhookUrl) {
+            throw new Error('Slack webhook URL not configured');
+        }
+
         const slackMessage = {
+            channel: this.config.slack.channel,
+            username: this.config.slack.username,
             text: `*${alert.severity.toUpperCase()} Alert*`,
             attachments: [{
                 color: this.getSeverityColor(alert.severity),
@@ -411,9 +771,7 @@ class AlertManager {
             }]
         };
         
-        console.log('💬 Slack alert message:', JSON.stringify(slackMessage, null, 2));
-        
-        return { status: 'simulated', message: slackMessage };
+        return this.deliver(this.config.slack.webhookUrl, slackMessage, { timeout: this.config.slack.timeout });
     }
 
     /**
@@ -483,6 +841,11 @@ Sent by Gate.io P2P Scraper Monitoring System
      * Extract relevant metrics for alert
      */
     extractRelevantMetrics(metrics, rule) {
+        // Rules that evaluate something other than system metrics describe their own details
+        if (typeof rule.details === 'function') {
+            return rule.details(metrics);
+        }
+        
         // Extract a subset of metrics relevant to the alert
         const relevant = {};
         
@@ -658,4 +1021,66 @@ Sent by Gate.io P2P Scraper Monitoring System
     }
 }
 
+/**
+ * Best price change of a market between the previous and current scrape
+ */
+function getBestPriceChange({ current, previous }, marketId) {
+    const now = current.get(marketId);
+    const before = previous.get(marketId);
+    
+    if (!now || !before || !now.bestPrice || !before.bestPrice) {
+        return null;
+    }
+    
+    return {
+        previous: before.bestPrice,
+        current: now.bestPrice,
+        percent: ((now.bestPrice - before.bestPrice) / before.bestPrice) * 100
+    };
+}
+
+/**
+ * Rank change of the tracked merchant between the previous and current scrape
+ * A merchant that disappears or reappears counts as a change (rank null)
+ */
+function getRankChange({ current, previous }, marketId) {
+    const now = current.get(marketId)?.targetRank;
+    const before = previous.get(marketId)?.targetRank;
+    
+    if (!now || !before || now.rank === before.rank) {
+        return null;
+    }
+    
+    return {
+        merchant: now.merchantName,
+        previous: before.rank,
+        current: now.rank
+    };
+}
+
+/**
+ * Whether the tracked merchant is behind the best price by at least the margin
+ */
+function isUndercut(rank, margin) {
+    return Boolean(rank) && rank.rank !== null && rank.rank > 1 && rank.gapToBest >= margin;
+}
+
+/**
+ * Spread between the best buy-page price and best sell-page price of a pair
+ */
+function getPairSpread({ current }, pair) {
+    const buy = current.get(`${pair}-buy`);
+    const sell = current.get(`${pair}-sell`);
+    
+    if (!buy || !sell || !buy.bestPrice || !sell.bestPrice) {
+        return null;
+    }
+    
+    return {
+        buy: buy.bestPrice,
+        sell: sell.bestPrice,
+        percent: ((buy.bestPrice - sell.bestPrice) / sell.bestPrice) * 100
+    };
+}
+
 module.exports = AlertManager;
@@ -0,0 +1,72 @@
+// src/services/monitoring/DashboardServer.js
+const ApiServer = require('../api/ApiServer');
+const { renderDashboardPage } = require('./dashboardPage');
+
+/**
+ * Monitoring Dashboard Server
+ * Serves the self-contained dashboard page and the JSON it polls
+ */
+class DashboardServer extends ApiServer {
+    constructor(config = {}, dependencies = {}) {
+        super({
+            name: 'Dashboard server',
+            port: config.port || 3001,
+            refreshInterval: config.refreshInterval || 30000,
+            ladderSize: config.ladderSize || 20,
+            ladderMarket: null, // { asset, fiat, side } shown in the price ladder
+            ...config
+        }, dependencies);
+    }
+
+    /**
+     * Register dashboard routes in place of the data API routes
+     */
+    registerBuiltInRoutes() {
+        this.registerRoute('GET', '/', this.handleGetPage.bind(this));
+        this.registerRoute('GET', '/api/dashboard', this.handleGetDashboard.bind(this));
+    }
+
+    /**
+     * GET /
+     */
+    async handleGetPage({ res }) {
+        const html = renderDashboardPage({ refreshInterval: this.config.refreshInterval });
+
+        res.writeHead(200, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Length': Buffer.byteLength(html),
+            'Cache-Control': 'no-store'
+        });
+        res.end(html);
+    }
+
+    /**
+     * GET /api/dashboard
+     */
+    async handleGetDashboard() {
+        return {
+            timestamp: Date.now(),
+            monitoring: this.monitoring ? this.monitoring.getDashboardData() : null,
+            priceLadder: await this.getPriceLadder()
+        };
+    }
+
+    /**
+     * Get the latest scrape's merchants for the price ladder
+     * A database problem degrades the ladder rather than the whole dashboard
+     */
+    async getPriceLadder() {
+        if (!this.database || !this.database.isConnected) {
+            return { scrapeId: null, completedAt: null, merchants: [], error: 'Database not available' };
+        }
+
+        try {
+            return await this.database.getLatestScrapeMerchants(this.config.ladderSize, this.config.ladderMarket || {});
+        } catch (error) {
+            console.error('❌ Failed to load price ladder:', error.message);
+            return { scrapeId: null, completedAt: null, merchants: [], error: error.message };
+        }
+    }
+}
+
+module.exports = DashboardServer;
@@ -0,0 +1,130 @@
+// src/services/monitoring/DeadLetterQueue.js
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Dead-letter queue for alerts a channel still failed to deliver after its retries
+ * Entries are kept in a JSON file, so they survive restarts until redriven
+ */
+class DeadLetterQueue {
+    constructor(config = {}) {
+        this.filePath = config.filePath || path.join(process.cwd(), 'data', 'alerts', 'dead-letter.json');
+        this.maxEntries = config.maxEntries || 1000;
+        this.entries = null;
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Run `work` on the loaded entries after earlier updates; it returns
+     * { changed, value }, and the file is saved when changed
+     */
+    update(work) {
+        const result = this.pending.then(async () => {
+            const entries = await this.load();
+            const { changed, value } = await work(entries);
+            if (changed) {
+                await this.save();
+            }
+            return value;
+        });
+
+        this.pending = result.catch(() => {});
+        return result;
+    }
+
+    async load() {
+        if (!this.entries) {
+            try {
+                this.entries = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw new Error(`Unreadable dead-letter queue ${this.filePath}: ${error.message}`);
+                }
+                this.entries = [];
+            }
+        }
+        return this.entries;
+    }
+
+    async save() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(this.entries, null, 2));
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    /**
+     * Add a failed delivery; the oldest entries are dropped beyond maxEntries
+     */
+    add({ channel, alert, error, attempts }) {
+        return this.update(async (entries) => {
+            const entry = {
+                id: `dlq_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                channel,
+                alert,
+                error,
+                attempts,
+                redrives: 0,
+                failedAt: new Date().toISOString()
+            };
+
+            entries.push(entry);
+            if (entries.length > this.maxEntries) {
+                const dropped = entries.splice(0, entries.length - this.maxEntries);
+                console.warn(`⚠️ Dead-letter queue full, dropped ${dropped.length} oldest alert(s)`);
+            }
+            return { changed: true, value: entry };
+        });
+    }
+
+    /**
+     * Entries, oldest first, optionally only those of one channel or with the given ids
+     */
+    list(filter = {}) {
+        return this.update(async (entries) => ({
+            changed: false,
+            value: entries.filter(entry => matchesFilter(entry, filter))
+        }));
+    }
+
+    /**
+     * Try each matching entry again with `deliver(entry)`; delivered entries leave
+     * the queue, failed ones stay with the new error
+     *
+     * @returns {Object} { delivered: [ids], failed: [{ id, channel, error }], remaining }
+     */
+    redrive(deliver, filter = {}) {
+        return this.update(async (entries) => {
+            const delivered = [];
+            const failed = [];
+
+            for (const entry of entries.filter(candidate => matchesFilter(candidate, filter))) {
+                try {
+                    await deliver(entry);
+                    delivered.push(entry.id);
+                } catch (error) {
+                    entry.redrives++;
+                    entry.error = error.message;
+                    entry.lastRedriveAt = new Date().toISOString();
+                    failed.push({ id: entry.id, channel: entry.channel, error: error.message });
+                }
+            }
+
+            this.entries = entries.filter(entry => !delivered.includes(entry.id));
+            return {
+                changed: delivered.length > 0 || failed.length > 0,
+                value: { delivered, failed, remaining: this.entries.length }
+            };
+        });
+    }
+}
+
+/**
+ * Whether an entry is of filter.channel and among filter.ids, where given
+ */
+function matchesFilter(entry, filter) {
+    return (!filter.channel || entry.channel === filter.channel) &&
+        (!filter.ids || filter.ids.includes(entry.id));
+}
+
+module.exports = DeadLetterQueue;
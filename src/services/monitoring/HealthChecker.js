@@ -1,6 +1,14 @@
 // src/services/monitoring/HealthChecker.js
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
+const https = require('https');
+const { getRateLimitingManager, REQUEST_PRIORITY } = require('../../../scraper/rateLimiting');
+const { ENHANCED_USER_AGENTS } = require('../../../scraper/enhanced-stealth');
+
+// Dependency response bodies beyond this size are cut off before the assertions run
+const MAX_RESPONSE_BODY = 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Health Checking Service
@@ -12,6 +20,7 @@ class HealthChecker {
             checkInterval: config.checkInterval || 60000, // 1 minute
             timeout: config.timeout || 30000, // 30 seconds
             retries: config.retries || 3,
+            statusFile: config.statusFile || null, // health.json read by scripts/healthcheck.js
             ...config
         };
         
@@ -20,9 +29,14 @@ class HealthChecker {
         this.isRunning = false;
         this.checkInterval = null;
         this.dependencies = new Map();
+        this.requestManager = this.config.requestManager || null;
         
         // Register built-in health checks
         this.registerBuiltInChecks();
+        
+        for (const dependency of config.dependencies || []) {
+            this.registerDependency(dependency.name, dependency);
+        }
     }
 
     /**
@@ -78,21 +92,30 @@ class HealthChecker {
 
     /**
      * Register an external dependency
+     *
+     * HTTP dependencies take: url, method, headers, expectedStatus (code or codes,
+     * default any below 400), bodyContains (text or texts), jsonPath
+     * ([{ path: '$.status', equals: 'ok' }, { path: '$.data', exists: true }]),
+     * latencyWarning / latencyCritical (ms), certificateExpiryDays (warn this many
+     * days before a TLS certificate expires, default 14), rejectUnauthorized and ca.
      */
     registerDependency(name, config) {
-        this.dependencies.set(name, {
+        const dependency = {
+            ...config,
             name,
             type: config.type || 'http',
             url: config.url,
             timeout: config.timeout || 10000,
             critical: config.critical || false,
-            ...config
-        });
+            certificateExpiryDays: config.certificateExpiryDays ?? 14
+        };
+        this.dependencies.set(name, dependency);
         
-        // Register as a health check
+        // Register as a health check: up to `timeout` waiting for the host's limiter,
+        // then the probe's own timeout, which fires first
         this.registerCheck(`dependency.${name}`, 
             () => this.checkDependency(name), 
-            { critical: config.critical }
+            { critical: config.critical, timeout: 2 * dependency.timeout + 1000 }
         );
     }
 
@@ -149,6 +172,28 @@ class HealthChecker {
         
         // Update overall health status
         this.updateOverallHealth();
+        
+        if (this.config.statusFile) {
+            await this.writeStatusFile();
+        }
+    }
+
+    /**
+     * Write the health summary for processes outside the app, such as the
+     * Docker healthcheck
+     */
+    async writeStatusFile() {
+        try {
+            const statusFile = this.config.statusFile;
+            await fs.promises.mkdir(path.dirname(statusFile), { recursive: true });
+            await fs.promises.writeFile(`${statusFile}.tmp`, JSON.stringify({
+                ...this.getHealthSummary(),
+                checkInterval: this.config.checkInterval
+            }, null, 2));
+            await fs.promises.rename(`${statusFile}.tmp`, statusFile);
+        } catch (error) {
+            console.error(`❌ Failed to write health status file: ${error.message}`);
+        }
     }
 
     /**
@@ -181,6 +226,7 @@ class HealthChecker {
             status.lastFailure = startTime;
             status.consecutiveFailures++;
             status.message = error.message || 'Check failed';
+            status.details = error.details || {};
             status.error = error.stack;
             status.duration = Date.now() - startTime;
             
@@ -423,15 +469,142 @@ class HealthChecker {
         throw new Error(`Unknown dependency type: ${dependency.type}`);
     }
 
+    /**
+     * Request queue probes go through, so they share the per-host limits (and
+     * Retry-After pauses) of the scraper's navigations to the same host
+     */
+    getRequestManager() {
+        if (!this.requestManager) {
+            this.requestManager = getRateLimitingManager();
+        }
+        return this.requestManager;
+    }
+
+    /**
+     * Probe an HTTP(S) dependency and assert on its response. Failed assertions
+     * throw with the response details attached; warnings (slow response, TLS
+     * certificate close to expiry) keep the check healthy.
+     */
     async checkHttpDependency(dependency) {
-        // This would require adding an HTTP client like axios or fetch
-        // For now, return a placeholder
+        const response = await this.getRequestManager().schedule(new URL(dependency.url).host, () => this.requestDependency(dependency), {
+            priority: REQUEST_PRIORITY.LOW,
+            maxAttempts: 1, // the next round of checks is the retry
+            timeout: 2 * dependency.timeout
+        }).catch((error) => {
+            throw error.message.startsWith(`${dependency.name}:`) ? error : new Error(`${dependency.name}: ${error.message}`);
+        });
+        const failures = [];
+        const warnings = [];
+        const details = {
+            url: dependency.url,
+            statusCode: response.statusCode,
+            latency: response.latency
+        };
+        
+        if (!isExpectedStatus(response.statusCode, dependency.expectedStatus)) {
+            failures.push(`status ${response.statusCode}, expected ${[].concat(dependency.expectedStatus || '< 400').join(' or ')}`);
+        }
+        
+        for (const text of [].concat(dependency.bodyContains || [])) {
+            if (!response.body.includes(text)) {
+                failures.push(`body does not contain "${text}"`);
+            }
+        }
+        
+        if (dependency.jsonPath && dependency.jsonPath.length > 0) {
+            failures.push(...checkJsonPaths(response.body, dependency.jsonPath));
+        }
+        
+        if (dependency.latencyCritical && response.latency > dependency.latencyCritical) {
+            failures.push(`latency ${response.latency}ms above ${dependency.latencyCritical}ms`);
+        } else if (dependency.latencyWarning && response.latency > dependency.latencyWarning) {
+            warnings.push(`latency ${response.latency}ms above ${dependency.latencyWarning}ms`);
+        }
+        
+        if (response.certificate) {
+            const expiresAt = new Date(response.certificate.valid_to);
+            const daysRemaining = Math.floor((expiresAt.getTime() - Date.now()) / DAY_MS);
+            details.certificate = {
+                subject: response.certificate.subject?.CN,
+                issuer: response.certificate.issuer?.CN,
+                expiresAt: expiresAt.toISOString(),
+                daysRemaining
+            };
+            
+            if (expiresAt.getTime() <= Date.now()) {
+                failures.push(`TLS certificate expired on ${details.certificate.expiresAt}`);
+            } else if (daysRemaining < dependency.certificateExpiryDays) {
+                warnings.push(`TLS certificate expires in ${daysRemaining} day(s)`);
+            }
+        }
+        
+        if (failures.length > 0) {
+            const error = new Error(`${dependency.name}: ${failures.join('; ')}`);
+            error.details = { ...details, failures, warnings };
+            throw error;
+        }
+        
         return {
-            message: `HTTP dependency check not implemented: ${dependency.url}`,
-            details: { dependency }
+            message: warnings.length > 0
+                ? `${dependency.name} reachable with warnings: ${warnings.join('; ')}`
+                : `${dependency.name} reachable (${response.statusCode} in ${response.latency}ms)`,
+            details: { ...details, warnings }
         };
     }
 
+    /**
+     * Request a dependency's URL; latency runs until the whole body has arrived
+     *
+     * @returns {Object} { statusCode, body, latency, certificate } where certificate is the peer certificate of HTTPS URLs
+     */
+    requestDependency(dependency) {
+        const url = new URL(dependency.url);
+        const client = url.protocol === 'https:' ? https : http;
+        const startTime = Date.now();
+        
+        return new Promise((resolve, reject) => {
+            const req = client.request(url, {
+                method: dependency.method || 'GET',
+                // Gate.io answers non-browser clients differently from the scraper's browser
+                headers: { 'User-Agent': ENHANCED_USER_AGENTS[0], ...dependency.headers },
+                timeout: dependency.timeout,
+                agent: false, // a fresh connection, so every probe sees the certificate
+                rejectUnauthorized: dependency.rejectUnauthorized !== false,
+                ...(dependency.ca && { ca: dependency.ca })
+            }, (res) => {
+                const certificate = typeof res.socket.getPeerCertificate === 'function'
+                    ? res.socket.getPeerCertificate()
+                    : null;
+                const chunks = [];
+                let size = 0;
+                
+                res.on('data', (chunk) => {
+                    if (size < MAX_RESPONSE_BODY) {
+                        chunks.push(chunk);
+                    }
+                    size += chunk.length;
+                });
+                res.on('end', () => resolve({
+                    statusCode: res.statusCode,
+                    body: Buffer.concat(chunks).toString('utf8'),
+                    latency: Date.now() - startTime,
+                    certificate: certificate && certificate.valid_to ? certificate : null
+                }));
+                res.on('error', reject);
+            });
+            
+            req.on('timeout', () => {
+                req.destroy(new Error(`${dependency.name}: no response within ${dependency.timeout}ms`));
+            });
+            req.on('error', (error) => {
+                reject(error.message.startsWith(`${dependency.name}:`)
+                    ? error
+                    : new Error(`${dependency.name}: ${error.message}`));
+            });
+            req.end();
+        });
+    }
+
     /**
      * Get health status for a specific check
      */
@@ -486,7 +659,8 @@ class HealthChecker {
                 status: status.status,
                 lastCheck: status.lastCheck,
                 message: status.message,
-                consecutiveFailures: status.consecutiveFailures
+                consecutiveFailures: status.consecutiveFailures,
+                critical: Boolean(this.checks.get(name)?.config.critical)
             };
         }
         
@@ -536,4 +710,56 @@ class HealthChecker {
     }
 }
 
+/**
+ * Whether a status code is one of the expected ones; without any, below 400
+ */
+function isExpectedStatus(statusCode, expectedStatus) {
+    if (expectedStatus === undefined || expectedStatus === null) {
+        return statusCode < 400;
+    }
+    return [].concat(expectedStatus).includes(statusCode);
+}
+
+/**
+ * Value at a path like "$.data.items[0].status", undefined where it leads nowhere
+ */
+function getJsonPath(value, jsonPath) {
+    return jsonPath
+        .replace(/^\$\.?/, '')
+        .split(/\.|\[(\d+)\]/)
+        .filter(Boolean)
+        .reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+}
+
+/**
+ * Failed JSON path assertions of a response body: { path, equals } compares the
+ * value, { path, exists: false } requires it to be missing, a bare path to be present
+ */
+function checkJsonPaths(body, assertions) {
+    let json;
+    try {
+        json = JSON.parse(body);
+    } catch {
+        return ['body is not JSON'];
+    }
+    
+    const failures = [];
+    for (const assertion of assertions) {
+        const actual = getJsonPath(json, assertion.path);
+        
+        if (assertion.equals !== undefined) {
+            if (JSON.stringify(actual) !== JSON.stringify(assertion.equals)) {
+                failures.push(`${assertion.path} is ${JSON.stringify(actual)}, expected ${JSON.stringify(assertion.equals)}`);
+            }
+        } else if (assertion.exists === false) {
+            if (actual !== undefined) {
+                failures.push(`${assertion.path} is present`);
+            }
+        } else if (actual === undefined) {
+            failures.push(`${assertion.path} is missing`);
+        }
+    }
+    return failures;
+}
+
 module.exports = HealthChecker;
@@ -13,6 +13,7 @@ class MetricsCollector {
             collectInterval: config.collectInterval || 30000, // 30 seconds
             retentionPeriod: config.retentionPeriod || 24 * 60 * 60 * 1000, // 24 hours
             maxDataPoints: config.maxDataPoints || 2880, // 24 hours at 30s intervals
+            histogramBuckets: config.histogramBuckets || [10, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000, 120000], // ms
             ...config
         };
         
@@ -21,6 +22,9 @@ class MetricsCollector {
         this.counters = new Map();
         this.gauges = new Map();
         this.histograms = new Map();
+        // Per-label series of counters and cumulative histogram buckets, for exposition
+        this.counterSeries = new Map();
+        this.histogramTotals = new Map();
         this.startTime = Date.now();
         this.isCollecting = false;
         this.collectionInterval = null;
@@ -186,6 +190,11 @@ class MetricsCollector {
     incrementCounter(name, value = 1, tags = {}) {
         const currentValue = this.counters.get(name) || 0;
         this.counters.set(name, currentValue + value);
+
+        if (Object.keys(tags).length > 0) {
+            const series = getSeries(this.counterSeries, name, tags, () => ({ value: 0 }));
+            series.value += value;
+        }
         
         // Also record as time series for trend analysis
         this.recordTimeSeries(`${name}.rate`, value, Date.now(), tags);
@@ -218,6 +227,19 @@ class MetricsCollector {
         
         const dataPoints = this.histograms.get(name);
         dataPoints.push({ value, timestamp, tags });
+
+        const totals = getSeries(this.histogramTotals, name, tags, () => ({
+            bucketCounts: new Array(this.config.histogramBuckets.length).fill(0),
+            count: 0,
+            sum: 0
+        }));
+        this.config.histogramBuckets.forEach((bound, index) => {
+            if (value <= bound) {
+                totals.bucketCounts[index]++;
+            }
+        });
+        totals.count++;
+        totals.sum += value;
         
         // Limit data points
         if (dataPoints.length > this.config.maxDataPoints) {
@@ -442,6 +464,8 @@ class MetricsCollector {
         this.gauges.clear();
         this.histograms.clear();
         this.timeSeries.clear();
+        this.counterSeries.clear();
+        this.histogramTotals.clear();
         this.initializeMetrics();
         console.log('✅ All metrics reset');
     }
@@ -479,4 +503,20 @@ class MetricsCollector {
     }
 }
 
+/**
+ * Series of a metric for one set of tags, created with `create()` on first use
+ */
+function getSeries(seriesByName, name, tags, create) {
+    if (!seriesByName.has(name)) {
+        seriesByName.set(name, new Map());
+    }
+
+    const series = seriesByName.get(name);
+    const key = JSON.stringify(Object.entries(tags).sort(([a], [b]) => a.localeCompare(b)));
+    if (!series.has(key)) {
+        series.set(key, { labels: { ...tags }, ...create() });
+    }
+    return series.get(key);
+}
+
 module.exports = MetricsCollector;
@@ -2,6 +2,11 @@
 const MetricsCollector = require('./MetricsCollector');
 const HealthChecker = require('./HealthChecker');
 const AlertManager = require('./AlertManager');
+const { getAllCircuitBreakerStats } = require('../../../scraper/circuitBreaker');
+const { getChangeCapture } = require('../../../scraper/orderBookChanges');
+const { classifyError } = require('../../../scraper/errorHandling');
+const { withTrace } = require('../../../scraper/traceContext');
+const { renderOpenMetrics } = require('./openMetrics');
 
 /**
  * Main Monitoring Service
@@ -27,10 +32,17 @@ class MonitoringService {
         this.healthChecker = new HealthChecker(this.config.health);
         this.alertManager = new AlertManager(this.config.alerting);
         
+        // Order book change events published by the scraper in this process
+        this.changeCapture = config.changeCapture || getChangeCapture();
+        
+        // Optional PerformanceMetrics registry, exposed on /metrics next to the collector's metrics
+        this.performanceMetrics = config.performanceMetrics || null;
+        
         // Bind methods
         this.handleScraperEvent = this.handleScraperEvent.bind(this);
         this.handleBrowserEvent = this.handleBrowserEvent.bind(this);
         this.handleDatabaseEvent = this.handleDatabaseEvent.bind(this);
+        this.handleOrderBookChanges = this.handleOrderBookChanges.bind(this);
         
         console.log('✅ MonitoringService initialized');
     }
@@ -53,6 +65,7 @@ class MonitoringService {
             // Start components
             this.metricsCollector.start();
             this.healthChecker.start();
+            this.changeCapture.on('changes', this.handleOrderBookChanges);
             
             // Start main monitoring loop
             this.monitoringInterval = setInterval(() => {
@@ -90,6 +103,7 @@ class MonitoringService {
             // Stop components
             this.metricsCollector.stop();
             this.healthChecker.stop();
+            this.changeCapture.off('changes', this.handleOrderBookChanges);
             
             this.isRunning = false;
             
@@ -129,6 +143,22 @@ class MonitoringService {
         }
     }
 
+    /**
+     * Handle the order book change events of a scrape: { capturedAt, events, summary }
+     */
+    handleOrderBookChanges({ events = [] }) {
+        this.metricsCollector.incrementCounter('orderbook.changes.total', events.length);
+        for (const event of events) {
+            this.metricsCollector.incrementCounter(`orderbook.changes.${event.type}`);
+        }
+        
+        if (this.config.alerting.enabled && events.length > 0) {
+            this.alertManager.evaluateChangeRules(events).catch(error => {
+                console.error('❌ Error evaluating order book alert rules:', error.message);
+            });
+        }
+    }
+
     /**
      * Handle scraper events
      */
@@ -145,13 +175,30 @@ class MonitoringService {
                 this.metricsCollector.recordGauge('scraper.duration.last', data.duration);
                 this.metricsCollector.recordGauge('scraper.merchants.count', data.merchantCount);
                 this.metricsCollector.incrementCounter('scraper.merchants.scraped', data.merchantCount);
+                if (data.duration) {
+                    this.metricsCollector.recordHistogram('scraper.run.duration', data.duration);
+                }
+                if (Array.isArray(data.results?.markets)) {
+                    this.recordMarketMetrics(data.results.markets);
+                }
+                
+                // Market rules compare each scrape's per-market results with the previous scrape;
+                // their alerts belong to the scrape's trace
+                if (this.config.alerting.enabled && Array.isArray(data.results?.markets)) {
+                    withTrace(data.results.traceId, () => this.alertManager.evaluateMarketRules(data.results.markets)).catch(error => {
+                        console.error('❌ Error evaluating market alert rules:', error.message);
+                    });
+                }
                 break;
                 
             case 'scraper.error':
                 this.metricsCollector.incrementCounter('scraper.runs.failed');
-                this.metricsCollector.incrementCounter('scraper.errors.count');
+                this.metricsCollector.incrementCounter('scraper.errors.count', 1, {
+                    category: data.category || classifyError({ message: data.error })
+                });
                 if (data.duration) {
                     this.metricsCollector.recordGauge('scraper.duration.last', data.duration);
+                    this.metricsCollector.recordHistogram('scraper.run.duration', data.duration);
                 }
                 break;
                 
@@ -174,6 +221,42 @@ class MonitoringService {
         }
     }
 
+    /**
+     * Record the per-market results of a scrape: business gauges of the markets
+     * that succeeded, and an error by category for those that failed
+     */
+    recordMarketMetrics(markets) {
+        const timestamp = Date.now();
+        
+        for (const result of markets) {
+            const tags = { market: result.market, asset: result.asset, fiat: result.fiat, side: result.side };
+            
+            this.metricsCollector.incrementCounter('market.scrapes', 1, { market: result.market, status: result.status });
+            if (typeof result.duration === 'number') {
+                this.metricsCollector.recordHistogram('market.scrape.duration', result.duration, timestamp, { market: result.market });
+            }
+            
+            if (result.status !== 'success') {
+                this.metricsCollector.incrementCounter('market.errors', 1, {
+                    market: result.market,
+                    category: classifyError({ message: result.error })
+                });
+                continue;
+            }
+            
+            this.metricsCollector.recordGauge('market.merchantCount', result.merchantCount, timestamp, tags);
+            if (typeof result.bestPrice === 'number') {
+                this.metricsCollector.recordGauge('market.bestPrice', result.bestPrice, timestamp, tags);
+            }
+            if (typeof result.liquidity === 'number') {
+                this.metricsCollector.recordGauge('market.liquidity', result.liquidity, timestamp, tags);
+            }
+            if (typeof result.targetRank?.rank === 'number') {
+                this.metricsCollector.recordGauge('market.targetRank', result.targetRank.rank, timestamp, tags);
+            }
+        }
+    }
+
     /**
      * Handle browser events
      */
@@ -254,11 +337,11 @@ class MonitoringService {
         
         switch (type) {
             case 'circuitBreaker.open':
-                this.metricsCollector.incrementCounter('circuitBreaker.opens.count');
+                this.metricsCollector.incrementCounter('circuitBreaker.opens.count', 1, data.name ? { name: data.name } : {});
                 break;
                 
             case 'circuitBreaker.close':
-                this.metricsCollector.incrementCounter('circuitBreaker.closes.count');
+                this.metricsCollector.incrementCounter('circuitBreaker.closes.count', 1, data.name ? { name: data.name } : {});
                 break;
                 
             case 'circuitBreaker.halfOpen':
@@ -335,6 +418,17 @@ class MonitoringService {
         return this.metricsCollector.getMetricsSummary();
     }
 
+    /**
+     * Get the metrics as OpenMetrics text ({ openMetrics: false } for Prometheus 0.0.4 text)
+     */
+    getOpenMetrics(options = {}) {
+        return renderOpenMetrics({
+            metricsCollector: this.metricsCollector,
+            performanceMetrics: this.performanceMetrics,
+            circuitBreakers: getAllCircuitBreakerStats()
+        }, options);
+    }
+
     /**
      * Get health status
      */
@@ -349,6 +443,17 @@ class MonitoringService {
         return this.alertManager.getStatistics();
     }
 
+    /**
+     * Get recent alerts without the metric and health snapshots attached to them
+     */
+    getRecentAlerts(limit = 20) {
+        return this.alertManager.getAlertHistory(limit)
+            .map(({ id, rule, severity, message, timestamp, channels }) => ({
+                id, rule, severity, message, timestamp, channels
+            }))
+            .reverse();
+    }
+
     /**
      * Get comprehensive dashboard data
      */
@@ -359,6 +464,8 @@ class MonitoringService {
             metrics: this.getMetrics(),
             health: this.getHealth(),
             alerts: this.getAlerts(),
+            recentAlerts: this.getRecentAlerts(),
+            circuitBreakers: getAllCircuitBreakerStats(),
             overview: {
                 isHealthy: this.healthChecker.isHealthy(),
                 hasCriticalIssues: this.healthChecker.hasCriticalIssues(),
@@ -413,7 +520,8 @@ class MonitoringService {
             scraper: this.handleScraperEvent,
             browser: this.handleBrowserEvent,
             database: this.handleDatabaseEvent,
-            circuitBreaker: this.handleCircuitBreakerEvent
+            circuitBreaker: this.handleCircuitBreakerEvent,
+            orderBook: this.handleOrderBookChanges
         };
     }
 
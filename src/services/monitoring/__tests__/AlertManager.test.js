@@ -0,0 +1,368 @@
+// src/services/monitoring/__tests__/AlertManager.test.js
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AlertManager = require('../AlertManager');
+const { RateLimitingManager } = require('../../../../scraper/rateLimiting');
+
+jest.mock('../../../../scraper/logger', () => ({
+    log: jest.fn(),
+    errorLog: jest.fn(),
+    debugLog: jest.fn(),
+    warn: jest.fn()
+}));
+
+function snapshot(market, bestPrice, liquidity = 10000) {
+    return { market, status: 'success', bestPrice, liquidity };
+}
+
+describe('AlertManager market rules', () => {
+    let alertManager;
+    let sent;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        alertManager = new AlertManager({
+            cooldownPeriod: 300000,
+            maxAlertsPerHour: 10,
+            marketRules: [
+                { market: 'USDT-KES', priceChangePercent: 1, spreadPercent: 2, minLiquidity: 5000, channels: ['slack'] },
+                { market: 'BTC-NGN:sell', minLiquidity: 0.5, channels: ['slack'], cooldown: 60 }
+            ]
+        });
+
+        sent = [];
+        alertManager.channels.set('slack', {
+            type: 'slack',
+            enabled: true,
+            send: async (alert) => { sent.push(alert); }
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should register one rule per market and condition', () => {
+        const names = Array.from(alertManager.rules.keys()).filter(name => name.startsWith('market_'));
+
+        expect(names.sort()).toEqual([
+            'market_liquidity:BTC-NGN-sell',
+            'market_liquidity:USDT-KES-buy',
+            'market_liquidity:USDT-KES-sell',
+            'market_price_change:USDT-KES-buy',
+            'market_price_change:USDT-KES-sell',
+            'market_spread:USDT-KES'
+        ]);
+        expect(alertManager.rules.get('market_liquidity:BTC-NGN-sell').cooldown).toBe(60000);
+    });
+
+    test('should alert when the best price moves more than the threshold since the last scrape', async () => {
+        await alertManager.evaluateMarketRules([snapshot('USDT-KES-buy', 130), snapshot('USDT-KES-sell', 129)]);
+        expect(sent).toHaveLength(0);
+
+        const alerts = await alertManager.evaluateMarketRules([snapshot('USDT-KES-buy', 132), snapshot('USDT-KES-sell', 129.5)]);
+
+        expect(alerts.map(alert => alert.rule)).toEqual(['market_price_change:USDT-KES-buy']);
+        expect(alerts[0].message).toContain('1.54%');
+        expect(alerts[0].metrics).toMatchObject({ market: 'USDT-KES-buy', previous: 130, current: 132, threshold: 1 });
+        expect(sent).toHaveLength(1);
+    });
+
+    test('should alert on a wide buy/sell spread and low liquidity', async () => {
+        const alerts = await alertManager.evaluateMarketRules([
+            snapshot('USDT-KES-buy', 133, 2000),
+            snapshot('USDT-KES-sell', 129),
+            snapshot('BTC-NGN-sell', 95000000, 0.2)
+        ]);
+
+        expect(alerts.map(alert => alert.rule).sort()).toEqual([
+            'market_liquidity:BTC-NGN-sell',
+            'market_liquidity:USDT-KES-buy',
+            'market_spread:USDT-KES'
+        ]);
+        expect(alerts.find(alert => alert.rule === 'market_spread:USDT-KES').metrics.percent).toBeCloseTo(3.1, 1);
+    });
+
+    test('should apply cooldowns per market rule', async () => {
+        await alertManager.evaluateMarketRules([snapshot('USDT-KES-buy', 130, 100)]);
+        const second = await alertManager.evaluateMarketRules([snapshot('USDT-KES-buy', 130, 100)]);
+
+        expect(second).toHaveLength(0);
+        expect(sent).toHaveLength(1);
+        expect(alertManager.getActiveCooldowns()).toHaveProperty(['market_liquidity:USDT-KES-buy']);
+    });
+
+    test('should compare against the last good snapshot when a market fails', async () => {
+        await alertManager.evaluateMarketRules([snapshot('USDT-KES-buy', 130)]);
+        await alertManager.evaluateMarketRules([{ market: 'USDT-KES-buy', status: 'failed', error: 'blocked' }]);
+        const alerts = await alertManager.evaluateMarketRules([snapshot('USDT-KES-buy', 127)]);
+
+        expect(alerts[0].metrics).toMatchObject({ previous: 130, current: 127 });
+    });
+
+    test('should not evaluate market rules in the metrics cycle', async () => {
+        const conditions = Array.from(alertManager.rules.values())
+            .filter(rule => rule.scope === 'market')
+            .map(rule => jest.spyOn(rule, 'condition'));
+
+        await alertManager.evaluateRules({ gauges: {}, counters: {} }, null);
+
+        conditions.forEach(condition => expect(condition).not.toHaveBeenCalled());
+    });
+
+    describe('tracked merchant rank', () => {
+        function ranked(rank, gapToBest) {
+            return {
+                market: 'USDT-UGX-buy',
+                status: 'success',
+                bestPrice: 3700,
+                targetRank: { merchantName: 'coinftw', rank, gapToBest, bestMerchant: 'beta' }
+            };
+        }
+
+        beforeEach(() => {
+            alertManager.registerMarketRules([
+                { market: 'USDT-UGX:buy', rankChange: true, undercutMargin: 5, channels: ['slack'] }
+            ]);
+        });
+
+        test('should alert when the target gains or loses rank', async () => {
+            await alertManager.evaluateMarketRules([ranked(1, 0)]);
+            const alerts = await alertManager.evaluateMarketRules([ranked(3, 2)]);
+
+            expect(alerts.map(alert => alert.rule)).toEqual(['market_rank_change:USDT-UGX-buy']);
+            expect(alerts[0].message).toBe('coinftw lost rank on USDT-UGX-buy: #1 → #3');
+        });
+
+        test('should alert when the target drops off the book', async () => {
+            await alertManager.evaluateMarketRules([ranked(2, 1)]);
+            const alerts = await alertManager.evaluateMarketRules([ranked(null, null)]);
+
+            expect(alerts[0].message).toBe('coinftw is no longer listed on USDT-UGX-buy (was #2)');
+        });
+
+        test('should alert once when the target becomes undercut by the margin', async () => {
+            await alertManager.evaluateMarketRules([ranked(2, 1)]);
+            alertManager.activeCooldowns.clear();
+
+            const undercut = await alertManager.evaluateMarketRules([ranked(2, 6)]);
+            alertManager.activeCooldowns.clear();
+            const stillUndercut = await alertManager.evaluateMarketRules([ranked(2, 7)]);
+
+            expect(undercut.map(alert => alert.rule)).toEqual(['market_undercut:USDT-UGX-buy']);
+            expect(undercut[0].message).toBe('coinftw undercut on USDT-UGX-buy: beta is 6 UGX better (now #2)');
+            expect(stillUndercut).toHaveLength(0);
+        });
+    });
+
+    describe('order book changes', () => {
+        function change(type, merchant, market = 'USDT-KES-sell') {
+            return { type, market, merchant };
+        }
+
+        beforeEach(() => {
+            alertManager.registerMarketRules([
+                { market: 'USDT-KES:sell', adChanges: ['ad.added', 'ad.removed'], channels: ['slack'] }
+            ]);
+        });
+
+        test('should alert on ads of the watched change types only', async () => {
+            const ignored = await alertManager.evaluateChangeRules([
+                change('ad.amount_changed', 'alpha'),
+                change('ad.added', 'beta', 'USDT-KES-buy')
+            ]);
+            const alerts = await alertManager.evaluateChangeRules([
+                change('ad.added', 'beta'),
+                change('ad.removed', 'gamma'),
+                change('ad.added', 'delta')
+            ]);
+
+            expect(ignored).toHaveLength(0);
+            expect(alerts.map(alert => alert.rule)).toEqual(['market_ad_changes:USDT-KES-sell']);
+            expect(alerts[0].message).toBe('USDT-KES-sell order book changed since the last scrape: 2 ad.added, 1 ad.removed');
+            expect(alerts[0].metrics.merchants).toEqual(['beta', 'gamma', 'delta']);
+        });
+
+        test('should not run order book rules with the system or market rules', async () => {
+            const condition = jest.spyOn(alertManager.rules.get('market_ad_changes:USDT-KES-sell'), 'condition');
+
+            await alertManager.evaluateRules({ gauges: {}, counters: {} }, null);
+            await alertManager.evaluateMarketRules([snapshot('USDT-KES-sell', 128)]);
+
+            expect(condition).not.toHaveBeenCalled();
+        });
+    });
+});
+
+describe('AlertManager deliveries', () => {
+    const alert = { rule: 'high_error_rate', severity: 'high', message: 'Error rate 12%', timestamp: Date.parse('2026-01-05T08:00:00.000Z') };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should post webhook and Slack alerts through the request queue', async () => {
+        const requestManager = { queueRequest: jest.fn().mockResolvedValue({ status: 200, data: 'ok' }) };
+        const alertManager = new AlertManager({
+            requestManager,
+            webhook: { enabled: true, url: 'https://hooks.example/alerts', headers: { 'X-Token': 't' }, timeout: 3000 },
+            slack: { enabled: true, webhookUrl: 'https://hooks.slack.com/services/T/B/X', channel: '#p2p', username: 'bot' }
+        });
+
+        await expect(alertManager.sendWebhookAlert(alert)).resolves.toEqual({ status: 200, data: 'ok' });
+        await alertManager.sendSlackAlert(alert);
+
+        const [webhookRequest, webhookOptions] = requestManager.queueRequest.mock.calls[0];
+        expect(webhookRequest).toEqual({ url: 'https://hooks.example/alerts', method: 'POST', headers: { 'X-Token': 't' }, body: { alert }, timeout: 3000 });
+        expect(webhookOptions.priority).toBe('HIGH');
+
+        const [slackRequest] = requestManager.queueRequest.mock.calls[1];
+        expect(slackRequest.url).toBe('https://hooks.slack.com/services/T/B/X');
+        expect(slackRequest.body).toMatchObject({ channel: '#p2p', username: 'bot', text: '*HIGH Alert*' });
+    });
+
+    test('should fail deliveries without a configured URL', async () => {
+        const alertManager = new AlertManager({ requestManager: { queueRequest: jest.fn() } });
+
+        await expect(alertManager.sendWebhookAlert(alert)).rejects.toThrow('Webhook URL not configured');
+        await expect(alertManager.sendSlackAlert(alert)).rejects.toThrow('Slack webhook URL not configured');
+    });
+});
+
+describe('AlertManager delivery to a local receiver', () => {
+    const alert = { rule: 'high_error_rate', severity: 'high', message: 'Error rate 12%', timestamp: Date.parse('2026-01-05T08:00:00.000Z'), channels: ['webhook'] };
+    let receiver;
+    let requestManager;
+    let tempDir;
+
+    /**
+     * Local receiver answering each request with the next status (the last one repeats),
+     * after `delay` milliseconds
+     */
+    async function startReceiver(statuses, delay = 0) {
+        const requests = [];
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ headers: req.headers, body });
+                const status = statuses.length > 1 ? statuses.shift() : statuses[0];
+                setTimeout(() => {
+                    res.writeHead(status, { 'Content-Type': 'application/json' });
+                    res.end('{}');
+                }, delay);
+            });
+        });
+
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        return { server, requests, url: `http://127.0.0.1:${server.address().port}/alerts` };
+    }
+
+    function createAlertManager(options = {}) {
+        return new AlertManager({
+            requestManager,
+            delivery: { maxAttempts: 3, retryDelay: 20, deadLetterPath: path.join(tempDir, 'dead-letter.json') },
+            webhook: { enabled: true, url: receiver.url, secret: 'shared secret', timeout: 1000 },
+            ...options
+        });
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+        requestManager = new RateLimitingManager({ enablePersistence: false, adaptiveThrottling: false, processingInterval: 10 });
+    });
+
+    afterEach(async () => {
+        await requestManager.shutdown();
+        receiver.server.closeAllConnections();
+        await new Promise(resolve => receiver.server.close(resolve));
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('should sign webhook payloads with HMAC-SHA256 over the timestamp and body', async () => {
+        receiver = await startReceiver([200]);
+
+        await createAlertManager().sendWebhookAlert(alert);
+
+        const [{ headers, body }] = receiver.requests;
+        expect(JSON.parse(body)).toEqual({ alert });
+        expect(headers['content-type']).toBe('application/json');
+        expect(Math.abs(Number(headers['x-alert-timestamp']) - Date.now() / 1000)).toBeLessThan(5);
+        expect(headers['x-alert-signature']).toBe(AlertManager.signWebhookPayload('shared secret', headers['x-alert-timestamp'], body));
+        expect(headers['x-alert-signature']).not.toBe(AlertManager.signWebhookPayload('other secret', headers['x-alert-timestamp'], body));
+    });
+
+    test('should retry failed deliveries with backoff', async () => {
+        receiver = await startReceiver([503, 502, 200]);
+
+        const results = await createAlertManager().sendAlert(alert);
+
+        expect(results.map(result => result.status)).toEqual(['fulfilled']);
+        expect(receiver.requests).toHaveLength(3);
+        expect(fs.existsSync(path.join(tempDir, 'dead-letter.json'))).toBe(false);
+    });
+
+    test('should dead-letter alerts that still fail and deliver them on redrive', async () => {
+        receiver = await startReceiver([503]);
+        const alertManager = createAlertManager();
+
+        const results = await alertManager.sendAlert(alert);
+
+        expect(results.map(result => result.status)).toEqual(['rejected']);
+        expect(receiver.requests).toHaveLength(3);
+
+        // The queue outlives the process that filled it
+        const restarted = createAlertManager();
+        const [entry] = await restarted.deadLetterQueue.list();
+        expect(entry).toMatchObject({ channel: 'webhook', alert, attempts: 3, redrives: 0 });
+        expect(entry.error).toMatch(/503/);
+
+        const stillFailing = await restarted.redriveDeadLetters();
+        expect(stillFailing).toMatchObject({ delivered: [], remaining: 1, failed: [{ id: entry.id, channel: 'webhook' }] });
+        expect((await restarted.deadLetterQueue.list())[0].redrives).toBe(1);
+
+        receiver.server.removeAllListeners('request');
+        receiver.server.on('request', (req, res) => {
+            req.resume();
+            res.end();
+        });
+        await expect(restarted.redriveDeadLetters({ channel: 'webhook' })).resolves.toEqual({ delivered: [entry.id], failed: [], remaining: 0 });
+        expect(await createAlertManager().deadLetterQueue.list()).toEqual([]);
+    });
+
+    test('should dead-letter a rejected delivery after its only attempt', async () => {
+        receiver = await startReceiver([400]);
+        const alertManager = createAlertManager();
+
+        await alertManager.sendAlert(alert);
+
+        expect(receiver.requests).toHaveLength(1);
+        expect((await alertManager.deadLetterQueue.list())[0]).toMatchObject({ channel: 'webhook', attempts: 1 });
+    });
+
+    test('should give up on a receiver slower than the channel timeout', async () => {
+        receiver = await startReceiver([200], 500);
+        const alertManager = createAlertManager({
+            delivery: { maxAttempts: 1, deadLetterPath: path.join(tempDir, 'dead-letter.json') },
+            webhook: { enabled: false },
+            slack: { enabled: true, webhookUrl: receiver.url, timeout: 100 }
+        });
+
+        const results = await alertManager.sendAlert({ ...alert, channels: ['slack'] });
+
+        expect(results[0].reason.message).toMatch(/timed out after 100ms/);
+        expect((await alertManager.deadLetterQueue.list({ channel: 'slack' }))).toHaveLength(1);
+    });
+});
@@ -0,0 +1,109 @@
+// src/services/monitoring/__tests__/DashboardServer.test.js
+const http = require('http');
+const DashboardServer = require('../DashboardServer');
+
+describe('DashboardServer', () => {
+    let server;
+    let database;
+    let monitoring;
+    let baseUrl;
+
+    const get = (path, headers = {}) => new Promise((resolve, reject) => {
+        http.get(`${baseUrl}${path}`, { headers }, (res) => {
+            let raw = '';
+            res.on('data', (chunk) => { raw += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: raw }));
+        }).on('error', reject);
+    });
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(async () => {
+        database = {
+            isConnected: true,
+            getLatestScrapeMerchants: jest.fn().mockResolvedValue({
+                scrapeId: 'abc',
+                completedAt: '2026-01-01T00:00:00.000Z',
+                merchants: [{ merchant_name: 'coinftw', price_numeric: 129.5 }]
+            })
+        };
+        monitoring = {
+            getDashboardData: jest.fn().mockReturnValue({
+                health: { overall: 'healthy', checks: {} },
+                recentAlerts: [],
+                circuitBreakers: { PAGE_OPERATIONS: { state: 'CLOSED' } }
+            }),
+            getOpenMetrics: jest.fn(({ openMetrics }) => (openMetrics
+                ? '# TYPE gateio_p2p_scraper_runs counter\ngateio_p2p_scraper_runs_total 3\n# EOF\n'
+                : '# TYPE gateio_p2p_scraper_runs_total counter\ngateio_p2p_scraper_runs_total 3\n'))
+        };
+
+        server = new DashboardServer({
+            port: 0,
+            host: '127.0.0.1',
+            refreshInterval: 5000,
+            ladderSize: 10,
+            ladderMarket: { asset: 'USDT', fiat: 'KES', side: 'buy' }
+        }, { monitoring, database });
+        await server.start();
+        baseUrl = `http://127.0.0.1:${server.getPort()}`;
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    test('should serve a self-contained HTML page', async () => {
+        const { status, headers, body } = await get('/');
+
+        expect(status).toBe(200);
+        expect(headers['content-type']).toContain('text/html');
+        expect(body).toContain('REFRESH_INTERVAL = 5000');
+        expect(body).not.toMatch(/<script[^>]+src=/);
+        expect(body).not.toMatch(/<link[^>]+href=/);
+    });
+
+    test('should serve monitoring data together with the latest price ladder', async () => {
+        const { status, body } = await get('/api/dashboard');
+        const data = JSON.parse(body);
+
+        expect(status).toBe(200);
+        expect(data.monitoring.circuitBreakers.PAGE_OPERATIONS.state).toBe('CLOSED');
+        expect(data.priceLadder.merchants[0].merchant_name).toBe('coinftw');
+        expect(database.getLatestScrapeMerchants).toHaveBeenCalledWith(10, { asset: 'USDT', fiat: 'KES', side: 'buy' });
+    });
+
+    test('should keep serving monitoring data when the ladder query fails', async () => {
+        database.getLatestScrapeMerchants.mockRejectedValue(new Error('SQLITE_BUSY'));
+
+        const { status, body } = await get('/api/dashboard');
+        const data = JSON.parse(body);
+
+        expect(status).toBe(200);
+        expect(data.monitoring.health.overall).toBe('healthy');
+        expect(data.priceLadder).toEqual(expect.objectContaining({ merchants: [], error: 'SQLITE_BUSY' }));
+    });
+
+    test('should serve metrics in the format the Accept header asks for', async () => {
+        const openMetrics = await get('/metrics', { Accept: 'application/openmetrics-text; version=1.0.0' });
+        expect(openMetrics.status).toBe(200);
+        expect(openMetrics.headers['content-type']).toBe('application/openmetrics-text; version=1.0.0; charset=utf-8');
+        expect(openMetrics.body).toMatch(/# EOF\n$/);
+
+        const prometheus = await get('/metrics');
+        expect(prometheus.headers['content-type']).toBe('text/plain; version=0.0.4; charset=utf-8');
+        expect(prometheus.body).toContain('gateio_p2p_scraper_runs_total 3');
+        expect(monitoring.getOpenMetrics).toHaveBeenLastCalledWith({ openMetrics: false });
+    });
+
+    test('should not expose the data API routes', async () => {
+        expect((await get('/api/merchants')).status).toBe(404);
+    });
+});
@@ -0,0 +1,208 @@
+// src/services/monitoring/__tests__/HealthChecker.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { execFileSync } = require('child_process');
+const HealthChecker = require('../HealthChecker');
+const { RateLimitingManager } = require('../../../../scraper/rateLimiting');
+const { ENHANCED_USER_AGENTS } = require('../../../../scraper/enhanced-stealth');
+const { checkHealthStatus } = require('../../../../scripts/healthcheck');
+
+function hasOpenssl() {
+    try {
+        execFileSync('openssl', ['version'], { stdio: 'ignore' });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+const testWithOpenssl = hasOpenssl() ? test : test.skip;
+
+describe('HealthChecker HTTP dependencies', () => {
+    let server;
+    let baseUrl;
+    let directory;
+    let checker;
+    let requestManager;
+    let requests;
+
+    const listen = (target) => new Promise(resolve => target.listen(0, '127.0.0.1', resolve));
+    const close = (target) => new Promise(resolve => {
+        target.close(() => resolve());
+        target.closeAllConnections();
+    });
+
+    async function probe(name, config) {
+        checker.registerDependency(name, config);
+        await checker.runSingleCheck(`dependency.${name}`, checker.checks.get(`dependency.${name}`));
+        return checker.getCheckStatus(`dependency.${name}`);
+    }
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'health-'));
+        requestManager = new RateLimitingManager({ enablePersistence: false, adaptiveThrottling: false, processingInterval: 10 });
+        checker = new HealthChecker({ statusFile: path.join(directory, 'health.json'), requestManager });
+        requests = [];
+
+        server = http.createServer((req, res) => {
+            requests.push(req.headers);
+            if (req.url === '/status') {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ status: 'ok', checks: [{ name: 'db', up: true }] }));
+            } else if (req.url === '/slow') {
+                setTimeout(() => res.end('late'), 150);
+            } else if (req.url === '/hang') {
+                // never answers
+            } else {
+                res.writeHead(503);
+                res.end('maintenance');
+            }
+        });
+        await listen(server);
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+        await requestManager.shutdown();
+        await close(server);
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should pass when status, body and JSON path assertions hold', async () => {
+        const status = await probe('receiver', {
+            url: `${baseUrl}/status`,
+            expectedStatus: [200, 204],
+            bodyContains: '"status"',
+            jsonPath: [
+                { path: '$.status', equals: 'ok' },
+                { path: '$.checks[0].up', equals: true },
+                { path: '$.error', exists: false },
+                { path: 'checks[0].name' }
+            ]
+        });
+
+        expect(status.status).toBe('healthy');
+        expect(status.message).toMatch(/^receiver reachable \(200 in \d+ms\)$/);
+        expect(status.details).toMatchObject({ url: `${baseUrl}/status`, statusCode: 200, warnings: [] });
+    });
+
+    test('should fail with every broken assertion and its response details', async () => {
+        const status = await probe('receiver', {
+            url: `${baseUrl}/down`,
+            bodyContains: 'ok',
+            jsonPath: [{ path: '$.status', equals: 'ok' }]
+        });
+
+        expect(status.status).toBe('unhealthy');
+        expect(status.message).toBe('receiver: status 503, expected < 400; body does not contain "ok"; body is not JSON');
+        expect(status.details).toMatchObject({ statusCode: 503, failures: expect.any(Array) });
+
+        const json = await probe('json', { url: `${baseUrl}/status`, jsonPath: [{ path: '$.status', equals: 'degraded' }, { path: '$.version' }] });
+        expect(json.message).toBe('json: $.status is "ok", expected "degraded"; $.version is missing');
+    });
+
+    test('should warn on slow responses, fail on very slow ones and time out', async () => {
+        const slow = await probe('slow', { url: `${baseUrl}/slow`, latencyWarning: 50 });
+        expect(slow.status).toBe('healthy');
+        expect(slow.message).toMatch(/^slow reachable with warnings: latency \d+ms above 50ms$/);
+
+        const tooSlow = await probe('tooSlow', { url: `${baseUrl}/slow`, latencyWarning: 50, latencyCritical: 100 });
+        expect(tooSlow.status).toBe('unhealthy');
+        expect(tooSlow.message).toMatch(/latency \d+ms above 100ms/);
+
+        const hanging = await probe('hanging', { url: `${baseUrl}/hang`, timeout: 200 });
+        expect(hanging.status).toBe('unhealthy');
+        expect(hanging.message).toBe('hanging: no response within 200ms');
+
+        const refused = await probe('refused', { url: 'http://127.0.0.1:1/' });
+        expect(refused.message).toMatch(/^refused: connect ECONNREFUSED/);
+    });
+
+    testWithOpenssl('should warn when the TLS certificate is close to expiry', async () => {
+        const keyPath = path.join(directory, 'key.pem');
+        const certPath = path.join(directory, 'cert.pem');
+        execFileSync('openssl', [
+            'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '5',
+            '-subj', '/CN=127.0.0.1', '-addext', 'subjectAltName=IP:127.0.0.1',
+            '-keyout', keyPath, '-out', certPath
+        ], { stdio: 'ignore' });
+        const cert = fs.readFileSync(certPath);
+
+        const tlsServer = https.createServer({ key: fs.readFileSync(keyPath), cert }, (req, res) => res.end('ok'));
+        await listen(tlsServer);
+
+        try {
+            const url = `https://127.0.0.1:${tlsServer.address().port}/`;
+            const status = await probe('tls', { url, ca: cert });
+
+            expect(status.status).toBe('healthy');
+            expect(status.message).toMatch(/^tls reachable with warnings: TLS certificate expires in [45] day\(s\)$/);
+            expect(status.details.certificate).toMatchObject({ subject: '127.0.0.1' });
+
+            const untrusted = await probe('untrusted', { url });
+            expect(untrusted.status).toBe('unhealthy');
+        } finally {
+            await close(tlsServer);
+        }
+    });
+
+    test('should probe through the host limiter with a browser User-Agent', async () => {
+        const host = new URL(baseUrl).host;
+        const schedule = jest.spyOn(requestManager, 'schedule');
+        requestManager.blockHost(host, 200);
+        const startTime = Date.now();
+
+        const status = await probe('status', { url: `${baseUrl}/status` });
+
+        expect(status.status).toBe('healthy');
+        expect(schedule).toHaveBeenCalledWith(host, expect.any(Function), expect.objectContaining({ maxAttempts: 1 }));
+        expect(Date.now() - startTime).toBeGreaterThanOrEqual(150);
+        expect(requests[0]['user-agent']).toBe(ENHANCED_USER_AGENTS[0]);
+    });
+
+    test('should fail the Docker healthcheck on Gate.io but not on the webhook receiver by default', () => {
+        process.env.WEBHOOK_HEALTH_URL = 'http://127.0.0.1:1/health';
+        try {
+            jest.isolateModules(() => {
+                for (const environment of ['production', 'staging']) {
+                    const { dependencies } = require(`../../../config/environments/${environment}`).monitoring.healthCheck;
+                    expect(dependencies.map(({ name, critical }) => [name, critical])).toEqual([['gateio', true], ['webhook', false]]);
+                }
+            });
+        } finally {
+            delete process.env.WEBHOOK_HEALTH_URL;
+        }
+    });
+
+    test('should write the summary the Docker healthcheck fails on for critical dependencies', async () => {
+        checker.checks.clear();
+        checker.healthStatus.clear();
+        checker.registerDependency('gateio', { url: `${baseUrl}/down` });
+        checker.registerDependency('receiver', { url: `${baseUrl}/down`, critical: true });
+
+        await checker.runAllChecks();
+
+        const statusFile = path.join(directory, 'health.json');
+        const summary = JSON.parse(fs.readFileSync(statusFile, 'utf8'));
+        expect(summary.overall).toBe('critical');
+        expect(summary.checks['dependency.receiver']).toMatchObject({ status: 'unhealthy', critical: true });
+
+        await expect(checkHealthStatus(statusFile)).rejects.toThrow(
+            'critical health checks failing: dependency.receiver (receiver: status 503, expected < 400)'
+        );
+        await expect(checkHealthStatus(statusFile, summary.timestamp + 3 * summary.checkInterval + 1)).resolves.toBeUndefined();
+        await expect(checkHealthStatus(path.join(directory, 'missing.json'))).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,170 @@
+// src/services/monitoring/__tests__/openMetrics.test.js
+const MetricsCollector = require('../MetricsCollector');
+const MonitoringService = require('../MonitoringService');
+const { renderOpenMetrics, negotiateFormat, toMetricName } = require('../openMetrics');
+const { createMetrics } = require('../../../../scraper/performanceMetrics');
+const { NetworkError } = require('../../../../scraper/errorHandling');
+
+const MARKETS = [
+    {
+        market: 'USDT-KES-buy', asset: 'USDT', fiat: 'KES', side: 'buy', status: 'success',
+        bestPrice: 129.5, liquidity: 12000, merchantCount: 18, targetRank: { rank: 3 }, duration: 4200
+    },
+    {
+        market: 'USDT-NGN-sell', asset: 'USDT', fiat: 'NGN', side: 'sell', status: 'failed',
+        merchantCount: 0, duration: 30500, error: 'Navigation timeout of 30000 ms exceeded'
+    }
+];
+
+function sampleLines(text, name) {
+    return text.split('\n').filter(line => line.startsWith(`${name}{`) || line.startsWith(`${name} `));
+}
+
+describe('renderOpenMetrics', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should render counters by label, the latest gauge per label set and cumulative histograms', () => {
+        const collector = new MetricsCollector({ histogramBuckets: [100, 1000] });
+        collector.incrementCounter('scraper.errors.count');
+        collector.incrementCounter('scraper.errors.count', 2, { category: 'NETWORK' });
+        collector.recordGauge('market.bestPrice', 130, 1, { market: 'USDT-KES-buy' });
+        collector.recordGauge('market.bestPrice', 129.5, 2, { market: 'USDT-KES-buy' });
+        collector.recordGauge('market.bestPrice', 1550, 2, { market: 'USDT-NGN-sell', note: 'a "quoted"\nvalue' });
+        collector.recordHistogram('market.scrape.duration', 50, 1, { market: 'USDT-KES-buy' });
+        collector.recordHistogram('market.scrape.duration', 500, 2, { market: 'USDT-KES-buy' });
+        collector.recordHistogram('market.scrape.duration', 5000, 3, { market: 'USDT-KES-buy' });
+
+        const text = renderOpenMetrics({ metricsCollector: collector });
+
+        expect(text).toContain('# TYPE gateio_p2p_scraper_errors counter');
+        expect(sampleLines(text, 'gateio_p2p_scraper_errors_total')).toEqual([
+            'gateio_p2p_scraper_errors_total 1',
+            'gateio_p2p_scraper_errors_total{category="NETWORK"} 2'
+        ]);
+        expect(sampleLines(text, 'gateio_p2p_scraper_runs_total')).toEqual(['gateio_p2p_scraper_runs_total 0']);
+        expect(sampleLines(text, 'gateio_p2p_market_best_price')).toEqual([
+            'gateio_p2p_market_best_price{market="USDT-KES-buy"} 129.5',
+            'gateio_p2p_market_best_price{market="USDT-NGN-sell",note="a \\"quoted\\"\\nvalue"} 1550'
+        ]);
+        expect(text).toContain([
+            '# TYPE gateio_p2p_market_scrape_duration histogram',
+            'gateio_p2p_market_scrape_duration_bucket{market="USDT-KES-buy",le="100"} 1',
+            'gateio_p2p_market_scrape_duration_bucket{market="USDT-KES-buy",le="1000"} 2',
+            'gateio_p2p_market_scrape_duration_bucket{market="USDT-KES-buy",le="+Inf"} 3',
+            'gateio_p2p_market_scrape_duration_count{market="USDT-KES-buy"} 3',
+            'gateio_p2p_market_scrape_duration_sum{market="USDT-KES-buy"} 5550'
+        ].join('\n'));
+        expect(text.endsWith('\n# EOF\n')).toBe(true);
+        expect(sampleLines(text, 'gateio_p2p_system_cpu_usage')).toEqual([]);
+    });
+
+    test('should render PerformanceMetrics families with their tags and descriptions', () => {
+        const metrics = createMetrics({ enableSystemMetrics: false, persistenceEnabled: false });
+        metrics.createCounter('pages_loaded_total', { description: 'Pages loaded', tags: { market: 'USDT-KES-buy' } }).increment(4);
+        metrics.createGauge('browserInstances').set(2);
+        metrics.createGauge('never_set');
+        const histogram = metrics.createHistogram('page_load_seconds', { buckets: [1, 5] });
+        [0.5, 2, 9].forEach(value => histogram.observe(value));
+        const timer = metrics.createTimer('extraction_ms');
+        [10, 20, 30, 40].forEach(value => timer.record(value));
+
+        const text = renderOpenMetrics({ performanceMetrics: metrics });
+
+        expect(text).toContain([
+            '# HELP gateio_p2p_pages_loaded Pages loaded',
+            '# TYPE gateio_p2p_pages_loaded counter',
+            'gateio_p2p_pages_loaded_total{market="USDT-KES-buy"} 4'
+        ].join('\n'));
+        expect(sampleLines(text, 'gateio_p2p_browser_instances')).toEqual(['gateio_p2p_browser_instances 2']);
+        expect(text).not.toContain('never_set');
+        expect(sampleLines(text, 'gateio_p2p_page_load_seconds_bucket')).toEqual([
+            'gateio_p2p_page_load_seconds_bucket{le="1"} 1',
+            'gateio_p2p_page_load_seconds_bucket{le="5"} 2',
+            'gateio_p2p_page_load_seconds_bucket{le="+Inf"} 3'
+        ]);
+        expect(sampleLines(text, 'gateio_p2p_extraction_ms')).toEqual([
+            'gateio_p2p_extraction_ms{quantile="0.5"} 20',
+            'gateio_p2p_extraction_ms{quantile="0.9"} 40',
+            'gateio_p2p_extraction_ms{quantile="0.99"} 40'
+        ]);
+    });
+
+    test('should label circuit breakers by name and use the 0.0.4 counter naming on request', () => {
+        const text = renderOpenMetrics({
+            metricsCollector: new MetricsCollector(),
+            circuitBreakers: { PAGE_OPERATIONS: { state: 'OPEN', recentFailures: 5, totalFailures: 7, successes: 40 } }
+        }, { openMetrics: false });
+
+        expect(sampleLines(text, 'gateio_p2p_circuit_breaker_state')).toEqual([
+            'gateio_p2p_circuit_breaker_state{name="PAGE_OPERATIONS",state="CLOSED"} 0',
+            'gateio_p2p_circuit_breaker_state{name="PAGE_OPERATIONS",state="OPEN"} 1',
+            'gateio_p2p_circuit_breaker_state{name="PAGE_OPERATIONS",state="HALF_OPEN"} 0'
+        ]);
+        expect(sampleLines(text, 'gateio_p2p_circuit_breaker_recent_failures')).toEqual([
+            'gateio_p2p_circuit_breaker_recent_failures{name="PAGE_OPERATIONS"} 5'
+        ]);
+        expect(text).toContain('# TYPE gateio_p2p_scraper_runs_total counter');
+        expect(text).not.toContain('# EOF');
+    });
+
+    test('should negotiate the format from the Accept header', () => {
+        expect(negotiateFormat('application/openmetrics-text;version=1.0.0,text/plain;q=0.5')).toEqual({
+            openMetrics: true,
+            contentType: 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+        });
+        expect(negotiateFormat(undefined).contentType).toBe('text/plain; version=0.0.4; charset=utf-8');
+        expect(toMetricName('scraper.pages.loadTime')).toBe('gateio_p2p_scraper_pages_load_time');
+    });
+});
+
+describe('MonitoringService metrics exposition', () => {
+    let monitoring;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(() => {
+        monitoring = new MonitoringService({ alerting: { enabled: false } });
+    });
+
+    test('should expose per-market business gauges and errors by category', () => {
+        monitoring.handleScraperEvent({ type: 'scraper.success', data: { duration: 35000, merchantCount: 18, results: { markets: MARKETS } } });
+        monitoring.handleScraperEvent({ type: 'scraper.error', data: { error: 'boom', category: new NetworkError('reset').category } });
+        monitoring.handleScraperEvent({ type: 'scraper.error', data: { error: 'Too many requests (429)' } });
+
+        const text = monitoring.getOpenMetrics();
+        const labels = 'market="USDT-KES-buy",asset="USDT",fiat="KES",side="buy"';
+
+        expect(sampleLines(text, 'gateio_p2p_market_best_price')).toEqual([`gateio_p2p_market_best_price{${labels}} 129.5`]);
+        expect(sampleLines(text, 'gateio_p2p_market_liquidity')).toEqual([`gateio_p2p_market_liquidity{${labels}} 12000`]);
+        expect(sampleLines(text, 'gateio_p2p_market_merchant_count')).toEqual([
+            `gateio_p2p_market_merchant_count{${labels}} 18`
+        ]);
+        expect(sampleLines(text, 'gateio_p2p_market_target_rank')).toEqual([
+            `gateio_p2p_market_target_rank{${labels}} 3`
+        ]);
+        expect(sampleLines(text, 'gateio_p2p_market_errors_total')).toEqual([
+            'gateio_p2p_market_errors_total{market="USDT-NGN-sell",category="NETWORK"} 1'
+        ]);
+        expect(sampleLines(text, 'gateio_p2p_market_scrapes_total')).toEqual([
+            'gateio_p2p_market_scrapes_total{market="USDT-KES-buy",status="success"} 1',
+            'gateio_p2p_market_scrapes_total{market="USDT-NGN-sell",status="failed"} 1'
+        ]);
+        expect(sampleLines(text, 'gateio_p2p_scraper_errors_total')).toEqual([
+            'gateio_p2p_scraper_errors_total{category="NETWORK"} 1',
+            'gateio_p2p_scraper_errors_total{category="RATE_LIMIT"} 1'
+        ]);
+        expect(text).toContain('gateio_p2p_scraper_run_duration_count 1');
+    });
+});
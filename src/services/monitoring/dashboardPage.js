@@ -0,0 +1,207 @@
+// src/services/monitoring/dashboardPage.js
+
+/**
+ * Self-contained monitoring dashboard page
+ * All styles and scripts are inlined so the page works without any external assets.
+ * The page polls /api/dashboard and renders everything client-side with textContent,
+ * so scraped merchant names never reach the DOM as HTML.
+ */
+function renderDashboardPage({ title = 'Gate.io P2P Scraper', refreshInterval = 30000 } = {}) {
+    const safeTitle = String(title).replace(/[<>&"]/g, '');
+    const interval = Math.max(1000, Number(refreshInterval) || 30000);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${safeTitle} — Monitoring</title>
+<style>
+  :root { --bg: #0f1419; --panel: #1a2029; --border: #2a3340; --text: #d8dee9; --muted: #7b8794;
+          --ok: #3fb950; --warn: #d29922; --bad: #f85149; --info: #58a6ff; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.4 -apple-system, "Segoe UI", Roboto, sans-serif; background: var(--bg); color: var(--text); }
+  header { display: flex; justify-content: space-between; align-items: center; padding: 12px 20px; border-bottom: 1px solid var(--border); }
+  header h1 { font-size: 18px; margin: 0; }
+  #updated { color: var(--muted); font-size: 12px; }
+  main { display: grid; grid-template-columns: repeat(auto-fit, minmax(360px, 1fr)); gap: 16px; padding: 16px 20px; }
+  section { background: var(--panel); border: 1px solid var(--border); border-radius: 6px; padding: 12px 14px; overflow: auto; }
+  section h2 { font-size: 14px; margin: 0 0 10px; text-transform: uppercase; letter-spacing: .04em; color: var(--muted); }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid var(--border); white-space: nowrap; }
+  th { color: var(--muted); font-weight: 500; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  .badge { display: inline-block; padding: 1px 8px; border-radius: 10px; font-size: 12px; font-weight: 600; }
+  .healthy, .CLOSED, .info { background: rgba(63,185,80,.15); color: var(--ok); }
+  .degraded, .HALF_OPEN, .warning { background: rgba(210,153,34,.15); color: var(--warn); }
+  .unhealthy, .critical, .OPEN, .error { background: rgba(248,81,73,.15); color: var(--bad); }
+  .unknown { background: rgba(123,135,148,.15); color: var(--muted); }
+  .kv { display: grid; grid-template-columns: auto 1fr; gap: 4px 16px; }
+  .kv dt { color: var(--muted); }
+  .kv dd { margin: 0; text-align: right; font-variant-numeric: tabular-nums; }
+  .empty { color: var(--muted); font-style: italic; }
+  #error { display: none; margin: 16px 20px 0; padding: 8px 12px; border-radius: 6px; background: rgba(248,81,73,.15); color: var(--bad); }
+</style>
+</head>
+<body>
+<header>
+  <h1>${safeTitle} <span id="overall" class="badge unknown">unknown</span></h1>
+  <span id="updated">Loading…</span>
+</header>
+<div id="error"></div>
+<main>
+  <section><h2>Overview</h2><dl class="kv" id="overview"></dl></section>
+  <section><h2>Price ladder <span id="ladder-scrape"></span></h2><div id="ladder"></div></section>
+  <section><h2>Health checks</h2><div id="health"></div></section>
+  <section><h2>Metrics</h2><dl class="kv" id="metrics"></dl></section>
+  <section><h2>Circuit breakers</h2><div id="breakers"></div></section>
+  <section><h2>Recent alerts</h2><div id="alerts"></div></section>
+</main>
+<script>
+(function () {
+  var REFRESH_INTERVAL = ${interval};
+
+  function el(tag, text, className) {
+    var node = document.createElement(tag);
+    if (text !== undefined && text !== null) node.textContent = String(text);
+    if (className) node.className = className;
+    return node;
+  }
+
+  function badge(status) {
+    return el('span', status, 'badge ' + status);
+  }
+
+  function fmtNumber(value, digits) {
+    if (value === undefined || value === null || isNaN(value)) return 'N/A';
+    return Number(value).toLocaleString(undefined, { maximumFractionDigits: digits === undefined ? 2 : digits });
+  }
+
+  function fmtTime(ts) {
+    return ts ? new Date(ts).toLocaleString() : 'never';
+  }
+
+  function fmtDuration(ms) {
+    var minutes = Math.floor((ms || 0) / 60000);
+    if (minutes < 60) return minutes + 'm';
+    return Math.floor(minutes / 60) + 'h ' + (minutes % 60) + 'm';
+  }
+
+  function table(headers, rows, numericColumns) {
+    if (!rows.length) return el('p', 'No data yet', 'empty');
+    var t = el('table');
+    var head = el('tr');
+    headers.forEach(function (h) { head.appendChild(el('th', h)); });
+    t.appendChild(head);
+    rows.forEach(function (cells) {
+      var tr = el('tr');
+      cells.forEach(function (cell, i) {
+        var td = el('td', null, numericColumns && numericColumns.indexOf(i) !== -1 ? 'num' : '');
+        if (cell instanceof Node) td.appendChild(cell); else td.textContent = cell;
+        tr.appendChild(td);
+      });
+      t.appendChild(tr);
+    });
+    return t;
+  }
+
+  function keyValues(target, entries) {
+    target.replaceChildren();
+    entries.forEach(function (entry) {
+      target.appendChild(el('dt', entry[0]));
+      target.appendChild(el('dd', entry[1]));
+    });
+  }
+
+  function render(data) {
+    var monitoring = data.monitoring || {};
+    var health = monitoring.health || { checks: {} };
+    var metrics = monitoring.metrics || { counters: {}, gauges: {} };
+    var counters = metrics.counters || {};
+    var gauges = metrics.gauges || {};
+
+    var overall = document.getElementById('overall');
+    overall.replaceWith(Object.assign(badge(health.overall || 'unknown'), { id: 'overall' }));
+
+    keyValues(document.getElementById('overview'), [
+      ['Uptime', fmtDuration(monitoring.overview && monitoring.overview.uptime)],
+      ['Scrape runs', fmtNumber(counters['scraper.runs.total'], 0)],
+      ['Successful', fmtNumber(counters['scraper.runs.success'], 0)],
+      ['Failed', fmtNumber(counters['scraper.runs.failed'], 0)],
+      ['Last duration (ms)', fmtNumber(gauges['scraper.duration.last'], 0)],
+      ['Merchants (last run)', fmtNumber(gauges['scraper.merchants.count'], 0)],
+      ['Alerts (last hour)', fmtNumber(monitoring.alerts && monitoring.alerts.lastHour, 0)]
+    ]);
+
+    keyValues(document.getElementById('metrics'), [
+      ['System memory', fmtNumber(gauges['system.memory.usage'], 1) + '%'],
+      ['System CPU', fmtNumber(gauges['system.cpu.usage'], 1) + '%'],
+      ['Load (1m)', fmtNumber(gauges['system.loadavg.1m'])],
+      ['Process RSS (MB)', fmtNumber((gauges['process.memory.rss'] || 0) / 1048576, 1)],
+      ['Heap used (MB)', fmtNumber((gauges['process.memory.heapUsed'] || 0) / 1048576, 1)],
+      ['DB queries', fmtNumber(counters['database.queries.total'], 0)],
+      ['DB failures', fmtNumber(counters['database.queries.failed'], 0)],
+      ['Browser crashes', fmtNumber(counters['browser.crashes.count'], 0)]
+    ]);
+
+    var checks = Object.keys(health.checks || {}).sort().map(function (name) {
+      var check = health.checks[name];
+      return [name, badge(check.status), check.message || '', fmtTime(check.lastCheck)];
+    });
+    document.getElementById('health').replaceChildren(table(['Check', 'Status', 'Message', 'Last check'], checks));
+
+    var breakers = monitoring.circuitBreakers || {};
+    var breakerRows = Object.keys(breakers).map(function (name) {
+      var b = breakers[name];
+      return [name, badge(b.state), b.recentFailures, b.totalFailures, b.nextAttemptTime ? fmtTime(b.nextAttemptTime) : '—'];
+    });
+    document.getElementById('breakers').replaceChildren(
+      table(['Breaker', 'State', 'Recent failures', 'Total failures', 'Next attempt'], breakerRows, [2, 3]));
+
+    var alertRows = (monitoring.recentAlerts || []).map(function (a) {
+      return [fmtTime(a.timestamp), badge(a.severity), a.rule, a.message];
+    });
+    document.getElementById('alerts').replaceChildren(table(['Time', 'Severity', 'Rule', 'Message'], alertRows));
+
+    var ladder = data.priceLadder || { merchants: [] };
+    document.getElementById('ladder-scrape').textContent = ladder.completedAt ? '(' + fmtTime(ladder.completedAt) + ')' : '';
+    var ladderRows = (ladder.merchants || []).map(function (m, i) {
+      return [i + 1, m.merchant_name, fmtNumber(m.price_numeric), fmtNumber(m.available_amount_numeric),
+        fmtNumber(m.limit_min, 0) + ' – ' + fmtNumber(m.limit_max, 0)];
+    });
+    document.getElementById('ladder').replaceChildren(
+      table(['#', 'Merchant', 'Price', 'Available', 'Limits'], ladderRows, [0, 2, 3]));
+
+    document.getElementById('updated').textContent = 'Updated ' + new Date(data.timestamp).toLocaleTimeString() +
+      ' · refresh every ' + Math.round(REFRESH_INTERVAL / 1000) + 's';
+  }
+
+  function refresh() {
+    fetch('api/dashboard', { cache: 'no-store' })
+      .then(function (res) {
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        return res.json();
+      })
+      .then(function (data) {
+        document.getElementById('error').style.display = 'none';
+        render(data);
+      })
+      .catch(function (err) {
+        var box = document.getElementById('error');
+        box.textContent = 'Failed to load dashboard data: ' + err.message;
+        box.style.display = 'block';
+      })
+      .finally(function () { setTimeout(refresh, REFRESH_INTERVAL); });
+  }
+
+  refresh();
+})();
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    renderDashboardPage
+};
@@ -3,10 +3,14 @@ const MonitoringService = require('./MonitoringService');
 const MetricsCollector = require('./MetricsCollector');
 const HealthChecker = require('./HealthChecker');
 const AlertManager = require('./AlertManager');
+const DashboardServer = require('./DashboardServer');
+const DeadLetterQueue = require('./DeadLetterQueue');
 
 module.exports = {
     MonitoringService,
     MetricsCollector,
     HealthChecker,
-    AlertManager
+    AlertManager,
+    DashboardServer,
+    DeadLetterQueue
 };
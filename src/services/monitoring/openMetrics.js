@@ -0,0 +1,261 @@
+// src/services/monitoring/openMetrics.js
+
+/**
+ * OpenMetrics / Prometheus text exposition of the monitoring metrics.
+ * Families come from the MetricsCollector (counters, latest gauge per label set,
+ * cumulative histograms), the PerformanceMetrics registry and the circuit
+ * breakers; a name already rendered by an earlier source is skipped.
+ */
+const METRIC_PREFIX = 'gateio_p2p_';
+
+const CONTENT_TYPES = {
+    openMetrics: 'application/openmetrics-text; version=1.0.0; charset=utf-8',
+    prometheus: 'text/plain; version=0.0.4; charset=utf-8'
+};
+
+const TIMER_QUANTILES = [0.5, 0.9, 0.99];
+
+/**
+ * Exposition name of a metric: "scraper.pages.loadTime" -> "gateio_p2p_scraper_pages_load_time"
+ */
+function toMetricName(name) {
+    const snake = String(name)
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .toLowerCase()
+        .replace(/[^a-z0-9_]/g, '_')
+        .replace(/_+/g, '_')
+        .replace(/^_|_$/g, '');
+    return `${METRIC_PREFIX}${snake}`;
+}
+
+/**
+ * Counter family name, without the "_total" suffix its sample gets
+ */
+function toCounterName(name) {
+    return toMetricName(name).replace(/_(total|count)$/, '');
+}
+
+function toLabelName(name) {
+    const label = String(name).replace(/[^a-zA-Z0-9_]/g, '_');
+    return /^[a-zA-Z_]/.test(label) ? label : `_${label}`;
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels = {}) {
+    const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${toLabelName(name)}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (Number.isNaN(value)) {
+        return 'NaN';
+    }
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return String(value);
+}
+
+function isNumber(value) {
+    return typeof value === 'number';
+}
+
+/**
+ * Samples of a histogram: cumulative buckets up to +Inf, then _count and _sum
+ */
+function histogramSamples(bounds, cumulativeCounts, count, sum, labels = {}) {
+    return [
+        ...bounds.map((bound, index) => ({
+            suffix: '_bucket',
+            labels: { ...labels, le: formatValue(bound) },
+            value: cumulativeCounts[index]
+        })),
+        { suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count },
+        { suffix: '_count', labels, value: count },
+        { suffix: '_sum', labels, value: sum }
+    ];
+}
+
+function collectorFamilies(metricsCollector) {
+    const families = [];
+
+    for (const [name, total] of metricsCollector.counters) {
+        const series = [...(metricsCollector.counterSeries.get(name)?.values() || [])];
+        const samples = series.map(entry => ({ suffix: '_total', labels: entry.labels, value: entry.value }));
+        const untagged = total - series.reduce((sum, entry) => sum + entry.value, 0);
+        if (samples.length === 0 || untagged > 0) {
+            samples.unshift({ suffix: '_total', labels: {}, value: untagged });
+        }
+        families.push({ name: toCounterName(name), type: 'counter', samples });
+    }
+
+    for (const [name, dataPoints] of metricsCollector.gauges) {
+        const latest = new Map();
+        for (const point of dataPoints.filter(candidate => isNumber(candidate.value))) {
+            latest.set(JSON.stringify(Object.entries(point.tags || {}).sort(([a], [b]) => a.localeCompare(b))), point);
+        }
+        if (latest.size > 0) {
+            families.push({
+                name: toMetricName(name),
+                type: 'gauge',
+                samples: [...latest.values()].map(point => ({ suffix: '', labels: point.tags || {}, value: point.value }))
+            });
+        }
+    }
+
+    const bounds = metricsCollector.config.histogramBuckets;
+    for (const [name, series] of metricsCollector.histogramTotals) {
+        families.push({
+            name: toMetricName(name),
+            type: 'histogram',
+            samples: [...series.values()].flatMap(entry =>
+                histogramSamples(bounds, entry.bucketCounts, entry.count, entry.sum, entry.labels))
+        });
+    }
+
+    return families;
+}
+
+function performanceFamily(metric) {
+    const family = { name: toMetricName(metric.name), help: metric.description, samples: [] };
+    const labels = metric.tags || {};
+
+    switch (metric.type) {
+        case 'counter':
+            return { ...family, name: toCounterName(metric.name), type: 'counter', samples: [{ suffix: '_total', labels, value: metric.getValue() }] };
+
+        case 'histogram': {
+            let cumulative = 0;
+            const counts = metric.buckets.map((bound, index) => (cumulative += metric.bucketCounts[index]));
+            return { ...family, type: 'histogram', samples: histogramSamples(metric.buckets, counts, metric.totalCount, metric.totalSum, labels) };
+        }
+
+        case 'timer': {
+            // Quantiles over the retained durations; no _count/_sum, which would
+            // stop growing once the oldest values are dropped
+            const sorted = metric.getValues().sort((a, b) => a - b);
+            if (sorted.length === 0) {
+                return null;
+            }
+            return {
+                ...family,
+                type: 'summary',
+                samples: TIMER_QUANTILES.map(quantile => ({
+                    suffix: '',
+                    labels: { ...labels, quantile: String(quantile) },
+                    value: sorted[Math.max(0, Math.ceil(sorted.length * quantile) - 1)]
+                }))
+            };
+        }
+
+        default: {
+            // Gauges, and rates as their current events per second
+            const value = metric.type === 'rate' ? metric.getRate() : metric.getValue();
+            if (metric.values.length === 0 || !isNumber(value)) {
+                return null;
+            }
+            return { ...family, type: 'gauge', samples: [{ suffix: '', labels, value }] };
+        }
+    }
+}
+
+function circuitBreakerFamilies(circuitBreakers) {
+    const breakers = Object.entries(circuitBreakers);
+    if (breakers.length === 0) {
+        return [];
+    }
+
+    const gauge = (name, help, valueOf) => ({
+        name: toMetricName(name),
+        type: 'gauge',
+        help,
+        samples: breakers.map(([breaker, stats]) => ({ suffix: '', labels: { name: breaker }, value: valueOf(stats) }))
+    });
+
+    return [
+        {
+            name: toMetricName('circuitBreaker.state'),
+            type: 'gauge',
+            help: 'Circuit breaker state, 1 for the current one',
+            samples: breakers.flatMap(([breaker, stats]) => ['CLOSED', 'OPEN', 'HALF_OPEN'].map(state => ({
+                suffix: '',
+                labels: { name: breaker, state },
+                value: stats.state === state ? 1 : 0
+            })))
+        },
+        gauge('circuitBreaker.recentFailures', 'Failures within the monitor window', stats => stats.recentFailures),
+        gauge('circuitBreaker.failures', 'Failures recorded since the last reset', stats => stats.totalFailures),
+        gauge('circuitBreaker.successes', 'Successes recorded since the last reset', stats => stats.successes)
+    ];
+}
+
+function renderFamily(family, openMetrics) {
+    // The 0.0.4 text format names a counter family after its _total sample
+    const typeName = family.type === 'counter' && !openMetrics ? `${family.name}_total` : family.name;
+    const lines = [];
+
+    if (family.help) {
+        lines.push(`# HELP ${typeName} ${String(family.help).replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    }
+    lines.push(`# TYPE ${typeName} ${family.type}`);
+    for (const sample of family.samples) {
+        lines.push(`${family.name}${sample.suffix}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Render the metrics as OpenMetrics text, or Prometheus 0.0.4 text with
+ * { openMetrics: false }
+ *
+ * @param {Object} sources - { metricsCollector, performanceMetrics, circuitBreakers }, each optional.
+ * @param {Object} options - { openMetrics } (default true).
+ * @returns {string} The exposition, ending with "# EOF" in OpenMetrics.
+ */
+function renderOpenMetrics({ metricsCollector, performanceMetrics, circuitBreakers } = {}, { openMetrics = true } = {}) {
+    const families = [
+        ...(metricsCollector ? collectorFamilies(metricsCollector) : []),
+        ...(performanceMetrics ? [...performanceMetrics.metrics.values()].map(performanceFamily) : []),
+        ...circuitBreakerFamilies(circuitBreakers || {})
+    ].filter(family => family && family.samples.length > 0);
+
+    const rendered = new Map();
+    for (const family of families) {
+        if (!rendered.has(family.name)) {
+            rendered.set(family.name, renderFamily(family, openMetrics));
+        }
+    }
+
+    const lines = [...rendered.values()];
+    if (openMetrics) {
+        lines.push('# EOF');
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Whether a scrape's Accept header asks for OpenMetrics, and the content type to answer with
+ */
+function negotiateFormat(accept = '') {
+    const openMetrics = String(accept).includes('application/openmetrics-text');
+    return {
+        openMetrics,
+        contentType: openMetrics ? CONTENT_TYPES.openMetrics : CONTENT_TYPES.prometheus
+    };
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    toMetricName,
+    renderOpenMetrics,
+    negotiateFormat
+};